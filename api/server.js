@@ -9,6 +9,7 @@ require('dotenv').config();
 
 // Import database connection
 const databaseConnection = require('./src/config/database');
+const { startBackgroundJobs } = require('./src/jobs');
 
 // Import routes
 const authRoutes = require('./src/routes/auth');
@@ -49,6 +50,20 @@ const maintenanceRequestRoutes = require('./src/routes/maintenanceRequest');
 const postRoutes = require('./src/routes/posts');
 // BLOCKED USERS MANAGEMENT ROUTES - New Implementation
 const blockedUserRoutes = require('./src/routes/blockedUsers');
+// AUDIT TRAIL ROUTES
+const auditRoutes = require('./src/routes/audit');
+// VISITOR BLACKLIST ROUTES
+const blacklistRoutes = require('./src/routes/blacklist');
+// REALTIME EVENT STREAM ROUTES
+const realtimeRoutes = require('./src/routes/realtime');
+// CONTENT MODERATION ROUTES
+const moderationRoutes = require('./src/routes/moderation');
+// PARCEL CUSTODY ROUTES
+const parcelRoutes = require('./src/routes/parcel');
+// MAINTENANCE DUES ROUTES
+const duesRoutes = require('./src/routes/dues');
+// HELPDESK ROUTES
+const helpdeskRoutes = require('./src/routes/helpdesk');
 
 // Initialize Express app
 const app = express();
@@ -108,6 +123,8 @@ app.use('/api/', limiter);
 
 // Other middleware
 app.use(compression());
+// The realtime stream takes its token as ?access_token=; keep it out of the access log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/gi, '$1[REDACTED]'));
 app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -194,6 +211,20 @@ app.use('/api/maintenance-requests', maintenanceRequestRoutes);
 app.use('/api/posts', postRoutes);
 // BLOCKED USERS MANAGEMENT ROUTES - New Implementation
 app.use('/api/blocked-users', blockedUserRoutes);
+// AUDIT TRAIL ROUTES
+app.use('/api/audit', auditRoutes);
+// VISITOR BLACKLIST ROUTES
+app.use('/api/blacklist', blacklistRoutes);
+// REALTIME EVENT STREAM ROUTES
+app.use('/api/realtime', realtimeRoutes);
+// CONTENT MODERATION ROUTES
+app.use('/api/moderation', moderationRoutes);
+// PARCEL CUSTODY ROUTES
+app.use('/api/parcels', parcelRoutes);
+// MAINTENANCE DUES ROUTES
+app.use('/api/dues', duesRoutes);
+// HELPDESK ROUTES
+app.use('/api/helpdesk', helpdeskRoutes);
 
 // API base endpoint
 app.get('/api', (req, res) => {
@@ -228,6 +259,13 @@ app.get('/api', (req, res) => {
         visitorCategories: `${BASE_URL}/api/visitor-categories`,
         securityDashboard: `${BASE_URL}/api/security`,
         calls: `${BASE_URL}/api/calls`,
+        audit: `${BASE_URL}/api/audit`,
+        blacklist: `${BASE_URL}/api/blacklist`,
+        realtime: `${BASE_URL}/api/realtime`,
+        moderation: `${BASE_URL}/api/moderation`,
+        parcels: `${BASE_URL}/api/parcels`,
+        dues: `${BASE_URL}/api/dues`,
+        helpdesk: `${BASE_URL}/api/helpdesk`,
         documentation: `${BASE_URL}/api/docs`
       },
     environment: NODE_ENV
@@ -307,7 +345,14 @@ app.use('*', (req, res) => {
         pass: '/api/pass',
         visitorCategories: '/api/visitor-categories',
         securityDashboard: '/api/security',
-        calls: '/api/calls'
+        calls: '/api/calls',
+        audit: '/api/audit',
+        blacklist: '/api/blacklist',
+        realtime: '/api/realtime',
+        moderation: '/api/moderation',
+        parcels: '/api/parcels',
+        dues: '/api/dues',
+        helpdesk: '/api/helpdesk'
       }
   });
 });
@@ -332,6 +377,9 @@ async function startServer() {
     // Connect to MongoDB Atlas
     await databaseConnection.connect();
 
+    // Start scheduled background jobs (expiry sweeps etc.)
+    startBackgroundJobs();
+
     // Start Express server
     app.listen(PORT, () => {
       const baseUrl = process.env.BASE_URL || `http://localhost:${PORT}`;
@@ -1,8 +1,13 @@
 const AskSociety = require('../models/AskSociety');
+const AskSocietyReply = require('../models/AskSocietyReply');
 const Building = require('../models/Building');
+const askSocietyService = require('../services/askSocietyService');
+const { validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 
+const ADMIN_ROLES = ['BUILDING_ADMIN', 'SUPER_ADMIN'];
+
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -121,7 +126,8 @@ const getMessages = async (req, res) => {
     // Get all messages for the building (newest first, no pagination)
     const messages = await AskSociety.find({
       buildingId,
-      isDeleted: false
+      isDeleted: false,
+      isHidden: { $ne: true }
     })
     .populate('createdBy', 'name email role flatNumber phoneNumber')
     .populate('buildingId', 'name')
@@ -137,6 +143,9 @@ const getMessages = async (req, res) => {
           message: msg.message,
           image: msg.image,
           status: msg.status,
+          replyCount: msg.replyCount || 0,
+          acceptedReplyId: msg.acceptedReplyId || null,
+          lastActivityAt: msg.lastActivityAt || msg.createdAt,
           createdBy: msg.createdBy ? {
             id: msg.createdBy._id,
             name: msg.createdBy.name,
@@ -186,7 +195,8 @@ const getMessageById = async (req, res) => {
     const message = await AskSociety.findOne({
       _id: messageId,
       buildingId,
-      isDeleted: false
+      isDeleted: false,
+      isHidden: { $ne: true }
     })
     .populate('createdBy', 'name email role flatNumber phoneNumber')
     .populate('buildingId', 'name');
@@ -207,6 +217,12 @@ const getMessageById = async (req, res) => {
         message: message.message,
         image: message.image,
         status: message.status,
+        replyCount: message.replyCount || 0,
+        acceptedReplyId: message.acceptedReplyId || null,
+        lastActivityAt: message.lastActivityAt || message.createdAt,
+        resolvedAt: message.resolvedAt,
+        closedAt: message.closedAt,
+        autoClosed: message.autoClosed || false,
         createdBy: message.createdBy ? {
           id: message.createdBy._id,
           name: message.createdBy.name,
@@ -276,7 +292,15 @@ const updateMessage = async (req, res) => {
     // Update fields
     if (title !== undefined) askSocietyMessage.title = title;
     if (message !== undefined) askSocietyMessage.message = message;
-    if (status !== undefined) askSocietyMessage.status = status;
+    if (status !== undefined && status !== askSocietyMessage.status) {
+      askSocietyMessage.status = status;
+      if (status === 'RESOLVED') askSocietyMessage.resolvedAt = new Date();
+      if (status === 'CLOSED') {
+        askSocietyMessage.closedAt = new Date();
+        askSocietyMessage.autoClosed = false;
+      }
+    }
+    askSocietyMessage.lastActivityAt = new Date();
 
     await askSocietyMessage.save();
 
@@ -386,12 +410,346 @@ const deleteMessage = async (req, res) => {
   }
 };
 
+// Thread the replies belong to, or null after sending a 404
+const findThread = async (req, res) => {
+  const { buildingId, messageId } = req.params;
+
+  const thread = await AskSociety.findOne({
+    _id: messageId,
+    buildingId,
+    isDeleted: false,
+    isHidden: { $ne: true }
+  });
+
+  if (!thread) {
+    res.status(404).json({
+      success: false,
+      message: 'Message not found'
+    });
+    return null;
+  }
+
+  return thread;
+};
+
+const formatReply = (reply, req) => {
+  const userId = String(req.user.id || req.user.userId);
+  const authorId = reply.createdBy && (reply.createdBy._id || reply.createdBy);
+
+  return {
+    _id: reply._id,
+    message: reply.message,
+    isAccepted: reply.isAccepted,
+    createdBy: reply.createdBy && reply.createdBy.name ? {
+      id: reply.createdBy._id,
+      name: reply.createdBy.name,
+      role: reply.createdBy.role,
+      flatNumber: reply.createdBy.flatNumber
+    } : null,
+    canDelete: String(authorId) === userId || ADMIN_ROLES.includes(req.user.role),
+    createdAt: reply.createdAt,
+    updatedAt: reply.updatedAt
+  };
+};
+
+/**
+ * Get replies on an Ask Society message (oldest first)
+ * Accessible by: All roles
+ */
+const getReplies = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const thread = await findThread(req, res);
+    if (!thread) return;
+
+    const replies = await AskSocietyReply.find({
+      threadId: thread._id,
+      isDeleted: false
+    })
+    .populate('createdBy', 'name role flatNumber')
+    .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      message: 'Replies retrieved successfully',
+      data: {
+        messageId: thread._id,
+        status: thread.status,
+        acceptedReplyId: thread.acceptedReplyId || null,
+        replies: replies.map(reply => formatReply(reply, req)),
+        totalCount: replies.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Ask Society replies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve replies',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reply to an Ask Society message
+ * Accessible by: RESIDENT, SECURITY, BUILDING_ADMIN
+ */
+const createReply = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id || req.user.userId;
+
+    const thread = await findThread(req, res);
+    if (!thread) return;
+
+    if (thread.status === 'CLOSED') {
+      return res.status(409).json({
+        success: false,
+        message: 'This question is closed and no longer accepts replies'
+      });
+    }
+
+    const reply = await AskSocietyReply.create({
+      threadId: thread._id,
+      buildingId: thread.buildingId,
+      createdBy: userId,
+      message: req.body.message
+    });
+
+    await AskSociety.updateOne(
+      { _id: thread._id },
+      { $inc: { replyCount: 1 }, $set: { lastActivityAt: reply.createdAt } }
+    );
+
+    if (String(thread.createdBy) !== String(userId)) {
+      await askSocietyService.notifyUser(thread.createdBy, thread, {
+        title: 'New Reply to Your Question',
+        message: `${req.user.name || 'Someone'} replied to "${askSocietyService.threadLabel(thread)}": ${reply.message}`,
+        metadata: { replyId: reply._id }
+      });
+    }
+
+    await reply.populate('createdBy', 'name role flatNumber');
+
+    console.log('✅ Ask Society reply created:', reply._id, 'on', thread._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reply posted successfully',
+      data: formatReply(reply, req)
+    });
+
+  } catch (error) {
+    console.error('Create Ask Society reply error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to post reply',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a reply (its author or an admin). Deleting the accepted answer
+ * reopens the thread.
+ * Accessible by: All roles
+ */
+const deleteReply = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id || req.user.userId;
+
+    const thread = await findThread(req, res);
+    if (!thread) return;
+
+    const reply = await AskSocietyReply.findOne({
+      _id: req.params.replyId,
+      threadId: thread._id,
+      isDeleted: false
+    });
+
+    if (!reply) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reply not found'
+      });
+    }
+
+    if (String(reply.createdBy) !== String(userId) && !ADMIN_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own replies'
+      });
+    }
+
+    const result = await AskSocietyReply.updateOne(
+      { _id: reply._id, isDeleted: false },
+      { $set: { isDeleted: true, deletedAt: new Date(), deletedBy: userId } }
+    );
+
+    if (result.modifiedCount) {
+      await AskSociety.updateOne({ _id: thread._id }, { $inc: { replyCount: -1 } });
+
+      // The thread loses its answer, so it is open again
+      await AskSociety.updateOne(
+        { _id: thread._id, acceptedReplyId: reply._id },
+        {
+          $set: { acceptedReplyId: null, status: 'OPEN', lastActivityAt: new Date() },
+          $unset: { resolvedAt: 1 }
+        }
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Reply deleted successfully',
+      data: {
+        replyId: reply._id,
+        messageId: thread._id,
+        wasAccepted: reply.isAccepted
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete Ask Society reply error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete reply',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Accept a reply as the answer, resolving the thread. Replaces any
+ * previously accepted reply.
+ * Accessible by: the asker, BUILDING_ADMIN
+ */
+const acceptReply = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user.id || req.user.userId;
+
+    const thread = await findThread(req, res);
+    if (!thread) return;
+
+    if (String(thread.createdBy) !== String(userId) && !ADMIN_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the person who asked can accept an answer'
+      });
+    }
+
+    const reply = await AskSocietyReply.findOne({
+      _id: req.params.replyId,
+      threadId: thread._id,
+      isDeleted: false
+    });
+
+    if (!reply) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reply not found'
+      });
+    }
+
+    const now = new Date();
+    await AskSocietyReply.updateMany(
+      { threadId: thread._id, _id: { $ne: reply._id }, isAccepted: true },
+      { $set: { isAccepted: false } }
+    );
+    await AskSocietyReply.updateOne({ _id: reply._id }, { $set: { isAccepted: true } });
+
+    const resolved = await AskSociety.findByIdAndUpdate(
+      thread._id,
+      {
+        $set: {
+          acceptedReplyId: reply._id,
+          status: 'RESOLVED',
+          resolvedAt: now,
+          lastActivityAt: now,
+          autoClosed: false
+        },
+        $unset: { closedAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!reply.isAccepted && String(reply.createdBy) !== String(userId)) {
+      await askSocietyService.notifyUser(reply.createdBy, thread, {
+        title: 'Your Answer Was Accepted',
+        message: `Your reply to "${askSocietyService.threadLabel(thread)}" was accepted as the answer`,
+        category: 'SUCCESS',
+        metadata: { replyId: reply._id }
+      });
+    }
+
+    console.log('✅ Ask Society reply accepted:', reply._id, 'on', thread._id, 'by', userId);
+
+    res.json({
+      success: true,
+      message: 'Answer accepted successfully',
+      data: {
+        messageId: resolved._id,
+        status: resolved.status,
+        acceptedReplyId: resolved.acceptedReplyId,
+        resolvedAt: resolved.resolvedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept Ask Society reply error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept answer',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   createMessage,
   getMessages,
   getMessageById,
   updateMessage,
   deleteMessage,
+  getReplies,
+  createReply,
+  deleteReply,
+  acceptReply,
   upload
 };
 
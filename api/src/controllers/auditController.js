@@ -0,0 +1,141 @@
+// Audit trail controller for admin review of security-relevant actions
+const AuditEvent = require('../models/AuditEvent');
+const Building = require('../models/Building');
+const { validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+
+// Hard cap for CSV exports so a single request cannot stream the whole collection
+const MAX_EXPORT_ROWS = 10000;
+
+class AuditController {
+  /**
+   * Build the Mongo query from request filters
+   * @param {String} buildingId - Building ID
+   * @param {Object} filters - Request query parameters
+   */
+  static buildQuery(buildingId, filters) {
+    const { action, entityType, entityId, actorId, actorRole, startDate, endDate } = filters;
+    const query = { buildingId: new mongoose.Types.ObjectId(buildingId) };
+
+    if (action) query.action = { $in: action.split(',') };
+    if (entityType) query.entityType = entityType;
+    if (entityId) query.entityId = new mongoose.Types.ObjectId(entityId);
+    if (actorId) query.actorId = new mongoose.Types.ObjectId(actorId);
+    if (actorRole) query.actorRole = actorRole;
+
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    return query;
+  }
+
+  /**
+   * Escape a value for a CSV cell
+   * Text a spreadsheet would read as a formula is prefixed with a quote.
+   * @param {*} value - Cell value
+   */
+  static toCsvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Get audit events for a building (JSON or CSV)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getAuditEvents(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { buildingId } = req.params;
+      const { page = 1, limit = 50, format = 'json' } = req.query;
+
+      const building = await Building.findById(buildingId);
+      if (!building) {
+        return res.status(404).json({
+          success: false,
+          message: 'Building not found'
+        });
+      }
+
+      const query = AuditController.buildQuery(buildingId, req.query);
+
+      if (format === 'csv') {
+        const events = await AuditEvent.find(query)
+          .sort({ createdAt: -1 })
+          .limit(MAX_EXPORT_ROWS)
+          .lean();
+
+        const header = ['eventId', 'createdAt', 'action', 'actorId', 'actorName', 'actorRole', 'entityType', 'entityId', 'entityLabel', 'changes', 'ipAddress'];
+        const rows = events.map(event => [
+          event.eventId,
+          event.createdAt && event.createdAt.toISOString(),
+          event.action,
+          event.actorId,
+          event.actorName,
+          event.actorRole,
+          event.entityType,
+          event.entityId,
+          event.entityLabel,
+          (event.changes || []).map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`).join('; '),
+          event.ipAddress
+        ].map(AuditController.toCsvCell).join(','));
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="audit_${buildingId}_${Date.now()}.csv"`);
+        return res.status(200).send([header.join(','), ...rows].join('\n'));
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [events, totalEvents] = await Promise.all([
+        AuditEvent.find(query)
+          .populate('actorId', 'name email role')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        AuditEvent.countDocuments(query)
+      ]);
+
+      const totalPages = Math.ceil(totalEvents / limit);
+
+      res.status(200).json({
+        success: true,
+        message: 'Audit events retrieved successfully',
+        data: {
+          events,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalEvents,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get audit events error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = AuditController;
@@ -3,10 +3,15 @@ const Building = require('../models/Building');
 const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const emailService = require('../services/emailService');
+const sessionService = require('../services/sessionService');
+const auditService = require('../services/auditService');
 const { uploadToS3, deleteFromS3, isS3Configured } = require('../services/s3Service');
 
 const USER_ROLES = ['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY', 'RESIDENT'];
 
+// Access tokens are short-lived; clients renew them with the rotating refresh token
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
 /**
  * Authentication Controller
  * Handles user registration, login, OTP verification, and role-based access
@@ -45,7 +50,7 @@ class AuthController {
     return { roles, activeRole };
   }
 
-  static generateToken(user) {
+  static generateToken(user, sessionId) {
     const { roles, activeRole } = AuthController.getRoleContext(user);
 
     return jwt.sign(
@@ -55,13 +60,36 @@ class AuthController {
         role: activeRole,
         roles,
         activeRole,
-        buildingId: user.buildingId
+        buildingId: user.buildingId,
+        sid: sessionId
       },
       process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+      { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
     );
   }
 
+  /**
+   * Issue a JWT and refresh token backed by a new server-side session
+   * @param {Object} user - User object
+   * @param {Object} req - Express request object (device details)
+   * @returns {Promise<Object>} { token, refreshToken }
+   */
+  static async issueToken(user, req) {
+    const { activeRole } = AuthController.getRoleContext(user);
+    const sessionId = sessionService.generateSessionId();
+    const token = AuthController.generateToken(user, sessionId);
+
+    const { refreshToken } = await sessionService.createSession({
+      sessionId,
+      userId: user._id,
+      buildingId: user.buildingId,
+      activeRole,
+      req
+    });
+
+    return { token, refreshToken };
+  }
+
   /**
    * User Registration
    * POST /api/auth/register
@@ -327,7 +355,7 @@ class AuthController {
       // 🎯 ROLE-BASED AUTHENTICATION FLOW
       if (activeRole === 'SECURITY' || activeRole === 'BUILDING_ADMIN' || activeRole === 'SUPER_ADMIN') {
         // ✅ DIRECT TOKEN GENERATION - No OTP needed for admin roles
-        const token = AuthController.generateToken(user);
+        const { token, refreshToken } = await AuthController.issueToken(user, req);
 
         // Update last login
         user.lastLoginAt = new Date();
@@ -338,6 +366,7 @@ class AuthController {
           message: 'Login successful',
           data: {
             token,
+            refreshToken,
             user: {
               id: user._id,
               username: user.username, // Optional display field
@@ -353,14 +382,14 @@ class AuthController {
               isVerified: user.isVerified,
               verificationLevel: user.verification?.verificationLevel || 'PENDING'
             },
-            expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN,
             requiresOtp: false // Frontend flag
           }
         });
 
       } else if (activeRole === 'RESIDENT') {
         // ✅ DIRECT LOGIN - No OTP required for residents
-        const token = AuthController.generateToken(user);
+        const { token, refreshToken } = await AuthController.issueToken(user, req);
         
         // Update last login
         user.lastLoginAt = new Date();
@@ -371,6 +400,7 @@ class AuthController {
           message: 'Login successful',
           data: {
             token,
+            refreshToken,
             user: {
               id: user._id,
               username: user.username, // Optional display field
@@ -386,7 +416,7 @@ class AuthController {
               isVerified: user.isVerified,
               verificationLevel: user.verification?.verificationLevel || 'PENDING'
             },
-            expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN,
             requiresOtp: false // Frontend flag - no OTP required
           }
         });
@@ -599,7 +629,7 @@ class AuthController {
       }
 
       // Generate JWT token
-      const token = AuthController.generateToken(user);
+      const { token, refreshToken } = await AuthController.issueToken(user, req);
 
       // Update last login
       user.lastLoginAt = new Date();
@@ -623,7 +653,8 @@ class AuthController {
             verificationLevel: user.verification?.verificationLevel || 'PENDING'
           },
           token,
-          expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+          refreshToken,
+          expiresIn: ACCESS_TOKEN_EXPIRES_IN
         }
       });
 
@@ -912,14 +943,15 @@ class AuthController {
   }
 
   /**
-   * Logout (Client-side token removal)
+   * Logout (revokes the current session)
    * POST /api/auth/logout
    */
   async logout(req, res) {
     try {
-      // In JWT-based auth, logout is handled client-side by removing the token
-      // Server-side we can add the token to a blacklist if needed
-      
+      if (req.user.sessionId) {
+        await sessionService.revokeSession(req.user.sessionId, 'LOGOUT', req.user.userId);
+      }
+
       res.status(200).json({
         success: true,
         message: 'Logged out successfully'
@@ -981,13 +1013,19 @@ class AuthController {
       user.role = targetRole; // legacy support
       await user.save();
 
-      const token = AuthController.generateToken(user);
+      // Replace the current session so the device keeps a single tracked token
+      const { token, refreshToken } = await AuthController.issueToken(user, req);
+      if (req.user.sessionId) {
+        await sessionService.revokeSession(req.user.sessionId, 'ROLE_SWITCHED', user._id);
+      }
 
       res.status(200).json({
         success: true,
         message: 'Role switched successfully',
         data: {
           token,
+          refreshToken,
+          expiresIn: ACCESS_TOKEN_EXPIRES_IN,
           activeRole: targetRole,
           roles
         }
@@ -1003,6 +1041,201 @@ class AuthController {
     }
   }
 
+  /**
+   * Refresh Access Token (rotates the refresh token)
+   * POST /api/auth/refresh
+   * Replaying an already-used refresh token revokes the whole session
+   */
+  async refreshToken(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await sessionService.rotateRefreshToken(req.body.refreshToken);
+
+      if (result.status === 'REUSED') {
+        console.warn(`Refresh token reuse detected for session ${result.session.sessionId}; session revoked`);
+        return res.status(401).json({
+          success: false,
+          message: 'Refresh token has already been used. Please log in again.'
+        });
+      }
+
+      if (result.status !== 'ROTATED') {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired refresh token'
+        });
+      }
+
+      const { session } = result;
+      const user = await User.findById(session.userId);
+
+      if (!user || !user.isActive || !user.canLogin) {
+        await session.revoke('USER_REVOKED');
+        return res.status(401).json({
+          success: false,
+          message: 'Account is no longer allowed to log in'
+        });
+      }
+
+      // Carry the user's current multi-role context into the new access token
+      const { roles, activeRole } = AuthController.getRoleContext(user);
+      const token = AuthController.generateToken(user, session.sessionId);
+
+      if (session.activeRole !== activeRole) {
+        session.activeRole = activeRole;
+        await session.save();
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: {
+          token,
+          refreshToken: result.refreshToken,
+          expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+          role: activeRole,
+          roles,
+          activeRole
+        }
+      });
+
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Get Active Sessions (logged-in devices)
+   * GET /api/auth/sessions
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await sessionService.getActiveSessions(req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Active sessions retrieved successfully',
+        data: {
+          sessions: sessions.map(session => ({
+            sessionId: session.sessionId,
+            device: session.device,
+            activeRole: session.activeRole,
+            issuedAt: session.issuedAt,
+            lastSeenAt: session.lastSeenAt,
+            expiresAt: session.expiresAt,
+            isCurrent: session.sessionId === req.user.sessionId
+          })),
+          totalSessions: sessions.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Revoke a Session (log out a single device)
+   * DELETE /api/auth/sessions/:sessionId
+   */
+  async revokeSession(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { sessionId } = req.params;
+
+      const sessions = await sessionService.getActiveSessions(req.user.userId);
+      const session = sessions.find(s => s.sessionId === sessionId);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found or already revoked'
+        });
+      }
+
+      await session.revoke('USER_REVOKED', req.user.userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Session revoked successfully',
+        data: {
+          sessionId: session.sessionId,
+          revokedAt: session.revokedAt,
+          isCurrent: session.sessionId === req.user.sessionId
+        }
+      });
+
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Log Out Everywhere
+   * DELETE /api/auth/sessions
+   * Pass ?keepCurrent=true to stay logged in on the calling device
+   */
+  async revokeAllSessions(req, res) {
+    try {
+      const keepCurrent = req.query.keepCurrent === 'true';
+
+      const revokedCount = await sessionService.revokeAllForUser(
+        req.user.userId,
+        'LOGOUT_ALL',
+        req.user.userId,
+        keepCurrent ? req.user.sessionId : null
+      );
+
+      res.status(200).json({
+        success: true,
+        message: keepCurrent ? 'Logged out from all other devices' : 'Logged out from all devices',
+        data: {
+          revokedCount,
+          keepCurrent
+        }
+      });
+
+    } catch (error) {
+      console.error('Revoke all sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
   /**
    * Test Email Service
    * POST /api/auth/test-email
@@ -1425,6 +1658,9 @@ class AuthController {
       user.clearPasswordReset(); // Clear reset token
       await user.save();
 
+      // Sign out every device that was using the old password
+      await sessionService.revokeAllForUser(user._id, 'PASSWORD_RESET');
+
       res.status(200).json({
         success: true,
         message: 'Password reset successfully. You can now login with your new password',
@@ -1484,11 +1720,26 @@ class AuthController {
       }
 
       // Soft delete the user account
+      const auditFields = ['isActive', 'deletedAt', 'deletedBy'];
+      const beforeSnapshot = auditService.snapshot(user, auditFields);
       user.isActive = false;
       user.deletedAt = new Date();
       user.deletedBy = currentUserId;
       await user.save();
 
+      await auditService.record({
+        req,
+        action: targetUserId.toString() === currentUserId.toString() ? 'ACCOUNT_DELETED' : 'USER_DELETED_BY_ADMIN',
+        buildingId: user.buildingId,
+        entityType: 'USER',
+        entityId: user._id,
+        entityLabel: user.email || user.phoneNumber,
+        before: beforeSnapshot,
+        after: auditService.snapshot(user, auditFields)
+      });
+
+      await sessionService.revokeAllForUser(user._id, 'ACCOUNT_DELETED', currentUserId);
+
       res.status(200).json({
         success: true,
         message: 'Account deleted successfully',
@@ -1668,7 +1919,7 @@ class AuthController {
       const { roles, activeRole } = AuthController.getRoleContext(user);
 
       // Generate JWT token after OTP verification
-      const token = AuthController.generateToken(user);
+      const { token, refreshToken } = await AuthController.issueToken(user, req);
 
       res.status(200).json({
         success: true,
@@ -1689,7 +1940,8 @@ class AuthController {
             emailVerified: true,
             verifiedAt: user.otpVerification.verifiedAt
           },
-          token: token
+          token: token,
+          refreshToken: refreshToken
         }
       });
 
@@ -1776,7 +2028,7 @@ class AuthController {
       await user.populate('buildingId', 'name address');
 
       // Generate new JWT token with updated user data
-      const token = AuthController.generateToken(user);
+      const { token, refreshToken } = await AuthController.issueToken(user, req);
 
       res.status(201).json({
         success: true,
@@ -1803,7 +2055,8 @@ class AuthController {
             isVerified: user.isVerified,
             otpVerification: user.otpVerification
           },
-          token: token
+          token: token,
+          refreshToken: refreshToken
         }
       });
 
@@ -1946,6 +2199,9 @@ class AuthController {
         });
       }
 
+      const auditFields = ['approvalStatus', 'verification.isVerified', 'verification.verificationLevel', 'verification.verifiedBy'];
+      const beforeSnapshot = auditService.snapshot(resident, auditFields);
+
       // Update resident status
       const newStatus = action === 'approve' ? 'APPROVED' : 'REJECTED';
       resident.approvalStatus = newStatus;
@@ -1969,6 +2225,18 @@ class AuthController {
 
       await resident.save();
 
+      await auditService.record({
+        req,
+        action: action === 'approve' ? 'RESIDENT_APPROVED' : 'RESIDENT_DENIED',
+        buildingId: resident.buildingId,
+        entityType: 'USER',
+        entityId: resident._id,
+        entityLabel: resident.email || resident.phoneNumber,
+        before: beforeSnapshot,
+        after: auditService.snapshot(resident, auditFields),
+        metadata: { notes: notes || null }
+      });
+
       res.status(200).json({
         success: true,
         message: `Resident ${action === 'approve' ? 'approved' : 'rejected'} successfully`,
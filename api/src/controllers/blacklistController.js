@@ -0,0 +1,279 @@
+// Blacklist controller - admin management of blocked visitors
+const BlacklistEntry = require('../models/BlacklistEntry');
+const Building = require('../models/Building');
+const blacklistService = require('../services/blacklistService');
+const auditService = require('../services/auditService');
+const { validationResult } = require('express-validator');
+
+class BlacklistController {
+  /**
+   * Blacklist a person by phone number and/or ID number
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async addToBlacklist(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { buildingId } = req.params;
+      const { phoneNumber, idType, idNumber, personName, reason, scope = 'BUILDING' } = req.body;
+      const { userId, role } = req.user;
+
+      // Only Super Admins may block a person across every building
+      if (scope === 'ALL_BUILDINGS' && role !== 'SUPER_ADMIN') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only Super Admins can blacklist across all buildings'
+        });
+      }
+
+      const building = await Building.findById(buildingId);
+      if (!building) {
+        return res.status(404).json({
+          success: false,
+          message: 'Building not found'
+        });
+      }
+
+      const normalizedPhone = blacklistService.normalizePhone(phoneNumber);
+      const normalizedId = blacklistService.normalizeIdNumber(idNumber);
+
+      if (!normalizedPhone && !normalizedId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Either phone number or ID number is required'
+        });
+      }
+
+      // Avoid duplicate active entries for the same identifiers and scope
+      const identifiers = [];
+      if (normalizedPhone) identifiers.push({ phoneNumber: normalizedPhone });
+      if (normalizedId) identifiers.push({ idNumber: normalizedId });
+
+      const existingEntry = await BlacklistEntry.findOne({
+        isActive: true,
+        scope,
+        ...(scope === 'BUILDING' && { buildingId }),
+        $or: identifiers
+      });
+
+      if (existingEntry) {
+        return res.status(400).json({
+          success: false,
+          message: 'This person is already blacklisted',
+          data: { entry: existingEntry }
+        });
+      }
+
+      const entry = new BlacklistEntry({
+        buildingId: scope === 'BUILDING' ? buildingId : null,
+        scope,
+        phoneNumber: normalizedPhone || undefined,
+        idType,
+        idNumber: normalizedId || undefined,
+        personName,
+        reason,
+        createdBy: userId
+      });
+
+      await entry.save();
+
+      const visitorsFlagged = await blacklistService.flagVisitors(entry);
+
+      await auditService.record({
+        req,
+        action: 'VISITOR_BLACKLISTED',
+        buildingId,
+        entityType: 'BLACKLIST_ENTRY',
+        entityId: entry._id,
+        entityLabel: personName || normalizedPhone || normalizedId,
+        before: { isActive: false },
+        after: { isActive: true, scope, reason },
+        metadata: { visitorsFlagged }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Person blacklisted successfully',
+        data: {
+          entry,
+          visitorsFlagged
+        }
+      });
+
+    } catch (error) {
+      console.error('Add to blacklist error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Get blacklist entries that apply to a building (building-scoped and global)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getBlacklist(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { buildingId } = req.params;
+      const { page = 1, limit = 20, includeRemoved = 'false', search } = req.query;
+
+      const query = {
+        $or: [{ buildingId }, { scope: 'ALL_BUILDINGS' }]
+      };
+
+      if (includeRemoved !== 'true') {
+        query.isActive = true;
+      }
+
+      if (search) {
+        const phone = blacklistService.normalizePhone(search);
+        const escaped = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        query.$and = [{
+          $or: [
+            { personName: { $regex: escaped, $options: 'i' } },
+            { idNumber: search.toUpperCase() },
+            ...(phone ? [{ phoneNumber: phone }] : [])
+          ]
+        }];
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [entries, totalEntries] = await Promise.all([
+        BlacklistEntry.find(query)
+          .populate('createdBy', 'name role')
+          .populate('removedBy', 'name role')
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        BlacklistEntry.countDocuments(query)
+      ]);
+
+      const totalPages = Math.ceil(totalEntries / limit);
+
+      res.status(200).json({
+        success: true,
+        message: 'Blacklist retrieved successfully',
+        data: {
+          entries,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages,
+            totalEntries,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get blacklist error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * Remove a person from the blacklist
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async removeFromBlacklist(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { buildingId, entryId } = req.params;
+      const { removalReason } = req.body;
+      const { userId, role } = req.user;
+
+      const entry = await BlacklistEntry.findOne({
+        _id: entryId,
+        isActive: true,
+        $or: [{ buildingId }, { scope: 'ALL_BUILDINGS' }]
+      });
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Blacklist entry not found'
+        });
+      }
+
+      if (entry.scope === 'ALL_BUILDINGS' && role !== 'SUPER_ADMIN') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only Super Admins can remove an all-buildings blacklist entry'
+        });
+      }
+
+      entry.isActive = false;
+      entry.removedBy = userId;
+      entry.removedAt = new Date();
+      entry.removalReason = removalReason;
+      await entry.save();
+
+      const visitorsCleared = await blacklistService.unflagVisitors(entry);
+
+      await auditService.record({
+        req,
+        action: 'VISITOR_UNBLACKLISTED',
+        buildingId,
+        entityType: 'BLACKLIST_ENTRY',
+        entityId: entry._id,
+        entityLabel: entry.personName || entry.phoneNumber || entry.idNumber,
+        before: { isActive: true },
+        after: { isActive: false },
+        metadata: { removalReason: removalReason || null, visitorsCleared }
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Person removed from blacklist successfully',
+        data: {
+          entry,
+          visitorsCleared
+        }
+      });
+
+    } catch (error) {
+      console.error('Remove from blacklist error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = BlacklistController;
@@ -32,8 +32,13 @@ class BuildingController {
         contactPhone,
         contactEmail,
         features,
+        timezone,
         operatingHours,
-        securitySettings
+        securitySettings,
+        communitySettings,
+        serviceRequestSettings,
+        billingSettings,
+        helpdeskSettings
       } = req.body;
 
       // Check if building name already exists
@@ -63,6 +68,7 @@ class BuildingController {
         contactPhone: contactPhone || undefined,
         contactEmail: contactEmail || undefined,
         features: features || [],
+        timezone: timezone || undefined,
         operatingHours: operatingHours || {
           open: '06:00',
           close: '22:00',
@@ -75,6 +81,10 @@ class BuildingController {
           idVerification: true,
           notificationAlerts: true
         },
+        communitySettings: communitySettings || {},
+        serviceRequestSettings: serviceRequestSettings || {},
+        billingSettings: billingSettings || {},
+        helpdeskSettings: helpdeskSettings || {},
         isActive: true
       });
 
@@ -0,0 +1,844 @@
+const { validationResult } = require('express-validator');
+const ChargeHead = require('../models/ChargeHead');
+const FlatAccount = require('../models/FlatAccount');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const duesService = require('../services/duesService');
+const paymentGatewayService = require('../services/paymentGatewayService');
+const auditService = require('../services/auditService');
+
+/**
+ * Dues Controller
+ * Maintenance charge heads, flat billing profiles, invoices, payments and receipts
+ */
+
+const ADMIN_ROLES = ['BUILDING_ADMIN', 'SUPER_ADMIN'];
+
+const isAdmin = (req) => ADMIN_ROLES.includes(req.user.role);
+
+const currentUserId = (req) => req.user.userId || req.user.id;
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Flat account the current resident belongs to, or null for admins.
+// Sends a 404 and returns false when a resident has no billing account.
+const resolveResidentAccount = async (req, res) => {
+  if (isAdmin(req)) return null;
+
+  const account = await duesService.findFlatAccountForUser(req.params.buildingId, currentUserId(req));
+  if (!account) {
+    res.status(404).json({
+      success: false,
+      message: 'No billing account found for your flat'
+    });
+    return false;
+  }
+  return account;
+};
+
+// Load an invoice of the building; residents only see their own flat's.
+// Sends the error response and returns null otherwise.
+const loadInvoice = async (req, res) => {
+  const { buildingId, invoiceId } = req.params;
+
+  const account = await resolveResidentAccount(req, res);
+  if (account === false) return null;
+
+  const invoice = await Invoice.findOne({ _id: invoiceId, buildingId });
+  if (!invoice || (account && String(invoice.flatAccountId) !== String(account._id))) {
+    res.status(404).json({
+      success: false,
+      message: 'Invoice not found'
+    });
+    return null;
+  }
+  return invoice;
+};
+
+const loadPayment = async (req, res) => {
+  const { buildingId, paymentId } = req.params;
+
+  const account = await resolveResidentAccount(req, res);
+  if (account === false) return null;
+
+  const payment = await Payment.findOne({ _id: paymentId, buildingId });
+  if (!payment || (account && String(payment.flatAccountId) !== String(account._id))) {
+    res.status(404).json({
+      success: false,
+      message: 'Payment not found'
+    });
+    return null;
+  }
+  return payment;
+};
+
+const formatChargeHead = (head) => ({
+  _id: head._id,
+  name: head.name,
+  description: head.description,
+  calculation: head.calculation,
+  amount: head.amount,
+  ratePerSqft: head.ratePerSqft,
+  flatTypeRates: head.flatTypeRates,
+  isActive: head.isActive,
+  createdAt: head.createdAt
+});
+
+const formatFlatAccount = (account) => ({
+  _id: account._id,
+  flatNumber: account.flatNumber,
+  blockNumber: account.blockNumber,
+  flatType: account.flatType,
+  areaSqft: account.areaSqft,
+  ownerName: account.ownerName,
+  creditBalance: account.creditBalance || 0,
+  isActive: account.isActive
+});
+
+// Responds to the outcome of duesService.settlePayment
+const sendSettlement = (res, result, successMessage, status = 200) => {
+  if (result.error === 'INVOICE_NOT_PAYABLE') {
+    return res.status(409).json({
+      success: false,
+      message: 'The invoice is no longer open for this amount',
+      data: { payment: duesService.formatPayment(result.payment) }
+    });
+  }
+  if (result.unapplied) {
+    return res.status(200).json({
+      success: true,
+      message: 'Payment received, but the invoice was already settled; the amount is held as credit on the flat account',
+      data: {
+        payment: duesService.formatPayment(result.payment),
+        invoice: result.invoice ? duesService.formatInvoice(result.invoice) : null
+      }
+    });
+  }
+  if (result.error === 'NOT_PENDING') {
+    return res.status(409).json({
+      success: false,
+      message: `Payment is already ${result.payment.status.toLowerCase()}`,
+      data: { payment: duesService.formatPayment(result.payment) }
+    });
+  }
+
+  res.status(status).json({
+    success: true,
+    message: successMessage,
+    data: {
+      payment: duesService.formatPayment(result.payment),
+      invoice: duesService.formatInvoice(result.invoice)
+    }
+  });
+};
+
+// Charge heads of a building
+const getChargeHeads = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId } = req.params;
+    const query = { buildingId };
+    if (req.query.includeInactive !== 'true') query.isActive = true;
+
+    const heads = await ChargeHead.find(query).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      message: 'Charge heads retrieved successfully',
+      data: { chargeHeads: heads.map(formatChargeHead) }
+    });
+
+  } catch (error) {
+    console.error('Get charge heads error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve charge heads',
+      error: error.message
+    });
+  }
+};
+
+const createChargeHead = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId } = req.params;
+    const { name, description, calculation, amount, ratePerSqft, flatTypeRates } = req.body;
+
+    const head = await ChargeHead.create({
+      buildingId,
+      name,
+      description,
+      calculation,
+      amount,
+      ratePerSqft,
+      flatTypeRates,
+      createdBy: currentUserId(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Charge head created successfully',
+      data: formatChargeHead(head)
+    });
+
+  } catch (error) {
+    console.error('Create charge head error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create charge head',
+      error: error.message
+    });
+  }
+};
+
+// Update a charge head; changes apply to invoices generated afterwards
+const updateChargeHead = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId, chargeHeadId } = req.params;
+
+    const head = await ChargeHead.findOne({ _id: chargeHeadId, buildingId });
+    if (!head) {
+      return res.status(404).json({
+        success: false,
+        message: 'Charge head not found'
+      });
+    }
+
+    ['name', 'description', 'calculation', 'amount', 'ratePerSqft', 'flatTypeRates', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) head[field] = req.body[field];
+    });
+    await head.save();
+
+    res.json({
+      success: true,
+      message: 'Charge head updated successfully',
+      data: formatChargeHead(head)
+    });
+
+  } catch (error) {
+    console.error('Update charge head error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update charge head',
+      error: error.message
+    });
+  }
+};
+
+// Flat billing profiles, created from resident flats on first use
+const getFlatAccounts = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId } = req.params;
+    await duesService.ensureFlatAccounts(buildingId);
+
+    const accounts = await FlatAccount.find({ buildingId }).sort({ blockNumber: 1, flatNumber: 1 });
+
+    res.json({
+      success: true,
+      message: 'Flat accounts retrieved successfully',
+      data: { flats: accounts.map(formatFlatAccount) }
+    });
+
+  } catch (error) {
+    console.error('Get flat accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve flat accounts',
+      error: error.message
+    });
+  }
+};
+
+// Create or update flat billing profiles (flat type, area, owner) in bulk
+const upsertFlatAccounts = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId } = req.params;
+
+    const saved = [];
+    for (const flat of req.body.flats) {
+      const set = { flatNumber: flat.flatNumber, blockNumber: flat.blockNumber };
+      ['flatType', 'areaSqft', 'ownerName', 'isActive'].forEach(field => {
+        if (flat[field] !== undefined) set[field] = flat[field];
+      });
+
+      const account = await FlatAccount.findOneAndUpdate(
+        { buildingId, flatKey: FlatAccount.flatKeyOf(flat.flatNumber, flat.blockNumber) },
+        { $set: set },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+      saved.push(account);
+    }
+
+    res.json({
+      success: true,
+      message: `${saved.length} flat account(s) saved successfully`,
+      data: { flats: saved.map(formatFlatAccount) }
+    });
+
+  } catch (error) {
+    console.error('Upsert flat accounts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save flat accounts',
+      error: error.message
+    });
+  }
+};
+
+// Issue invoices for a billing period
+const generateInvoices = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId } = req.params;
+    const { periodLabel, periodStart, periodEnd, dueDate, chargeHeadIds, flatAccountIds, notes } = req.body;
+
+    if (new Date(periodEnd) < new Date(periodStart)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period end must be after period start'
+      });
+    }
+
+    const result = await duesService.generateInvoices({
+      buildingId,
+      periodLabel,
+      periodStart: new Date(periodStart),
+      periodEnd: new Date(periodEnd),
+      dueDate: new Date(dueDate),
+      chargeHeadIds,
+      flatAccountIds,
+      notes,
+      userId: currentUserId(req)
+    });
+
+    res.status(result.created.length ? 201 : 200).json({
+      success: true,
+      message: `${result.created.length} invoice(s) generated for ${periodLabel}`,
+      data: {
+        invoices: result.created.map(invoice => duesService.formatInvoice(invoice)),
+        skipped: result.skipped,
+        flatAccountsCreated: result.accountsCreated
+      }
+    });
+
+  } catch (error) {
+    console.error('Generate invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoices',
+      error: error.message
+    });
+  }
+};
+
+// List invoices (residents see their own flat's only)
+const getInvoices = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId } = req.params;
+    const { status, periodLabel, flatAccountId, overdue, page = 1, limit = 20 } = req.query;
+
+    const account = await resolveResidentAccount(req, res);
+    if (account === false) return;
+
+    const query = { buildingId };
+    if (account) {
+      query.flatAccountId = account._id;
+    } else if (flatAccountId) {
+      query.flatAccountId = flatAccountId;
+    }
+    if (status) query.status = { $in: status.split(',') };
+    if (periodLabel) query.periodLabel = periodLabel;
+    if (overdue === 'true') {
+      query.status = { $in: Invoice.OPEN_STATUSES };
+      query.dueDate = { $lt: new Date() };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(query)
+        .sort({ periodStart: -1, blockNumber: 1, flatNumber: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Invoice.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Invoices retrieved successfully',
+      data: {
+        invoices: invoices.map(invoice => duesService.formatInvoice(invoice)),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invoices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve invoices',
+      error: error.message
+    });
+  }
+};
+
+// Invoice with its payments
+const getInvoiceById = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    const payments = await Payment.find({ invoiceId: invoice._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'Invoice retrieved successfully',
+      data: {
+        invoice: duesService.formatInvoice(invoice),
+        payments: payments.map(payment => duesService.formatPayment(payment))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve invoice',
+      error: error.message
+    });
+  }
+};
+
+// Cancel an invoice nothing has been paid against
+const cancelInvoice = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    const updated = await Invoice.findOneAndUpdate(
+      { _id: invoice._id, status: 'ISSUED', amountPaid: 0 },
+      {
+        $set: {
+          status: 'CANCELLED',
+          balanceDue: 0,
+          cancelledAt: new Date(),
+          cancelledBy: currentUserId(req),
+          cancellationReason: req.body.reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only unpaid invoices can be cancelled'
+      });
+    }
+
+    await auditService.record({
+      req,
+      action: 'DUES_INVOICE_CANCELLED',
+      buildingId: updated.buildingId,
+      entityType: 'INVOICE',
+      entityId: updated._id,
+      entityLabel: updated.invoiceNumber,
+      before: { status: invoice.status, balanceDue: invoice.balanceDue },
+      after: { status: updated.status, balanceDue: updated.balanceDue },
+      metadata: req.body.reason ? { reason: req.body.reason } : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Invoice cancelled successfully',
+      data: duesService.formatInvoice(updated)
+    });
+
+  } catch (error) {
+    console.error('Cancel invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel invoice',
+      error: error.message
+    });
+  }
+};
+
+// Record a payment received outside the app (cash, cheque, bank transfer, UPI)
+const recordPayment = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    const { amount, method, reference, paidAt, notes } = req.body;
+
+    if (!Invoice.OPEN_STATUSES.includes(invoice.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Invoice is already ${invoice.status.toLowerCase()}`
+      });
+    }
+    if (amount > invoice.balanceDue) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount cannot exceed the balance due of ${invoice.currency} ${invoice.balanceDue}`
+      });
+    }
+
+    const payment = await duesService.createPayment({
+      invoice,
+      amount,
+      method,
+      reference,
+      recordedBy: currentUserId(req),
+      notes
+    });
+
+    const result = await duesService.settlePayment(payment, paidAt ? new Date(paidAt) : new Date());
+
+    if (!result.error) {
+      await auditService.record({
+        req,
+        action: 'DUES_PAYMENT_RECORDED',
+        buildingId: invoice.buildingId,
+        entityType: 'PAYMENT',
+        entityId: result.payment._id,
+        entityLabel: result.payment.receiptNumber,
+        before: { balanceDue: invoice.balanceDue, status: invoice.status },
+        after: { balanceDue: result.invoice.balanceDue, status: result.invoice.status },
+        metadata: { invoiceNumber: invoice.invoiceNumber, amount: result.payment.amount, method, reference }
+      });
+    }
+
+    sendSettlement(res, result, 'Payment recorded successfully', 201);
+
+  } catch (error) {
+    console.error('Record payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record payment',
+      error: error.message
+    });
+  }
+};
+
+// Send a payment reminder for an open invoice now
+const sendInvoiceReminder = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    if (!Invoice.OPEN_STATUSES.includes(invoice.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Invoice is already ${invoice.status.toLowerCase()}`
+      });
+    }
+
+    const updated = await Invoice.findByIdAndUpdate(
+      invoice._id,
+      { $set: { lastReminderAt: new Date() }, $inc: { remindersSent: 1 } },
+      { new: true }
+    );
+    await duesService.sendReminder(updated);
+
+    res.json({
+      success: true,
+      message: 'Reminder sent successfully',
+      data: duesService.formatInvoice(updated)
+    });
+
+  } catch (error) {
+    console.error('Send invoice reminder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send reminder',
+      error: error.message
+    });
+  }
+};
+
+// Current resident's outstanding balance and recent invoices
+const getMyDues = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const account = await duesService.findFlatAccountForUser(req.params.buildingId, currentUserId(req));
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'No billing account found for your flat'
+      });
+    }
+
+    const [outstanding, recentPayments] = await Promise.all([
+      duesService.getOutstanding(account),
+      Payment.find({ flatAccountId: account._id, status: 'SUCCEEDED' }).sort({ paidAt: -1 }).limit(5)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Dues retrieved successfully',
+      data: {
+        flat: formatFlatAccount(account),
+        outstandingBalance: outstanding.outstandingBalance,
+        overdueBalance: outstanding.overdueBalance,
+        openInvoices: outstanding.invoices.map(invoice => duesService.formatInvoice(invoice)),
+        recentPayments: recentPayments.map(payment => duesService.formatPayment(payment))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my dues error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve dues',
+      error: error.message
+    });
+  }
+};
+
+// Start an online payment through the payment gateway
+const payInvoice = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const invoice = await loadInvoice(req, res);
+    if (!invoice) return;
+
+    if (!Invoice.OPEN_STATUSES.includes(invoice.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Invoice is already ${invoice.status.toLowerCase()}`
+      });
+    }
+
+    if (!paymentGatewayService.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Online payments are not available'
+      });
+    }
+
+    const amount = req.body.amount != null ? duesService.round(req.body.amount) : invoice.balanceDue;
+    if (amount > invoice.balanceDue) {
+      return res.status(400).json({
+        success: false,
+        message: `Amount cannot exceed the balance due of ${invoice.currency} ${invoice.balanceDue}`
+      });
+    }
+
+    const payment = await duesService.createPayment({
+      invoice,
+      amount,
+      method: 'ONLINE',
+      paidBy: currentUserId(req)
+    });
+
+    const checkout = await paymentGatewayService.createPayment({
+      paymentId: payment.paymentId,
+      amount: payment.amount,
+      currency: payment.currency,
+      description: `Maintenance ${invoice.periodLabel} - ${invoice.invoiceNumber}`,
+      customer: { userId: currentUserId(req), flatNumber: invoice.flatNumber, blockNumber: invoice.blockNumber }
+    });
+
+    payment.provider = checkout.provider;
+    payment.providerReference = checkout.providerReference;
+    await payment.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment started successfully',
+      data: {
+        payment: duesService.formatPayment(payment),
+        checkoutUrl: checkout.checkoutUrl,
+        instructions: checkout.instructions
+      }
+    });
+
+  } catch (error) {
+    console.error('Pay invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start payment',
+      error: error.message
+    });
+  }
+};
+
+// Confirm an online payment with the gateway that created it. Only the
+// provider's answer settles the payment; the request body is not consulted.
+const confirmPayment = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    if (payment.status !== 'PENDING' || !payment.provider) {
+      return res.status(409).json({
+        success: false,
+        message: payment.provider
+          ? `Payment is already ${payment.status.toLowerCase()}`
+          : 'Only online payments can be confirmed',
+        data: { payment: duesService.formatPayment(payment) }
+      });
+    }
+
+    const verification = await paymentGatewayService.verifyPayment(
+      payment.provider,
+      payment.providerReference
+    );
+
+    if (verification.status === 'PENDING') {
+      return res.status(202).json({
+        success: true,
+        message: 'Payment is still being processed',
+        data: { payment: duesService.formatPayment(payment) }
+      });
+    }
+
+    if (verification.status === 'FAILED') {
+      const failed = await duesService.failPayment(payment, verification.failureReason);
+      return res.status(402).json({
+        success: false,
+        message: verification.failureReason || 'Payment failed',
+        data: { payment: duesService.formatPayment(failed || payment) }
+      });
+    }
+
+    const result = await duesService.settlePayment(payment, verification.paidAt || new Date());
+    sendSettlement(res, result, 'Payment completed successfully');
+
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm payment',
+      error: error.message
+    });
+  }
+};
+
+const getReceipt = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const payment = await loadPayment(req, res);
+    if (!payment) return;
+
+    if (payment.status !== 'SUCCEEDED') {
+      return res.status(409).json({
+        success: false,
+        message: 'Receipts are only issued for successful payments'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Receipt retrieved successfully',
+      data: await duesService.buildReceipt(payment)
+    });
+
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve receipt',
+      error: error.message
+    });
+  }
+};
+
+// Running ledger of a flat (residents only their own)
+const getFlatLedger = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId, flatAccountId } = req.params;
+
+    const own = await resolveResidentAccount(req, res);
+    if (own === false) return;
+
+    const account = await FlatAccount.findOne({ _id: flatAccountId, buildingId });
+    if (!account || (own && String(own._id) !== String(account._id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flat account not found'
+      });
+    }
+
+    const ledger = await duesService.getLedger(account);
+
+    res.json({
+      success: true,
+      message: 'Ledger retrieved successfully',
+      data: {
+        flat: formatFlatAccount(account),
+        entries: ledger.entries,
+        balance: ledger.balance
+      }
+    });
+
+  } catch (error) {
+    console.error('Get flat ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve ledger',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getChargeHeads,
+  createChargeHead,
+  updateChargeHead,
+  getFlatAccounts,
+  upsertFlatAccounts,
+  generateInvoices,
+  getInvoices,
+  getInvoiceById,
+  cancelInvoice,
+  recordPayment,
+  sendInvoiceReminder,
+  getMyDues,
+  payInvoice,
+  confirmPayment,
+  getReceipt,
+  getFlatLedger
+};
@@ -2,6 +2,7 @@ const EmployeeEntry = require('../models/EmployeeEntry');
 const Employee = require('../models/Employee');
 const User = require('../models/User');
 const Building = require('../models/Building');
+const premisesService = require('../services/premisesService');
 const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 
@@ -95,6 +96,24 @@ class EmployeeEntryController {
         });
       }
 
+      // An employee can only be inside once; their exit has to be logged first
+      const openEntry = await EmployeeEntry.findOne({
+        employeeId: employee._id,
+        buildingId: buildingId,
+        status: 'ON_PREMISES',
+        isActive: true
+      });
+      if (openEntry) {
+        return res.status(409).json({
+          success: false,
+          message: `${employee.name} is already on premises. Log their exit before a new entry.`,
+          data: {
+            openEntryId: openEntry._id,
+            entryTime: openEntry.entryTime
+          }
+        });
+      }
+
       // Get user who is recording the entry
       const recordedByUser = await User.findById(userId);
       if (!recordedByUser) {
@@ -114,6 +133,7 @@ class EmployeeEntryController {
         buildingId: buildingId,
         recordedBy: userId,
         recordedByName: recordedByUser.name,
+        status: 'ON_PREMISES',
         purpose: purpose || '',
         notes: notes || ''
       });
@@ -142,6 +162,7 @@ class EmployeeEntryController {
             employeeTypeDisplay: employee.employeeTypeDisplay,
             entryTime: employeeEntry.entryTime,
             entryTimeFormatted: employeeEntry.entryTimeFormatted,
+            status: employeeEntry.status,
             recordedByName: recordedByUser.name,
             purpose: employeeEntry.purpose,
             notes: employeeEntry.notes,
@@ -160,6 +181,91 @@ class EmployeeEntryController {
     }
   }
 
+  /**
+   * Log employee exit, closing their open entry
+   * Access: SECURITY, BUILDING_ADMIN, SUPER_ADMIN, RESIDENT
+   */
+  static async logEmployeeExit(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { buildingId, entryId } = req.params;
+      const { notes } = req.body;
+      const userId = req.user.id;
+
+      const entry = await EmployeeEntry.findOne({
+        _id: entryId,
+        buildingId: buildingId,
+        isActive: true
+      }).populate('employeeId', 'name employeeType employeeTypeDisplay phoneNumber employeeCode');
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Employee entry not found'
+        });
+      }
+
+      if (entry.status !== 'ON_PREMISES') {
+        return res.status(409).json({
+          success: false,
+          message: entry.exitTime
+            ? 'Exit has already been logged for this entry'
+            : 'This entry predates exit tracking and cannot be closed'
+        });
+      }
+
+      const recordedByUser = await User.findById(userId);
+      if (!recordedByUser) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      await entry.logExit(userId, recordedByUser.name, notes);
+
+      const employeeName = entry.employeeId?.name || 'Unknown Employee';
+      const employeeTypeDisplay = entry.employeeId?.employeeTypeDisplay || 'Unknown Type';
+
+      res.status(200).json({
+        success: true,
+        message: `${employeeName} (${employeeTypeDisplay}) has left the building`,
+        data: {
+          entry: {
+            id: entry._id,
+            entryId: entry.entryId,
+            employeeName,
+            employeeType: entry.employeeId?.employeeType || 'UNKNOWN',
+            employeeTypeDisplay,
+            entryTime: entry.entryTime,
+            exitTime: entry.exitTime,
+            durationMinutes: entry.durationMinutes,
+            durationFormatted: entry.durationFormatted,
+            status: entry.status,
+            exitRecordedByName: entry.exitRecordedByName,
+            exitNotes: entry.exitNotes || ''
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Log employee exit error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to log employee exit',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
   /**
    * Get employee entries for a building
    * Access: SECURITY, BUILDING_ADMIN, SUPER_ADMIN, RESIDENT
@@ -240,6 +346,8 @@ class EmployeeEntryController {
       }
 
       const totalPages = Math.ceil(totalCount / limit);
+      const exitCutoffHour = premisesService.getExitCutoffHour(building);
+      const now = new Date();
 
       res.status(200).json({
         success: true,
@@ -256,8 +364,14 @@ class EmployeeEntryController {
             entryTime: entry.entryTime,
             entryTimeFormatted: entry.entryTimeFormatted,
             entryMessage: entry.entryMessage,
+            status: entry.status || null,
+            exitTime: entry.exitTime || null,
+            durationMinutes: entry.durationMinutes ?? null,
+            durationFormatted: entry.durationFormatted,
+            exitOverdue: premisesService.isExitOverdue(entry, exitCutoffHour, now, building.timezone),
             recordedByName: entry.recordedByName,
             recordedByRole: entry.recordedBy?.role || 'UNKNOWN',
+            exitRecordedByName: entry.exitRecordedByName || null,
             purpose: entry.purpose,
             notes: entry.notes,
             buildingName: entry.buildingId?.name || 'Unknown Building'
@@ -470,7 +584,7 @@ class EmployeeEntryController {
       })
         .populate('employeeId', 'name employeeType employeeTypeDisplay phoneNumber employeeCode')
         .populate('recordedBy', 'name role')
-        .populate('buildingId', 'name address');
+        .populate('buildingId', 'name address securitySettings timezone');
 
       if (!entry) {
         return res.status(404).json({
@@ -479,6 +593,8 @@ class EmployeeEntryController {
         });
       }
 
+      const exitCutoffHour = premisesService.getExitCutoffHour(entry.buildingId);
+
       res.status(200).json({
         success: true,
         message: 'Employee entry retrieved successfully',
@@ -494,8 +610,15 @@ class EmployeeEntryController {
             entryTime: entry.entryTime,
             entryTimeFormatted: entry.entryTimeFormatted,
             entryMessage: entry.entryMessage,
+            status: entry.status || null,
+            exitTime: entry.exitTime || null,
+            durationMinutes: entry.durationMinutes ?? null,
+            durationFormatted: entry.durationFormatted,
+            exitOverdue: premisesService.isExitOverdue(entry, exitCutoffHour, new Date(), entry.buildingId && entry.buildingId.timezone),
             recordedByName: entry.recordedByName,
             recordedByRole: entry.recordedBy?.role || 'UNKNOWN',
+            exitRecordedByName: entry.exitRecordedByName || null,
+            exitNotes: entry.exitNotes || '',
             purpose: entry.purpose,
             notes: entry.notes,
             buildingName: entry.buildingId?.name || 'Unknown Building',
@@ -0,0 +1,558 @@
+const { validationResult } = require('express-validator');
+const Ticket = require('../models/Ticket');
+const Building = require('../models/Building');
+const User = require('../models/User');
+const Photo = require('../models/Photo');
+const helpdeskService = require('../services/helpdeskService');
+const helpdeskLegacyService = require('../services/helpdeskLegacyService');
+
+/**
+ * Helpdesk Controller
+ * Complaints, support requests and maintenance requests as one ticket inbox
+ * with a conversation thread, internal notes, assignment, SLA and ratings
+ */
+
+const isStaff = (req) => helpdeskService.isStaff(req.user);
+
+const currentUserId = (req) => req.user.userId || req.user.id;
+
+const TICKET_POPULATE = [
+  { path: 'requesterId', select: 'name role email phoneNumber flatNumber' },
+  { path: 'assignedTo', select: 'name role' },
+  { path: 'attachments', select: 'photoId originalName mimeType size buildingId' }
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Load a ticket of the building; residents only see tickets they raised.
+// Sends a 404 and returns null otherwise.
+const loadTicket = async (req, res) => {
+  const { buildingId, ticketId } = req.params;
+
+  const ticket = await Ticket.findOne({ _id: ticketId, buildingId });
+  if (!ticket || (!isStaff(req) && !helpdeskService.isRequester(req.user, ticket))) {
+    res.status(404).json({
+      success: false,
+      message: 'Ticket not found'
+    });
+    return null;
+  }
+  return ticket;
+};
+
+// Attachments must be photos already uploaded to this building.
+// Sends a 400 and returns false otherwise.
+const checkAttachments = async (req, res, photoIds = []) => {
+  if (!photoIds.length) return true;
+
+  const found = await Photo.countDocuments({ _id: { $in: photoIds }, buildingId: req.params.buildingId });
+  if (found !== new Set(photoIds.map(String)).size) {
+    res.status(400).json({
+      success: false,
+      message: 'Attachments must be photos uploaded to this building'
+    });
+    return false;
+  }
+  return true;
+};
+
+const sendTicket = async (res, ticket, { status = 200, message, includeInternal }) => {
+  await ticket.populate(TICKET_POPULATE);
+  res.status(status).json({
+    success: true,
+    message,
+    data: { ticket: helpdeskService.formatTicket(ticket, { includeInternal }) }
+  });
+};
+
+// Raise a ticket
+const createTicket = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId } = req.params;
+    const { type, category, subject, description, priority, flatNumber, location, attachments = [] } = req.body;
+
+    const [building, requester] = await Promise.all([
+      Building.findById(buildingId).select('name helpdeskSettings'),
+      User.findById(currentUserId(req)).select('name flatNumber')
+    ]);
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: 'Building not found'
+      });
+    }
+    if (!requester) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    if (!(await checkAttachments(req, res, attachments))) return;
+
+    const ticket = await helpdeskService.createTicket({
+      building,
+      requester,
+      type,
+      category,
+      subject,
+      description,
+      priority,
+      flatNumber,
+      location,
+      attachments
+    });
+
+    await sendTicket(res, ticket, {
+      status: 201,
+      message: `${helpdeskService.typeLabel(ticket)} created successfully`,
+      includeInternal: isStaff(req)
+    });
+
+  } catch (error) {
+    console.error('Create ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create ticket',
+      error: error.message
+    });
+  }
+};
+
+// Unified inbox for staff; residents see the tickets they raised
+const getTickets = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId } = req.params;
+    const { type, status, priority, category, assignedTo, breached, search, page = 1, limit = 20 } = req.query;
+
+    const query = { buildingId };
+    if (!isStaff(req)) {
+      query.requesterId = currentUserId(req);
+    } else if (assignedTo === 'me') {
+      query.assignedTo = currentUserId(req);
+    } else if (assignedTo === 'unassigned') {
+      query.assignedTo = null;
+    } else if (assignedTo) {
+      query.assignedTo = assignedTo;
+    }
+    if (type) query.type = { $in: type.split(',') };
+    if (status) query.status = { $in: status.split(',') };
+    if (priority) query.priority = { $in: priority.split(',') };
+    if (category) query.category = category.toUpperCase();
+    if (breached === 'true') {
+      query.$or = [
+        { 'sla.firstResponseBreachedAt': { $ne: null } },
+        { 'sla.resolutionBreachedAt': { $ne: null } }
+      ];
+    }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$and = [{ $or: [{ ticketNumber: pattern }, { subject: pattern }, { description: pattern }, { flatNumber: pattern }] }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [tickets, total] = await Promise.all([
+      Ticket.find(query)
+        .populate(TICKET_POPULATE)
+        .sort({ lastActivityAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Ticket.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Tickets retrieved successfully',
+      data: {
+        tickets: tickets.map(ticket => helpdeskService.formatTicket(ticket, { includeInternal: isStaff(req) })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get tickets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve tickets',
+      error: error.message
+    });
+  }
+};
+
+// Ticket with its conversation thread (internal notes for staff only)
+const getTicketById = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const ticket = await loadTicket(req, res);
+    if (!ticket) return;
+
+    const includeInternal = isStaff(req);
+    const [thread] = await Promise.all([
+      helpdeskService.getThread(ticket._id, { includeInternal }),
+      ticket.populate(TICKET_POPULATE)
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Ticket retrieved successfully',
+      data: {
+        ticket: helpdeskService.formatTicket(ticket, { includeInternal }),
+        thread: thread.map(entry => helpdeskService.formatMessage(entry))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve ticket',
+      error: error.message
+    });
+  }
+};
+
+// Reply to the requester, or add an internal note (staff only)
+const addMessage = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { message, internal = false, attachments = [] } = req.body;
+
+    if (internal && !isStaff(req)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only building staff can add internal notes'
+      });
+    }
+
+    const ticket = await loadTicket(req, res);
+    if (!ticket) return;
+
+    if (['CLOSED', 'CANCELLED'].includes(ticket.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Ticket is ${ticket.status.toLowerCase()}`
+      });
+    }
+    if (!(await checkAttachments(req, res, attachments))) return;
+
+    const result = await helpdeskService.addMessage({ req, ticket, message, internal, attachments });
+    await result.message.populate([
+      { path: 'authorId', select: 'name role' },
+      { path: 'attachments', select: 'photoId originalName mimeType size buildingId' }
+    ]);
+
+    res.status(201).json({
+      success: true,
+      message: internal ? 'Note added successfully' : 'Reply sent successfully',
+      data: {
+        message: helpdeskService.formatMessage(result.message),
+        status: result.ticket.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Add ticket message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add message',
+      error: error.message
+    });
+  }
+};
+
+// Assign to a building admin or security staff member
+const assignTicket = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const ticket = await loadTicket(req, res);
+    if (!ticket) return;
+
+    const assignee = await User.findOne({
+      _id: req.body.assigneeId,
+      buildingId: req.params.buildingId,
+      isActive: true,
+      $or: [
+        { role: { $in: ['BUILDING_ADMIN', 'SECURITY'] } },
+        { roles: { $in: ['BUILDING_ADMIN', 'SECURITY'] } }
+      ]
+    }).select('name role');
+    if (!assignee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignee must be an active building admin or security staff member of this building'
+      });
+    }
+
+    const updated = await helpdeskService.assign({ req, ticket, assignee });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot assign a ${ticket.status.toLowerCase()} ticket`
+      });
+    }
+
+    await sendTicket(res, updated, { message: 'Ticket assigned successfully', includeInternal: true });
+
+  } catch (error) {
+    console.error('Assign ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to assign ticket',
+      error: error.message
+    });
+  }
+};
+
+// Change priority (re-targets the SLA) or category
+const updateTicket = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const ticket = await loadTicket(req, res);
+    if (!ticket) return;
+
+    const building = await Building.findById(req.params.buildingId).select('helpdeskSettings');
+    const updated = await helpdeskService.updateDetails({
+      req,
+      ticket,
+      building,
+      priority: req.body.priority,
+      category: req.body.category
+    });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot update a ${ticket.status.toLowerCase()} ticket`
+      });
+    }
+
+    await sendTicket(res, updated, { message: 'Ticket updated successfully', includeInternal: true });
+
+  } catch (error) {
+    console.error('Update ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update ticket',
+      error: error.message
+    });
+  }
+};
+
+// Move through the workflow; requesters may only cancel, close or reopen
+const changeTicketStatus = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { status, note } = req.body;
+
+    const ticket = await loadTicket(req, res);
+    if (!ticket) return;
+
+    const allowed = isStaff(req)
+      ? helpdeskService.canTransition(ticket.status, status)
+      : helpdeskService.canRequesterTransition(ticket.status, status);
+    if (!allowed) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot move a ${ticket.status.toLowerCase()} ticket to ${status.toLowerCase()}`
+      });
+    }
+
+    const updated = await helpdeskService.changeStatus({ req, ticket, status, note });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ticket was updated by someone else, please refresh'
+      });
+    }
+
+    await sendTicket(res, updated, { message: 'Ticket status updated successfully', includeInternal: isStaff(req) });
+
+  } catch (error) {
+    console.error('Change ticket status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update ticket status',
+      error: error.message
+    });
+  }
+};
+
+// Requester rates a resolved ticket
+const rateTicket = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { rating, comment } = req.body;
+
+    const ticket = await loadTicket(req, res);
+    if (!ticket) return;
+
+    if (!helpdeskService.isRequester(req.user, ticket)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the person who raised the ticket can rate it'
+      });
+    }
+    if (!['RESOLVED', 'CLOSED'].includes(ticket.status)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only resolved tickets can be rated'
+      });
+    }
+
+    const updated = await helpdeskService.rate({ req, ticket, rating, comment });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ticket has already been rated'
+      });
+    }
+
+    await sendTicket(res, updated, { message: 'Thank you for your feedback' });
+
+  } catch (error) {
+    console.error('Rate ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rate ticket',
+      error: error.message
+    });
+  }
+};
+
+// Inbox counts, SLA performance and satisfaction
+const getHelpdeskStats = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { type, startDate, endDate } = req.query;
+    const stats = await helpdeskService.getStats(req.params.buildingId, { type, startDate, endDate });
+
+    res.json({
+      success: true,
+      message: 'Helpdesk statistics retrieved successfully',
+      data: stats
+    });
+
+  } catch (error) {
+    console.error('Get helpdesk stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve helpdesk statistics',
+      error: error.message
+    });
+  }
+};
+
+// Building admin, security and a few neighbours to reach in an emergency
+const getEmergencyContacts = async (req, res) => {
+  try {
+    const buildingId = req.params.buildingId || req.user.buildingId;
+
+    const building = await Building.findById(buildingId).populate('adminId', 'name email phone');
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: 'Building not found'
+      });
+    }
+
+    const [securityUsers, residents] = await Promise.all([
+      User.find({ role: 'SECURITY', buildingId }).select('name email phone'),
+      User.find({ role: 'RESIDENT', buildingId }).select('name email phone flatNumber').limit(10)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        admin: building.adminId ? {
+          name: building.adminId.name,
+          email: building.adminId.email,
+          phone: building.adminId.phone,
+          role: 'Building Admin'
+        } : null,
+        security: securityUsers.map(security => ({
+          name: security.name,
+          email: security.email,
+          phone: security.phone,
+          role: 'Security'
+        })),
+        neighbors: residents.map(resident => ({
+          name: resident.name,
+          email: resident.email,
+          phone: resident.phone,
+          flatNumber: resident.flatNumber,
+          role: 'Neighbor'
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get emergency contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch emergency contacts',
+      error: error.message
+    });
+  }
+};
+
+// Copy existing complaints, support tickets and maintenance requests into the helpdesk
+const migrateLegacyTickets = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const dryRun = req.body.dryRun === true;
+    const report = await helpdeskLegacyService.migrate({ dryRun });
+
+    res.json({
+      success: true,
+      message: dryRun ? 'Migration dry run completed' : 'Legacy tickets migrated',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Migrate legacy tickets error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to migrate legacy tickets',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createTicket,
+  getTickets,
+  getTicketById,
+  addMessage,
+  assignTicket,
+  updateTicket,
+  changeTicketStatus,
+  rateTicket,
+  getHelpdeskStats,
+  getEmergencyContacts,
+  migrateLegacyTickets
+};
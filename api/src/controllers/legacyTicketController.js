@@ -0,0 +1,634 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const Ticket = require('../models/Ticket');
+const Building = require('../models/Building');
+const User = require('../models/User');
+const Photo = require('../models/Photo');
+const helpdeskService = require('../services/helpdeskService');
+const helpdeskLegacyService = require('../services/helpdeskLegacyService');
+
+/**
+ * Legacy Ticket Controller
+ * Keeps /api/complaints, /api/help-support and /api/maintenance-requests
+ * working on top of the unified helpdesk: requests are read from and written
+ * to tickets, and responses keep the shape the old endpoints returned.
+ */
+
+const currentUserId = (req) => req.user.userId || req.user.id;
+
+const MESSAGE_TICKET_POPULATE = [
+  { path: 'requesterId', select: 'name email phone' },
+  { path: 'buildingId', select: 'name address' },
+  { path: 'assignedTo', select: 'name email' },
+  { path: 'lastReply.authorId', select: 'name email' }
+];
+
+const MAINTENANCE_POPULATE = [
+  { path: 'requesterId', select: 'name role email phoneNumber flatNumber' },
+  { path: 'resolvedBy', select: 'name role' },
+  { path: 'attachments', select: 'mimeType size base64Data' }
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+/**
+ * Apply an old-style status change through the helpdesk workflow
+ * Sends a 409 and returns null when the move is not allowed.
+ */
+const applyLegacyStatus = async (req, res, ticket, legacyTarget, note) => {
+  // Closing an unresolved ticket the old way means dismissing it
+  const status = legacyTarget === 'CLOSED' && Ticket.OPEN_STATUSES.includes(ticket.status) ? 'CANCELLED' : legacyTarget;
+  if (status === ticket.status) return ticket;
+
+  const allowed = helpdeskService.isStaff(req.user)
+    ? helpdeskService.canTransition(ticket.status, status)
+    : helpdeskService.canRequesterTransition(ticket.status, status);
+  const updated = allowed ? await helpdeskService.changeStatus({ req, ticket, status, note }) : null;
+  if (!updated) {
+    res.status(409).json({
+      success: false,
+      message: `Cannot move a ${ticket.status.toLowerCase()} ticket to ${status.toLowerCase()}`
+    });
+    return null;
+  }
+  return updated;
+};
+
+// ========================================
+// COMPLAINTS AND SUPPORT TICKETS
+// ========================================
+
+// Create, list, stats and update handlers for the two message-style ticket types
+const messageTicketHandlers = (source, { noun, type }) => {
+  const format = ticket => helpdeskLegacyService.toLegacyMessageTicket(source, ticket);
+  const capitalised = noun.charAt(0).toUpperCase() + noun.slice(1);
+
+  const buildQuery = ({ status, priority, category }) => {
+    const query = { type };
+    if (status) query.status = { $in: helpdeskLegacyService.ticketStatusesFor(source, status.toUpperCase()) };
+    if (priority) query.priority = helpdeskLegacyService.toTicketPriority(priority.toUpperCase());
+    if (category && type === 'SUPPORT') query.category = category.toUpperCase();
+    return query;
+  };
+
+  const list = async (req, res, query) => {
+    const { page = 1, limit = 10 } = req.query;
+
+    const [tickets, total] = await Promise.all([
+      Ticket.find(query)
+        .populate(MESSAGE_TICKET_POPULATE)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Ticket.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: tickets.map(format),
+      pagination: {
+        current: parseInt(page),
+        pages: Math.ceil(total / limit),
+        total
+      }
+    });
+  };
+
+  const create = async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { message, category = 'GENERAL' } = req.body;
+
+      const [requester, building] = await Promise.all([
+        User.findById(currentUserId(req)).select('name flatNumber'),
+        Building.findById(req.user.buildingId).select('name helpdeskSettings')
+      ]);
+      if (!requester) {
+        return res.status(401).json({
+          success: false,
+          message: 'User authentication required'
+        });
+      }
+      if (!building) {
+        return res.status(400).json({
+          success: false,
+          message: 'User must be associated with a building'
+        });
+      }
+
+      const ticket = await helpdeskService.createTicket({
+        building,
+        requester,
+        type,
+        category: type === 'SUPPORT' ? category : undefined,
+        description: message.trim(),
+        priority: category.toUpperCase() === 'EMERGENCY' ? 'URGENT' : 'MEDIUM'
+      });
+      await ticket.populate(MESSAGE_TICKET_POPULATE);
+
+      res.status(201).json({
+        success: true,
+        message: `${capitalised} submitted successfully`,
+        data: format(ticket)
+      });
+
+    } catch (error) {
+      console.error(`Create ${noun} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to create ${noun}`,
+        error: error.message
+      });
+    }
+  };
+
+  const getMine = async (req, res) => {
+    try {
+      await list(req, res, { ...buildQuery(req.query), requesterId: currentUserId(req) });
+    } catch (error) {
+      console.error(`Get my ${noun}s error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch ${noun}s`,
+        error: error.message
+      });
+    }
+  };
+
+  const getAll = async (req, res) => {
+    try {
+      await list(req, res, { ...buildQuery(req.query), buildingId: req.user.buildingId });
+    } catch (error) {
+      console.error(`Get all ${noun}s error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch ${noun}s`,
+        error: error.message
+      });
+    }
+  };
+
+  const getStats = async (req, res) => {
+    try {
+      if (!req.user.buildingId) {
+        return res.status(400).json({
+          success: false,
+          message: 'User must be associated with a building'
+        });
+      }
+
+      const query = { type, buildingId: new mongoose.Types.ObjectId(req.user.buildingId) };
+
+      const [byTicketStatus, total, recent] = await Promise.all([
+        Ticket.aggregate([
+          { $match: query },
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]),
+        Ticket.countDocuments(query),
+        Ticket.find(query)
+          .sort({ createdAt: -1 })
+          .limit(5)
+          .populate(MESSAGE_TICKET_POPULATE)
+      ]);
+
+      // Several ticket statuses can fold into one old status
+      const byStatus = {};
+      byTicketStatus.forEach(({ _id, count }) => {
+        const legacyStatus = helpdeskLegacyService.toLegacyStatus(source, _id);
+        byStatus[legacyStatus] = (byStatus[legacyStatus] || 0) + count;
+      });
+
+      res.status(200).json({
+        success: true,
+        data: {
+          total,
+          byStatus: Object.entries(byStatus).map(([status, count]) => ({ _id: status, count })),
+          recent: recent.map(format)
+        }
+      });
+
+    } catch (error) {
+      console.error(`Get ${noun} stats error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to fetch ${noun} statistics`,
+        error: error.message
+      });
+    }
+  };
+
+  const update = async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { id } = req.params;
+      const { status, response, priority } = req.body;
+
+      let ticket = mongoose.Types.ObjectId.isValid(id)
+        ? await helpdeskLegacyService.findByLegacyId(source, id)
+        : null;
+      if (!ticket) {
+        return res.status(404).json({
+          success: false,
+          message: `${capitalised} not found`
+        });
+      }
+
+      const isRequester = helpdeskService.isRequester(req.user, ticket);
+      if (req.user.role === 'RESIDENT' && !isRequester) {
+        return res.status(403).json({
+          success: false,
+          message: `Not authorized to update this ${noun}`
+        });
+      }
+
+      if (priority) {
+        const building = await Building.findById(ticket.buildingId).select('helpdeskSettings');
+        ticket = await helpdeskService.updateDetails({
+          req,
+          ticket,
+          building,
+          priority: helpdeskLegacyService.toTicketPriority(priority)
+        }) || ticket;
+      }
+      if (response) {
+        ({ ticket } = await helpdeskService.addMessage({ req, ticket, message: response }));
+      }
+      if (status) {
+        ticket = await applyLegacyStatus(req, res, ticket, helpdeskLegacyService.toTicketStatus(source, status));
+        if (!ticket) return;
+      }
+
+      await ticket.populate(MESSAGE_TICKET_POPULATE);
+
+      res.status(200).json({
+        success: true,
+        message: `${capitalised} updated successfully`,
+        data: format(ticket)
+      });
+
+    } catch (error) {
+      console.error(`Update ${noun} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to update ${noun}`,
+        error: error.message
+      });
+    }
+  };
+
+  return { create, getMine, getAll, getStats, update };
+};
+
+const complaints = messageTicketHandlers('Complaint', { noun: 'complaint', type: 'COMPLAINT' });
+const supportTickets = messageTicketHandlers('SupportTicket', { noun: 'support ticket', type: 'SUPPORT' });
+
+// ========================================
+// MAINTENANCE REQUESTS
+// ========================================
+
+const formatMaintenance = ticket => helpdeskLegacyService.toLegacyMaintenanceRequest(ticket);
+
+const createMaintenanceRequest = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId } = req.params;
+    const { description, location, flatNumber, accountNumber, ifsc, bankName, branchLocation } = req.body;
+
+    const [building, requester] = await Promise.all([
+      Building.findById(buildingId).select('name address helpdeskSettings'),
+      User.findById(currentUserId(req)).select('name flatNumber')
+    ]);
+    if (!building) {
+      return res.status(404).json({
+        success: false,
+        message: 'Building not found'
+      });
+    }
+    if (!requester) {
+      return res.status(404).json({
+        success: false,
+        message: 'Requester not found'
+      });
+    }
+
+    // Uploaded image becomes a photo attachment on the ticket
+    const attachments = [];
+    if (req.file) {
+      const photo = await Photo.create({
+        photoId: `HELPDESK_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        filename: `maintenance_${Date.now()}_${crypto.randomBytes(4).toString('hex')}.${req.file.mimetype.split('/')[1]}`,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        base64Data: `data:${req.file.mimetype};base64,${req.file.buffer.toString('base64')}`,
+        storageType: 'base64',
+        uploadedBy: requester._id,
+        buildingId,
+        relatedType: 'OTHER',
+        description: 'Maintenance request photo'
+      });
+      attachments.push(photo._id);
+    }
+
+    const ticket = await helpdeskService.createTicket({
+      building,
+      requester,
+      type: 'MAINTENANCE',
+      description,
+      flatNumber,
+      location,
+      attachments
+    });
+
+    // Bank details only exist on the old maintenance form
+    const data = { accountNumber, ifsc, bankName, branchLocation };
+    if (Object.values(data).some(Boolean)) {
+      ticket.legacy = { data };
+      await ticket.save();
+    }
+    if (attachments.length) {
+      await Photo.updateMany({ _id: { $in: attachments } }, { $set: { relatedId: ticket._id } });
+    }
+
+    await ticket.populate(MAINTENANCE_POPULATE);
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance request created successfully',
+      data: {
+        request: {
+          ...formatMaintenance(ticket),
+          building: {
+            id: building._id,
+            name: building.name,
+            address: building.address
+          }
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Create maintenance request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create maintenance request',
+      error: error.message
+    });
+  }
+};
+
+const getMaintenanceRequests = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId } = req.params;
+    const { status, startDate, endDate, today } = req.query;
+    const page = parseInt(req.query.page || 1, 10);
+    const limit = parseInt(req.query.limit || 10, 10);
+
+    const query = { buildingId, type: 'MAINTENANCE' };
+    if (status) {
+      query.status = { $in: helpdeskLegacyService.ticketStatusesFor('MaintenanceRequest', status) };
+    }
+    if (startDate && endDate) {
+      query.createdAt = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    } else if (today === 'true') {
+      const startOfToday = new Date();
+      startOfToday.setHours(0, 0, 0, 0);
+      const endOfToday = new Date();
+      endOfToday.setHours(23, 59, 59, 999);
+      query.createdAt = { $gte: startOfToday, $lte: endOfToday };
+    }
+
+    const [tickets, totalDocs] = await Promise.all([
+      Ticket.find(query)
+        .populate(MAINTENANCE_POPULATE)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip((page - 1) * limit),
+      Ticket.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(totalDocs / limit);
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance requests retrieved successfully',
+      data: {
+        requests: tickets.map(formatMaintenance),
+        pagination: {
+          totalDocs,
+          limit,
+          page,
+          totalPages,
+          nextPage: page < totalPages ? page + 1 : null,
+          prevPage: page > 1 ? page - 1 : null,
+          hasPrevPage: page > 1,
+          hasNextPage: page < totalPages
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get maintenance requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve maintenance requests',
+      error: error.message
+    });
+  }
+};
+
+const getMaintenanceRequest = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId, requestId } = req.params;
+
+    const ticket = await helpdeskLegacyService.findByRequestId(buildingId, requestId);
+    if (!ticket) {
+      return res.status(404).json({ success: false, message: 'Maintenance request not found' });
+    }
+    await ticket.populate(MAINTENANCE_POPULATE);
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance request retrieved successfully',
+      data: { request: formatMaintenance(ticket) }
+    });
+
+  } catch (error) {
+    console.error('Get maintenance request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve maintenance request',
+      error: error.message
+    });
+  }
+};
+
+// Admin notes become internal notes; completion notes the resolution notes
+const updateMaintenanceRequest = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId, requestId } = req.params;
+    const { status, adminNotes, completionNotes } = req.body;
+
+    let ticket = await helpdeskLegacyService.findByRequestId(buildingId, requestId);
+    if (!ticket) {
+      return res.status(404).json({ success: false, message: 'Maintenance request not found' });
+    }
+
+    const staff = helpdeskService.isStaff(req.user);
+    if (!staff && !helpdeskService.isRequester(req.user, ticket)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this maintenance request'
+      });
+    }
+    if (adminNotes && !staff) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only building staff can add admin notes'
+      });
+    }
+
+    if (adminNotes) {
+      ({ ticket } = await helpdeskService.addMessage({ req, ticket, message: adminNotes, internal: true }));
+    }
+    if (status) {
+      ticket = await applyLegacyStatus(req, res, ticket, helpdeskLegacyService.toTicketStatus('MaintenanceRequest', status), completionNotes);
+      if (!ticket) return;
+    }
+    if (completionNotes !== undefined && ticket.resolutionNotes !== completionNotes) {
+      ticket = await Ticket.findByIdAndUpdate(ticket._id, { $set: { resolutionNotes: completionNotes } }, { new: true });
+    }
+
+    await ticket.populate(MAINTENANCE_POPULATE);
+    const request = formatMaintenance(ticket);
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance request updated successfully',
+      data: {
+        request: {
+          id: request.id,
+          requestId: request.requestId,
+          status: request.status,
+          adminNotes: request.adminNotes,
+          completionNotes: request.completionNotes,
+          completedAt: request.completedAt,
+          completedAtFormatted: request.completedAtFormatted,
+          updatedAt: request.updatedAt,
+          requester: {
+            id: request.requester.id,
+            name: request.requester.name,
+            role: request.requester.role
+          }
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Update maintenance request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update maintenance request',
+      error: error.message
+    });
+  }
+};
+
+const getMaintenanceRequestStats = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { buildingId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    const match = { buildingId: new mongoose.Types.ObjectId(buildingId), type: 'MAINTENANCE' };
+    if (startDate && endDate) {
+      match.createdAt = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    }
+    const todayStart = new Date();
+    todayStart.setHours(0, 0, 0, 0);
+    const todayEnd = new Date();
+    todayEnd.setHours(23, 59, 59, 999);
+
+    const countIn = statuses => ({ $sum: { $cond: [{ $in: ['$status', statuses] }, 1, 0] } });
+    const statusesFor = legacyStatus => helpdeskLegacyService.ticketStatusesFor('MaintenanceRequest', legacyStatus);
+
+    const [[stats], todayRequests] = await Promise.all([
+      Ticket.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: null,
+            totalRequests: { $sum: 1 },
+            pendingRequests: countIn(statusesFor('PENDING')),
+            inProgressRequests: countIn(statusesFor('IN_PROGRESS')),
+            completedRequests: countIn(statusesFor('COMPLETED')),
+            cancelledRequests: countIn(statusesFor('CANCELLED'))
+          }
+        }
+      ]),
+      Ticket.countDocuments({
+        buildingId,
+        type: 'MAINTENANCE',
+        createdAt: { $gte: todayStart, $lte: todayEnd }
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Maintenance request statistics retrieved successfully',
+      data: {
+        totalRequests: stats?.totalRequests || 0,
+        pendingRequests: stats?.pendingRequests || 0,
+        inProgressRequests: stats?.inProgressRequests || 0,
+        completedRequests: stats?.completedRequests || 0,
+        cancelledRequests: stats?.cancelledRequests || 0,
+        todayRequests
+      }
+    });
+
+  } catch (error) {
+    console.error('Get maintenance request statistics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve maintenance request statistics',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createComplaint: complaints.create,
+  getMyComplaints: complaints.getMine,
+  getAllComplaints: complaints.getAll,
+  getComplaintStats: complaints.getStats,
+  updateComplaint: complaints.update,
+  createSupportTicket: supportTickets.create,
+  getMySupportTickets: supportTickets.getMine,
+  getAllSupportTickets: supportTickets.getAll,
+  getSupportTicketStats: supportTickets.getStats,
+  updateSupportTicket: supportTickets.update,
+  createMaintenanceRequest,
+  getMaintenanceRequests,
+  getMaintenanceRequest,
+  updateMaintenanceRequest,
+  getMaintenanceRequestStats
+};
@@ -1,9 +1,13 @@
 const Message = require('../models/Message');
 const Building = require('../models/Building');
-const User = require('../models/User');
-const Notification = require('../models/Notification');
+const messageAudienceService = require('../services/messageAudienceService');
+const messageReceiptService = require('../services/messageReceiptService');
+const messageService = require('../services/messageService');
 const mongoose = require('mongoose');
 
+// Priorities that may ask recipients to acknowledge a message
+const ACKNOWLEDGEABLE_PRIORITIES = ['HIGH', 'URGENT'];
+
 /**
  * Message Controller
  * Handles message posting and management for admin flow
@@ -27,7 +31,8 @@ class MessageController {
         scheduledAt,
         expiresAt,
         tags = [],
-        isPinned = false
+        isPinned = false,
+        requiresAcknowledgement = false
       } = req.body;
       
       const { userId, role } = req.user;
@@ -52,6 +57,22 @@ class MessageController {
         });
       }
 
+      // Validate audience
+      const audienceError = messageAudienceService.validateTargets(targetAudience, specificTargets);
+      if (audienceError) {
+        return res.status(400).json({
+          success: false,
+          message: audienceError
+        });
+      }
+
+      if (requiresAcknowledgement && !ACKNOWLEDGEABLE_PRIORITIES.includes(priority)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Acknowledgement can only be required on HIGH or URGENT messages'
+        });
+      }
+
       // Validate scheduled time
       if (scheduledAt && new Date(scheduledAt) <= new Date()) {
         return res.status(400).json({
@@ -68,19 +89,30 @@ class MessageController {
         });
       }
 
+      if (expiresAt && new Date(expiresAt) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expiration time must be in the future'
+        });
+      }
+
       // Create new message
       const messageData = {
         content,
         messageType,
         priority,
         targetAudience,
-        specificTargets: specificTargets || {},
+        specificTargets: messageAudienceService.normalizeTargets(targetAudience, specificTargets),
         scheduledAt: scheduledAt ? new Date(scheduledAt) : undefined,
         expiresAt: expiresAt ? new Date(expiresAt) : undefined,
         tags,
         isPinned,
+        requiresAcknowledgement,
         buildingId,
-        postedBy: userId
+        postedBy: userId,
+        // Scheduled messages stay hidden until the message publisher releases them
+        publishStatus: scheduledAt ? 'SCHEDULED' : 'PUBLISHED',
+        publishedAt: scheduledAt ? undefined : new Date()
       };
 
       // Only add title if provided
@@ -101,18 +133,20 @@ class MessageController {
       // Create notification for residents (if not scheduled)
       if (!scheduledAt) {
         try {
-          await this.createMessageNotification(message, buildingId);
+          await messageService.createMessageNotification(message, buildingId);
         } catch (notificationError) {
           console.error('Message notification creation failed:', notificationError);
           // Continue with message creation even if notification fails
         }
+
+        await messageService.publishMessageEvent(message, buildingId);
       }
 
-      console.log('✅ Message posted successfully:', message._id);
+      console.log(scheduledAt ? '✅ Message scheduled successfully:' : '✅ Message posted successfully:', message._id);
 
       res.status(201).json({
         success: true,
-        message: 'Message posted successfully',
+        message: scheduledAt ? 'Message scheduled successfully' : 'Message posted successfully',
         data: {
           message: message.getSummary(),
           building: {
@@ -171,8 +205,21 @@ class MessageController {
         });
       }
 
-      // Build query
-      const query = { buildingId, isActive: true, isDeleted: false };
+      // Residents and staff read their own building's feed only
+      if (!messageAudienceService.isAdmin(req.user) && String(req.user.buildingId) !== buildingId) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view messages in your own building.'
+        });
+      }
+
+      // Build query (published, unexpired messages addressed to the reader)
+      const now = new Date();
+      const query = Message.feedQuery(buildingId, now);
+      const audienceFilter = await messageAudienceService.buildFeedFilter(req.user);
+      if (audienceFilter) {
+        query.$and = [audienceFilter];
+      }
       
       if (messageType) {
         query.messageType = messageType;
@@ -204,7 +251,7 @@ class MessageController {
 
       // Get message statistics
       const messageStats = await Message.aggregate([
-        { $match: { buildingId: new mongoose.Types.ObjectId(buildingId), isActive: true, isDeleted: false } },
+        { $match: { ...Message.feedQuery(new mongoose.Types.ObjectId(buildingId), now), ...(audienceFilter ? { $and: [audienceFilter] } : {}) } },
         { $group: { _id: '$messageType', count: { $sum: 1 } } }
       ]);
 
@@ -278,31 +325,27 @@ class MessageController {
       }
 
       // Get message
-      const message = await Message.findOne({ 
-        _id: messageId, 
-        buildingId,
-        isActive: true,
-        isDeleted: false
-      }).populate([
-        { path: 'buildingId', select: 'name address' },
-        { path: 'postedBy', select: 'name email role' }
-      ]);
-
-      if (!message) {
-        return res.status(404).json({
-          success: false,
-          message: 'Message not found'
-        });
-      }
+      const message = await MessageController.findReadableMessage(req, res, buildingId, messageId);
+      if (!message) return;
 
       // Increment view count
       await message.incrementViews();
 
+      // Recipients opening the message count as having read it
+      let receipt = null;
+      if (!messageAudienceService.isAdmin(req.user)) {
+        receipt = await messageReceiptService.markRead(message, userId);
+      }
+
       res.status(200).json({
         success: true,
         message: 'Message retrieved successfully',
         data: {
           message: message.getSummary(),
+          receipt: receipt ? {
+            readAt: receipt.readAt,
+            acknowledgedAt: receipt.acknowledgedAt
+          } : undefined,
           building: {
             id: building._id,
             name: building.name
@@ -320,6 +363,132 @@ class MessageController {
     }
   }
 
+  /**
+   * Load a message the caller may read: any message in the building for admins,
+   * otherwise only a published, unexpired message addressed to them
+   * Sends the error response and returns null when it cannot be read
+   */
+  static async findReadableMessage(req, res, buildingId, messageId) {
+    let query = { _id: messageId, buildingId, isActive: true, isDeleted: false };
+
+    if (!messageAudienceService.isAdmin(req.user)) {
+      if (String(req.user.buildingId) !== buildingId) {
+        res.status(403).json({
+          success: false,
+          message: 'Access denied. You can only view messages in your own building.'
+        });
+        return null;
+      }
+      query = {
+        ...Message.feedQuery(buildingId),
+        _id: messageId,
+        $and: [await messageAudienceService.buildFeedFilter(req.user)]
+      };
+    }
+
+    const message = await Message.findOne(query).populate([
+      { path: 'buildingId', select: 'name address' },
+      { path: 'postedBy', select: 'name email role' }
+    ]);
+
+    if (!message) {
+      res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+      return null;
+    }
+
+    return message;
+  }
+
+  /**
+   * Acknowledge a message that asks for it
+   */
+  static async acknowledgeMessage(req, res) {
+    try {
+      const { buildingId, messageId } = req.params;
+      const { userId } = req.user;
+
+      const message = await MessageController.findReadableMessage(req, res, buildingId, messageId);
+      if (!message) return;
+
+      if (!message.requiresAcknowledgement) {
+        return res.status(400).json({
+          success: false,
+          message: 'This message does not require acknowledgement'
+        });
+      }
+
+      const receipt = await messageReceiptService.acknowledge(message, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Message acknowledged successfully',
+        data: {
+          messageId: message._id,
+          readAt: receipt.readAt,
+          acknowledgedAt: receipt.acknowledgedAt
+        }
+      });
+
+    } catch (error) {
+      console.error('Acknowledge message error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to acknowledge message',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Flats that have not read / acknowledged a message yet
+   */
+  static async getMessageReceipts(req, res) {
+    try {
+      const { buildingId, messageId } = req.params;
+
+      const message = await Message.findOne({
+        _id: messageId,
+        buildingId,
+        isDeleted: false
+      });
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          message: 'Message not found'
+        });
+      }
+
+      const status = await messageReceiptService.getReadStatus(message);
+
+      res.status(200).json({
+        success: true,
+        message: 'Message receipts retrieved successfully',
+        data: {
+          message: {
+            id: message._id,
+            title: message.title,
+            priority: message.priority,
+            requiresAcknowledgement: message.requiresAcknowledgement,
+            publishedAt: message.publishedAt
+          },
+          ...status
+        }
+      });
+
+    } catch (error) {
+      console.error('Get message receipts error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve message receipts',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
   /**
    * Update message
    */
@@ -336,7 +505,8 @@ class MessageController {
         scheduledAt,
         expiresAt,
         tags,
-        isPinned
+        isPinned,
+        requiresAcknowledgement
       } = req.body;
       const { userId, role } = req.user;
 
@@ -389,12 +559,36 @@ class MessageController {
       if (content) updateData.content = content;
       if (messageType) updateData.messageType = messageType;
       if (priority) updateData.priority = priority;
-      if (targetAudience) updateData.targetAudience = targetAudience;
-      if (specificTargets) updateData.specificTargets = specificTargets;
+      if (targetAudience || specificTargets) {
+        const audience = targetAudience || message.targetAudience;
+        const targets = specificTargets || message.specificTargets;
+        const audienceError = messageAudienceService.validateTargets(audience, targets);
+        if (audienceError) {
+          return res.status(400).json({
+            success: false,
+            message: audienceError
+          });
+        }
+        updateData.targetAudience = audience;
+        updateData.specificTargets = messageAudienceService.normalizeTargets(audience, targets);
+      }
       if (scheduledAt !== undefined) updateData.scheduledAt = scheduledAt ? new Date(scheduledAt) : undefined;
       if (expiresAt !== undefined) updateData.expiresAt = expiresAt ? new Date(expiresAt) : undefined;
       if (tags) updateData.tags = tags;
       if (isPinned !== undefined) updateData.isPinned = isPinned;
+      if (requiresAcknowledgement !== undefined) updateData.requiresAcknowledgement = requiresAcknowledgement;
+
+      // Lowering the priority drops an acknowledgement requirement it no longer qualifies for
+      const newPriority = priority || message.priority;
+      if (!ACKNOWLEDGEABLE_PRIORITIES.includes(newPriority)) {
+        if (requiresAcknowledgement) {
+          return res.status(400).json({
+            success: false,
+            message: 'Acknowledgement can only be required on HIGH or URGENT messages'
+          });
+        }
+        updateData.requiresAcknowledgement = false;
+      }
 
       const updatedMessage = await Message.findByIdAndUpdate(
         messageId,
@@ -445,7 +639,8 @@ class MessageController {
         scheduledAt,
         expiresAt,
         tags,
-        isPinned
+        isPinned,
+        requiresAcknowledgement
       } = req.body;
       const { userId, role } = req.user;
 
@@ -494,12 +689,36 @@ class MessageController {
       if (content) updateData.content = content;
       if (messageType) updateData.messageType = messageType;
       if (priority) updateData.priority = priority;
-      if (targetAudience) updateData.targetAudience = targetAudience;
-      if (specificTargets) updateData.specificTargets = specificTargets;
+      if (targetAudience || specificTargets) {
+        const audience = targetAudience || message.targetAudience;
+        const targets = specificTargets || message.specificTargets;
+        const audienceError = messageAudienceService.validateTargets(audience, targets);
+        if (audienceError) {
+          return res.status(400).json({
+            success: false,
+            message: audienceError
+          });
+        }
+        updateData.targetAudience = audience;
+        updateData.specificTargets = messageAudienceService.normalizeTargets(audience, targets);
+      }
       if (scheduledAt !== undefined) updateData.scheduledAt = scheduledAt ? new Date(scheduledAt) : undefined;
       if (expiresAt !== undefined) updateData.expiresAt = expiresAt ? new Date(expiresAt) : undefined;
       if (tags) updateData.tags = tags;
       if (isPinned !== undefined) updateData.isPinned = isPinned;
+      if (requiresAcknowledgement !== undefined) updateData.requiresAcknowledgement = requiresAcknowledgement;
+
+      // Lowering the priority drops an acknowledgement requirement it no longer qualifies for
+      const newPriority = priority || message.priority;
+      if (!ACKNOWLEDGEABLE_PRIORITIES.includes(newPriority)) {
+        if (requiresAcknowledgement) {
+          return res.status(400).json({
+            success: false,
+            message: 'Acknowledgement can only be required on HIGH or URGENT messages'
+          });
+        }
+        updateData.requiresAcknowledgement = false;
+      }
 
       const updatedMessage = await Message.findByIdAndUpdate(
         messageId,
@@ -693,40 +912,271 @@ class MessageController {
   }
 
   /**
-   * Create notification for message
+   * Count who a message would reach before it is posted
+   */
+  static async previewAudience(req, res) {
+    try {
+      const { buildingId } = req.params;
+      const { targetAudience = 'ALL_RESIDENTS', specificTargets = {} } = req.body;
+
+      const building = await Building.findById(buildingId);
+      if (!building) {
+        return res.status(404).json({
+          success: false,
+          message: 'Building not found'
+        });
+      }
+
+      const audienceError = messageAudienceService.validateTargets(targetAudience, specificTargets);
+      if (audienceError) {
+        return res.status(400).json({
+          success: false,
+          message: audienceError
+        });
+      }
+
+      const targets = messageAudienceService.normalizeTargets(targetAudience, specificTargets);
+      const { users, employeeCount, employeesWithoutAccount } = await messageAudienceService.resolveRecipients(
+        buildingId,
+        targetAudience,
+        targets
+      );
+
+      const flats = new Set(users
+        .filter(user => user.flatNumber)
+        .map(user => messageAudienceService.flatKeys(user).pop()));
+
+      res.status(200).json({
+        success: true,
+        message: 'Audience preview generated successfully',
+        data: {
+          targetAudience,
+          specificTargets: targets,
+          recipientCount: users.length,
+          flatCount: flats.size,
+          employeeCount,
+          employeesWithoutAccount
+        }
+      });
+
+    } catch (error) {
+      console.error('Preview audience error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to preview audience',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Get the caller's scheduled messages that have not been published yet
+   * SUPER_ADMIN sees every pending scheduled message in the building
+   */
+  static async getScheduledMessages(req, res) {
+    try {
+      const { buildingId } = req.params;
+      const { userId, role } = req.user;
+
+      const building = await Building.findById(buildingId);
+      if (!building) {
+        return res.status(404).json({
+          success: false,
+          message: 'Building not found'
+        });
+      }
+
+      const query = {
+        buildingId,
+        publishStatus: 'SCHEDULED',
+        isActive: true,
+        isDeleted: false
+      };
+      if (role !== 'SUPER_ADMIN') {
+        query.postedBy = userId;
+      }
+
+      const messages = await Message.find(query)
+        .populate([
+          { path: 'buildingId', select: 'name address' },
+          { path: 'postedBy', select: 'name email role' }
+        ])
+        .sort({ scheduledAt: 1 });
+
+      res.status(200).json({
+        success: true,
+        message: 'Scheduled messages retrieved successfully',
+        data: {
+          messages: messages.map(msg => msg.getSummary()),
+          totalMessages: messages.length,
+          building: {
+            id: building._id,
+            name: building.name
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get scheduled messages error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve scheduled messages',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Load a pending scheduled message the caller may manage
+   * Sends the error response and returns null when it cannot be managed
    */
-  static async createMessageNotification(message, buildingId) {
+  static async findManageableScheduledMessage(req, res) {
+    const { buildingId, messageId } = req.params;
+    const { userId, role } = req.user;
+
+    const message = await Message.findOne({
+      _id: messageId,
+      buildingId,
+      isActive: true,
+      isDeleted: false
+    });
+
+    if (!message) {
+      res.status(404).json({
+        success: false,
+        message: 'Message not found'
+      });
+      return null;
+    }
+
+    if (message.postedBy.toString() !== userId && role !== 'SUPER_ADMIN') {
+      res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only manage your own scheduled messages.'
+      });
+      return null;
+    }
+
+    if (message.publishStatus !== 'SCHEDULED') {
+      res.status(409).json({
+        success: false,
+        message: `Message is no longer scheduled (${(message.publishStatus || 'PUBLISHED').toLowerCase()})`
+      });
+      return null;
+    }
+
+    return message;
+  }
+
+  /**
+   * Move a pending scheduled message to a new publish time
+   */
+  static async rescheduleMessage(req, res) {
+    try {
+      const { scheduledAt, expiresAt } = req.body;
+
+      const message = await MessageController.findManageableScheduledMessage(req, res);
+      if (!message) return;
+
+      const newScheduledAt = new Date(scheduledAt);
+      if (newScheduledAt <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Scheduled time must be in the future'
+        });
+      }
+
+      const update = { scheduledAt: newScheduledAt };
+      if (expiresAt !== undefined) {
+        update.expiresAt = expiresAt ? new Date(expiresAt) : null;
+      }
+
+      const newExpiresAt = expiresAt !== undefined ? update.expiresAt : message.expiresAt;
+      if (newExpiresAt && newExpiresAt <= newScheduledAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expiration time must be after scheduled time'
+        });
+      }
+
+      // Only while still scheduled, so a message the publisher just released is left alone
+      const updatedMessage = await Message.findOneAndUpdate(
+        { _id: message._id, publishStatus: 'SCHEDULED' },
+        { $set: update },
+        { new: true, runValidators: true }
+      ).populate([
+        { path: 'buildingId', select: 'name address' },
+        { path: 'postedBy', select: 'name email role' }
+      ]);
+
+      if (!updatedMessage) {
+        return res.status(409).json({
+          success: false,
+          message: 'Message was published or cancelled before it could be rescheduled'
+        });
+      }
+
+      console.log('✅ Message rescheduled successfully:', updatedMessage._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Message rescheduled successfully',
+        data: {
+          message: updatedMessage.getSummary()
+        }
+      });
+
+    } catch (error) {
+      console.error('Reschedule message error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reschedule message',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Cancel a pending scheduled message so it is never published
+   */
+  static async cancelScheduledMessage(req, res) {
     try {
-      // Get all residents in the building
-      const residents = await User.find({ 
-        buildingId, 
-        role: 'RESIDENT', 
-        isActive: true 
-      });
-
-      // Create notifications for each resident
-      const notificationPromises = residents.map(resident => 
-        Notification.create({
-          recipientId: resident._id,
-          recipientRole: 'RESIDENT',
-          title: message.title || 'New Message',
-          message: message.content,
-          type: 'GENERAL_ANNOUNCEMENT',
-          category: message.messageType,
-          priority: message.priority,
-          buildingId,
-          relatedMessageId: message._id,
-          isUrgent: message.priority === 'URGENT',
-          deliveryChannels: { inApp: true, email: false, sms: false, push: false }
-        })
+      const message = await MessageController.findManageableScheduledMessage(req, res);
+      if (!message) return;
+
+      const updatedMessage = await Message.findOneAndUpdate(
+        { _id: message._id, publishStatus: 'SCHEDULED' },
+        { $set: { publishStatus: 'CANCELLED', cancelledAt: new Date() } },
+        { new: true }
       );
 
-      await Promise.all(notificationPromises);
-      console.log('✅ Message notifications created successfully');
+      if (!updatedMessage) {
+        return res.status(409).json({
+          success: false,
+          message: 'Message was published before it could be cancelled'
+        });
+      }
+
+      console.log('✅ Scheduled message cancelled:', updatedMessage._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Scheduled message cancelled successfully',
+        data: {
+          messageId: updatedMessage._id,
+          title: updatedMessage.title,
+          publishStatus: updatedMessage.publishStatus,
+          cancelledAt: updatedMessage.cancelledAt
+        }
+      });
 
     } catch (error) {
-      console.error('Create message notification error:', error);
-      throw error;
+      console.error('Cancel scheduled message error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel scheduled message',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
     }
   }
 }
@@ -0,0 +1,331 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const ModerationCase = require('../models/ModerationCase');
+const ContentReport = require('../models/ContentReport');
+const moderationService = require('../services/moderationService');
+
+/**
+ * Moderation Controller
+ * Handles content reports from residents and the admin moderation queue
+ */
+
+const formatCase = (moderationCase) => ({
+  id: moderationCase._id,
+  contentType: moderationCase.contentType,
+  contentId: moderationCase.contentId,
+  contentPreview: moderationCase.contentPreview,
+  author: moderationCase.authorId && moderationCase.authorId.name
+    ? {
+      id: moderationCase.authorId._id,
+      name: moderationCase.authorId.name,
+      flatNumber: moderationCase.authorId.flatNumber
+    }
+    : moderationCase.authorId,
+  status: moderationCase.status,
+  reportCount: moderationCase.reportCount,
+  reasonCounts: moderationCase.reasonCounts,
+  lastReportedAt: moderationCase.lastReportedAt,
+  restoredAt: moderationCase.restoredAt,
+  warningsIssued: moderationCase.warningsIssued,
+  actions: moderationCase.actions,
+  createdAt: moderationCase.createdAt
+});
+
+// Report a post, message or Ask Society item
+const reportContent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { buildingId } = req.params;
+    const { contentType, contentId, reason, details } = req.body;
+    const userId = req.user.userId || req.user.id;
+
+    const content = await moderationService.findContent(contentType, contentId);
+    const described = content && moderationService.describeContent(contentType, content);
+    if (!content || String(described.buildingId) !== buildingId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    if (String(described.authorId) === String(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own content'
+      });
+    }
+
+    const result = await moderationService.report({ req, contentType, content, reason, details });
+
+    if (result.error === 'ALREADY_REPORTED') {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this content'
+      });
+    }
+    if (result.error === 'ALREADY_DELETED') {
+      return res.status(404).json({
+        success: false,
+        message: 'Content not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Content reported successfully. The building admin will review it.',
+      data: {
+        contentType,
+        contentId,
+        reason,
+        hidden: result.moderationCase.status === 'HIDDEN'
+      }
+    });
+
+  } catch (error) {
+    console.error('Report content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to report content',
+      error: error.message
+    });
+  }
+};
+
+// Admin moderation queue
+const getQueue = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { buildingId } = req.params;
+    const { status, contentType, page = 1, limit = 20 } = req.query;
+
+    const query = {
+      buildingId,
+      status: status ? { $in: status.split(',') } : { $in: ['PENDING', 'HIDDEN'] }
+    };
+    if (contentType) {
+      query.contentType = contentType;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [cases, total, statusCounts] = await Promise.all([
+      ModerationCase.find(query)
+        .populate('authorId', 'name flatNumber')
+        .sort({ reportCount: -1, lastReportedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ModerationCase.countDocuments(query),
+      ModerationCase.aggregate([
+        { $match: { buildingId: new mongoose.Types.ObjectId(buildingId) } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = { PENDING: 0, HIDDEN: 0, RESTORED: 0, DELETED: 0 };
+    statusCounts.forEach(({ _id, count }) => { counts[_id] = count; });
+
+    res.json({
+      success: true,
+      message: 'Moderation queue retrieved successfully',
+      data: {
+        cases: cases.map(formatCase),
+        statusCounts: counts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve moderation queue',
+      error: error.message
+    });
+  }
+};
+
+// Single case with its reports
+const getCase = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { buildingId, caseId } = req.params;
+
+    const moderationCase = await ModerationCase.findOne({ _id: caseId, buildingId })
+      .populate('authorId', 'name flatNumber');
+
+    if (!moderationCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Moderation case not found'
+      });
+    }
+
+    const reports = await ContentReport.find({ caseId: moderationCase._id })
+      .populate('reportedBy', 'name flatNumber')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'Moderation case retrieved successfully',
+      data: {
+        case: formatCase(moderationCase),
+        reports: reports.map(report => ({
+          id: report._id,
+          reason: report.reason,
+          details: report.details,
+          reportedBy: report.reportedBy ? {
+            id: report.reportedBy._id,
+            name: report.reportedBy.name,
+            flatNumber: report.reportedBy.flatNumber
+          } : null,
+          reportedAt: report.createdAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation case error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve moderation case',
+      error: error.message
+    });
+  }
+};
+
+// Shared handler for hide / restore / delete
+const decide = (decision, successMessage) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { buildingId, caseId } = req.params;
+    const { note } = req.body;
+
+    const moderationCase = await ModerationCase.findOne({ _id: caseId, buildingId });
+    if (!moderationCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Moderation case not found'
+      });
+    }
+
+    const updated = await moderationService.applyDecision({ req, moderationCase, decision, note });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: `Content cannot be changed while it is ${moderationCase.status.toLowerCase()}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: formatCase(updated)
+    });
+
+  } catch (error) {
+    console.error(`Moderation ${decision.toLowerCase()} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update content',
+      error: error.message
+    });
+  }
+};
+
+const hideContent = decide('HIDE', 'Content hidden successfully');
+const restoreContent = decide('RESTORE', 'Content restored successfully');
+const deleteContent = decide('DELETE', 'Content deleted successfully');
+
+// Warn the author of reported content
+const warnAuthor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { buildingId, caseId } = req.params;
+    const { note } = req.body;
+
+    const moderationCase = await ModerationCase.findOne({ _id: caseId, buildingId });
+    if (!moderationCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Moderation case not found'
+      });
+    }
+
+    const updated = await moderationService.warnAuthor({ req, moderationCase, note });
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'The author of this content is unknown'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Author warned successfully',
+      data: formatCase(updated)
+    });
+
+  } catch (error) {
+    console.error('Moderation warn error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to warn author',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  reportContent,
+  getQueue,
+  getCase,
+  hideContent,
+  restoreContent,
+  deleteContent,
+  warnAuthor
+};
@@ -3,8 +3,13 @@ const User = require('../models/User');
 const Building = require('../models/Building');
 const Visit = require('../models/Visit');
 const Visitor = require('../models/Visitor');
+const PreApproval = require('../models/PreApproval');
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const realtimeService = require('../services/realtimeService');
+const visitApprovalService = require('../services/visitApprovalService');
+const auditService = require('../services/auditService');
+const preApprovalQrService = require('../services/preApprovalQrService');
 
 /**
  * Notification Controller
@@ -108,6 +113,7 @@ const createNotification = async (req, res) => {
       isPersistent,
       metadata
     });
+    await realtimeService.publishNotification(notification);
 
     // Populate related data
     await notification.populate([
@@ -267,6 +273,26 @@ const getNotificationById = async (req, res) => {
   }
 };
 
+// Tell the reader's other devices which notifications were read and the new unread count
+const publishNotificationsRead = async (buildingId, userId, notificationIds) => {
+  const unreadCount = await Notification.countDocuments({
+    recipientId: userId,
+    buildingId,
+    deliveryStatus: { $ne: 'READ' },
+    $or: [
+      { expiresAt: { $exists: false } },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  });
+
+  await realtimeService.publish({
+    buildingId,
+    type: 'NOTIFICATIONS_READ',
+    userIds: [userId],
+    data: { notificationIds, unreadCount }
+  });
+};
+
 // Mark notification as read
 const markAsRead = async (req, res) => {
   try {
@@ -287,6 +313,7 @@ const markAsRead = async (req, res) => {
     }
 
     await notification.markAsRead(userId);
+    await publishNotificationsRead(buildingId, userId, [notification._id]);
 
     res.json({
       success: true,
@@ -333,6 +360,10 @@ const markMultipleAsRead = async (req, res) => {
       }
     );
 
+    if (result.modifiedCount > 0) {
+      await publishNotificationsRead(buildingId, userId, notificationIds);
+    }
+
     res.json({
       success: true,
       message: `${result.modifiedCount} notifications marked as read`,
@@ -351,6 +382,243 @@ const markMultipleAsRead = async (req, res) => {
   }
 };
 
+// Actions a recipient may take for each notification actionType
+const ALLOWED_ACTIONS = {
+  APPROVE: ['APPROVE', 'REJECT'],
+  REJECT: ['APPROVE', 'REJECT'],
+  ACKNOWLEDGE: ['ACKNOWLEDGE'],
+  RESPOND: ['RESPOND']
+};
+
+// Act on a notification (approve/reject the linked visit or pre-approval, acknowledge, respond)
+const takeAction = async (req, res) => {
+  try {
+    const { buildingId, notificationId } = req.params;
+    const { action, reason, response } = req.body;
+    const userId = req.user.id;
+
+    const notification = await Notification.findOne({
+      _id: notificationId,
+      recipientId: userId,
+      buildingId
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.actionRequired || notification.actionType === 'NONE') {
+      return res.status(400).json({
+        success: false,
+        message: 'This notification does not require an action'
+      });
+    }
+
+    if (notification.actionResolvedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'This request has already been responded to',
+        data: {
+          actionResponse: notification.actionResponse,
+          actionResolvedBy: notification.actionResolvedBy,
+          actionResolvedAt: notification.actionResolvedAt
+        }
+      });
+    }
+
+    const allowedActions = ALLOWED_ACTIONS[notification.actionType];
+    if (!allowedActions.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Action must be one of: ${allowedActions.join(', ')}`
+      });
+    }
+
+    if (action === 'RESPOND' && !response) {
+      return res.status(400).json({
+        success: false,
+        message: 'Response text is required'
+      });
+    }
+
+    const result = {};
+
+    if (action === 'APPROVE' || action === 'REJECT') {
+      if (notification.relatedVisitId) {
+        const visit = await Visit.findOne({ _id: notification.relatedVisitId, buildingId });
+        if (!visit) {
+          return res.status(404).json({
+            success: false,
+            message: 'Linked visit not found'
+          });
+        }
+
+        // Host, any flat member the request was fanned out to, or an escalation recipient
+        if (!visitApprovalService.isApprover(visit, userId)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Only the residents asked to approve this visit can respond to it'
+          });
+        }
+
+        const auditFields = ['approvalStatus', 'approvedBy', 'approvedAt', 'status', 'rejectionReason'];
+        const beforeSnapshot = auditService.snapshot(visit, auditFields);
+
+        const updatedVisit = await visitApprovalService.decideVisit({
+          visitId: visit._id,
+          decision: action,
+          userId,
+          reason
+        });
+
+        if (!updatedVisit) {
+          const current = await Visit.findById(visit._id).select('approvalStatus approvedBy approvedAt');
+          return res.status(409).json({
+            success: false,
+            message: `Visit has already been ${current.approvalStatus.toLowerCase()}`,
+            data: {
+              approvalStatus: current.approvalStatus,
+              approvedBy: current.approvedBy,
+              approvedAt: current.approvedAt
+            }
+          });
+        }
+
+        await auditService.record({
+          req,
+          action: action === 'APPROVE' ? 'VISIT_APPROVED' : 'VISIT_REJECTED',
+          buildingId,
+          entityType: 'VISIT',
+          entityId: updatedVisit._id,
+          entityLabel: updatedVisit.visitId,
+          before: beforeSnapshot,
+          after: auditService.snapshot(updatedVisit, auditFields),
+          metadata: { via: 'NOTIFICATION', notificationId: notification._id.toString() }
+        });
+
+        result.visit = {
+          _id: updatedVisit._id,
+          visitId: updatedVisit.visitId,
+          approvalStatus: updatedVisit.approvalStatus,
+          status: updatedVisit.status,
+          approvedBy: updatedVisit.approvedBy,
+          approvedAt: updatedVisit.approvedAt,
+          rejectionReason: updatedVisit.rejectionReason,
+          visitor: updatedVisit.visitorId
+        };
+      } else if (notification.relatedPreApprovalId) {
+        const preApproval = await PreApproval.findOne({
+          _id: notification.relatedPreApprovalId,
+          buildingId,
+          isDeleted: false
+        });
+        if (!preApproval) {
+          return res.status(404).json({
+            success: false,
+            message: 'Linked pre-approval not found'
+          });
+        }
+
+        if (preApproval.residentId.toString() !== userId.toString()) {
+          return res.status(403).json({
+            success: false,
+            message: 'Only the host of this pre-approval can respond to it'
+          });
+        }
+
+        const auditFields = ['status', 'approvedBy', 'approvedAt', 'rejectionReason'];
+        const beforeSnapshot = auditService.snapshot(preApproval, auditFields);
+
+        const updatedPreApproval = await visitApprovalService.decidePreApproval({
+          preApprovalId: preApproval._id,
+          decision: action,
+          userId,
+          reason
+        });
+
+        if (!updatedPreApproval) {
+          return res.status(409).json({
+            success: false,
+            message: `Pre-approval is already ${preApproval.status.toLowerCase()}`
+          });
+        }
+
+        await auditService.record({
+          req,
+          action: action === 'APPROVE' ? 'PRE_APPROVAL_APPROVED' : 'PRE_APPROVAL_REJECTED',
+          buildingId,
+          entityType: 'PRE_APPROVAL',
+          entityId: updatedPreApproval._id,
+          entityLabel: updatedPreApproval.visitorName,
+          before: beforeSnapshot,
+          after: auditService.snapshot(updatedPreApproval, auditFields),
+          metadata: { via: 'NOTIFICATION', notificationId: notification._id.toString() }
+        });
+
+        // Regenerate QR code with the new status
+        try {
+          await preApprovalQrService.regenerate(updatedPreApproval._id);
+        } catch (qrError) {
+          console.error('❌ Error regenerating QR code:', qrError);
+          // Don't fail the response if QR regeneration fails
+        }
+
+        result.preApproval = {
+          _id: updatedPreApproval._id,
+          status: updatedPreApproval.status,
+          approvedBy: updatedPreApproval.approvedBy,
+          approvedAt: updatedPreApproval.approvedAt,
+          rejectionReason: updatedPreApproval.rejectionReason
+        };
+      } else {
+        return res.status(400).json({
+          success: false,
+          message: 'Notification is not linked to a visit or pre-approval'
+        });
+      }
+
+      // Everyone else asked about this visit no longer needs to act
+      result.resolvedNotifications = await visitApprovalService.resolveActionNotifications({
+        buildingId,
+        visitId: notification.relatedVisitId,
+        preApprovalId: notification.relatedPreApprovalId,
+        response: action,
+        userId,
+        note: action === 'REJECT' ? reason : undefined
+      });
+    } else {
+      notification.actionResponse = action;
+      notification.actionNote = response;
+      notification.actionResolvedAt = new Date();
+      notification.actionResolvedBy = userId;
+      result.resolvedNotifications = 1;
+    }
+
+    await notification.markAsRead(userId);
+
+    res.json({
+      success: true,
+      message: 'Action completed successfully',
+      data: {
+        notificationId: notification._id,
+        action,
+        ...result
+      }
+    });
+
+  } catch (error) {
+    console.error('Take notification action error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete notification action',
+      error: error.message
+    });
+  }
+};
+
 // Get notification statistics
 const getNotificationStats = async (req, res) => {
   try {
@@ -674,6 +942,7 @@ module.exports = {
   getNotificationById,
   markAsRead,
   markMultipleAsRead,
+  takeAction,
   getNotificationStats,
   getUnreadCount,
   deleteNotification,
@@ -0,0 +1,502 @@
+const Parcel = require('../models/Parcel');
+const Visit = require('../models/Visit');
+const User = require('../models/User');
+const parcelService = require('../services/parcelService');
+const { validationResult } = require('express-validator');
+
+const STAFF_ROLES = ['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN'];
+
+/**
+ * Parcel Controller
+ * Handles parcels held at the gate: logging by guards, the flat's
+ * send up / keep / return choice, and OTP-verified collection
+ */
+class ParcelController {
+
+  /**
+   * Log a parcel received at the gate
+   * POST /api/parcels/:buildingId
+   */
+  static async logParcel(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { buildingId } = req.params;
+      const { flatNumber, blockNumber, courier, trackingNumber, description, photoId, visitId } = req.body;
+      const userId = req.user.userId || req.user.id;
+
+      if (visitId) {
+        const visit = await Visit.findOne({ _id: visitId, buildingId }).select('_id');
+        if (!visit) {
+          return res.status(404).json({
+            success: false,
+            message: 'Visit not found in this building'
+          });
+        }
+      }
+
+      const recipientIds = await parcelService.resolveRecipients(buildingId, flatNumber, blockNumber);
+      const otp = parcelService.generateOtp();
+
+      const parcel = await Parcel.create({
+        parcelId: parcelService.generateParcelId(),
+        buildingId,
+        flatNumber,
+        blockNumber,
+        recipientIds,
+        courier,
+        trackingNumber,
+        description,
+        photo: photoId,
+        visitId,
+        collectionOtp: { code: otp, attempts: 0 },
+        receivedBy: userId,
+        receivedByName: req.user.name,
+        custodyLog: [{ action: 'RECEIVED', performedBy: userId, performedByName: req.user.name }]
+      });
+
+      await parcelService.notifyFlat(parcel, {
+        title: 'Parcel at the Gate',
+        message: `A parcel from ${courier} has arrived for flat ${flatNumber}. Choose whether to send it up, keep it at the gate or return it. Pickup OTP: ${otp}`
+      });
+      await parcelService.publishParcelEvent('PARCEL_LOGGED', parcel);
+
+      res.status(201).json({
+        success: true,
+        message: recipientIds.length
+          ? 'Parcel logged and flat notified'
+          : 'Parcel logged. No registered residents found for this flat.',
+        data: {
+          parcel: parcelService.format(parcel),
+          recipientsNotified: recipientIds.length
+        }
+      });
+
+    } catch (error) {
+      console.error('Log parcel error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * List parcels: the whole building for staff, the user's own flat for residents
+   * GET /api/parcels/:buildingId
+   */
+  static async getParcels(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { buildingId } = req.params;
+      const { status, flatNumber, page = 1, limit = 20 } = req.query;
+      const userId = req.user.userId || req.user.id;
+
+      const query = { buildingId };
+      if (status) query.status = status;
+
+      if (STAFF_ROLES.includes(req.user.role)) {
+        if (flatNumber) query.flatNumber = flatNumber;
+      } else {
+        const user = await User.findById(userId).select('flatNumber');
+        query.$or = [{ recipientIds: userId }];
+        if (user && user.flatNumber) query.$or.push({ flatNumber: user.flatNumber });
+      }
+
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const [parcels, total] = await Promise.all([
+        Parcel.find(query)
+          .populate('photo', 'url thumbnail')
+          .sort({ receivedAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit)),
+        Parcel.countDocuments(query)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          parcels: parcels.map(parcel => parcelService.format(parcel)),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / parseInt(limit)),
+            totalItems: total,
+            itemsPerPage: parseInt(limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get parcels error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Load a parcel the current user may see (staff, or a member of its flat).
+   * Sends the error response and returns null otherwise.
+   */
+  static async findAccessibleParcel(req, res, select) {
+    const { buildingId, parcelId } = req.params;
+    const userId = req.user.userId || req.user.id;
+
+    const query = Parcel.findOne({ _id: parcelId, buildingId });
+    if (select) query.select(select);
+    const parcel = await query;
+
+    if (!parcel || (!STAFF_ROLES.includes(req.user.role) && !await parcelService.isFlatMember(parcel, userId))) {
+      res.status(404).json({
+        success: false,
+        message: 'Parcel not found'
+      });
+      return null;
+    }
+
+    return parcel;
+  }
+
+  /**
+   * Get a parcel; the flat also sees the pickup OTP while it is at the gate
+   * GET /api/parcels/:buildingId/:parcelId
+   */
+  static async getParcelById(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const parcel = await ParcelController.findAccessibleParcel(req, res, '+collectionOtp.code');
+      if (!parcel) return;
+
+      await parcel.populate('photo', 'url thumbnail');
+
+      const showOtp = req.user.role === 'RESIDENT' && parcel.status === 'AT_GATE';
+
+      res.status(200).json({
+        success: true,
+        data: {
+          parcel: parcelService.format(parcel, showOtp ? { otp: parcel.collectionOtp.code } : {})
+        }
+      });
+
+    } catch (error) {
+      console.error('Get parcel error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Tell the gate to send the parcel up, keep it or return it
+   * PATCH /api/parcels/:buildingId/:parcelId/instruction
+   */
+  static async setInstruction(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { instruction, note } = req.body;
+      const userId = req.user.userId || req.user.id;
+
+      const parcel = await ParcelController.findAccessibleParcel(req, res);
+      if (!parcel) return;
+
+      const updated = await Parcel.findOneAndUpdate(
+        { _id: parcel._id, status: 'AT_GATE' },
+        {
+          $set: { instruction, instructionAt: new Date(), instructionBy: userId },
+          $push: {
+            custodyLog: {
+              action: 'INSTRUCTION_SET',
+              performedBy: userId,
+              performedByName: req.user.name,
+              note: note || `Asked the gate to ${parcelService.instructionLabel(instruction)}`
+            }
+          }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: `Parcel has already been ${parcel.status.toLowerCase()}`
+        });
+      }
+
+      await parcelService.publishParcelEvent('PARCEL_INSTRUCTION_SET', updated);
+
+      res.status(200).json({
+        success: true,
+        message: `The gate will ${parcelService.instructionLabel(instruction)}`,
+        data: {
+          parcel: parcelService.format(updated)
+        }
+      });
+
+    } catch (error) {
+      console.error('Set parcel instruction error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Issue a new pickup OTP (e.g. after too many wrong attempts)
+   * POST /api/parcels/:buildingId/:parcelId/otp
+   */
+  static async regenerateOtp(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const userId = req.user.userId || req.user.id;
+
+      const parcel = await ParcelController.findAccessibleParcel(req, res);
+      if (!parcel) return;
+
+      const otp = parcelService.generateOtp();
+      const updated = await Parcel.findOneAndUpdate(
+        { _id: parcel._id, status: 'AT_GATE' },
+        {
+          $set: { 'collectionOtp.code': otp, 'collectionOtp.attempts': 0 },
+          $push: { custodyLog: { action: 'OTP_REGENERATED', performedBy: userId, performedByName: req.user.name } }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: `Parcel has already been ${parcel.status.toLowerCase()}`
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'New pickup OTP generated',
+        data: {
+          parcel: parcelService.format(updated, { otp })
+        }
+      });
+
+    } catch (error) {
+      console.error('Regenerate parcel OTP error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Hand the parcel over against the flat's OTP
+   * POST /api/parcels/:buildingId/:parcelId/collect
+   */
+  static async collectParcel(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { otp, collectedByName } = req.body;
+      const userId = req.user.userId || req.user.id;
+
+      const parcel = await ParcelController.findAccessibleParcel(req, res);
+      if (!parcel) return;
+
+      if (parcel.status !== 'AT_GATE') {
+        return res.status(409).json({
+          success: false,
+          message: `Parcel has already been ${parcel.status.toLowerCase()}`
+        });
+      }
+
+      const otpResult = await parcelService.verifyOtp(parcel, otp);
+      if (otpResult === 'LOCKED') {
+        return res.status(429).json({
+          success: false,
+          message: 'Too many wrong OTPs. Ask the resident to generate a new one.'
+        });
+      }
+      if (otpResult === 'INVALID') {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid OTP'
+        });
+      }
+
+      const now = new Date();
+      const updated = await Parcel.findOneAndUpdate(
+        { _id: parcel._id, status: 'AT_GATE' },
+        {
+          $set: {
+            status: 'COLLECTED',
+            collectedAt: now,
+            collectionRecordedBy: userId,
+            collectedByName
+          },
+          $push: {
+            custodyLog: {
+              action: 'COLLECTED',
+              performedBy: userId,
+              performedByName: req.user.name,
+              note: collectedByName ? `Handed over to ${collectedByName}` : undefined,
+              at: now
+            }
+          }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'Parcel is no longer at the gate'
+        });
+      }
+
+      await parcelService.notifyFlat(updated, {
+        title: 'Parcel Collected',
+        message: `Your parcel from ${updated.courier} was collected${collectedByName ? ` by ${collectedByName}` : ''}`,
+        priority: 'LOW'
+      });
+      await parcelService.publishParcelEvent('PARCEL_COLLECTED', updated);
+
+      res.status(200).json({
+        success: true,
+        message: 'Parcel collected successfully',
+        data: {
+          parcel: parcelService.format(updated)
+        }
+      });
+
+    } catch (error) {
+      console.error('Collect parcel error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Record that the parcel went back to the courier
+   * POST /api/parcels/:buildingId/:parcelId/return
+   */
+  static async returnParcel(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { reason } = req.body;
+      const userId = req.user.userId || req.user.id;
+
+      const parcel = await ParcelController.findAccessibleParcel(req, res);
+      if (!parcel) return;
+
+      const returnReason = reason || (parcel.instruction === 'RETURN' ? 'Returned at the resident\'s request' : undefined);
+      const now = new Date();
+
+      const updated = await Parcel.findOneAndUpdate(
+        { _id: parcel._id, status: 'AT_GATE' },
+        {
+          $set: { status: 'RETURNED', returnedAt: now, returnedBy: userId, returnReason },
+          $push: {
+            custodyLog: { action: 'RETURNED', performedBy: userId, performedByName: req.user.name, note: returnReason, at: now }
+          }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: `Parcel has already been ${parcel.status.toLowerCase()}`
+        });
+      }
+
+      await parcelService.notifyFlat(updated, {
+        title: 'Parcel Returned',
+        message: `Your parcel from ${updated.courier} was returned to the courier${returnReason ? `: ${returnReason}` : ''}`.substring(0, 500),
+        priority: 'LOW'
+      });
+      await parcelService.publishParcelEvent('PARCEL_RETURNED', updated);
+
+      res.status(200).json({
+        success: true,
+        message: 'Parcel marked as returned',
+        data: {
+          parcel: parcelService.format(updated)
+        }
+      });
+
+    } catch (error) {
+      console.error('Return parcel error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+}
+
+module.exports = ParcelController;
@@ -1,12 +1,43 @@
 const Pass = require('../models/Pass');
 const Building = require('../models/Building');
 const QRCode = require('qrcode');
+const qrTokenService = require('../services/qrTokenService');
+const passService = require('../services/passService');
+const auditService = require('../services/auditService');
+const blacklistService = require('../services/blacklistService');
 
 /**
  * Pass Controller
  * Handles visitor pass creation and management
  */
 
+// Helper function to (re)generate a pass QR code
+const generatePassQR = async (pass) => {
+  // The QR image only carries a signed reference valid until the pass ends;
+  // details are looked up at the gate
+  const qrCodeString = qrTokenService.sign({
+    type: 'PASS',
+    id: pass._id,
+    expiresAt: passService.endOfDay(pass.endingDate)
+  });
+  const qrCodeImage = await QRCode.toDataURL(qrCodeString);
+
+  pass.qrCodeData = undefined;
+  pass.qrCodeString = qrCodeString;
+  pass.qrCodeImage = qrCodeImage;
+
+  await pass.save();
+};
+
+// Helper function to shape a pass for responses (same format as getPasses)
+const formatPass = (pass, buildingId) => ({
+  ...pass.toObject(),
+  qrCode: {
+    string: pass.qrCodeString,
+    imageUrl: pass.qrCodeImage ? `/api/pass/${buildingId}/${pass._id}/qr-image` : null
+  }
+});
+
 // Create a new visitor pass
 const createPass = async (req, res) => {
   try {
@@ -56,46 +87,7 @@ const createPass = async (req, res) => {
 
     // Generate QR code (same as pre-approval system)
     try {
-      // Create lightweight QR code data for scanning
-      const qrCodeData = {
-        type: 'VISITOR_PASS',
-        passId: pass._id,
-        name: pass.name,
-        email: pass.email,
-        phoneNumber: pass.phoneNumber,
-        reasonForVisit: pass.reasonForVisit,
-        startingDate: pass.startingDate,
-        endingDate: pass.endingDate,
-        buildingId: pass.buildingId._id,
-        buildingName: pass.buildingId.name,
-        status: pass.status,
-        timestamp: Date.now()
-      };
-
-      // Create UI-friendly display data
-      const displayData = {
-        type: 'Visitor Pass',
-        visitorName: pass.name,
-        email: pass.email,
-        phoneNumber: pass.phoneNumber,
-        reason: pass.reasonForVisit,
-        startDate: new Date(pass.startingDate).toLocaleDateString(),
-        endDate: new Date(pass.endingDate).toLocaleDateString(),
-        checkInTime: pass.checkInTime,
-        buildingName: pass.buildingId.name,
-        status: pass.status
-      };
-
-      // Generate QR code string and image
-      const qrCodeString = JSON.stringify(qrCodeData);
-      const qrCodeImage = await QRCode.toDataURL(qrCodeString);
-
-      // Update pass with QR code data
-      pass.qrCodeData = JSON.stringify({ ...qrCodeData, displayData });
-      pass.qrCodeString = qrCodeString;
-      pass.qrCodeImage = qrCodeImage;
-      
-      await pass.save();
+      await generatePassQR(pass);
     } catch (qrError) {
       console.error('QR code generation error:', qrError);
       // Continue without QR code if generation fails
@@ -107,7 +99,6 @@ const createPass = async (req, res) => {
       data: {
         ...pass.toObject(),
         qrCode: {
-          data: pass.qrCodeData ? JSON.parse(pass.qrCodeData) : null,
           string: pass.qrCodeString,
           imageUrl: pass.qrCodeImage ? `/api/pass/${buildingId}/${pass._id}/qr-image` : null
         }
@@ -193,7 +184,6 @@ const getPasses = async (req, res) => {
     const passesWithQR = passes.map(pass => ({
       ...pass.toObject(),
       qrCode: {
-        data: pass.qrCodeData ? JSON.parse(pass.qrCodeData) : null,
         string: pass.qrCodeString,
         imageUrl: pass.qrCodeImage ? `/api/pass/${buildingId}/${pass._id}/qr-image` : null
       }
@@ -308,7 +298,6 @@ const getPassById = async (req, res) => {
     const passWithQR = {
       ...pass.toObject(),
       qrCode: {
-        data: pass.qrCodeData ? JSON.parse(pass.qrCodeData) : null,
         string: pass.qrCodeString,
         imageUrl: pass.qrCodeImage ? `/api/pass/${buildingId}/${pass._id}/qr-image` : null
       }
@@ -330,9 +319,290 @@ const getPassById = async (req, res) => {
   }
 };
 
+// Helper function to apply a conditional status change and report why it did not apply
+const transitionPass = async ({ buildingId, passId, fromStatuses, update }) => {
+  const pass = await Pass.findOneAndUpdate(
+    { _id: passId, buildingId, isDeleted: false, status: { $in: fromStatuses } },
+    update,
+    { new: true }
+  );
+  if (pass) return { pass };
+
+  const current = await Pass.findOne({ _id: passId, buildingId, isDeleted: false }).select('status');
+  return { current };
+};
+
+// Approve a pending visitor pass (Admin)
+const approvePass = async (req, res) => {
+  try {
+    const { buildingId, passId } = req.params;
+    const userId = req.user.userId;
+
+    const { pass, current } = await transitionPass({
+      buildingId,
+      passId,
+      fromStatuses: ['PENDING'],
+      update: { $set: { status: 'APPROVED', approvedBy: userId, approvedAt: new Date() } }
+    });
+
+    if (!pass) {
+      return res.status(current ? 409 : 404).json({
+        success: false,
+        message: current ? `Visitor pass is already ${current.status.toLowerCase()}` : 'Visitor pass not found'
+      });
+    }
+
+    await auditService.record({
+      req,
+      action: 'PASS_APPROVED',
+      buildingId,
+      entityType: 'PASS',
+      entityId: pass._id,
+      entityLabel: pass.name,
+      before: { status: 'PENDING' },
+      after: { status: 'APPROVED' }
+    });
+
+    res.json({
+      success: true,
+      message: 'Visitor pass approved successfully',
+      data: formatPass(pass, buildingId)
+    });
+
+  } catch (error) {
+    console.error('Approve pass error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to approve visitor pass',
+      error: error.message
+    });
+  }
+};
+
+// Cancel a visitor pass that has not ended yet (Admin)
+const cancelPass = async (req, res) => {
+  try {
+    const { buildingId, passId } = req.params;
+    const userId = req.user.userId;
+    const { reason } = req.body;
+
+    const before = await Pass.findOne({ _id: passId, buildingId, isDeleted: false }).select('status');
+
+    const { pass, current } = await transitionPass({
+      buildingId,
+      passId,
+      fromStatuses: ['PENDING', 'APPROVED', 'ACTIVE'],
+      update: {
+        $set: {
+          status: 'CANCELLED',
+          cancelledBy: userId,
+          cancelledAt: new Date(),
+          cancellationReason: reason
+        }
+      }
+    });
+
+    if (!pass) {
+      return res.status(current ? 409 : 404).json({
+        success: false,
+        message: current ? `Visitor pass is already ${current.status.toLowerCase()}` : 'Visitor pass not found'
+      });
+    }
+
+    await auditService.record({
+      req,
+      action: 'PASS_CANCELLED',
+      buildingId,
+      entityType: 'PASS',
+      entityId: pass._id,
+      entityLabel: pass.name,
+      before: { status: before ? before.status : undefined },
+      after: { status: 'CANCELLED' },
+      metadata: reason ? { reason } : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Visitor pass cancelled successfully',
+      data: formatPass(pass, buildingId)
+    });
+
+  } catch (error) {
+    console.error('Cancel pass error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel visitor pass',
+      error: error.message
+    });
+  }
+};
+
+// Extend a visitor pass to a later ending date (Admin); expired passes become usable again
+const extendPass = async (req, res) => {
+  try {
+    const { buildingId, passId } = req.params;
+    const endingDate = new Date(req.body.endingDate);
+
+    const pass = await Pass.findOne({ _id: passId, buildingId, isDeleted: false })
+      .populate('buildingId', 'name address.city');
+
+    if (!pass) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visitor pass not found'
+      });
+    }
+
+    if (pass.status === 'CANCELLED') {
+      return res.status(409).json({
+        success: false,
+        message: 'A cancelled visitor pass cannot be extended'
+      });
+    }
+
+    if (endingDate <= pass.endingDate || endingDate < passService.startOfDay(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'New ending date must be after the current ending date and not in the past'
+      });
+    }
+
+    const before = { status: pass.status, endingDate: pass.endingDate };
+
+    pass.endingDate = endingDate;
+    if (pass.status === 'EXPIRED') {
+      pass.status = pass.entryCount > 0 ? 'ACTIVE' : 'APPROVED';
+    }
+    await pass.save();
+
+    // The QR code carries the expiry, so it has to be re-issued
+    await generatePassQR(pass);
+
+    await auditService.record({
+      req,
+      action: 'PASS_EXTENDED',
+      buildingId,
+      entityType: 'PASS',
+      entityId: pass._id,
+      entityLabel: pass.name,
+      before,
+      after: { status: pass.status, endingDate: pass.endingDate }
+    });
+
+    res.json({
+      success: true,
+      message: 'Visitor pass extended successfully',
+      data: formatPass(pass, buildingId)
+    });
+
+  } catch (error) {
+    console.error('Extend pass error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to extend visitor pass',
+      error: error.message
+    });
+  }
+};
+
+// Scan a visitor pass at the gate: validate its dates and log the entry (Security/Admin)
+const scanPass = async (req, res) => {
+  try {
+    const { buildingId } = req.params;
+    const { qrCode, notes } = req.body;
+    let { passId } = req.body;
+
+    if (qrCode) {
+      const verifiedToken = await qrTokenService.verifyCode(qrCode);
+      if (!verifiedToken.valid) {
+        return res.status(400).json({
+          success: false,
+          message: verifiedToken.message
+        });
+      }
+      if (verifiedToken.type !== 'PASS') {
+        return res.status(400).json({
+          success: false,
+          message: 'QR code is not a visitor pass'
+        });
+      }
+      passId = verifiedToken.id;
+    }
+
+    const pass = await Pass.findOne({ _id: passId, buildingId, isDeleted: false });
+    if (!pass) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visitor pass not found'
+      });
+    }
+
+    const entryError = passService.checkEntry(pass);
+    if (entryError) {
+      return res.status(400).json({
+        success: false,
+        message: entryError,
+        data: { status: pass.status, startingDate: pass.startingDate, endingDate: pass.endingDate }
+      });
+    }
+
+    const blacklistMatch = await blacklistService.findMatch({ buildingId, phoneNumber: pass.phoneNumber });
+    if (blacklistMatch) {
+      await blacklistService.reportBlockedAttempt({
+        buildingId,
+        match: blacklistMatch,
+        visitorName: pass.name,
+        context: 'PASS_SCAN'
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'Visitor is blacklisted and cannot be allowed entry',
+        data: { reason: blacklistMatch.reason }
+      });
+    }
+
+    const updated = await passService.recordEntry({ pass, req, notes });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Visitor pass is no longer valid'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Visitor pass validated and entry logged',
+      data: {
+        id: updated._id,
+        name: updated.name,
+        phoneNumber: updated.phoneNumber,
+        reasonForVisit: updated.reasonForVisit,
+        startingDate: updated.startingDate,
+        endingDate: updated.endingDate,
+        checkInTime: updated.checkInTime,
+        status: updated.status,
+        entryCount: updated.entryCount,
+        lastEntryAt: updated.lastEntryAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Scan pass error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to scan visitor pass',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   createPass,
   getPasses,
   getPassById,
-  getQRCodeImage
+  getQRCodeImage,
+  approvePass,
+  cancelPass,
+  extendPass,
+  scanPass
 };
@@ -1,7 +1,8 @@
 const Post = require('../models/Post');
 const User = require('../models/User');
 const BlockedUser = require('../models/BlockedUser');
-const { uploadMultipleToS3, isS3Configured, deleteFromS3 } = require('../services/s3Service');
+const { uploadMultipleToS3, isS3Configured } = require('../services/s3Service');
+const postService = require('../services/postService');
 const path = require('path');
 
 // Helper function to process images and convert disk paths to URLs
@@ -273,9 +274,10 @@ const getAllPosts = async (req, res) => {
 
     console.log('Blocked data:', { blockedUserIds, blockedPostIds });
 
-    // Build query to exclude posts from blocked users and blocked posts
+    // Build query to exclude posts from blocked users, blocked posts and moderated posts
     const query = {
-      building: buildingId
+      building: buildingId,
+      isHidden: { $ne: true }
     };
 
     // If user has blocked users, exclude their posts
@@ -426,35 +428,9 @@ const deletePost = async (req, res) => {
 
     console.log('Authorization successful - proceeding with deletion');
 
-    // Handle file deletion based on storage type
-    if (post.images && post.images.length > 0) {
-      const fs = require('fs');
-      
-      // Delete files from their respective storage locations
-      for (const img of post.images) {
-        if (img.storage === 's3' && img.s3Key) {
-          // Delete from S3
-          try {
-            await deleteFromS3(img.s3Key);
-            console.log(`✅ Deleted S3 object: ${img.s3Key}`);
-          } catch (s3Error) {
-            console.error(`❌ Failed to delete S3 object ${img.s3Key}:`, s3Error);
-            // Continue deletion even if S3 delete fails
-          }
-        } else if (img.storage === 'disk' && img.path) {
-          // Delete file from disk (traditional servers only)
-          if (fs.existsSync(img.path)) {
-            fs.unlinkSync(img.path);
-            console.log(`✅ Deleted disk file: ${img.path}`);
-          }
-        }
-        // Memory storage files are automatically removed when post is deleted from database
-      }
-    }
-
-    // Delete the post
+    // Delete the post with its images, comments and reactions
     console.log('Deleting post from database...');
-    await Post.findByIdAndDelete(postId);
+    await postService.deletePost(post);
 
     const deleteTotalTime = Date.now() - deleteStartTime;
     console.log(`=== deletePost completed in ${deleteTotalTime}ms ===`);
@@ -483,7 +459,13 @@ const getPostById = async (req, res) => {
     const post = await Post.findById(postId)
       .populate('building', 'name address');
 
-    if (!post) {
+    // Posts hidden by moderation stay visible to their author and admins only
+    const canSeeHidden = post && (
+      post.author._id.toString() === req.user.id.toString() ||
+      ['BUILDING_ADMIN', 'SUPER_ADMIN'].includes(req.user.role)
+    );
+
+    if (!post || (post.isHidden && !canSeeHidden)) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
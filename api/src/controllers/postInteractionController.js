@@ -0,0 +1,457 @@
+const Post = require('../models/Post');
+const PostComment = require('../models/PostComment');
+const PostReaction = require('../models/PostReaction');
+const User = require('../models/User');
+const BlockedUser = require('../models/BlockedUser');
+const mongoose = require('mongoose');
+
+const REACTION_TYPES = PostReaction.schema.path('reaction').enumValues;
+
+// Emoji shown for each reaction type
+const REACTION_EMOJI = {
+  LIKE: '👍',
+  LOVE: '❤️',
+  LAUGH: '😂',
+  WOW: '😮',
+  SAD: '😢',
+  PRAY: '🙏'
+};
+
+const MODERATOR_ROLES = ['BUILDING_ADMIN', 'SUPER_ADMIN'];
+
+const isModerator = (req) => MODERATOR_ROLES.includes(req.user.role);
+
+// Load a post the current user can see: same building, not hidden by moderation
+// (except for admins), and neither the post nor its author blocked by them.
+// Sends the error response and returns null otherwise.
+const loadVisiblePost = async (req, res) => {
+  const postId = req.params.id;
+  const userId = req.user.id;
+  const buildingId = req.user.buildingId;
+
+  if (!mongoose.Types.ObjectId.isValid(postId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid post ID format'
+    });
+    return null;
+  }
+
+  const post = await Post.findById(postId).select('author building isHidden commentCount reactionCounts');
+  if (!post ||
+    (req.user.role !== 'SUPER_ADMIN' && post.building.toString() !== String(buildingId)) ||
+    (post.isHidden && !isModerator(req))) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+    return null;
+  }
+
+  const blocks = await BlockedUser.find({
+    blockerId: userId,
+    buildingId: post.building
+  }).select('blockedUserId blockedPostId blockType');
+
+  const blockedUserIds = blocks
+    .filter(block => block.blockType === 'USER')
+    .map(block => block.blockedUserId.toString());
+
+  const postBlocked = blocks.some(block => block.blockType === 'POST' && block.blockedPostId.toString() === postId);
+  if (postBlocked || blockedUserIds.includes(post.author._id.toString())) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+    return null;
+  }
+
+  return { post, blockedUserIds };
+};
+
+const formatComment = (comment, req, post) => ({
+  _id: comment._id,
+  content: comment.content,
+  author: {
+    _id: comment.author._id,
+    name: comment.author.name
+  },
+  parentComment: comment.parentComment,
+  replyCount: comment.replyCount,
+  createdAt: comment.createdAt,
+  canDelete: comment.author._id.toString() === req.user.id.toString() ||
+    post.author._id.toString() === req.user.id.toString() ||
+    isModerator(req)
+});
+
+const formatReactions = (post, myReaction) => ({
+  counts: REACTION_TYPES.map(type => ({
+    reaction: type,
+    emoji: REACTION_EMOJI[type],
+    count: (post.reactionCounts && post.reactionCounts[type]) || 0
+  })),
+  total: REACTION_TYPES.reduce((sum, type) => sum + ((post.reactionCounts && post.reactionCounts[type]) || 0), 0),
+  myReaction: myReaction || null
+});
+
+// Get comments on a post, each with its replies (comments by blocked users are hidden)
+const getComments = async (req, res) => {
+  try {
+    const loaded = await loadVisiblePost(req, res);
+    if (!loaded) return;
+    const { post, blockedUserIds } = loaded;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const query = {
+      post: post._id,
+      parentComment: null,
+      isDeleted: false
+    };
+    if (blockedUserIds.length > 0) {
+      query['author._id'] = { $nin: blockedUserIds };
+    }
+
+    const totalComments = await PostComment.countDocuments(query);
+    const comments = await PostComment.find(query)
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const replyQuery = {
+      parentComment: { $in: comments.map(comment => comment._id) },
+      isDeleted: false
+    };
+    if (blockedUserIds.length > 0) {
+      replyQuery['author._id'] = { $nin: blockedUserIds };
+    }
+    const replies = await PostComment.find(replyQuery).sort({ createdAt: 1 });
+
+    const totalPages = Math.ceil(totalComments / limit);
+
+    res.status(200).json({
+      success: true,
+      comments: comments.map(comment => ({
+        ...formatComment(comment, req, post),
+        replies: replies
+          .filter(reply => reply.parentComment.toString() === comment._id.toString())
+          .map(reply => formatComment(reply, req, post))
+      })),
+      commentCount: post.commentCount,
+      pagination: {
+        currentPage: page,
+        totalPages: totalPages,
+        totalComments: totalComments,
+        hasNext: page < totalPages,
+        hasPrev: page > 1,
+        limit: limit
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching comments',
+      error: error.message
+    });
+  }
+};
+
+// Comment on a post, or reply to a top-level comment
+const addComment = async (req, res) => {
+  try {
+    const { content, parentCommentId } = req.body;
+    const userId = req.user.id;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment is required'
+      });
+    }
+
+    if (content.trim().length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment cannot exceed 500 characters'
+      });
+    }
+
+    const loaded = await loadVisiblePost(req, res);
+    if (!loaded) return;
+    const { post, blockedUserIds } = loaded;
+
+    let parentComment = null;
+    if (parentCommentId) {
+      if (!mongoose.Types.ObjectId.isValid(parentCommentId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid parent comment ID format'
+        });
+      }
+
+      const parent = await PostComment.findOne({
+        _id: parentCommentId,
+        post: post._id,
+        isDeleted: false
+      });
+
+      if (!parent || blockedUserIds.includes(parent.author._id.toString())) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+
+      // Replies to a reply join the same thread
+      parentComment = parent.parentComment || parent._id;
+    }
+
+    const user = await User.findById(userId).select('name email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const comment = await PostComment.create({
+      post: post._id,
+      building: post.building,
+      parentComment,
+      author: {
+        _id: user._id,
+        name: user.name,
+        email: user.email
+      },
+      content: content.trim()
+    });
+
+    await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+    if (parentComment) {
+      await PostComment.updateOne({ _id: parentComment }, { $inc: { replyCount: 1 } });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: parentComment ? 'Reply added successfully' : 'Comment added successfully',
+      comment: formatComment(comment, req, post)
+    });
+
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding comment',
+      error: error.message
+    });
+  }
+};
+
+// Delete a comment (its author, the post author, or an admin).
+// Deleting a top-level comment removes its replies too.
+const deleteComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const userId = req.user.id;
+
+    const loaded = await loadVisiblePost(req, res);
+    if (!loaded) return;
+    const { post } = loaded;
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment ID format'
+      });
+    }
+
+    const comment = await PostComment.findOne({
+      _id: commentId,
+      post: post._id,
+      isDeleted: false
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const canDelete = comment.author._id.toString() === userId.toString() ||
+      post.author._id.toString() === userId.toString() ||
+      isModerator(req);
+
+    if (!canDelete) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own comments or comments on your posts'
+      });
+    }
+
+    const deletion = { isDeleted: true, deletedAt: new Date(), deletedBy: userId };
+
+    const result = await PostComment.updateOne({ _id: comment._id, isDeleted: false }, { $set: deletion });
+    let removed = result.modifiedCount;
+
+    if (removed && comment.parentComment) {
+      await PostComment.updateOne({ _id: comment.parentComment }, { $inc: { replyCount: -1 } });
+    } else if (removed) {
+      const replies = await PostComment.updateMany(
+        { parentComment: comment._id, isDeleted: false },
+        { $set: deletion }
+      );
+      removed += replies.modifiedCount;
+    }
+
+    if (removed) {
+      await Post.updateOne({ _id: post._id }, { $inc: { commentCount: -removed } });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Comment deleted successfully',
+      deletedCount: removed
+    });
+
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting comment',
+      error: error.message
+    });
+  }
+};
+
+// Get reaction counts for a post and the current user's reaction
+const getReactions = async (req, res) => {
+  try {
+    const loaded = await loadVisiblePost(req, res);
+    if (!loaded) return;
+    const { post } = loaded;
+
+    const mine = await PostReaction.findOne({ post: post._id, user: req.user.id }).select('reaction');
+
+    res.status(200).json({
+      success: true,
+      reactions: formatReactions(post, mine && mine.reaction)
+    });
+
+  } catch (error) {
+    console.error('Error fetching reactions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reactions',
+      error: error.message
+    });
+  }
+};
+
+// React to a post, replacing any earlier reaction by the same user
+const setReaction = async (req, res) => {
+  try {
+    const { reaction } = req.body;
+    const userId = req.user.id;
+
+    if (!REACTION_TYPES.includes(reaction)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reaction must be one of: ${REACTION_TYPES.join(', ')}`
+      });
+    }
+
+    const loaded = await loadVisiblePost(req, res);
+    if (!loaded) return;
+    const { post } = loaded;
+
+    let previous;
+    try {
+      previous = await PostReaction.findOneAndUpdate(
+        { post: post._id, user: userId },
+        { $set: { reaction }, $setOnInsert: { building: post.building } },
+        { upsert: true, new: false }
+      );
+    } catch (error) {
+      // Concurrent first reaction from the same user: the other request inserted it
+      if (error.code !== 11000) throw error;
+      previous = await PostReaction.findOneAndUpdate(
+        { post: post._id, user: userId },
+        { $set: { reaction } },
+        { new: false }
+      );
+    }
+
+    const inc = {};
+    if (!previous) {
+      inc[`reactionCounts.${reaction}`] = 1;
+    } else if (previous.reaction !== reaction) {
+      inc[`reactionCounts.${reaction}`] = 1;
+      inc[`reactionCounts.${previous.reaction}`] = -1;
+    }
+
+    const updated = Object.keys(inc).length
+      ? await Post.findByIdAndUpdate(post._id, { $inc: inc }, { new: true }).select('reactionCounts')
+      : post;
+
+    res.status(200).json({
+      success: true,
+      message: 'Reaction saved successfully',
+      reactions: formatReactions(updated, reaction)
+    });
+
+  } catch (error) {
+    console.error('Error saving reaction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error saving reaction',
+      error: error.message
+    });
+  }
+};
+
+// Remove the current user's reaction from a post
+const removeReaction = async (req, res) => {
+  try {
+    const loaded = await loadVisiblePost(req, res);
+    if (!loaded) return;
+    const { post } = loaded;
+
+    const removed = await PostReaction.findOneAndDelete({ post: post._id, user: req.user.id });
+
+    const updated = removed
+      ? await Post.findByIdAndUpdate(
+        post._id,
+        { $inc: { [`reactionCounts.${removed.reaction}`]: -1 } },
+        { new: true }
+      ).select('reactionCounts')
+      : post;
+
+    res.status(200).json({
+      success: true,
+      message: removed ? 'Reaction removed successfully' : 'No reaction to remove',
+      reactions: formatReactions(updated, null)
+    });
+
+  } catch (error) {
+    console.error('Error removing reaction:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing reaction',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  addComment,
+  deleteComment,
+  getReactions,
+  setReaction,
+  removeReaction
+};
@@ -4,6 +4,11 @@ const Visitor = require('../models/Visitor');
 const Visit = require('../models/Visit');
 const User = require('../models/User');
 const QRCode = require('qrcode');
+const auditService = require('../services/auditService');
+const blacklistService = require('../services/blacklistService');
+const preApprovalScheduleService = require('../services/preApprovalScheduleService');
+const preApprovalQrService = require('../services/preApprovalQrService');
+const qrTokenService = require('../services/qrTokenService');
 
 // Helper function to create visitor from pre-approval data
 const createVisitorFromPreApproval = async (preApproval) => {
@@ -64,6 +69,13 @@ const createVisitFromPreApproval = async (preApproval, visitor) => {
     });
 
     await visit.save();
+
+    // Recurring passes: this visit covers the first day and its QR code lasts until the end date
+    if (preApproval.isRecurring) {
+      const timeZone = await Building.getTimeZone(preApproval.buildingId);
+      preApprovalScheduleService.applyToFirstVisit(visit, preApproval, timeZone);
+      await visit.save();
+    }
     console.log('✅ Visit created from pre-approval:', visit._id);
     console.log('✅ QR Code generated:', visit.qrCode);
 
@@ -74,93 +86,12 @@ const createVisitFromPreApproval = async (preApproval, visitor) => {
   }
 };
 
-// Helper function to regenerate QR code for pre-approval
-const regeneratePreApprovalQR = async (preApprovalId) => {
-  try {
-    console.log('🔄 Regenerating QR code for pre-approval:', preApprovalId);
-    
-    const preApproval = await PreApproval.findById(preApprovalId);
-    if (!preApproval) {
-      throw new Error('Pre-approval not found');
-    }
-
-    const visit = await Visit.findOne({ preApprovalId: preApproval._id });
-    if (!visit) {
-      throw new Error('Visit not found for pre-approval');
-    }
-
-    // Save old QR to history (if exists)
-    if (preApproval.qrCodeData && preApproval.qrCodeString && preApproval.qrCodeImage) {
-      preApproval.qrCodeHistory.push({
-        qrCodeData: preApproval.qrCodeData,
-        qrCodeString: preApproval.qrCodeString,
-        qrCodeImage: preApproval.qrCodeImage,
-        generatedAt: new Date(),
-        status: preApproval.status
-      });
-      console.log('✅ Old QR saved to history');
-    }
-
-    // Generate new QR with current status
-    const qrCodeData = {
-      type: 'PRE_APPROVAL',
-      preApprovalId: preApproval._id.toString(),
-      visitId: visit.visitId,
-      visitorName: preApproval.visitorName,
-      visitorPhone: preApproval.visitorPhone,
-      visitorEmail: preApproval.visitorEmail,
-      purpose: preApproval.purpose,
-      expectedDate: preApproval.expectedDate,
-      expectedTime: preApproval.expectedTime,
-      flatNumber: preApproval.flatNumber,
-      residentId: preApproval.residentId.toString(),
-      buildingId: preApproval.buildingId.toString(),
-      approvalStatus: preApproval.status, // PENDING, APPROVED, or REJECTED
-      timestamp: Date.now(),
-      lastUpdated: Date.now(),
-      expiresAt: Date.now() + (48 * 60 * 60 * 1000) // 48 hours expiry
-    };
-
-    const qrCodeString = JSON.stringify(qrCodeData);
-
-    // Generate QR Code image as base64
-    const qrCodeImage = await QRCode.toDataURL(qrCodeString, {
-      errorCorrectionLevel: 'M',
-      type: 'image/png',
-      quality: 0.92,
-      margin: 1,
-      width: 300,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      }
-    });
-
-    // Update current QR code
-    preApproval.qrCodeData = qrCodeData;
-    preApproval.qrCodeString = qrCodeString;
-    preApproval.qrCodeImage = qrCodeImage;
-    await preApproval.save();
-
-    console.log('✅ New QR code generated and saved with status:', preApproval.status);
-
-    return {
-      qrCodeData,
-      qrCodeString,
-      qrCodeImage
-    };
-  } catch (error) {
-    console.error('❌ Error regenerating QR code:', error);
-    throw error;
-  }
-};
-
 // Create a new pre-approval
 const createPreApproval = async (req, res) => {
   try {
     const { buildingId } = req.params;
     const userId = req.user.id || req.user.userId;
-    const { visitorName, visitorPhone, visitorEmail, purpose, expectedDate, expectedTime, notes, residentMobileNumber, flatNumber } = req.body;
+    const { visitorName, visitorPhone, visitorEmail, purpose, expectedDate, expectedTime, notes, residentMobileNumber, flatNumber, recurrence } = req.body;
 
     // Verify building exists
     const building = await Building.findById(buildingId);
@@ -171,17 +102,35 @@ const createPreApproval = async (req, res) => {
       });
     }
 
+    // Residents cannot pre-approve a blacklisted visitor
+    const blacklistMatch = await blacklistService.findMatch({ buildingId, phoneNumber: visitorPhone });
+    if (blacklistMatch) {
+      await blacklistService.reportBlockedAttempt({
+        buildingId,
+        match: blacklistMatch,
+        visitorName,
+        context: 'PRE_APPROVAL'
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'Visitor is blacklisted and cannot be pre-approved',
+        data: { reason: blacklistMatch.reason }
+      });
+    }
+
     // Create new pre-approval
     const preApproval = new PreApproval({
       visitorName,
       visitorPhone,
       visitorEmail,
       purpose,
-      expectedDate,
+      expectedDate: expectedDate || (recurrence ? recurrence.startDate : undefined),
       expectedTime,
       notes,
       residentMobileNumber,
       flatNumber,
+      recurrence,
+      isRecurring: !!recurrence,
       residentId: userId,
       buildingId
     });
@@ -213,11 +162,18 @@ const createPreApproval = async (req, res) => {
         flatNumber: preApproval.flatNumber,
         residentId: preApproval.residentId.toString(),
         buildingId: preApproval.buildingId.toString(),
+        recurrence: preApproval.isRecurring ? preApproval.recurrence : undefined,
         timestamp: Date.now(),
-        expiresAt: Date.now() + (48 * 60 * 60 * 1000) // 48 hours expiry
+        expiresAt: preApprovalScheduleService.getQRExpiry(preApproval, building.timezone) // 48 hours, or end of the recurrence
       };
       
-      const qrCodeString = JSON.stringify(qrCodeData);
+      // The QR image only carries a signed reference; details are looked up at the gate
+      const qrCodeString = qrTokenService.sign({
+        type: 'PRE_APPROVAL',
+        id: preApproval._id,
+        expiresAt: qrCodeData.expiresAt,
+        singleUse: !preApproval.isRecurring
+      });
       
       // Generate QR Code image as base64
       const qrCodeImage = await QRCode.toDataURL(qrCodeString, {
@@ -254,6 +210,8 @@ const createPreApproval = async (req, res) => {
           expectedTime: preApproval.expectedTime,
           residentMobileNumber: preApproval.residentMobileNumber,
           flatNumber: preApproval.flatNumber,
+          isRecurring: preApproval.isRecurring,
+          recurrence: preApproval.isRecurring ? preApproval.recurrence : undefined,
           status: preApproval.status,
           fullIdentification: preApproval.fullIdentification,
           visit: {
@@ -304,6 +262,8 @@ const createPreApproval = async (req, res) => {
           expectedTime: preApproval.expectedTime,
           residentMobileNumber: preApproval.residentMobileNumber,
           flatNumber: preApproval.flatNumber,
+          isRecurring: preApproval.isRecurring,
+          recurrence: preApproval.isRecurring ? preApproval.recurrence : undefined,
           status: preApproval.status,
           fullIdentification: preApproval.fullIdentification,
           warning: 'Visit creation failed - please create visit manually',
@@ -379,6 +339,8 @@ const getPreApprovals = async (req, res) => {
           expectedTime: pa.expectedTime,
           residentMobileNumber: pa.residentMobileNumber,
           flatNumber: pa.flatNumber,
+          isRecurring: pa.isRecurring,
+          recurrence: pa.isRecurring ? pa.recurrence : undefined,
           status: pa.status,
           fullIdentification: pa.fullIdentification,
           createdAt: pa.createdAt,
@@ -451,7 +413,7 @@ const getPreApproval = async (req, res) => {
     }
 
     const preApproval = await PreApproval.findOne(query)
-      .populate('buildingId', 'name address contactPhone contactEmail');
+      .populate('buildingId', 'name address contactPhone contactEmail timezone');
 
     if (!preApproval) {
       return res.status(404).json({
@@ -474,6 +436,11 @@ const getPreApproval = async (req, res) => {
         residentMobileNumber: preApproval.residentMobileNumber,
         flatNumber: preApproval.flatNumber,
         notes: preApproval.notes,
+        isRecurring: preApproval.isRecurring,
+        recurrence: preApproval.isRecurring ? preApproval.recurrence : undefined,
+        nextWindow: preApproval.isRecurring
+          ? preApprovalScheduleService.getNextWindow(preApproval, new Date(), preApproval.buildingId && preApproval.buildingId.timezone)
+          : undefined,
         status: preApproval.status,
         fullIdentification: preApproval.fullIdentification,
         createdAt: preApproval.createdAt,
@@ -509,7 +476,7 @@ const updatePreApproval = async (req, res) => {
     const { buildingId, preApprovalId } = req.params;
     const userId = req.user.id || req.user.userId;
     const userRole = req.user.role;
-    const { visitorName, visitorPhone, visitorEmail, purpose, expectedDate, expectedTime, notes, residentMobileNumber, flatNumber } = req.body;
+    const { visitorName, visitorPhone, visitorEmail, purpose, expectedDate, expectedTime, notes, residentMobileNumber, flatNumber, recurrence } = req.body;
 
     // Build query based on user role
     let query = {
@@ -551,9 +518,40 @@ const updatePreApproval = async (req, res) => {
     if (notes !== undefined) preApproval.notes = notes;
     if (residentMobileNumber !== undefined) preApproval.residentMobileNumber = residentMobileNumber;
     if (flatNumber !== undefined) preApproval.flatNumber = flatNumber;
+    if (recurrence !== undefined) {
+      preApproval.recurrence = recurrence || undefined;
+      preApproval.isRecurring = !!recurrence;
+    }
+
+    // A changed visitor goes through the same blacklist check as a new pre-approval
+    if (preApproval.isModified('visitorPhone') || preApproval.isModified('visitorName')) {
+      const blacklistMatch = await blacklistService.findMatch({ buildingId, phoneNumber: preApproval.visitorPhone });
+      if (blacklistMatch) {
+        await blacklistService.reportBlockedAttempt({
+          buildingId,
+          match: blacklistMatch,
+          visitorName: preApproval.visitorName,
+          context: 'PRE_APPROVAL'
+        });
+        return res.status(403).json({
+          success: false,
+          message: 'Visitor is blacklisted and cannot be pre-approved',
+          data: { reason: blacklistMatch.reason }
+        });
+      }
+    }
 
     await preApproval.save();
 
+    // Keep the first visit in step with the new schedule
+    if (recurrence) {
+      const visit = await Visit.findOne({ preApprovalId: preApproval._id }).sort({ createdAt: 1 });
+      if (visit) {
+        preApprovalScheduleService.applyToFirstVisit(visit, preApproval, await Building.getTimeZone(buildingId));
+        await visit.save();
+      }
+    }
+
     res.json({
       success: true,
       message: 'Pre-approval updated successfully',
@@ -567,6 +565,8 @@ const updatePreApproval = async (req, res) => {
         expectedTime: preApproval.expectedTime,
         residentMobileNumber: preApproval.residentMobileNumber,
         flatNumber: preApproval.flatNumber,
+        isRecurring: preApproval.isRecurring,
+        recurrence: preApproval.isRecurring ? preApproval.recurrence : undefined,
         status: preApproval.status,
         fullIdentification: preApproval.fullIdentification
       }
@@ -668,6 +668,8 @@ const approvePreApproval = async (req, res) => {
     }
 
     // Update status to approved
+    const auditFields = ['status', 'approvedBy', 'approvedAt', 'notes'];
+    const beforeSnapshot = auditService.snapshot(preApproval, auditFields);
     preApproval.status = 'APPROVED';
     preApproval.approvedBy = userId;
     preApproval.approvedAt = new Date();
@@ -677,6 +679,17 @@ const approvePreApproval = async (req, res) => {
 
     await preApproval.save();
 
+    await auditService.record({
+      req,
+      action: 'PRE_APPROVAL_APPROVED',
+      buildingId,
+      entityType: 'PRE_APPROVAL',
+      entityId: preApproval._id,
+      entityLabel: preApproval.visitorName,
+      before: beforeSnapshot,
+      after: auditService.snapshot(preApproval, auditFields)
+    });
+
     // Update associated visit status to APPROVED
     try {
       const visit = await Visit.findOne({ preApprovalId: preApproval._id });
@@ -704,7 +717,7 @@ const approvePreApproval = async (req, res) => {
     // Regenerate QR code with APPROVED status
     let updatedQRCode = null;
     try {
-      updatedQRCode = await regeneratePreApprovalQR(preApproval._id);
+      updatedQRCode = await preApprovalQrService.regenerate(preApproval._id);
       console.log('✅ QR code regenerated with APPROVED status');
     } catch (qrError) {
       console.error('❌ Error regenerating QR code:', qrError);
@@ -774,6 +787,8 @@ const rejectPreApproval = async (req, res) => {
     }
 
     // Update status to rejected
+    const auditFields = ['status', 'approvedBy', 'approvedAt', 'rejectionReason', 'notes'];
+    const beforeSnapshot = auditService.snapshot(preApproval, auditFields);
     preApproval.status = 'REJECTED';
     preApproval.approvedBy = userId;
     preApproval.approvedAt = new Date();
@@ -784,6 +799,17 @@ const rejectPreApproval = async (req, res) => {
 
     await preApproval.save();
 
+    await auditService.record({
+      req,
+      action: 'PRE_APPROVAL_REJECTED',
+      buildingId,
+      entityType: 'PRE_APPROVAL',
+      entityId: preApproval._id,
+      entityLabel: preApproval.visitorName,
+      before: beforeSnapshot,
+      after: auditService.snapshot(preApproval, auditFields)
+    });
+
     // Update associated visit status to REJECTED
     try {
       const visit = await Visit.findOne({ preApprovalId: preApproval._id });
@@ -812,7 +838,7 @@ const rejectPreApproval = async (req, res) => {
     // Regenerate QR code with REJECTED status
     let updatedQRCode = null;
     try {
-      updatedQRCode = await regeneratePreApprovalQR(preApproval._id);
+      updatedQRCode = await preApprovalQrService.regenerate(preApproval._id);
       console.log('✅ QR code regenerated with REJECTED status');
     } catch (qrError) {
       console.error('❌ Error regenerating QR code:', qrError);
@@ -0,0 +1,100 @@
+// Realtime controller - Server-Sent Events stream and missed-event replay
+const realtimeService = require('../services/realtimeService');
+const { validationResult } = require('express-validator');
+
+class RealtimeController {
+  /**
+   * Open an SSE stream of building events for the current user
+   * Resumes after the Last-Event-ID header (sent automatically by EventSource) or ?cursor=
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async stream(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { buildingId } = req.params;
+    const { userId, role, sessionId } = req.user;
+    const cursor = req.get('Last-Event-ID') || req.query.cursor;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    let clientId = null;
+    let closed = false;
+    req.on('close', () => {
+      closed = true;
+      if (clientId) realtimeService.removeClient(clientId);
+    });
+
+    try {
+      clientId = await realtimeService.openStream({ res, buildingId, userId, role, sessionId, cursor });
+      if (closed) realtimeService.removeClient(clientId);
+    } catch (error) {
+      console.error('Realtime stream error:', error);
+      res.end();
+    }
+  }
+
+  /**
+   * Get events missed since a cursor (polling fallback for clients that cannot keep a stream open)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  static async getEvents(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { buildingId } = req.params;
+      const { cursor } = req.query;
+      const { userId, role } = req.user;
+
+      const { events, resync } = await realtimeService.getEventsSince({ buildingId, userId, role, cursor });
+      const formatted = events.map(event => realtimeService.format(event));
+
+      let nextCursor = formatted.length ? formatted[formatted.length - 1].id : cursor;
+      if (!nextCursor || resync) {
+        nextCursor = await realtimeService.getLatestEventId(buildingId);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Events retrieved successfully',
+        data: {
+          events: formatted,
+          resync,
+          cursor: nextCursor
+        }
+      });
+
+    } catch (error) {
+      console.error('Get realtime events error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+}
+
+module.exports = RealtimeController;
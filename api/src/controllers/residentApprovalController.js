@@ -4,6 +4,8 @@ const User = require('../models/User');
 const Notification = require('../models/Notification');
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const auditService = require('../services/auditService');
+const realtimeService = require('../services/realtimeService');
 
 /**
  * Resident Approval Controller
@@ -420,8 +422,21 @@ class ResidentApprovalController {
       }
 
       // Approve resident
+      const auditFields = ['status', 'approvedBy', 'approvedAt', 'adminNotes'];
+      const beforeSnapshot = auditService.snapshot(residentApproval, auditFields);
       await residentApproval.approve(userId, adminNotes);
 
+      await auditService.record({
+        req,
+        action: 'RESIDENT_APPROVED',
+        buildingId,
+        entityType: 'RESIDENT_APPROVAL',
+        entityId: residentApproval._id,
+        entityLabel: residentApproval.email,
+        before: beforeSnapshot,
+        after: auditService.snapshot(residentApproval, auditFields)
+      });
+
       // Populate details
       await residentApproval.populate([
         { path: 'buildingId', select: 'name address' },
@@ -439,7 +454,7 @@ class ResidentApprovalController {
         });
 
         if (residentUser) {
-          await Notification.create({
+          const notification = await Notification.create({
             notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
             recipientId: residentUser._id,
             recipientRole: 'RESIDENT',
@@ -458,6 +473,7 @@ class ResidentApprovalController {
               adminNotes: adminNotes || null
             }
           });
+          await realtimeService.publishNotification(notification);
           console.log('✅ Notification sent to resident:', residentUser._id);
         } else {
           console.log('⚠️ Resident user not found for notification:', residentApproval.email);
@@ -547,8 +563,21 @@ class ResidentApprovalController {
       }
 
       // Deny resident
+      const auditFields = ['status', 'deniedBy', 'deniedAt', 'rejectionReason', 'adminNotes'];
+      const beforeSnapshot = auditService.snapshot(residentApproval, auditFields);
       await residentApproval.deny(userId, rejectionReason, adminNotes);
 
+      await auditService.record({
+        req,
+        action: 'RESIDENT_DENIED',
+        buildingId,
+        entityType: 'RESIDENT_APPROVAL',
+        entityId: residentApproval._id,
+        entityLabel: residentApproval.email,
+        before: beforeSnapshot,
+        after: auditService.snapshot(residentApproval, auditFields)
+      });
+
       // Populate details
       await residentApproval.populate([
         { path: 'buildingId', select: 'name address' },
@@ -566,7 +595,7 @@ class ResidentApprovalController {
         });
 
         if (residentUser) {
-          await Notification.create({
+          const notification = await Notification.create({
             notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
             recipientId: residentUser._id,
             recipientRole: 'RESIDENT',
@@ -587,6 +616,7 @@ class ResidentApprovalController {
               adminNotes: adminNotes || null
             }
           });
+          await realtimeService.publishNotification(notification);
           console.log('✅ Denial notification sent to resident:', residentUser._id);
         } else {
           console.log('⚠️ Resident user not found for denial notification:', residentApproval.email);
@@ -2,6 +2,13 @@ const Visit = require('../models/Visit');
 const Visitor = require('../models/Visitor');
 const User = require('../models/User');
 const Notification = require('../models/Notification');
+const Parcel = require('../models/Parcel');
+const overstayService = require('../services/overstayService');
+const premisesService = require('../services/premisesService');
+const parcelService = require('../services/parcelService');
+const gateSyncService = require('../services/gateSyncService');
+const snapshotSigningService = require('../services/snapshotSigningService');
+const { validationResult } = require('express-validator');
 
 /**
  * Security Dashboard Controller
@@ -55,6 +62,12 @@ class SecurityDashboardController {
         isActive: true
       });
 
+      // Parcels waiting at the gate
+      const uncollectedParcels = await Parcel.countDocuments({
+        buildingId,
+        status: 'AT_GATE'
+      });
+
       // Get recent activity (last 10 check-ins)
       const recentActivity = await Visit.find({
         buildingId,
@@ -87,7 +100,8 @@ class SecurityDashboardController {
           quickStats: {
             todayVisits,
             pendingApprovals,
-            activeVisits
+            activeVisits,
+            uncollectedParcels
           },
           recentActivity: activityByCategory
         }
@@ -294,6 +308,182 @@ class SecurityDashboardController {
       });
     }
   }
+
+  /**
+   * Get visitors currently overstaying their expected duration
+   * GET /api/security/overstays/:buildingId
+   */
+  static async getOverstays(req, res) {
+    try {
+      const { buildingId } = req.params;
+
+      const { thresholdMinutes, overstays } = await overstayService.getOverstays(buildingId);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          overstays,
+          count: overstays.length,
+          thresholdMinutes,
+          generatedAt: new Date()
+        }
+      });
+
+    } catch (error) {
+      console.error('Get overstays error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Get everyone currently on premises (staff, domestic help and visitors)
+   * GET /api/security/on-premises/:buildingId
+   */
+  static async getOnPremises(req, res) {
+    try {
+      const { buildingId } = req.params;
+
+      const onPremises = await premisesService.getOnPremises(buildingId);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          ...onPremises,
+          generatedAt: new Date()
+        }
+      });
+
+    } catch (error) {
+      console.error('Get on-premises list error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Get parcels still waiting at the gate, oldest first
+   * GET /api/security/uncollected-parcels/:buildingId
+   */
+  static async getUncollectedParcels(req, res) {
+    try {
+      const { buildingId } = req.params;
+
+      const parcels = await parcelService.getUncollected(buildingId);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          parcels,
+          count: parcels.length,
+          generatedAt: new Date()
+        }
+      });
+
+    } catch (error) {
+      console.error('Get uncollected parcels error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Get a signed snapshot of today's approved visits, pre-approvals and passes for offline gate checks
+   * GET /api/security/gate-snapshot/:buildingId
+   */
+  static async getGateSnapshot(req, res) {
+    try {
+      const { buildingId } = req.params;
+
+      const snapshot = await gateSyncService.buildSnapshot(buildingId);
+
+      res.status(200).json({
+        success: true,
+        data: snapshot
+      });
+
+    } catch (error) {
+      console.error('Get gate snapshot error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Get the public key guard devices verify gate snapshots with
+   * GET /api/security/gate-snapshot-key
+   */
+  static async getGateSnapshotKey(req, res) {
+    try {
+      res.status(200).json({
+        success: true,
+        data: snapshotSigningService.getPublicKey()
+      });
+
+    } catch (error) {
+      console.error('Get gate snapshot key error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Reconcile check-ins/outs a guard device recorded while offline
+   * POST /api/security/gate-sync/:buildingId
+   */
+  static async syncGateRecords(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { buildingId } = req.params;
+      const { deviceId, records } = req.body;
+
+      const { results, summary } = await gateSyncService.syncRecords({ buildingId, deviceId, records, req });
+
+      res.status(200).json({
+        success: true,
+        message: summary.conflicts || summary.rejected
+          ? 'Offline records synced with conflicts'
+          : 'Offline records synced successfully',
+        data: {
+          summary,
+          results,
+          conflicts: results.filter(result => result.status === 'CONFLICT'),
+          syncedAt: new Date()
+        }
+      });
+
+    } catch (error) {
+      console.error('Sync gate records error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
 }
 
 module.exports = SecurityDashboardController;
@@ -2,9 +2,16 @@ const ServiceRequest = require('../models/ServiceRequest');
 const Employee = require('../models/Employee');
 const User = require('../models/User');
 const Building = require('../models/Building');
+const Photo = require('../models/Photo');
+const serviceRequestService = require('../services/serviceRequestService');
 const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 
+// Employee types that can be assigned service requests
+const SERVICE_EMPLOYEE_TYPES = ['RESIDENT_HELPER', 'TECHNICIAN', 'OTHER'];
+
+const ADMIN_ROLES = ['BUILDING_ADMIN', 'SUPER_ADMIN'];
+
 class ServiceRequestController {
   /**
    * Create a new service request
@@ -61,7 +68,7 @@ class ServiceRequestController {
           employeeCode: employeeCode,
           buildingId: buildingId,
           isActive: true,
-          employeeType: { $in: ['RESIDENT_HELPER', 'TECHNICIAN', 'OTHER'] }
+          employeeType: { $in: SERVICE_EMPLOYEE_TYPES }
         });
         searchMethod = 'employee code';
       } else if (employeeId) {
@@ -77,7 +84,7 @@ class ServiceRequestController {
           _id: employeeId,
           buildingId: buildingId,
           isActive: true,
-          employeeType: { $in: ['RESIDENT_HELPER', 'TECHNICIAN', 'OTHER'] }
+          employeeType: { $in: SERVICE_EMPLOYEE_TYPES }
         });
         searchMethod = 'employee ID';
       } else if (employeeName) {
@@ -86,7 +93,7 @@ class ServiceRequestController {
           name: { $regex: new RegExp(`^${employeeName.trim()}$`, 'i') },
           buildingId: buildingId,
           isActive: true,
-          employeeType: { $in: ['RESIDENT_HELPER', 'TECHNICIAN', 'OTHER'] }
+          employeeType: { $in: SERVICE_EMPLOYEE_TYPES }
         });
         searchMethod = 'employee name';
       } else {
@@ -125,6 +132,13 @@ class ServiceRequestController {
 
       // Generate request ID manually
       const requestId = await ServiceRequest.generateRequestId();
+
+      const now = new Date();
+      const requestPriority = priority || 'MEDIUM';
+      const timeline = [serviceRequestService.timelineEntry(req, 'CREATED', null, 'PENDING')];
+      if (employee) {
+        timeline.push(serviceRequestService.timelineEntry(req, 'ASSIGN', 'PENDING', 'ASSIGNED', `Assigned to ${employee.name}`));
+      }
       
       // Create service request
       const serviceRequest = new ServiceRequest({
@@ -136,12 +150,17 @@ class ServiceRequestController {
         requestTypeDisplay: requestTypeDisplay,
         title: title || `${requestTypeDisplay} Service Request`,
         description: description,
-        priority: priority || 'MEDIUM',
+        priority: requestPriority,
         urgency: urgency || 'NORMAL',
         location: location || '',
         flatNumber: flatNumber || requester.flatNumber || '',
         preferredDate: preferredDate ? new Date(preferredDate) : null,
-        preferredTime: preferredTime || ''
+        preferredTime: preferredTime || '',
+        status: employee ? 'ASSIGNED' : 'PENDING',
+        assignedAt: employee ? now : undefined,
+        assignedBy: employee ? requesterId : undefined,
+        sla: serviceRequestService.computeSla(building, requestPriority, now),
+        timeline
       });
 
       await serviceRequest.save();
@@ -173,6 +192,7 @@ class ServiceRequestController {
             preferredTime: serviceRequest.preferredTime,
             createdAt: serviceRequest.createdAt,
             createdAtFormatted: serviceRequest.createdAtFormatted,
+            ...serviceRequestService.formatWorkflow(serviceRequest),
             employee: serviceRequest.employeeId ? {
               id: serviceRequest.employeeId._id,
               name: serviceRequest.employeeId.name,
@@ -309,6 +329,7 @@ class ServiceRequestController {
             estimatedCost: request.estimatedCost,
             actualCost: request.actualCost,
             costApproved: request.costApproved,
+            ...serviceRequestService.formatWorkflow(request),
             employee: request.employeeId ? {
               id: request.employeeId._id,
               name: request.employeeId.name,
@@ -404,6 +425,7 @@ class ServiceRequestController {
             estimatedCost: request.estimatedCost,
             actualCost: request.actualCost,
             costApproved: request.costApproved,
+            ...serviceRequestService.formatWorkflow(request),
             employee: request.employeeId ? {
               id: request.employeeId._id,
               name: request.employeeId.name,
@@ -440,7 +462,7 @@ class ServiceRequestController {
   }
 
   /**
-   * Update service request status
+   * Update notes and actual cost of a service request (status changes use the workflow actions)
    * Accessible by RESIDENT, SECURITY, BUILDING_ADMIN, SUPER_ADMIN
    */
   static async updateServiceRequest(req, res) {
@@ -450,15 +472,7 @@ class ServiceRequestController {
     }
 
     const { buildingId, requestId } = req.params;
-    const { 
-      status, 
-      adminNotes, 
-      completionNotes, 
-      estimatedCost, 
-      actualCost, 
-      costApproved 
-    } = req.body;
-    const updatedBy = req.user.id;
+    const { adminNotes, completionNotes, actualCost } = req.body;
 
     try {
       const request = await ServiceRequest.findOne({ requestId, buildingId });
@@ -467,19 +481,10 @@ class ServiceRequestController {
         return res.status(404).json({ success: false, message: 'Service request not found' });
       }
 
-      // Update fields
-      if (status) request.status = status;
+      // Status and cost approval only change through the workflow actions
       if (adminNotes !== undefined) request.adminNotes = adminNotes;
       if (completionNotes !== undefined) request.completionNotes = completionNotes;
-      if (estimatedCost !== undefined) request.estimatedCost = estimatedCost;
       if (actualCost !== undefined) request.actualCost = actualCost;
-      if (costApproved !== undefined) request.costApproved = costApproved;
-
-      // Set completion details if status is COMPLETED
-      if (status === 'COMPLETED') {
-        request.completedAt = new Date();
-        request.completedBy = updatedBy;
-      }
 
       request.updatedAt = new Date();
       await request.save();
@@ -508,14 +513,14 @@ class ServiceRequestController {
             completedAt: request.completedAt,
             completedAtFormatted: request.completedAtFormatted,
             updatedAt: request.updatedAt,
-            employee: {
+            employee: request.employeeId ? {
               id: request.employeeId._id,
               name: request.employeeId.name,
               employeeType: request.employeeId.employeeType,
               employeeTypeDisplay: request.employeeId.employeeTypeDisplay,
               phoneNumber: request.employeeId.phoneNumber,
               employeeCode: request.employeeId.employeeCode
-            }
+            } : null
           }
         }
       });
@@ -530,6 +535,507 @@ class ServiceRequestController {
     }
   }
 
+  /**
+   * Load a service request of the building for a workflow action
+   * Sends the error response and returns null if it does not exist
+   */
+  static async findRequestForAction(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+      return null;
+    }
+
+    const { buildingId, requestId } = req.params;
+    const request = await ServiceRequest.findOne({ requestId, buildingId });
+    if (!request) {
+      res.status(404).json({ success: false, message: 'Service request not found' });
+      return null;
+    }
+    return request;
+  }
+
+  static isRequester(req, request) {
+    return String(request.requesterId) === String(req.user.id);
+  }
+
+  /**
+   * Respond with the outcome of a workflow transition
+   */
+  static async sendTransitionResult(res, request, updated, successMessage) {
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: `This action is not allowed while the request is ${request.status.toLowerCase().replace('_', ' ')}`
+      });
+    }
+
+    await updated.populate({ path: 'employeeId', select: 'name employeeType employeeTypeDisplay phoneNumber employeeCode' });
+
+    res.status(200).json({
+      success: true,
+      message: successMessage,
+      data: {
+        request: {
+          id: updated._id,
+          requestId: updated.requestId,
+          title: updated.title,
+          priority: updated.priority,
+          status: updated.status,
+          estimatedCost: updated.estimatedCost,
+          actualCost: updated.actualCost,
+          costApproved: updated.costApproved,
+          completedAt: updated.completedAt,
+          completionNotes: updated.completionNotes,
+          ...serviceRequestService.formatWorkflow(updated),
+          employee: updated.employeeId ? {
+            id: updated.employeeId._id,
+            name: updated.employeeId.name,
+            employeeType: updated.employeeId.employeeType,
+            employeeTypeDisplay: updated.employeeId.employeeTypeDisplay,
+            phoneNumber: updated.employeeId.phoneNumber,
+            employeeCode: updated.employeeId.employeeCode
+          } : null
+        }
+      }
+    });
+  }
+
+  /**
+   * Assign (or reassign) a service request to a technician
+   * Accessible by BUILDING_ADMIN, SUPER_ADMIN
+   */
+  static async assignServiceRequest(req, res) {
+    try {
+      const request = await ServiceRequestController.findRequestForAction(req, res);
+      if (!request) return;
+
+      const { employeeId, employeeCode, note } = req.body;
+      const employee = await Employee.findOne({
+        ...(employeeCode ? { employeeCode } : { _id: employeeId }),
+        buildingId: request.buildingId,
+        isActive: true,
+        employeeType: { $in: SERVICE_EMPLOYEE_TYPES }
+      });
+
+      if (!employee) {
+        return res.status(404).json({
+          success: false,
+          message: 'Employee not found or not eligible for service requests'
+        });
+      }
+
+      const updated = await serviceRequestService.assign({ req, request, employee, note });
+      if (updated) {
+        await serviceRequestService.notifyUser(updated.requesterId, updated, {
+          title: 'Technician Assigned',
+          message: `${employee.name} has been assigned to your request "${serviceRequestService.label(updated)}"`
+        });
+      }
+
+      await ServiceRequestController.sendTransitionResult(res, request, updated, `Service request assigned to ${employee.name}`);
+
+    } catch (error) {
+      console.error('Assign service request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to assign service request',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Technician accepts the assignment
+   * Accessible by SECURITY, BUILDING_ADMIN, SUPER_ADMIN (on the technician's behalf)
+   */
+  static async acceptServiceRequest(req, res) {
+    try {
+      const request = await ServiceRequestController.findRequestForAction(req, res);
+      if (!request) return;
+
+      const updated = await serviceRequestService.accept({ req, request, note: req.body.note });
+      await ServiceRequestController.sendTransitionResult(res, request, updated, 'Service request accepted');
+
+    } catch (error) {
+      console.error('Accept service request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to accept service request',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Record a cost estimate for the requester to approve
+   * Accessible by SECURITY, BUILDING_ADMIN, SUPER_ADMIN
+   */
+  static async estimateServiceRequestCost(req, res) {
+    try {
+      const request = await ServiceRequestController.findRequestForAction(req, res);
+      if (!request) return;
+
+      const estimatedCost = parseFloat(req.body.estimatedCost);
+      const updated = await serviceRequestService.setEstimate({ req, request, estimatedCost, note: req.body.note });
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'The cost can only be estimated before work starts or while it is on hold'
+        });
+      }
+
+      if (updated.costApprovalStatus === 'PENDING') {
+        await serviceRequestService.notifyUser(updated.requesterId, updated, {
+          title: 'Cost Approval Needed',
+          message: `The estimated cost for "${serviceRequestService.label(updated)}" is ${estimatedCost}. Please approve it so work can start.`,
+          category: 'ALERT',
+          priority: 'HIGH'
+        });
+      }
+
+      await ServiceRequestController.sendTransitionResult(res, request, updated,
+        updated.costApprovalStatus === 'PENDING'
+          ? 'Cost estimate recorded. Awaiting approval from the resident.'
+          : 'Cost estimate recorded');
+
+    } catch (error) {
+      console.error('Estimate service request cost error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record cost estimate',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Requester approves or rejects the cost estimate
+   * Accessible by the requester
+   */
+  static async decideServiceRequestCost(req, res) {
+    try {
+      const request = await ServiceRequestController.findRequestForAction(req, res);
+      if (!request) return;
+
+      if (!ServiceRequestController.isRequester(req, request)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the person who raised the request can approve its cost'
+        });
+      }
+
+      const { approved, note } = req.body;
+      const updated = await serviceRequestService.decideCost({ req, request, approved, note });
+
+      if (!updated) {
+        return res.status(409).json({
+          success: false,
+          message: 'There is no cost estimate awaiting approval'
+        });
+      }
+
+      await serviceRequestService.notifyAdmins(updated, {
+        title: approved ? 'Cost Approved' : 'Cost Rejected',
+        message: `The resident ${approved ? 'approved' : 'rejected'} the estimate of ${updated.estimatedCost} for "${serviceRequestService.label(updated)}"${note ? `: ${note}` : ''}`,
+        category: approved ? 'SUCCESS' : 'WARNING',
+        priority: 'MEDIUM'
+      });
+
+      await ServiceRequestController.sendTransitionResult(res, request, updated,
+        approved ? 'Cost approved' : 'Cost rejected');
+
+    } catch (error) {
+      console.error('Decide service request cost error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record cost decision',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Technician starts work (needs the cost approved if one was estimated)
+   * Accessible by SECURITY, BUILDING_ADMIN, SUPER_ADMIN
+   */
+  static async startServiceRequest(req, res) {
+    try {
+      const request = await ServiceRequestController.findRequestForAction(req, res);
+      if (!request) return;
+
+      if (!serviceRequestService.isCostCleared(request)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Work cannot start until the resident approves the estimated cost'
+        });
+      }
+
+      const updated = await serviceRequestService.start({ req, request, note: req.body.note });
+      if (updated) {
+        await serviceRequestService.notifyUser(updated.requesterId, updated, {
+          title: 'Work Started',
+          message: `Work has started on your request "${serviceRequestService.label(updated)}"`
+        });
+      }
+
+      await ServiceRequestController.sendTransitionResult(res, request, updated, 'Work started');
+
+    } catch (error) {
+      console.error('Start service request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start work',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Put work on hold (the resolution SLA clock stops)
+   * Accessible by SECURITY, BUILDING_ADMIN, SUPER_ADMIN
+   */
+  static async pauseServiceRequest(req, res) {
+    try {
+      const request = await ServiceRequestController.findRequestForAction(req, res);
+      if (!request) return;
+
+      const updated = await serviceRequestService.pause({ req, request, reason: req.body.reason });
+      if (updated) {
+        await serviceRequestService.notifyUser(updated.requesterId, updated, {
+          title: 'Work On Hold',
+          message: `Work on "${serviceRequestService.label(updated)}" is on hold: ${req.body.reason}`,
+          category: 'WARNING'
+        });
+      }
+
+      await ServiceRequestController.sendTransitionResult(res, request, updated, 'Work put on hold');
+
+    } catch (error) {
+      console.error('Pause service request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to put work on hold',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Resume work that was on hold
+   * Accessible by SECURITY, BUILDING_ADMIN, SUPER_ADMIN
+   */
+  static async resumeServiceRequest(req, res) {
+    try {
+      const request = await ServiceRequestController.findRequestForAction(req, res);
+      if (!request) return;
+
+      if (request.status === 'ON_HOLD' && !serviceRequestService.isCostCleared(request)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Work cannot resume until the resident approves the estimated cost'
+        });
+      }
+
+      const updated = await serviceRequestService.resume({ req, request, note: req.body.note });
+      await ServiceRequestController.sendTransitionResult(res, request, updated, 'Work resumed');
+
+    } catch (error) {
+      console.error('Resume service request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resume work',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Mark work as done with photos; the requester then signs it off
+   * Accessible by SECURITY, BUILDING_ADMIN, SUPER_ADMIN
+   */
+  static async completeServiceRequest(req, res) {
+    try {
+      const request = await ServiceRequestController.findRequestForAction(req, res);
+      if (!request) return;
+
+      const { photoIds, completionNotes, actualCost } = req.body;
+
+      const photos = await Photo.countDocuments({ _id: { $in: photoIds }, buildingId: request.buildingId });
+      if (photos !== new Set(photoIds.map(String)).size) {
+        return res.status(400).json({
+          success: false,
+          message: 'One or more completion photos were not found in this building'
+        });
+      }
+
+      const updated = await serviceRequestService.complete({
+        req,
+        request,
+        photoIds,
+        completionNotes,
+        actualCost: actualCost !== undefined ? parseFloat(actualCost) : undefined
+      });
+
+      if (updated) {
+        await serviceRequestService.notifyUser(updated.requesterId, updated, {
+          title: 'Work Completed',
+          message: `Work on "${serviceRequestService.label(updated)}" is complete. Please check it and sign off, or send it back if something is not right.`,
+          category: 'SUCCESS',
+          priority: 'HIGH'
+        });
+      }
+
+      await ServiceRequestController.sendTransitionResult(res, request, updated, 'Work completed. Awaiting resident sign-off.');
+
+    } catch (error) {
+      console.error('Complete service request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to complete service request',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Requester signs off completed work, or sends it back
+   * Accessible by the requester
+   */
+  static async signOffServiceRequest(req, res) {
+    try {
+      const request = await ServiceRequestController.findRequestForAction(req, res);
+      if (!request) return;
+
+      if (!ServiceRequestController.isRequester(req, request)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the person who raised the request can sign it off'
+        });
+      }
+
+      const { accepted, rating, feedback } = req.body;
+
+      if (!accepted && !feedback) {
+        return res.status(400).json({
+          success: false,
+          message: 'Feedback is required when sending work back'
+        });
+      }
+
+      const updated = accepted
+        ? await serviceRequestService.signOff({ req, request, rating, feedback })
+        : await serviceRequestService.reopen({ req, request, feedback });
+
+      if (updated && !accepted) {
+        await serviceRequestService.notifyAdmins(updated, {
+          title: 'Work Sent Back',
+          message: `The resident sent "${serviceRequestService.label(updated)}" back: ${feedback}`,
+          category: 'WARNING',
+          priority: 'HIGH'
+        });
+      }
+
+      await ServiceRequestController.sendTransitionResult(res, request, updated,
+        accepted ? 'Service request signed off' : 'Service request sent back to the technician');
+
+    } catch (error) {
+      console.error('Sign off service request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sign off service request',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Cancel a request before work is done (requester or admin),
+   * or reject it before it is accepted (admin)
+   * Accessible by RESIDENT (own requests), BUILDING_ADMIN, SUPER_ADMIN
+   */
+  static async cancelServiceRequest(req, res) {
+    try {
+      const request = await ServiceRequestController.findRequestForAction(req, res);
+      if (!request) return;
+
+      const isAdmin = ADMIN_ROLES.includes(req.user.role);
+      const { reject, reason } = req.body;
+
+      if (!isAdmin && (reject || !ServiceRequestController.isRequester(req, request))) {
+        return res.status(403).json({
+          success: false,
+          message: reject
+            ? 'Only admins can reject service requests'
+            : 'You can only cancel your own service requests'
+        });
+      }
+
+      const updated = await serviceRequestService.transition({
+        req,
+        request,
+        action: reject ? 'REJECT' : 'CANCEL',
+        set: reason ? { adminNotes: reason } : {},
+        note: reason
+      });
+
+      if (updated && isAdmin && !ServiceRequestController.isRequester(req, updated)) {
+        await serviceRequestService.notifyUser(updated.requesterId, updated, {
+          title: reject ? 'Service Request Rejected' : 'Service Request Cancelled',
+          message: `Your request "${serviceRequestService.label(updated)}" was ${reject ? 'rejected' : 'cancelled'}${reason ? `: ${reason}` : ''}`,
+          category: 'WARNING'
+        });
+      }
+
+      await ServiceRequestController.sendTransitionResult(res, request, updated,
+        reject ? 'Service request rejected' : 'Service request cancelled');
+
+    } catch (error) {
+      console.error('Cancel service request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel service request',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Turnaround and SLA compliance per technician
+   * Accessible by BUILDING_ADMIN, SUPER_ADMIN
+   */
+  static async getTechnicianReport(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { buildingId } = req.params;
+    const { startDate, endDate } = req.query;
+
+    try {
+      const technicians = await serviceRequestService.getTechnicianReport(buildingId, { startDate, endDate });
+
+      res.status(200).json({
+        success: true,
+        message: 'Technician report retrieved successfully',
+        data: {
+          technicians,
+          period: { startDate: startDate || null, endDate: endDate || null }
+        }
+      });
+
+    } catch (error) {
+      console.error('Get technician report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve technician report',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
   /**
    * Get service request statistics for a building
    * Accessible by RESIDENT, SECURITY, BUILDING_ADMIN, SUPER_ADMIN
@@ -2,6 +2,7 @@ const Vehicle = require('../models/Vehicle');
 const User = require('../models/User');
 const Building = require('../models/Building');
 const { validationResult } = require('express-validator');
+const auditService = require('../services/auditService');
 
 /**
  * Vehicle Controller
@@ -419,11 +420,24 @@ class VehicleController {
       }
 
       // Update verification status
+      const auditFields = ['isVerified', 'verificationNotes'];
+      const beforeSnapshot = auditService.snapshot(vehicle, auditFields);
       vehicle.isVerified = isVerified;
       vehicle.verificationNotes = verificationNotes || '';
       vehicle.updatedBy = adminId;
       await vehicle.save();
 
+      await auditService.record({
+        req,
+        action: isVerified ? 'VEHICLE_VERIFIED' : 'VEHICLE_UNVERIFIED',
+        buildingId,
+        entityType: 'VEHICLE',
+        entityId: vehicle._id,
+        entityLabel: vehicle.vehicleNumber,
+        before: beforeSnapshot,
+        after: auditService.snapshot(vehicle, auditFields)
+      });
+
       res.status(200).json({
         success: true,
         message: `Vehicle ${isVerified ? 'verified' : 'unverified'} successfully`,
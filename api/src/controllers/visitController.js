@@ -5,6 +5,15 @@ const User = require('../models/User');
 const Building = require('../models/Building');
 const Notification = require('../models/Notification');
 const PreApproval = require('../models/PreApproval');
+const Pass = require('../models/Pass');
+const auditService = require('../services/auditService');
+const blacklistService = require('../services/blacklistService');
+const realtimeService = require('../services/realtimeService');
+const visitApprovalService = require('../services/visitApprovalService');
+const preApprovalScheduleService = require('../services/preApprovalScheduleService');
+const qrTokenService = require('../services/qrTokenService');
+const passService = require('../services/passService');
+const visitorCategoryService = require('../services/visitorCategoryService');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
 const mongoose = require('mongoose');
@@ -60,6 +69,34 @@ class VisitController {
         });
       }
 
+      // Refuse blacklisted visitors before a visit is created
+      const blacklistMatch = await blacklistService.findMatch({ buildingId, visitor: visitor });
+      if (blacklistMatch) {
+        await blacklistService.reportBlockedAttempt({
+          buildingId,
+          match: blacklistMatch,
+          visitorName: visitor.name,
+          context: 'CREATE_VISIT',
+          visitor: visitor
+        });
+        return res.status(403).json({
+          success: false,
+          message: 'Visitor is blacklisted and cannot be allowed entry',
+          data: { reason: blacklistMatch.reason }
+        });
+      }
+
+      // Apply the building's rules for the visitor's category
+      const category = await visitorCategoryService.getCategory(buildingId, visitor.visitorCategory || 'OTHER');
+      const missingRequirements = visitorCategoryService.missingRequirements(category, visitor);
+      if (missingRequirements.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${category.name} must have ${missingRequirements.map(item => (item === 'id' ? 'an ID' : 'a photo')).join(' and ')} on record before a visit is created`,
+          data: { missingRequirements }
+        });
+      }
+
       // Validate host exists and belongs to building (only if hostId is provided)
       let host = null;
       if (hostId) {
@@ -115,6 +152,9 @@ class VisitController {
       // Set QR code expiration (24 hours from now)
       const qrCodeExpiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
 
+      // Pre-approved visits, and categories the building lets in without asking the host, start approved
+      const autoApproved = visitType === 'PRE_APPROVED' || !category.requiresHostApproval;
+
       // Create visit
       const visitData = {
         visitId,
@@ -124,10 +164,10 @@ class VisitController {
         blockNumber,
         purpose,
         visitType,
-        approvalStatus: visitType === 'PRE_APPROVED' ? 'APPROVED' : 'PENDING',
+        approvalStatus: autoApproved ? 'APPROVED' : 'PENDING',
         scheduledDate: scheduledDate ? new Date(scheduledDate) : null,
         scheduledTime,
-        expectedDuration,
+        expectedDuration: expectedDuration || category.defaultExpectedDuration || undefined,
         qrCode,
         qrCodeExpiresAt,
         vehicleNumber,
@@ -150,25 +190,16 @@ class VisitController {
         lastVisitAt: new Date()
       });
 
-      // Create notification for host (only if hostId is provided)
-      if (visitType !== 'PRE_APPROVED' && hostId && host) {
+      // Ask the host and every other member of the flat; the first to respond decides
+      if (!autoApproved && hostId && host) {
         try {
-          await Notification.create({
-            notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
-            recipientId: hostId,
-            recipientRole: host.role || 'RESIDENT',
+          const approvers = await visitApprovalService.resolveFlatApprovers({
             buildingId,
-            title: 'New Visit Request',
-            message: `${visitor.name} has requested to visit you`,
-            type: 'VISIT_APPROVAL_REQUEST',
-            category: 'INFO',
-            priority: 'MEDIUM',
-            relatedVisitId: visit._id,
-            relatedVisitorId: visitorId,
-            actionRequired: true,
-            actionType: 'APPROVE',
-            deliveryChannels: { inApp: true, email: true, sms: false }
+            flatNumber: hostFlatNumber || host.flatNumber,
+            blockNumber: blockNumber || host.blockNumber,
+            hostId: host._id
           });
+          await visitApprovalService.requestApproval(visit, approvers, visitor);
           
           // Update notification status
           visit.notificationsSent.host = true;
@@ -179,6 +210,13 @@ class VisitController {
         }
       }
 
+      if (visit.approvalStatus === 'PENDING') {
+        await realtimeService.publishVisitEvent('VISIT_APPROVAL_REQUESTED', visit, {
+          visitorName: visitor.name,
+          hostName: host ? host.name : null
+        });
+      }
+
       res.status(201).json({
         success: true,
         message: 'Visit created successfully',
@@ -595,7 +633,7 @@ class VisitController {
       const { userId, role } = req.user;
 
       // Find the visit
-      const visit = await Visit.findOne({
+      let visit = await Visit.findOne({
         $or: [
           { _id: visitId },
           { visitId: visitId }
@@ -611,19 +649,36 @@ class VisitController {
         });
       }
 
-      // Check if visit is in pending status
-      if (visit.approvalStatus !== 'PENDING') {
+      // Approve the visit by name, unless someone else decided it first
+      const auditFields = ['approvalStatus', 'approvedByName', 'approvedAt', 'status'];
+      const beforeSnapshot = auditService.snapshot(visit, auditFields);
+      const approvedVisit = await visitApprovalService.decideVisit({
+        visitId: visit._id,
+        decision: 'APPROVE',
+        userId,
+        approvedByName
+      });
+
+      if (!approvedVisit) {
         return res.status(400).json({
           success: false,
           message: 'Visit is not in pending status for approval'
         });
       }
 
-      // Approve the visit by name
-      await visit.approveByName(approvedByName);
+      await auditService.record({
+        req,
+        action: 'VISIT_APPROVED_BY_NAME',
+        buildingId,
+        entityType: 'VISIT',
+        entityId: approvedVisit._id,
+        entityLabel: approvedVisit.visitId,
+        before: beforeSnapshot,
+        after: auditService.snapshot(approvedVisit, auditFields)
+      });
 
       // Populate the updated visit
-      await visit.populate([
+      visit = await approvedVisit.populate([
         { path: 'visitorId', select: 'name phoneNumber email' },
         { path: 'hostId', select: 'name flatNumber' }
       ]);
@@ -684,7 +739,7 @@ class VisitController {
         query.visitId = visitId;
       }
 
-      const visit = await Visit.findOne(query)
+      let visit = await Visit.findOne(query)
         .populate([
           { path: 'visitorId', select: 'name phoneNumber email' },
           { path: 'hostId', select: 'name phoneNumber email role' }
@@ -697,148 +752,83 @@ class VisitController {
         });
       }
 
-      // Check permissions
-      if (role === 'SECURITY') {
-        // Security can approve/reject visits and add notes
-        if (approvalStatus) {
-          if (!['APPROVED', 'REJECTED', 'CANCELLED'].includes(approvalStatus)) {
-            return res.status(400).json({
-              success: false,
-              message: 'Invalid approval status'
-            });
-          }
-
-          visit.approvalStatus = approvalStatus;
-          visit.approvedBy = userId;
-          visit.approvedAt = new Date();
+      // Check permissions: security and admins can approve/reject any visit,
+      // residents only visits they were asked to approve
+      const canDecide = ['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN', 'RESIDENT'].includes(role);
 
-          if (approvalStatus === 'REJECTED') {
-            visit.rejectionReason = rejectionReason;
-            visit.status = 'CANCELLED';
-          } else if (approvalStatus === 'APPROVED') {
-            // Auto check-in when approved
-            visit.status = 'IN_PROGRESS';
-            visit.checkInTime = new Date();
-            visit.verifiedBySecurity = userId;
-            visit.verifiedAt = new Date();
-            visit.checkIn = true;
-          } else if (approvalStatus === 'CANCELLED') {
-            visit.status = 'CANCELLED';
-          }
-
-          // Update visitor's approval status
-          try {
-            await Visitor.findByIdAndUpdate(
-              visit.visitorId,
-              { approvalStatus: approvalStatus === 'APPROVED' ? 'APPROVED' : 'DENIED' },
-              { new: true }
-            );
-            console.log('✅ Visitor approval status updated to:', approvalStatus === 'APPROVED' ? 'APPROVED' : 'DENIED');
-          } catch (visitorError) {
-            console.error('❌ Error updating visitor approval status:', visitorError);
-            // Don't fail the visit update if visitor update fails
-          }
+      if (canDecide && approvalStatus) {
+        if (!['APPROVED', 'REJECTED', 'CANCELLED'].includes(approvalStatus)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid approval status'
+          });
         }
-        
-        if (securityNotes) {
-          visit.securityNotes = securityNotes;
-          visit.verifiedBySecurity = userId;
-          visit.verifiedAt = new Date();
+
+        // Check if resident is the host or another flat member asked to approve
+        if (role === 'RESIDENT' && visit.hostId && !visitApprovalService.isApprover(visit, userId)) {
+          return res.status(403).json({
+            success: false,
+            message: 'Access denied. You can only approve visits for your own guests.'
+          });
         }
-      } else if (role === 'BUILDING_ADMIN' || role === 'SUPER_ADMIN') {
-        // Admin can approve/reject visits
-        if (approvalStatus) {
-          if (!['APPROVED', 'REJECTED', 'CANCELLED'].includes(approvalStatus)) {
-            return res.status(400).json({
-              success: false,
-              message: 'Invalid approval status'
-            });
-          }
 
+        if (approvalStatus === 'CANCELLED') {
           visit.approvalStatus = approvalStatus;
           visit.approvedBy = userId;
           visit.approvedAt = new Date();
-
-          if (approvalStatus === 'REJECTED') {
-            visit.rejectionReason = rejectionReason;
-            visit.status = 'CANCELLED';
-          } else if (approvalStatus === 'APPROVED') {
-            // Auto check-in when approved
-            visit.status = 'IN_PROGRESS';
-            visit.checkInTime = new Date();
-            visit.verifiedBySecurity = userId;
-            visit.verifiedAt = new Date();
-            visit.checkIn = true;
-          } else if (approvalStatus === 'CANCELLED') {
-            visit.status = 'CANCELLED';
-          }
+          visit.status = 'CANCELLED';
 
           // Update visitor's approval status
           try {
-            await Visitor.findByIdAndUpdate(
-              visit.visitorId,
-              { approvalStatus: approvalStatus === 'APPROVED' ? 'APPROVED' : 'DENIED' },
-              { new: true }
-            );
-            console.log('✅ Visitor approval status updated to:', approvalStatus === 'APPROVED' ? 'APPROVED' : 'DENIED');
+            await Visitor.findByIdAndUpdate(visit.visitorId, { approvalStatus: 'DENIED' }, { new: true });
           } catch (visitorError) {
             console.error('❌ Error updating visitor approval status:', visitorError);
             // Don't fail the visit update if visitor update fails
           }
-        }
-      } else if (role === 'RESIDENT') {
-        // Resident can approve/reject visits for their own guests
-        if (approvalStatus) {
-          if (!['APPROVED', 'REJECTED', 'CANCELLED'].includes(approvalStatus)) {
-            return res.status(400).json({
-              success: false,
-              message: 'Invalid approval status'
-            });
-          }
+        } else {
+          // Approvals are checked in straight away; another approver may have answered first
+          const decidedVisit = await visitApprovalService.decideVisit({
+            visitId: visit._id,
+            decision: approvalStatus === 'APPROVED' ? 'APPROVE' : 'REJECT',
+            userId,
+            reason: rejectionReason,
+            checkIn: true
+          });
 
-          // Check if resident is the host of this visit
-          if (visit.hostId && visit.hostId._id.toString() !== userId.toString()) {
-            return res.status(403).json({
+          if (!decidedVisit) {
+            const current = await Visit.findById(visit._id).select('approvalStatus');
+            return res.status(409).json({
               success: false,
-              message: 'Access denied. You can only approve visits for your own guests.'
+              message: `This visit has already been ${current.approvalStatus.toLowerCase()}`
             });
           }
 
-          visit.approvalStatus = approvalStatus;
-          visit.approvedBy = userId;
-          visit.approvedAt = new Date();
-
-          if (approvalStatus === 'REJECTED') {
-            visit.rejectionReason = rejectionReason;
-            visit.status = 'CANCELLED';
-          } else if (approvalStatus === 'APPROVED') {
-            // Auto check-in when approved by resident
-            visit.status = 'IN_PROGRESS';
-            visit.checkInTime = new Date();
-            visit.verifiedBySecurity = userId;
-            visit.verifiedAt = new Date();
-            visit.checkIn = true;
-          } else if (approvalStatus === 'CANCELLED') {
-            visit.status = 'CANCELLED';
-          }
-
-          // Update visitor's approval status
-          try {
-            await Visitor.findByIdAndUpdate(
-              visit.visitorId,
-              { approvalStatus: approvalStatus === 'APPROVED' ? 'APPROVED' : 'DENIED' },
-              { new: true }
-            );
-            console.log('✅ Visitor approval status updated to:', approvalStatus === 'APPROVED' ? 'APPROVED' : 'DENIED');
-          } catch (visitorError) {
-            console.error('❌ Error updating visitor approval status:', visitorError);
-            // Don't fail the visit update if visitor update fails
-          }
+          visit = await decidedVisit.populate([
+            { path: 'visitorId', select: 'name phoneNumber email' },
+            { path: 'hostId', select: 'name phoneNumber email role' }
+          ]);
         }
       }
 
+      if (role === 'SECURITY' && securityNotes) {
+        visit.securityNotes = securityNotes;
+        visit.verifiedBySecurity = userId;
+        visit.verifiedAt = new Date();
+      }
+
       await visit.save();
 
+      // Close the approval request for everyone else it was sent to
+      if (approvalStatus === 'APPROVED' || approvalStatus === 'REJECTED') {
+        await visitApprovalService.resolveActionNotifications({
+          buildingId,
+          visitId: visit._id,
+          response: approvalStatus === 'APPROVED' ? 'APPROVE' : 'REJECT',
+          userId,
+          note: rejectionReason
+        });
+      }
+
       // Create notifications
       if (approvalStatus) {
         const notificationData = {
@@ -852,7 +842,7 @@ class VisitController {
         if (approvalStatus === 'APPROVED') {
           // Notify host that visitor is approved and checked in
           try {
-            await Notification.create({
+            const notification = await Notification.create({
               ...notificationData,
               recipientId: visit.hostId._id,
               recipientRole: visit.hostId.role || 'RESIDENT',
@@ -862,6 +852,7 @@ class VisitController {
               category: 'SUCCESS',
               priority: 'MEDIUM'
             });
+            await realtimeService.publishNotification(notification);
             
             // Update notification status
             visit.notificationsSent.host = true;
@@ -875,7 +866,7 @@ class VisitController {
           try {
             const buildingAdmin = await User.findOne({ buildingId, role: 'BUILDING_ADMIN' });
             if (buildingAdmin) {
-              await Notification.create({
+              const notification = await Notification.create({
                 ...notificationData,
                 recipientId: buildingAdmin._id,
                 recipientRole: 'BUILDING_ADMIN',
@@ -885,6 +876,7 @@ class VisitController {
                 category: 'INFO',
                 priority: 'LOW'
               });
+              await realtimeService.publishNotification(notification);
               
               // Update notification status
               visit.notificationsSent.admin = true;
@@ -896,7 +888,7 @@ class VisitController {
         } else if (approvalStatus === 'REJECTED') {
           // Notify host only (visitors don't have accounts for in-app notifications)
           try {
-            await Notification.create({
+            const notification = await Notification.create({
               ...notificationData,
               recipientId: visit.hostId._id,
               recipientRole: visit.hostId.role || 'RESIDENT',
@@ -907,6 +899,7 @@ class VisitController {
               priority: 'HIGH',
               metadata: { rejectionReason }
             });
+            await realtimeService.publishNotification(notification);
             
             // Update notification status
             visit.notificationsSent.host = true;
@@ -918,6 +911,11 @@ class VisitController {
         
         // Save the updated notification status
         await visit.save();
+
+        // Approvals and rejections are published by visitApprovalService
+        if (approvalStatus === 'CANCELLED') {
+          await realtimeService.publishVisitEvent('VISIT_CANCELLED', visit);
+        }
       }
 
       res.status(200).json({
@@ -963,9 +961,9 @@ class VisitController {
         query.visitId = visitId;
       }
 
-      const visit = await Visit.findOne(query)
+      let visit = await Visit.findOne(query)
         .populate([
-          { path: 'visitorId', select: 'name phoneNumber email' },
+          { path: 'visitorId', select: 'name phoneNumber email idNumber isBlacklisted blacklistReason' },
           { path: 'hostId', select: 'name phoneNumber email role' }
         ]);
 
@@ -976,14 +974,45 @@ class VisitController {
         });
       }
 
-      // Verify QR code
-      if (visit.qrCode !== qrCode) {
+      // Verify QR code (signed token or the visit's own QR hash)
+      let verifiedToken = null;
+      if (qrTokenService.isScannableCode(qrCode)) {
+        verifiedToken = await qrTokenService.verifyCode(qrCode);
+        if (!verifiedToken.valid) {
+          return res.status(400).json({
+            success: false,
+            message: verifiedToken.message
+          });
+        }
+        if (!VisitController.tokenMatchesVisit(verifiedToken, visit)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid QR code'
+          });
+        }
+      } else if (visit.qrCode !== qrCode) {
         return res.status(400).json({
           success: false,
           message: 'Invalid QR code'
         });
       }
 
+      // Recurring passes only work inside their window, and each day gets its own visit
+      const recurringEntry = await VisitController.resolveRecurringEntry(visit);
+      if (recurringEntry.entryError) {
+        return res.status(400).json({
+          success: false,
+          message: recurringEntry.entryError,
+          data: { nextWindow: preApprovalScheduleService.getNextWindow(recurringEntry.preApproval, new Date(), recurringEntry.timeZone) }
+        });
+      }
+      if (recurringEntry.visit !== visit) {
+        visit = await recurringEntry.visit.populate([
+          { path: 'visitorId', select: 'name phoneNumber email idNumber isBlacklisted blacklistReason' },
+          { path: 'hostId', select: 'name phoneNumber email role' }
+        ]);
+      }
+
       // Check if QR code is expired
       if (new Date() > visit.qrCodeExpiresAt) {
         return res.status(400).json({
@@ -1008,17 +1037,73 @@ class VisitController {
         });
       }
 
-      // Update visit
-      visit.checkInTime = new Date();
-      visit.status = 'IN_PROGRESS';
-      visit.verifiedBySecurity = userId;
-      visit.verifiedAt = new Date();
-      visit.entryPhoto = entryPhotoId;
+      // Refuse entry if the visitor was blacklisted after the visit was approved
+      const blacklistMatch = await blacklistService.findMatch({ buildingId, visitor: visit.visitorId });
+      if (blacklistMatch) {
+        await blacklistService.reportBlockedAttempt({
+          buildingId,
+          match: blacklistMatch,
+          visitorName: visit.visitorId.name,
+          context: 'CHECK_IN',
+          visitor: visit.visitorId,
+          visit
+        });
+        return res.status(403).json({
+          success: false,
+          message: 'Visitor is blacklisted and cannot be allowed entry',
+          data: { reason: blacklistMatch.reason }
+        });
+      }
+
+      // Update visit only if nobody checked it in meanwhile (another gate, or a replayed code)
+      const auditFields = ['status', 'checkInTime', 'verifiedBySecurity', 'entryPhoto'];
+      const beforeSnapshot = auditService.snapshot(visit, auditFields);
+      const checkInUpdate = {
+        checkInTime: new Date(),
+        status: 'IN_PROGRESS',
+        verifiedBySecurity: userId,
+        verifiedAt: new Date(),
+        entryPhoto: entryPhotoId
+      };
       if (securityNotes) {
-        visit.securityNotes = securityNotes;
+        checkInUpdate.securityNotes = securityNotes;
       }
 
-      await visit.save();
+      const checkedIn = await Visit.findOneAndUpdate(
+        { _id: visit._id, checkInTime: null, approvalStatus: 'APPROVED' },
+        { $set: checkInUpdate },
+        { new: true }
+      );
+      if (!checkedIn) {
+        return res.status(400).json({
+          success: false,
+          message: 'Visit is already checked in'
+        });
+      }
+
+      // Single-use QR codes are used up by the check-in itself
+      if (verifiedToken && verifiedToken.singleUse) {
+        await qrTokenService.redeem(verifiedToken, { buildingId, userId });
+      }
+
+      visit = await checkedIn.populate([
+        { path: 'visitorId', select: 'name phoneNumber email idNumber isBlacklisted blacklistReason' },
+        { path: 'hostId', select: 'name phoneNumber email role' }
+      ]);
+
+      await auditService.record({
+        req,
+        action: 'VISIT_CHECKED_IN',
+        buildingId,
+        entityType: 'VISIT',
+        entityId: visit._id,
+        entityLabel: visit.visitId,
+        before: beforeSnapshot,
+        after: auditService.snapshot(visit, auditFields),
+        metadata: { visitorName: visit.visitorId.name }
+      });
+
+      await realtimeService.publishVisitEvent('VISIT_CHECKED_IN', visit);
 
       // Create notifications
       const notificationData = {
@@ -1031,7 +1116,7 @@ class VisitController {
 
       // Notify host
       try {
-        await Notification.create({
+        const notification = await Notification.create({
           ...notificationData,
           recipientId: visit.hostId._id,
           recipientRole: visit.hostId.role || 'RESIDENT',
@@ -1041,6 +1126,7 @@ class VisitController {
           category: 'INFO',
           priority: 'MEDIUM'
         });
+        await realtimeService.publishNotification(notification);
         
         // Update notification status
         visit.notificationsSent.host = true;
@@ -1054,7 +1140,7 @@ class VisitController {
       try {
         const buildingAdmin = await User.findOne({ buildingId, role: 'BUILDING_ADMIN' });
         if (buildingAdmin) {
-          await Notification.create({
+          const notification = await Notification.create({
             ...notificationData,
             recipientId: buildingAdmin._id,
             recipientRole: 'BUILDING_ADMIN',
@@ -1064,6 +1150,7 @@ class VisitController {
             category: 'INFO',
             priority: 'LOW'
           });
+          await realtimeService.publishNotification(notification);
           
           // Update notification status
           visit.notificationsSent.admin = true;
@@ -1110,14 +1197,37 @@ class VisitController {
       }
 
       // Find visit by QR code
-      const visit = await Visit.findOne({ 
-        qrCode, 
-        buildingId,
-        isActive: true 
-      })
-      .populate('visitorId', 'name phoneNumber email visitorCategory serviceType vehicleNumber')
-      .populate('hostId', 'name phoneNumber flatNumber')
-      .populate('buildingId', 'name address');
+      // Signed QR tokens are verified and resolved server-side; plain visit QR hashes are looked up directly
+      let verifiedToken = null;
+      let visit;
+      if (qrTokenService.isScannableCode(qrCode)) {
+        verifiedToken = await qrTokenService.verifyCode(qrCode);
+        if (!verifiedToken.valid) {
+          return res.status(400).json({
+            success: false,
+            message: verifiedToken.message
+          });
+        }
+        if (verifiedToken.type === 'PASS') {
+          return VisitController.scanVisitorPass(req, res, verifiedToken);
+        }
+        visit = await VisitController.findVisitForToken(verifiedToken, buildingId);
+      } else {
+        // Visits of recurring passes stay scannable after their own day ends
+        visit = await Visit.findOne({ 
+          qrCode, 
+          buildingId,
+          $or: [{ isActive: true }, { occurrenceDate: { $ne: null } }]
+        });
+      }
+
+      if (visit) {
+        await visit.populate([
+          { path: 'visitorId', select: 'name phoneNumber email visitorCategory serviceType vehicleNumber idNumber isBlacklisted blacklistReason' },
+          { path: 'hostId', select: 'name phoneNumber flatNumber' },
+          { path: 'buildingId', select: 'name address' }
+        ]);
+      }
 
       if (!visit) {
         return res.status(404).json({
@@ -1126,6 +1236,23 @@ class VisitController {
         });
       }
 
+      // Recurring passes only work inside their window, and each day gets its own visit
+      const recurringEntry = await VisitController.resolveRecurringEntry(visit);
+      if (recurringEntry.entryError) {
+        return res.status(400).json({
+          success: false,
+          message: recurringEntry.entryError,
+          data: { nextWindow: preApprovalScheduleService.getNextWindow(recurringEntry.preApproval, new Date(), recurringEntry.timeZone) }
+        });
+      }
+      if (recurringEntry.visit !== visit) {
+        visit = await recurringEntry.visit.populate([
+          { path: 'visitorId', select: 'name phoneNumber email visitorCategory serviceType vehicleNumber idNumber isBlacklisted blacklistReason' },
+          { path: 'hostId', select: 'name phoneNumber flatNumber' },
+          { path: 'buildingId', select: 'name address' }
+        ]);
+      }
+
       // Check if QR code is expired
       if (new Date() > visit.qrCodeExpiresAt) {
         return res.status(400).json({
@@ -1134,6 +1261,24 @@ class VisitController {
         });
       }
 
+      // Refuse entry to blacklisted visitors
+      const blacklistMatch = await blacklistService.findMatch({ buildingId, visitor: visit.visitorId });
+      if (blacklistMatch) {
+        await blacklistService.reportBlockedAttempt({
+          buildingId,
+          match: blacklistMatch,
+          visitorName: visit.visitorId.name,
+          context: 'QR_SCAN',
+          visitor: visit.visitorId,
+          visit
+        });
+        return res.status(403).json({
+          success: false,
+          message: 'Visitor is blacklisted and cannot be allowed entry',
+          data: { reason: blacklistMatch.reason }
+        });
+      }
+
       // Check if visit is already checked in
       if (visit.checkInTime) {
         return res.status(400).json({
@@ -1152,6 +1297,16 @@ class VisitController {
         });
       }
 
+      // Single-use QR codes only get through the gate once; they are redeemed at check-in
+      if (verifiedToken && verifiedToken.singleUse) {
+        if (await qrTokenService.isRedeemed(verifiedToken)) {
+          return res.status(409).json({
+            success: false,
+            message: 'QR code has already been used'
+          });
+        }
+      }
+
       res.status(200).json({
         success: true,
         message: 'QR code scanned successfully',
@@ -1234,6 +1389,7 @@ class VisitController {
         data: {
           visitId: visit.visitId,
           qrCode: visit.qrCode,
+          qrToken: VisitController.signVisitQR(visit),
           qrCodeExpiresAt: visit.qrCodeExpiresAt,
           visitor: {
             name: visit.visitorId.name,
@@ -1316,6 +1472,8 @@ class VisitController {
       }
 
       // Update visit
+      const auditFields = ['status', 'checkOutTime', 'actualDuration', 'exitPhoto'];
+      const beforeSnapshot = auditService.snapshot(visit, auditFields);
       visit.checkOutTime = new Date();
       visit.status = 'COMPLETED';
       visit.exitPhoto = exitPhotoId;
@@ -1327,6 +1485,20 @@ class VisitController {
 
       await visit.save();
 
+      await auditService.record({
+        req,
+        action: 'VISIT_CHECKED_OUT',
+        buildingId,
+        entityType: 'VISIT',
+        entityId: visit._id,
+        entityLabel: visit.visitId,
+        before: beforeSnapshot,
+        after: auditService.snapshot(visit, auditFields),
+        metadata: { visitorName: visit.visitorId.name }
+      });
+
+      await realtimeService.publishVisitEvent('VISIT_CHECKED_OUT', visit);
+
       // Create notifications
       const notificationData = {
         notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
@@ -1338,7 +1510,7 @@ class VisitController {
 
       // Notify host
       try {
-        await Notification.create({
+        const notification = await Notification.create({
           ...notificationData,
           recipientId: visit.hostId._id,
           recipientRole: visit.hostId.role || 'RESIDENT',
@@ -1348,6 +1520,7 @@ class VisitController {
           category: 'INFO',
           priority: 'MEDIUM'
         });
+        await realtimeService.publishNotification(notification);
         
         // Update notification status
         visit.notificationsSent.host = true;
@@ -1361,7 +1534,7 @@ class VisitController {
       try {
         const buildingAdmin = await User.findOne({ buildingId, role: 'BUILDING_ADMIN' });
         if (buildingAdmin) {
-          await Notification.create({
+          const notification = await Notification.create({
             ...notificationData,
             recipientId: buildingAdmin._id,
             recipientRole: 'BUILDING_ADMIN',
@@ -1371,6 +1544,7 @@ class VisitController {
             category: 'INFO',
             priority: 'LOW'
           });
+          await realtimeService.publishNotification(notification);
           
           // Update notification status
           visit.notificationsSent.admin = true;
@@ -1583,9 +1757,22 @@ class VisitController {
   static async validateQRCode(req, res) {
     try {
       const { buildingId, visitId } = req.params;
+      const { token } = req.query;
+
+      // A scanned signed token must verify and refer to this visit
+      let verifiedToken = null;
+      if (token) {
+        verifiedToken = await qrTokenService.verifyCode(token);
+        if (!verifiedToken.valid) {
+          return res.status(400).json({
+            success: false,
+            message: verifiedToken.message
+          });
+        }
+      }
 
       // Find visit by custom visitId
-      const visit = await Visit.findOne({ 
+      let visit = await Visit.findOne({ 
         visitId: visitId,
         buildingId: new mongoose.Types.ObjectId(buildingId)
       })
@@ -1600,6 +1787,24 @@ class VisitController {
         });
       }
 
+      if (verifiedToken && !VisitController.tokenMatchesVisit(verifiedToken, visit)) {
+        return res.status(400).json({
+          success: false,
+          message: 'QR code does not belong to this visit'
+        });
+      }
+      const isReplay = !!(verifiedToken && verifiedToken.singleUse && await qrTokenService.isRedeemed(verifiedToken));
+
+      // Recurring passes only work inside their window, and each day gets its own visit
+      const recurringEntry = await VisitController.resolveRecurringEntry(visit);
+      if (recurringEntry.visit !== visit) {
+        visit = await recurringEntry.visit.populate([
+          { path: 'visitorId', select: 'name phoneNumber email photo approvalStatus' },
+          { path: 'hostId', select: 'name flatNumber phoneNumber' },
+          { path: 'preApprovalId' }
+        ]);
+      }
+
       // Check if QR code is expired
       const isQRExpired = visit.qrCodeExpiresAt && new Date() > visit.qrCodeExpiresAt;
       
@@ -1607,10 +1812,14 @@ class VisitController {
       const canCheckIn = 
         visit.approvalStatus === 'APPROVED' && 
         visit.status === 'SCHEDULED' &&
-        !isQRExpired;
+        !isQRExpired &&
+        !isReplay &&
+        !recurringEntry.entryError;
 
       // Validation messages
       const warnings = [];
+      if (isReplay) warnings.push('QR code has already been used');
+      if (recurringEntry.entryError) warnings.push(recurringEntry.entryError);
       if (isQRExpired) warnings.push('QR code has expired');
       if (visit.status === 'IN_PROGRESS') warnings.push('Visit is already in progress');
       if (visit.status === 'COMPLETED') warnings.push('Visit has already been completed');
@@ -1653,7 +1862,11 @@ class VisitController {
           preApproval: visit.preApprovalId ? {
             id: visit.preApprovalId._id,
             status: visit.preApprovalId.status,
-            approvedAt: visit.preApprovalId.approvedAt
+            approvedAt: visit.preApprovalId.approvedAt,
+            isRecurring: visit.preApprovalId.isRecurring,
+            nextWindow: visit.preApprovalId.isRecurring
+              ? preApprovalScheduleService.getNextWindow(visit.preApprovalId, new Date(), recurringEntry.timeZone)
+              : undefined
           } : null,
           validationResult: {
             isValid: canCheckIn,
@@ -1675,6 +1888,142 @@ class VisitController {
       });
     }
   }
+
+  /**
+   * Swap the visit of a recurring pre-approval for the one covering today
+   * (created on first use). Other visits are returned unchanged.
+   * @param {Object} visit - Visit document found from the scanned QR code
+   * @returns {Promise<Object>} { visit, preApproval, timeZone, entryError }
+   */
+  static async resolveRecurringEntry(visit) {
+    const preApprovalId = visit.preApprovalId && (visit.preApprovalId._id || visit.preApprovalId);
+    if (!preApprovalId) return { visit };
+
+    const preApproval = await PreApproval.findById(preApprovalId);
+    if (!preApproval || !preApproval.isRecurring) return { visit };
+
+    const timeZone = await Building.getTimeZone(preApproval.buildingId);
+    const entryError = preApprovalScheduleService.checkEntry(preApproval, new Date(), timeZone);
+    if (entryError) return { visit, preApproval, timeZone, entryError };
+
+    return {
+      visit: await preApprovalScheduleService.getEntryVisit(preApproval, visit, new Date(), timeZone),
+      preApproval,
+      timeZone
+    };
+  }
+
+  // Signed QR token for a visit; visits of recurring passes can be scanned more than once
+  static signVisitQR(visit) {
+    return qrTokenService.sign({
+      type: 'VISIT',
+      id: visit._id,
+      expiresAt: visit.qrCodeExpiresAt,
+      singleUse: !visit.occurrenceDate
+    });
+  }
+
+  // Whether a verified token refers to the visit or to the pre-approval it came from
+  static tokenMatchesVisit(verifiedToken, visit) {
+    if (verifiedToken.type === 'VISIT') {
+      return visit._id.toString() === verifiedToken.id;
+    }
+    if (verifiedToken.type === 'PRE_APPROVAL') {
+      const preApprovalId = visit.preApprovalId && (visit.preApprovalId._id || visit.preApprovalId);
+      return !!preApprovalId && preApprovalId.toString() === verifiedToken.id;
+    }
+    return false;
+  }
+
+  /**
+   * Visit referred to by a verified VISIT or PRE_APPROVAL token
+   * (a pre-approval resolves to the visit created with it)
+   */
+  static async findVisitForToken(verifiedToken, buildingId) {
+    const scannable = { buildingId, $or: [{ isActive: true }, { occurrenceDate: { $ne: null } }] };
+    if (verifiedToken.type === 'VISIT') {
+      return Visit.findOne({ ...scannable, _id: verifiedToken.id });
+    }
+    if (verifiedToken.type === 'PRE_APPROVAL') {
+      return Visit.findOne({ ...scannable, preApprovalId: verifiedToken.id }).sort({ createdAt: 1 });
+    }
+    return null;
+  }
+
+  /**
+   * Gate scan of a signed visitor pass token: validates the pass dates and logs the entry
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} verifiedToken - Result of qrTokenService.verify
+   */
+  static async scanVisitorPass(req, res, verifiedToken) {
+    const { buildingId } = req.params;
+
+    const pass = await Pass.findOne({ _id: verifiedToken.id, buildingId, isDeleted: false });
+
+    if (!pass) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid QR code or visitor pass not found'
+      });
+    }
+
+    const entryError = passService.checkEntry(pass);
+    if (entryError) {
+      return res.status(400).json({
+        success: false,
+        message: entryError
+      });
+    }
+
+    const blacklistMatch = await blacklistService.findMatch({ buildingId, phoneNumber: pass.phoneNumber });
+    if (blacklistMatch) {
+      await blacklistService.reportBlockedAttempt({
+        buildingId,
+        match: blacklistMatch,
+        visitorName: pass.name,
+        context: 'PASS_SCAN'
+      });
+      return res.status(403).json({
+        success: false,
+        message: 'Visitor is blacklisted and cannot be allowed entry',
+        data: { reason: blacklistMatch.reason }
+      });
+    }
+
+    const updated = await passService.recordEntry({ pass, req });
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Visitor pass is no longer valid'
+      });
+    }
+
+    await updated.populate('createdBy', 'name flatNumber phoneNumber');
+
+    res.status(200).json({
+      success: true,
+      message: 'Visitor pass scanned successfully',
+      data: {
+        pass: {
+          id: updated._id,
+          name: updated.name,
+          phoneNumber: updated.phoneNumber,
+          reasonForVisit: updated.reasonForVisit,
+          startingDate: updated.startingDate,
+          endingDate: updated.endingDate,
+          checkInTime: updated.checkInTime,
+          status: updated.status,
+          entryCount: updated.entryCount,
+          createdBy: updated.createdBy ? {
+            name: updated.createdBy.name,
+            flatNumber: updated.createdBy.flatNumber,
+            phoneNumber: updated.createdBy.phoneNumber
+          } : null
+        }
+      }
+    });
+  }
 }
 
 module.exports = VisitController;
@@ -1,8 +1,10 @@
-const Visitor = require('../models/Visitor');
+const visitorCategoryService = require('../services/visitorCategoryService');
+const { validationResult } = require('express-validator');
 
 /**
  * Visitor Category Controller
- * Handles predefined dropdown options for visitor categories
+ * Handles dropdown options for visitor categories and each building's
+ * category settings. Without a buildingId the default options are returned.
  */
 class VisitorCategoryController {
   
@@ -12,21 +14,23 @@ class VisitorCategoryController {
    */
   static async getCabServices(req, res) {
     try {
-      const cabServices = [
-        'Uber',
-        'Ola', 
-        'Rapido',
-        'Meru',
-        'Easy Cabs',
-        'Mega Cabs',
-        'Others'
-      ];
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const category = await visitorCategoryService.getCategory(req.query.buildingId, 'CAB_DRIVER');
 
       res.status(200).json({
         success: true,
         data: {
           category: 'CAB_DRIVER',
-          services: cabServices
+          services: visitorCategoryService.activeServiceNames(category),
+          serviceOptions: category.services.filter(item => item.isActive !== false)
         }
       });
 
@@ -46,23 +50,23 @@ class VisitorCategoryController {
    */
   static async getDeliveryServices(req, res) {
     try {
-      const deliveryServices = [
-        'Amazon Delivery Agent',
-        'Flipkart Delivery Agent',
-        'Swiggy Delivery Agent',
-        'Zomato Delivery Agent',
-        'Zepto Delivery Agent',
-        'Blinkit Delivery Agent',
-        'BigBasket Delivery Agent',
-        'Grofers Delivery Agent',
-        'Others'
-      ];
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const category = await visitorCategoryService.getCategory(req.query.buildingId, 'DELIVERY_AGENT');
 
       res.status(200).json({
         success: true,
         data: {
           category: 'DELIVERY_AGENT',
-          services: deliveryServices
+          services: visitorCategoryService.activeServiceNames(category),
+          serviceOptions: category.services.filter(item => item.isActive !== false)
         }
       });
 
@@ -82,24 +86,23 @@ class VisitorCategoryController {
    */
   static async getEmployeeTypes(req, res) {
     try {
-      const employeeTypes = [
-        'House Help',
-        'Electrician',
-        'Plumber',
-        'Milk Man',
-        'Newspaper Boy',
-        'Garbage Collector',
-        'Maintenance Worker',
-        'Security Guard',
-        'Gardener',
-        'Others'
-      ];
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const category = await visitorCategoryService.getCategory(req.query.buildingId, 'FLAT_EMPLOYEE');
 
       res.status(200).json({
         success: true,
         data: {
           category: 'FLAT_EMPLOYEE',
-          types: employeeTypes
+          types: visitorCategoryService.activeServiceNames(category),
+          serviceOptions: category.services.filter(item => item.isActive !== false)
         }
       });
 
@@ -119,32 +122,55 @@ class VisitorCategoryController {
    */
   static async getAllCategories(req, res) {
     try {
-      const categories = [
-        {
-          id: 'CAB_DRIVER',
-          name: 'Cab Drivers',
-          icon: 'car',
-          description: 'Taxi and cab service providers'
-        },
-        {
-          id: 'DELIVERY_AGENT',
-          name: 'Delivery Agents',
-          icon: 'package',
-          description: 'Package and food delivery personnel'
-        },
-        {
-          id: 'FLAT_EMPLOYEE',
-          name: 'Flat Employees',
-          icon: 'worker',
-          description: 'House help and maintenance workers'
-        },
-        {
-          id: 'OTHER',
-          name: 'Others',
-          icon: 'person',
-          description: 'General visitors and guests'
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const categories = await visitorCategoryService.getCategories(req.query.buildingId);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          categories: categories.map(category => ({
+            id: category.code,
+            name: category.name,
+            icon: category.icon,
+            description: category.description
+          }))
         }
-      ];
+      });
+
+    } catch (error) {
+      console.error('Get all categories error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Get a building's category settings, including entry rules
+   * GET /api/visitor-categories/building/:buildingId
+   */
+  static async getBuildingCategories(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const categories = await visitorCategoryService.getCategories(req.params.buildingId);
 
       res.status(200).json({
         success: true,
@@ -154,7 +180,92 @@ class VisitorCategoryController {
       });
 
     } catch (error) {
-      console.error('Get all categories error:', error);
+      console.error('Get building categories error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Configure a category for a building
+   * PUT /api/visitor-categories/building/:buildingId/:code
+   */
+  static async updateBuildingCategory(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { buildingId, code } = req.params;
+      const { userId } = req.user;
+
+      const category = await visitorCategoryService.saveCategory(buildingId, code, req.body, userId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Visitor category updated successfully',
+        data: {
+          category
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: Object.values(error.errors).map(err => ({ msg: err.message, path: err.path }))
+        });
+      }
+
+      console.error('Update building category error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+
+  /**
+   * Reset a building's category to the default settings
+   * DELETE /api/visitor-categories/building/:buildingId/:code
+   */
+  static async resetBuildingCategory(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { buildingId, code } = req.params;
+
+      const removed = await visitorCategoryService.resetCategory(buildingId, code);
+
+      res.status(200).json({
+        success: true,
+        message: removed
+          ? 'Visitor category reset to defaults'
+          : 'Visitor category already uses the defaults',
+        data: {
+          category: visitorCategoryService.getDefault(code)
+        }
+      });
+
+    } catch (error) {
+      console.error('Reset building category error:', error);
       res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -4,6 +4,7 @@ const Photo = require('../models/Photo');
 const Notification = require('../models/Notification');
 const { validationResult } = require('express-validator');
 const { uploadToS3, isS3Configured } = require('../services/s3Service');
+const visitorCategoryService = require('../services/visitorCategoryService');
 
 class VisitorController {
   // Create a new visitor
@@ -41,6 +42,24 @@ class VisitorController {
       // Get buildingId from URL params
       const { buildingId } = req.params;
 
+      // Apply the building's rules for this visitor category
+      const category = await visitorCategoryService.getCategory(buildingId, visitorCategory || 'OTHER');
+
+      const resolvedService = visitorCategoryService.resolveServiceType(category, serviceType);
+      if (resolvedService.error) {
+        return res.status(400).json({
+          success: false,
+          message: resolvedService.error
+        });
+      }
+
+      if (category.idRequired && !idNumber) {
+        return res.status(400).json({
+          success: false,
+          message: `An ID number is required for ${category.name.toLowerCase()} in this building`
+        });
+      }
+
       // Check if visitor already exists with same phone number in the building (only if phone number provided)
       if (phoneNumber) {
         const existingVisitor = await Visitor.findByPhone(phoneNumber, buildingId);
@@ -68,7 +87,7 @@ class VisitorController {
         buildingId,
         // NEW FIELDS - Figma Required
         visitorCategory: visitorCategory || 'OTHER',
-        serviceType,
+        serviceType: resolvedService.serviceType,
         employeeCode,
         flatNumber,
         vehicleType: vehicleType || 'OTHER'
@@ -97,6 +116,11 @@ class VisitorController {
           vehicleNumber: visitor.vehicleNumber,
           vehicleType: visitor.vehicleType,
           status: visitor.status,
+          // Photo / ID the category needs before a visit can be created
+          requirements: {
+            photoRequired: category.photoRequired,
+            idRequired: category.idRequired
+          },
           createdAt: visitor.createdAt
         }
       });
@@ -0,0 +1,78 @@
+const jobScheduler = require('../services/jobScheduler');
+const visitExpiryService = require('../services/visitExpiryService');
+const overstayService = require('../services/overstayService');
+const visitApprovalService = require('../services/visitApprovalService');
+const messagePublishService = require('../services/messagePublishService');
+const askSocietyService = require('../services/askSocietyService');
+const duesService = require('../services/duesService');
+const serviceRequestService = require('../services/serviceRequestService');
+const helpdeskService = require('../services/helpdeskService');
+
+/**
+ * Background Jobs
+ * Registers every scheduled job with the job scheduler.
+ * Set JOBS_ENABLED=false on instances that should only serve HTTP traffic.
+ */
+
+const minutes = (value, fallback) => (parseInt(value) || fallback) * 60 * 1000;
+
+jobScheduler.register({
+  name: 'visit-expiry-sweep',
+  intervalMs: minutes(process.env.VISIT_EXPIRY_INTERVAL_MINUTES, 5),
+  run: () => visitExpiryService.sweep()
+});
+
+jobScheduler.register({
+  name: 'overstay-monitor',
+  intervalMs: minutes(process.env.OVERSTAY_CHECK_INTERVAL_MINUTES, 2),
+  run: () => overstayService.detectOverstays()
+});
+
+jobScheduler.register({
+  name: 'visit-approval-escalation',
+  intervalMs: minutes(process.env.APPROVAL_ESCALATION_INTERVAL_MINUTES, 1),
+  run: () => visitApprovalService.escalateOverdueApprovals()
+});
+
+jobScheduler.register({
+  name: 'message-publisher',
+  intervalMs: minutes(process.env.MESSAGE_PUBLISH_INTERVAL_MINUTES, 1),
+  run: () => messagePublishService.publishDueMessages()
+});
+
+jobScheduler.register({
+  name: 'ask-society-auto-close',
+  intervalMs: minutes(process.env.ASK_SOCIETY_AUTO_CLOSE_INTERVAL_MINUTES, 60),
+  run: () => askSocietyService.closeStaleThreads()
+});
+
+jobScheduler.register({
+  name: 'dues-processor',
+  intervalMs: minutes(process.env.DUES_PROCESS_INTERVAL_MINUTES, 60),
+  run: () => duesService.processDues()
+});
+
+jobScheduler.register({
+  name: 'service-request-sla',
+  intervalMs: minutes(process.env.SERVICE_REQUEST_SLA_INTERVAL_MINUTES, 5),
+  run: () => serviceRequestService.checkSlaBreaches()
+});
+
+jobScheduler.register({
+  name: 'helpdesk-sla',
+  intervalMs: minutes(process.env.HELPDESK_SLA_INTERVAL_MINUTES, 5),
+  run: () => helpdeskService.checkSlaBreaches()
+});
+
+const startBackgroundJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('⏸️  Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+  jobScheduler.start();
+};
+
+module.exports = {
+  startBackgroundJobs,
+  stopBackgroundJobs: () => jobScheduler.stop()
+};
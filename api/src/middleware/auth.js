@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
 
 /**
  * Authentication Middleware
@@ -35,6 +36,18 @@ const authenticateToken = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     console.log(`Token verification took: ${Date.now() - tokenVerifyStart}ms`);
+
+    // Check the server-side session so logged-out or revoked tokens are rejected.
+    // Tokens without a sid predate session tracking and cannot be revoked, so
+    // they are refused and the user has to log in again.
+    const session = decoded.sid ? await sessionService.validateSession(decoded.sid, decoded.userId) : null;
+    if (!session) {
+      console.log('Session revoked or not found');
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked or expired. Please log in again.'
+      });
+    }
     
     // Check if user still exists and is active
     console.log('Finding user in database...');
@@ -51,6 +64,13 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password has been changed. Please log in again.'
+      });
+    }
+
     if (!user.isActive) {
       return res.status(401).json({
         success: false,
@@ -78,7 +98,8 @@ const authenticateToken = async (req, res, next) => {
       activeRole,
       name: user.name,
       buildingId: user.buildingId,
-      isVerified: user.isVerified
+      isVerified: user.isVerified,
+      sessionId: session.sessionId
     };
 
     console.log('Authenticated user:', { email: user.email, roles, activeRole, buildingId: user.buildingId });
@@ -29,6 +29,38 @@ const askSocietySchema = new mongoose.Schema({
     default: 'OPEN'
   },
 
+  // Thread activity
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+
+  acceptedReplyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AskSocietyReply',
+    default: null
+  },
+
+  // Last question edit or reply; OPEN threads idle longer than the building's
+  // askSocietyAutoCloseDays are closed automatically
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  resolvedAt: {
+    type: Date
+  },
+
+  closedAt: {
+    type: Date
+  },
+
+  autoClosed: {
+    type: Boolean,
+    default: false
+  },
+
   // References
   buildingId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -42,6 +74,12 @@ const askSocietySchema = new mongoose.Schema({
     required: true
   },
 
+  // Hidden by moderation (see ModerationCase)
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+
   // Metadata
   isDeleted: {
     type: Boolean,
@@ -63,6 +101,7 @@ askSocietySchema.index({ buildingId: 1, isDeleted: 1 });
 askSocietySchema.index({ createdBy: 1 });
 askSocietySchema.index({ status: 1 });
 askSocietySchema.index({ createdAt: -1 });
+askSocietySchema.index({ status: 1, lastActivityAt: 1 });
 
 // Virtual for full identification
 askSocietySchema.virtual('messagePreview').get(function() {
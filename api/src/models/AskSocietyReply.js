@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * AskSocietyReply Model - An answer posted on an Ask Society thread
+ * At most one reply per thread is accepted; accepting one resolves the thread.
+ */
+
+const askSocietyReplySchema = new mongoose.Schema({
+  threadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AskSociety',
+    required: true
+  },
+
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  message: {
+    type: String,
+    required: [true, 'Reply is required'],
+    trim: true,
+    maxlength: [2000, 'Reply cannot exceed 2000 characters']
+  },
+
+  // Marked by the asker (or an admin) as the answer to the thread
+  isAccepted: {
+    type: Boolean,
+    default: false
+  },
+
+  // Metadata
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+askSocietyReplySchema.index({ threadId: 1, isDeleted: 1, createdAt: 1 });
+askSocietyReplySchema.index({ createdBy: 1 });
+
+module.exports = mongoose.model('AskSocietyReply', askSocietyReplySchema);
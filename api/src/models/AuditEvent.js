@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+/**
+ * AuditEvent Model - Durable audit trail
+ * Append-only record of security-relevant actions (who did what to which entity, and what changed)
+ */
+
+const AUDIT_ACTIONS = [
+  'RESIDENT_APPROVED',
+  'RESIDENT_DENIED',
+  'VEHICLE_VERIFIED',
+  'VEHICLE_UNVERIFIED',
+  'VISIT_APPROVED',
+  'VISIT_REJECTED',
+  'VISIT_APPROVED_BY_NAME',
+  'VISIT_CHECKED_IN',
+  'VISIT_CHECKED_OUT',
+  'ACCOUNT_DELETED',
+  'USER_DELETED_BY_ADMIN',
+  'PRE_APPROVAL_APPROVED',
+  'PRE_APPROVAL_REJECTED',
+  'VISITOR_BLACKLISTED',
+  'VISITOR_UNBLACKLISTED',
+  'PASS_APPROVED',
+  'PASS_CANCELLED',
+  'PASS_EXTENDED',
+  'PASS_ENTRY',
+  'CONTENT_HIDDEN',
+  'CONTENT_RESTORED',
+  'CONTENT_DELETED',
+  'CONTENT_AUTHOR_WARNED',
+  'DUES_PAYMENT_RECORDED',
+  'DUES_INVOICE_CANCELLED'
+];
+
+const AUDIT_ENTITY_TYPES = ['USER', 'RESIDENT_APPROVAL', 'VEHICLE', 'VISIT', 'PRE_APPROVAL', 'BLACKLIST_ENTRY', 'PASS', 'MODERATION_CASE', 'INVOICE', 'PAYMENT'];
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditEventSchema = new mongoose.Schema({
+  // Event Identification
+  eventId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+
+  action: {
+    type: String,
+    required: [true, 'Audit action is required'],
+    enum: AUDIT_ACTIONS
+  },
+
+  // Actor Information
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  actorRole: {
+    type: String,
+    enum: ['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY', 'RESIDENT', 'SYSTEM'],
+    default: 'SYSTEM'
+  },
+
+  actorName: {
+    type: String,
+    trim: true
+  },
+
+  // Building Association (optional for platform-level actions)
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building'
+  },
+
+  // Target Entity
+  entityType: {
+    type: String,
+    required: [true, 'Entity type is required'],
+    enum: AUDIT_ENTITY_TYPES
+  },
+
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity ID is required']
+  },
+
+  entityLabel: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Entity label cannot exceed 200 characters']
+  },
+
+  // Before/after diff of the fields touched by the action
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+
+  // Request Context
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'User agent cannot exceed 500 characters']
+  },
+
+  metadata: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+auditEventSchema.index({ buildingId: 1, createdAt: -1 });
+auditEventSchema.index({ buildingId: 1, action: 1, createdAt: -1 });
+auditEventSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditEventSchema.index({ actorId: 1, createdAt: -1 });
+
+// Audit events are append-only
+const rejectMutation = function(next) {
+  next(new Error('Audit events cannot be modified or deleted'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+auditEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectMutation);
+
+// Static methods
+auditEventSchema.statics.findByEntity = function(entityType, entityId) {
+  return this.find({ entityType, entityId })
+    .populate('actorId', 'name email role')
+    .sort({ createdAt: -1 });
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+/**
+ * BlacklistEntry Model - Visitor blacklist
+ * Blocks a person by phone number and/or ID number, either in one building
+ * or (when buildingId is empty) across all buildings.
+ */
+
+const blacklistEntrySchema = new mongoose.Schema({
+  // Scope: a building, or null for every building (Super Admin only)
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    default: null
+  },
+
+  scope: {
+    type: String,
+    enum: ['BUILDING', 'ALL_BUILDINGS'],
+    required: true,
+    default: 'BUILDING'
+  },
+
+  // Identification (digits only, last 10 digits for phone numbers)
+  phoneNumber: {
+    type: String,
+    trim: true
+  },
+
+  idType: {
+    type: String,
+    enum: ['AADHAR', 'PAN', 'DRIVING_LICENSE', 'PASSPORT', 'VOTER_ID', 'OTHER']
+  },
+
+  idNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+
+  personName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  reason: {
+    type: String,
+    required: [true, 'Blacklist reason is required'],
+    trim: true,
+    maxlength: [500, 'Blacklist reason cannot exceed 500 characters']
+  },
+
+  // Status
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  removedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  removedAt: {
+    type: Date
+  },
+
+  removalReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Removal reason cannot exceed 500 characters']
+  },
+
+  // Blocked attempt tracking
+  blockedAttempts: {
+    type: Number,
+    default: 0
+  },
+
+  lastAttemptAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+blacklistEntrySchema.index({ phoneNumber: 1, isActive: 1 });
+blacklistEntrySchema.index({ idNumber: 1, isActive: 1 });
+blacklistEntrySchema.index({ buildingId: 1, isActive: 1 });
+
+// Pre-save validation
+blacklistEntrySchema.pre('save', function(next) {
+  if (!this.phoneNumber && !this.idNumber) {
+    return next(new Error('Either phone number or ID number is required'));
+  }
+
+  if (this.scope === 'ALL_BUILDINGS') {
+    this.buildingId = null;
+  } else if (!this.buildingId) {
+    return next(new Error('Building ID is required for building-scoped blacklist entries'));
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('BlacklistEntry', blacklistEntrySchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../utils/timeZone');
 
 /**
  * Building Model - Multi-Building Support
@@ -119,6 +120,13 @@ const buildingSchema = new mongoose.Schema({
     enum: ['PARKING', 'GARDEN', 'GYM', 'POOL', 'SECURITY', 'ELEVATOR', 'POWER_BACKUP', 'WATER_BACKUP']
   }],
   
+  // IANA time zone that schedules, pass windows and cutoffs are evaluated in
+  timezone: {
+    type: String,
+    default: DEFAULT_TIME_ZONE,
+    validate: [isValidTimeZone, 'Invalid time zone']
+  },
+  
   // Operating Hours
   operatingHours: {
     open: {
@@ -158,6 +166,220 @@ const buildingSchema = new mongoose.Schema({
     notificationAlerts: {
       type: Boolean,
       default: true
+    },
+    // Visits still IN_PROGRESS this long after their expected end are checked out automatically.
+    // Opt-in, so buildings that existed before it keep their visits open until someone checks them out.
+    autoCheckout: {
+      type: Boolean,
+      default: false
+    },
+    autoCheckoutGraceMinutes: {
+      type: Number,
+      default: 120,
+      min: [0, 'Auto checkout grace period cannot be negative'],
+      max: [1440, 'Auto checkout grace period cannot exceed 24 hours']
+    },
+    // Minutes past expectedDuration before a checked-in visitor is flagged as overstaying
+    overstayThresholdMinutes: {
+      type: Number,
+      default: 15,
+      min: [0, 'Overstay threshold cannot be negative'],
+      max: [720, 'Overstay threshold cannot exceed 12 hours']
+    },
+    // Walk-in approvals nobody on the flat answers within this many minutes go to
+    // approvalEscalationTarget (0 disables escalation)
+    approvalTimeoutMinutes: {
+      type: Number,
+      default: 5,
+      min: [0, 'Approval timeout cannot be negative'],
+      max: [120, 'Approval timeout cannot exceed 2 hours']
+    },
+    approvalEscalationTarget: {
+      type: String,
+      enum: ['SECURITY', 'BUILDING_ADMIN', 'BOTH'],
+      default: 'SECURITY'
+    },
+    // Staff entries with no exit logged by this hour (0-23, server time) are flagged
+    employeeExitCutoffHour: {
+      type: Number,
+      default: 22,
+      min: [0, 'Exit cutoff hour must be between 0 and 23'],
+      max: [23, 'Exit cutoff hour must be between 0 and 23']
+    }
+  },
+  
+  // Community Settings (posts, messages, Ask Society)
+  communitySettings: {
+    // Reported content is hidden once this many residents report it (0 disables)
+    reportHideThreshold: {
+      type: Number,
+      default: 3,
+      min: [0, 'Report threshold cannot be negative'],
+      max: [100, 'Report threshold cannot exceed 100']
+    },
+    // OPEN Ask Society threads with no activity for this many days are closed (0 disables)
+    askSocietyAutoCloseDays: {
+      type: Number,
+      default: 30,
+      min: [0, 'Auto-close days cannot be negative'],
+      max: [365, 'Auto-close days cannot exceed 365']
+    }
+  },
+
+  // Service Request SLA targets per priority, in hours
+  serviceRequestSettings: {
+    // From creation until a technician accepts the request
+    responseHours: {
+      LOW: {
+        type: Number,
+        default: 24,
+        min: [0.25, 'Response time must be at least 0.25 hours'],
+        max: [720, 'Response time cannot exceed 720 hours']
+      },
+      MEDIUM: {
+        type: Number,
+        default: 8,
+        min: [0.25, 'Response time must be at least 0.25 hours'],
+        max: [720, 'Response time cannot exceed 720 hours']
+      },
+      HIGH: {
+        type: Number,
+        default: 4,
+        min: [0.25, 'Response time must be at least 0.25 hours'],
+        max: [720, 'Response time cannot exceed 720 hours']
+      },
+      URGENT: {
+        type: Number,
+        default: 1,
+        min: [0.25, 'Response time must be at least 0.25 hours'],
+        max: [720, 'Response time cannot exceed 720 hours']
+      }
+    },
+    // From creation until the work is completed (time on hold excluded)
+    resolutionHours: {
+      LOW: {
+        type: Number,
+        default: 120,
+        min: [0.25, 'Resolution time must be at least 0.25 hours'],
+        max: [720, 'Resolution time cannot exceed 720 hours']
+      },
+      MEDIUM: {
+        type: Number,
+        default: 72,
+        min: [0.25, 'Resolution time must be at least 0.25 hours'],
+        max: [720, 'Resolution time cannot exceed 720 hours']
+      },
+      HIGH: {
+        type: Number,
+        default: 24,
+        min: [0.25, 'Resolution time must be at least 0.25 hours'],
+        max: [720, 'Resolution time cannot exceed 720 hours']
+      },
+      URGENT: {
+        type: Number,
+        default: 6,
+        min: [0.25, 'Resolution time must be at least 0.25 hours'],
+        max: [720, 'Resolution time cannot exceed 720 hours']
+      }
+    }
+  },
+
+  // Helpdesk SLA targets per ticket priority, in hours
+  helpdeskSettings: {
+    // From creation until staff first reply to the requester
+    firstResponseHours: {
+      LOW: {
+        type: Number,
+        default: 48,
+        min: [0.25, 'Response time must be at least 0.25 hours'],
+        max: [720, 'Response time cannot exceed 720 hours']
+      },
+      MEDIUM: {
+        type: Number,
+        default: 24,
+        min: [0.25, 'Response time must be at least 0.25 hours'],
+        max: [720, 'Response time cannot exceed 720 hours']
+      },
+      HIGH: {
+        type: Number,
+        default: 8,
+        min: [0.25, 'Response time must be at least 0.25 hours'],
+        max: [720, 'Response time cannot exceed 720 hours']
+      },
+      URGENT: {
+        type: Number,
+        default: 2,
+        min: [0.25, 'Response time must be at least 0.25 hours'],
+        max: [720, 'Response time cannot exceed 720 hours']
+      }
+    },
+    // From creation until resolved (time waiting on the resident excluded)
+    resolutionHours: {
+      LOW: {
+        type: Number,
+        default: 168,
+        min: [0.25, 'Resolution time must be at least 0.25 hours'],
+        max: [720, 'Resolution time cannot exceed 720 hours']
+      },
+      MEDIUM: {
+        type: Number,
+        default: 72,
+        min: [0.25, 'Resolution time must be at least 0.25 hours'],
+        max: [720, 'Resolution time cannot exceed 720 hours']
+      },
+      HIGH: {
+        type: Number,
+        default: 24,
+        min: [0.25, 'Resolution time must be at least 0.25 hours'],
+        max: [720, 'Resolution time cannot exceed 720 hours']
+      },
+      URGENT: {
+        type: Number,
+        default: 8,
+        min: [0.25, 'Resolution time must be at least 0.25 hours'],
+        max: [720, 'Resolution time cannot exceed 720 hours']
+      }
+    }
+  },
+
+  // Maintenance Billing Settings
+  billingSettings: {
+    currency: {
+      type: String,
+      default: 'INR',
+      uppercase: true,
+      trim: true
+    },
+    // FIXED adds lateFeeAmount; PERCENT adds lateFeeAmount% of the balance due
+    lateFeeType: {
+      type: String,
+      enum: ['FIXED', 'PERCENT'],
+      default: 'FIXED'
+    },
+    // Charged once per overdue invoice (0 disables late fees)
+    lateFeeAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Late fee cannot be negative']
+    },
+    lateFeeGraceDays: {
+      type: Number,
+      default: 5,
+      min: [0, 'Grace period cannot be negative'],
+      max: [90, 'Grace period cannot exceed 90 days']
+    },
+    reminderDaysBeforeDue: {
+      type: Number,
+      default: 3,
+      min: [0, 'Reminder days cannot be negative'],
+      max: [30, 'Reminder days cannot exceed 30']
+    },
+    // Overdue reminders repeat this often (0 sends none)
+    reminderIntervalDays: {
+      type: Number,
+      default: 7,
+      min: [0, 'Reminder interval cannot be negative'],
+      max: [90, 'Reminder interval cannot exceed 90 days']
     }
   }
 }, {
@@ -231,6 +453,11 @@ buildingSchema.statics.findActiveBuildings = function() {
   return this.find({ isActive: true });
 };
 
+buildingSchema.statics.getTimeZone = async function(buildingId) {
+  const building = await this.findById(buildingId).select('timezone');
+  return (building && building.timezone) || DEFAULT_TIME_ZONE;
+};
+
 // Pre-save middleware
 buildingSchema.pre('save', function(next) {
   // Ensure building name is unique
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * ChargeHead Model - A maintenance charge billed to flats (e.g. "Maintenance",
+ * "Sinking Fund"), either a fixed amount, a rate per sq. ft. of flat area, or
+ * an amount per flat type
+ */
+
+const flatTypeRateSchema = new mongoose.Schema({
+  flatType: {
+    type: String,
+    required: [true, 'Flat type is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Flat type cannot exceed 30 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  }
+}, { _id: false });
+
+const chargeHeadSchema = new mongoose.Schema({
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: [true, 'Building ID is required']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Charge name is required'],
+    trim: true,
+    maxlength: [100, 'Charge name cannot exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+
+  // How the amount for a flat is worked out
+  calculation: {
+    type: String,
+    enum: ['FIXED', 'PER_SQFT', 'BY_FLAT_TYPE'],
+    default: 'FIXED'
+  },
+
+  // FIXED: billed to every flat
+  amount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative'],
+    default: 0
+  },
+
+  // PER_SQFT: multiplied by the flat's areaSqft
+  ratePerSqft: {
+    type: Number,
+    min: [0, 'Rate cannot be negative'],
+    default: 0
+  },
+
+  // BY_FLAT_TYPE: flats of other types are not billed
+  flatTypeRates: [flatTypeRateSchema],
+
+  // Retired heads stay on past invoices but are not billed again
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+chargeHeadSchema.index({ buildingId: 1, isActive: 1 });
+
+module.exports = mongoose.model('ChargeHead', chargeHeadSchema);
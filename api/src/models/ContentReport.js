@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * ContentReport Model - One resident's report of a post, message or Ask Society item
+ * Reports on the same item are grouped under a ModerationCase.
+ */
+
+const contentReportSchema = new mongoose.Schema({
+  caseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModerationCase',
+    required: true
+  },
+
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: true
+  },
+
+  contentType: {
+    type: String,
+    enum: ['POST', 'MESSAGE', 'ASK_SOCIETY'],
+    required: true
+  },
+
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  reportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  reason: {
+    type: String,
+    enum: {
+      values: ['SPAM', 'OFFENSIVE', 'HARASSMENT', 'MISINFORMATION', 'INAPPROPRIATE', 'OTHER'],
+      message: 'Reason must be one of: SPAM, OFFENSIVE, HARASSMENT, MISINFORMATION, INAPPROPRIATE, OTHER'
+    },
+    required: [true, 'Reason is required']
+  },
+
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Details cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// A user can report the same item once
+contentReportSchema.index({ contentType: 1, contentId: 1, reportedBy: 1 }, { unique: true });
+contentReportSchema.index({ caseId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ContentReport', contentReportSchema);
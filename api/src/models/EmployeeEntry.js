@@ -31,6 +31,43 @@ const employeeEntrySchema = new mongoose.Schema({
     required: true
   },
   
+  // Exit Details
+  // Set to ON_PREMISES when the entry is logged. There is deliberately no
+  // default: entries logged before exits were tracked have no status and are
+  // never counted as on premises.
+  status: {
+    type: String,
+    enum: ['ON_PREMISES', 'EXITED']
+  },
+  
+  exitTime: {
+    type: Date,
+    default: null
+  },
+  
+  // Shift length in minutes, set when the exit is logged
+  durationMinutes: {
+    type: Number,
+    min: 0
+  },
+  
+  exitRecordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  exitRecordedByName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Exit recorded by name cannot exceed 100 characters']
+  },
+  
+  exitNotes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Exit notes cannot exceed 500 characters']
+  },
+  
   // Who recorded this entry (Security Guard/Admin)
   recordedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -82,6 +119,8 @@ employeeEntrySchema.index({ buildingId: 1, entryTime: -1 });
 employeeEntrySchema.index({ employeeId: 1, entryTime: -1 });
 employeeEntrySchema.index({ recordedBy: 1 });
 employeeEntrySchema.index({ entryId: 1 });
+employeeEntrySchema.index({ buildingId: 1, status: 1 });
+employeeEntrySchema.index({ employeeId: 1, status: 1 });
 
 // Pre-save middleware to generate entryId
 employeeEntrySchema.pre('save', async function(next) {
@@ -116,6 +155,25 @@ employeeEntrySchema.virtual('entryMessage').get(function() {
   return `${employeeName} (${employeeType}) has entered the building`;
 });
 
+// Virtual for formatted shift duration
+employeeEntrySchema.virtual('durationFormatted').get(function() {
+  if (this.durationMinutes == null) return null;
+  const hours = Math.floor(this.durationMinutes / 60);
+  const minutes = this.durationMinutes % 60;
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+});
+
+// Instance method to log the exit
+employeeEntrySchema.methods.logExit = function(recordedBy, recordedByName, notes) {
+  this.status = 'EXITED';
+  this.exitTime = new Date();
+  this.durationMinutes = Math.max(0, Math.round((this.exitTime - this.entryTime) / 60000));
+  this.exitRecordedBy = recordedBy;
+  this.exitRecordedByName = recordedByName;
+  if (notes) this.exitNotes = notes;
+  return this.save();
+};
+
 // Static method to generate unique entry ID
 employeeEntrySchema.statics.generateEntryId = async function() {
   let entryId;
@@ -252,6 +310,11 @@ employeeEntrySchema.methods.getSummary = function() {
     purpose: this.purpose,
     notes: this.notes,
     recordedByName: this.recordedByName,
+    status: this.status,
+    exitTime: this.exitTime,
+    durationMinutes: this.durationMinutes,
+    durationFormatted: this.durationFormatted,
+    exitRecordedByName: this.exitRecordedByName,
     createdAt: this.createdAt
   };
 };
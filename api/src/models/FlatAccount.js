@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * FlatAccount Model - Billing profile of one flat
+ * Holds what charges are calculated from (flat type, area); invoices and
+ * payments for the flat point to it.
+ */
+
+const flatAccountSchema = new mongoose.Schema({
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: [true, 'Building ID is required']
+  },
+
+  flatNumber: {
+    type: String,
+    required: [true, 'Flat number is required'],
+    trim: true,
+    maxlength: [20, 'Flat number cannot exceed 20 characters']
+  },
+
+  blockNumber: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Block number cannot exceed 20 characters']
+  },
+
+  // Upper-cased "BLOCK:FLAT" used to match residents to their account
+  flatKey: {
+    type: String,
+    required: true
+  },
+
+  // e.g. 1BHK, 2BHK, SHOP
+  flatType: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [30, 'Flat type cannot exceed 30 characters']
+  },
+
+  areaSqft: {
+    type: Number,
+    min: [0, 'Area cannot be negative']
+  },
+
+  // Billing contact shown on invoices
+  ownerName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Owner name cannot exceed 100 characters']
+  },
+
+  // Online payments confirmed after their invoice was already settled,
+  // held for the admin to refund or adjust
+  creditBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit balance cannot be negative']
+  },
+
+  // Inactive flats are skipped when invoices are generated
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+flatAccountSchema.index({ buildingId: 1, flatKey: 1 }, { unique: true });
+
+flatAccountSchema.statics.flatKeyOf = function(flatNumber, blockNumber) {
+  return `${String(blockNumber || '').trim()}:${String(flatNumber || '').trim()}`.toUpperCase();
+};
+
+module.exports = mongoose.model('FlatAccount', flatAccountSchema);
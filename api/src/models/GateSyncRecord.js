@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+/**
+ * GateSyncRecord Model - Check-ins/outs recorded offline by a guard device
+ * One document per device record, so re-sending a batch after a dropped
+ * connection returns the original outcome instead of applying it twice.
+ */
+
+const gateSyncRecordSchema = new mongoose.Schema({
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: true
+  },
+
+  deviceId: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Device ID cannot exceed 100 characters']
+  },
+
+  // ID the device gave the record
+  clientRecordId: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Client record ID cannot exceed 100 characters']
+  },
+
+  type: {
+    type: String,
+    enum: ['CHECK_IN', 'CHECK_OUT'],
+    required: true
+  },
+
+  visitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Visit'
+  },
+
+  // Device clock when the guard recorded the event
+  recordedAt: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['APPLIED', 'CONFLICT', 'REJECTED'],
+    required: true
+  },
+
+  // Machine-readable conflict / rejection reason
+  reason: {
+    type: String
+  },
+
+  message: {
+    type: String
+  },
+
+  syncedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+gateSyncRecordSchema.index({ buildingId: 1, deviceId: 1, clientRecordId: 1 }, { unique: true });
+gateSyncRecordSchema.index({ buildingId: 1, status: 1, syncedAt: -1 });
+
+module.exports = mongoose.model('GateSyncRecord', gateSyncRecordSchema);
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invoice Model - Maintenance dues billed to one flat for one period
+ * balanceDue = totalAmount - amountPaid; late fees are added to totalAmount.
+ */
+
+const lineItemSchema = new mongoose.Schema({
+  chargeHeadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChargeHead'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // How the amount was worked out, e.g. "1200 sq ft x 2.5"
+  basis: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0, 'Amount cannot be negative']
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    unique: true,
+    required: true,
+    trim: true
+  },
+
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: [true, 'Building ID is required']
+  },
+
+  flatAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlatAccount',
+    required: [true, 'Flat account is required']
+  },
+
+  flatNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  blockNumber: {
+    type: String,
+    trim: true
+  },
+
+  // Billing period; periodLabel (e.g. "2026-10") is unique per flat
+  periodLabel: {
+    type: String,
+    required: [true, 'Period label is required'],
+    trim: true,
+    maxlength: [50, 'Period label cannot exceed 50 characters']
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+
+  lineItems: [lineItemSchema],
+
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  lateFeeTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lateFeeAppliedAt: {
+    type: Date
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  balanceDue: {
+    type: Number,
+    required: true
+  },
+
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  status: {
+    type: String,
+    enum: ['ISSUED', 'PARTIALLY_PAID', 'PAID', 'CANCELLED'],
+    default: 'ISSUED'
+  },
+
+  dueDate: {
+    type: Date,
+    required: [true, 'Due date is required']
+  },
+
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  paidAt: {
+    type: Date
+  },
+
+  cancelledAt: {
+    type: Date
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+
+  // Reminders
+  remindersSent: {
+    type: Number,
+    default: 0
+  },
+  lastReminderAt: {
+    type: Date
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ flatAccountId: 1, periodLabel: 1 }, { unique: true });
+invoiceSchema.index({ buildingId: 1, status: 1, dueDate: 1 });
+invoiceSchema.index({ buildingId: 1, periodLabel: 1 });
+
+invoiceSchema.statics.OPEN_STATUSES = ['ISSUED', 'PARTIALLY_PAID'];
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * JobLock Model - Lease for background jobs
+ * One document per job name. An instance may run a job only while it holds
+ * an unexpired lease, so the same job never runs on two instances at once.
+ */
+
+const jobLockSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // Lease
+  lockedBy: {
+    type: String,
+    default: null
+  },
+
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Last run bookkeeping
+  lastStartedAt: {
+    type: Date
+  },
+
+  lastFinishedAt: {
+    type: Date
+  },
+
+  lastStatus: {
+    type: String,
+    enum: ['SUCCESS', 'FAILED']
+  },
+
+  lastError: {
+    type: String,
+    maxlength: 1000
+  },
+
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  runCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
@@ -1,3 +1,5 @@
+// Superseded by the helpdesk Ticket model; kept so existing records can be
+// migrated (see services/helpdeskLegacyService.js)
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 
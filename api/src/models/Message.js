@@ -52,6 +52,18 @@ const messageSchema = new mongoose.Schema({
     default: false
   },
   
+  // Hidden by moderation (see ModerationCase)
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Recipients must confirm they have seen it (HIGH / URGENT messages only)
+  requiresAcknowledgement: {
+    type: Boolean,
+    default: false
+  },
+  
   // Priority Level
   priority: {
     type: String,
@@ -97,6 +109,25 @@ const messageSchema = new mongoose.Schema({
     type: Date
   },
   
+  // SCHEDULED until the publisher releases it at scheduledAt. Messages saved
+  // before this field existed have no value and count as published.
+  publishStatus: {
+    type: String,
+    enum: {
+      values: ['SCHEDULED', 'PUBLISHED', 'CANCELLED'],
+      message: 'Publish status must be one of: SCHEDULED, PUBLISHED, CANCELLED'
+    },
+    default: 'PUBLISHED'
+  },
+  
+  publishedAt: {
+    type: Date
+  },
+  
+  cancelledAt: {
+    type: Date
+  },
+  
   // Additional Information
   tags: [{
     type: String,
@@ -133,6 +164,15 @@ const messageSchema = new mongoose.Schema({
     comments: {
       type: Number,
       default: 0
+    },
+    // Distinct recipients who opened / acknowledged the message
+    reads: {
+      type: Number,
+      default: 0
+    },
+    acknowledgements: {
+      type: Number,
+      default: 0
     }
   },
   
@@ -164,6 +204,7 @@ messageSchema.index({ priority: 1 });
 messageSchema.index({ isPinned: 1 });
 messageSchema.index({ createdAt: -1 });
 messageSchema.index({ scheduledAt: 1 });
+messageSchema.index({ publishStatus: 1, scheduledAt: 1 });
 
 // Virtual for message type display
 messageSchema.virtual('messageTypeDisplay').get(function() {
@@ -240,9 +281,21 @@ messageSchema.pre('save', function(next) {
   next();
 });
 
+// Query for messages currently visible in a building's feed: published and not expired
+messageSchema.statics.feedQuery = function(buildingId, now = new Date()) {
+  return {
+    buildingId,
+    isActive: true,
+    isDeleted: false,
+    isHidden: { $ne: true },
+    publishStatus: { $nin: ['SCHEDULED', 'CANCELLED'] },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  };
+};
+
 // Static method to get messages by building
 messageSchema.statics.getByBuilding = function(buildingId, options = {}) {
-  const query = { buildingId, isActive: true, isDeleted: false };
+  const query = this.feedQuery(buildingId);
   
   if (options.messageType) {
     query.messageType = options.messageType;
@@ -266,11 +319,7 @@ messageSchema.statics.getByBuilding = function(buildingId, options = {}) {
 
 // Static method to get recent messages
 messageSchema.statics.getRecent = function(buildingId, limit = 10) {
-  return this.find({ 
-    buildingId, 
-    isActive: true, 
-    isDeleted: false 
-  })
+  return this.find(this.feedQuery(buildingId))
   .populate([
     { path: 'buildingId', select: 'name address' },
     { path: 'postedBy', select: 'name email role' }
@@ -310,6 +359,7 @@ messageSchema.methods.getSummary = function() {
     targetAudience: this.targetAudience,
     targetAudienceDisplay: this.targetAudienceDisplay,
     isPinned: this.isPinned,
+    requiresAcknowledgement: this.requiresAcknowledgement,
     isActive: this.isActive,
     tags: this.tags,
     stats: this.stats,
@@ -318,6 +368,8 @@ messageSchema.methods.getSummary = function() {
     timeAgo: this.timeAgo,
     scheduledAt: this.scheduledAt,
     expiresAt: this.expiresAt,
+    publishStatus: this.publishStatus,
+    publishedAt: this.publishedAt,
     postedBy: this.postedBy
   };
 };
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+/**
+ * MessageReceipt Model - When one recipient read / acknowledged a message
+ * One document per message and user, created on first read.
+ */
+
+const messageReceiptSchema = new mongoose.Schema({
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  readAt: {
+    type: Date,
+    required: true
+  },
+
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+messageReceiptSchema.index({ messageId: 1, userId: 1 }, { unique: true });
+messageReceiptSchema.index({ userId: 1, readAt: -1 });
+
+module.exports = mongoose.model('MessageReceipt', messageReceiptSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+/**
+ * ModerationCase Model - Moderation state of one reported item
+ * PENDING items wait in the admin queue; HIDDEN items are out of every feed
+ * (automatically once reportCount reaches the building's threshold, or by an
+ * admin); RESTORED items were reviewed and put back; DELETED items are gone.
+ */
+
+const moderationActionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['AUTO_HIDDEN', 'HIDDEN', 'RESTORED', 'DELETED', 'AUTHOR_WARNED'],
+    required: true
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  performedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const moderationCaseSchema = new mongoose.Schema({
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: true
+  },
+
+  contentType: {
+    type: String,
+    enum: ['POST', 'MESSAGE', 'ASK_SOCIETY'],
+    required: true
+  },
+
+  contentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Short excerpt so the queue reads without loading every item
+  contentPreview: {
+    type: String,
+    maxlength: 200
+  },
+
+  status: {
+    type: String,
+    enum: ['PENDING', 'HIDDEN', 'RESTORED', 'DELETED'],
+    default: 'PENDING'
+  },
+
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+
+  reasonCounts: {
+    SPAM: { type: Number, default: 0 },
+    OFFENSIVE: { type: Number, default: 0 },
+    HARASSMENT: { type: Number, default: 0 },
+    MISINFORMATION: { type: Number, default: 0 },
+    INAPPROPRIATE: { type: Number, default: 0 },
+    OTHER: { type: Number, default: 0 }
+  },
+
+  lastReportedAt: {
+    type: Date
+  },
+
+  // An admin restored it, so further reports queue it again without auto-hiding
+  restoredAt: {
+    type: Date
+  },
+
+  warningsIssued: {
+    type: Number,
+    default: 0
+  },
+
+  actions: [moderationActionSchema]
+}, {
+  timestamps: true
+});
+
+moderationCaseSchema.index({ contentType: 1, contentId: 1 }, { unique: true });
+moderationCaseSchema.index({ buildingId: 1, status: 1, lastReportedAt: -1 });
+
+module.exports = mongoose.model('ModerationCase', moderationCaseSchema);
@@ -57,7 +57,12 @@ const notificationSchema = new mongoose.Schema({
       'SECURITY_ALERT',
       'SYSTEM_ALERT',
       'ADMIN_NOTIFICATION',
-      'GENERAL_ANNOUNCEMENT'
+      'GENERAL_ANNOUNCEMENT',
+      'COMMUNITY_ACTIVITY',
+      'PARCEL_UPDATE',
+      'DUES_UPDATE',
+      'SERVICE_REQUEST_UPDATE',
+      'HELPDESK_UPDATE'
     ]
   },
   
@@ -97,6 +102,11 @@ const notificationSchema = new mongoose.Schema({
     ref: 'User'
   },
   
+  relatedPreApprovalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PreApproval'
+  },
+  
   // Action and Response
   actionRequired: {
     type: Boolean,
@@ -113,6 +123,27 @@ const notificationSchema = new mongoose.Schema({
     type: Date
   },
   
+  // Set on the acted notification and on every sibling for the same visit/pre-approval
+  actionResponse: {
+    type: String,
+    enum: ['APPROVE', 'REJECT', 'ACKNOWLEDGE', 'RESPOND']
+  },
+  
+  actionNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Action note cannot exceed 500 characters']
+  },
+  
+  actionResolvedAt: {
+    type: Date
+  },
+  
+  actionResolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
   // Delivery and Read Status
   deliveryStatus: {
     type: String,
@@ -206,6 +237,7 @@ notificationSchema.index({ priority: 1, createdAt: -1 });
 notificationSchema.index({ notificationId: 1 });
 notificationSchema.index({ relatedVisitId: 1 });
 notificationSchema.index({ relatedVisitorId: 1 });
+notificationSchema.index({ relatedPreApprovalId: 1 });
 notificationSchema.index({ createdAt: -1 });
 notificationSchema.index({ expiresAt: 1 });
 notificationSchema.index({ isUrgent: 1, buildingId: 1 });
@@ -229,7 +261,7 @@ notificationSchema.virtual('isRead').get(function() {
 });
 
 notificationSchema.virtual('requiresAction').get(function() {
-  return this.actionRequired && this.actionType !== 'NONE' && !this.isExpired;
+  return this.actionRequired && this.actionType !== 'NONE' && !this.actionResolvedAt && !this.isExpired;
 });
 
 // Instance methods
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+
+/**
+ * Parcel Model - Parcels left at the gate for a flat
+ * Guards log each parcel on arrival; the flat chooses whether it is sent up,
+ * kept at the gate or returned, and hands over the collection OTP at pickup.
+ * custodyLog records every hand-off.
+ */
+
+const custodyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['RECEIVED', 'INSTRUCTION_SET', 'OTP_REGENERATED', 'COLLECTED', 'RETURNED'],
+    required: true
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  performedByName: {
+    type: String,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const parcelSchema = new mongoose.Schema({
+  // Parcel Identification
+  parcelId: {
+    type: String,
+    unique: true,
+    required: true,
+    trim: true
+  },
+
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: [true, 'Building ID is required']
+  },
+
+  // Recipient flat
+  flatNumber: {
+    type: String,
+    required: [true, 'Flat number is required'],
+    trim: true,
+    maxlength: [20, 'Flat number cannot exceed 20 characters']
+  },
+  blockNumber: {
+    type: String,
+    trim: true
+  },
+  // Flat members notified when the parcel arrived
+  recipientIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // Parcel Details
+  courier: {
+    type: String,
+    required: [true, 'Courier is required'],
+    trim: true,
+    maxlength: [50, 'Courier cannot exceed 50 characters']
+  },
+  trackingNumber: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Tracking number cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  photo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo'
+  },
+  // Delivery agent visit the parcel came with, if any
+  visitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Visit'
+  },
+
+  // Custody
+  status: {
+    type: String,
+    enum: ['AT_GATE', 'COLLECTED', 'RETURNED'],
+    default: 'AT_GATE'
+  },
+  // What the flat wants done; unset until someone answers (kept at the gate meanwhile)
+  instruction: {
+    type: String,
+    enum: ['SEND_UP', 'KEEP_AT_GATE', 'RETURN']
+  },
+  instructionAt: {
+    type: Date
+  },
+  instructionBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Shown only to the flat; the guard asks for it at pickup
+  collectionOtp: {
+    code: {
+      type: String,
+      select: false
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receivedByName: {
+    type: String,
+    trim: true
+  },
+
+  collectedAt: {
+    type: Date
+  },
+  // Guard who handed the parcel over, and who picked it up
+  collectionRecordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  collectedByName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Collected by name cannot exceed 100 characters']
+  },
+
+  returnedAt: {
+    type: Date
+  },
+  returnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  returnReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Return reason cannot exceed 500 characters']
+  },
+
+  custodyLog: [custodyEntrySchema]
+}, {
+  timestamps: true
+});
+
+parcelSchema.index({ buildingId: 1, status: 1, receivedAt: 1 });
+parcelSchema.index({ buildingId: 1, flatNumber: 1, receivedAt: -1 });
+parcelSchema.index({ recipientIds: 1, status: 1 });
+
+module.exports = mongoose.model('Parcel', parcelSchema);
@@ -74,12 +74,66 @@ const passSchema = new mongoose.Schema({
     required: true
   },
   
-  // QR Code Data (same as pre-approval system)
+  // Lifecycle
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  approvedAt: {
+    type: Date
+  },
+  
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  cancelledAt: {
+    type: Date
+  },
+  
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Cancellation reason cannot exceed 200 characters']
+  },
+  
+  // Gate entries (most recent 200; entryCount keeps the full total)
+  entries: [{
+    scannedAt: {
+      type: Date,
+      required: true
+    },
+    scannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Entry notes cannot exceed 200 characters']
+    }
+  }],
+  
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  
+  lastEntryAt: {
+    type: Date
+  },
+  
+  // Visitor details kept with codes issued before signed tokens; no longer
+  // written, and removed by `npm run migrate:qr-codes`
   qrCodeData: {
     type: String,
-    required: false
+    required: false,
+    select: false
   },
   
+  // Signed QR token (see qrTokenService)
   qrCodeString: {
     type: String,
     required: false
@@ -113,6 +167,7 @@ passSchema.index({ buildingId: 1, createdAt: -1 });
 passSchema.index({ createdBy: 1, buildingId: 1 });
 passSchema.index({ status: 1, buildingId: 1 });
 passSchema.index({ email: 1, buildingId: 1 });
+passSchema.index({ status: 1, endingDate: 1 });
 
 // Validation: Ending date should be >= starting date
 passSchema.pre('save', function(next) {
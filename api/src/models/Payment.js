@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+
+/**
+ * Payment Model - Money received against an invoice
+ * Offline payments (cash, cheque, bank transfer) are recorded by an admin and
+ * succeed immediately; online payments start PENDING with the payment gateway
+ * and count towards the invoice only once confirmed. receiptNumber is issued
+ * on success.
+ */
+
+const paymentSchema = new mongoose.Schema({
+  paymentId: {
+    type: String,
+    unique: true,
+    required: true,
+    trim: true
+  },
+
+  receiptNumber: {
+    type: String,
+    unique: true,
+    sparse: true,
+    trim: true
+  },
+
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: [true, 'Building ID is required']
+  },
+
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: [true, 'Invoice is required']
+  },
+
+  flatAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlatAccount',
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+
+  method: {
+    type: String,
+    enum: ['CASH', 'CHEQUE', 'BANK_TRANSFER', 'UPI', 'ONLINE'],
+    required: [true, 'Payment method is required']
+  },
+
+  status: {
+    type: String,
+    enum: ['PENDING', 'SUCCEEDED', 'FAILED'],
+    default: 'PENDING'
+  },
+
+  // Gateway details (online payments)
+  provider: {
+    type: String,
+    trim: true
+  },
+  providerReference: {
+    type: String,
+    trim: true
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  // Confirmed by the gateway after the invoice was settled another way; the
+  // amount sits in the flat account's creditBalance instead
+  isUnapplied: {
+    type: Boolean,
+    default: false
+  },
+
+  // Cheque number, UTR, etc. for offline payments
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+
+  paidAt: {
+    type: Date
+  },
+
+  // Resident who paid online, or admin who recorded an offline payment
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ invoiceId: 1, status: 1 });
+paymentSchema.index({ flatAccountId: 1, paidAt: -1 });
+paymentSchema.index({ provider: 1, providerReference: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
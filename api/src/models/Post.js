@@ -68,6 +68,25 @@ const postSchema = new mongoose.Schema({
     ref: 'Building',
     required: true
   },
+  // Hidden by moderation (see ModerationCase)
+  isHidden: {
+    type: Boolean,
+    default: false
+  },
+  // Comments and replies that have not been deleted
+  commentCount: {
+    type: Number,
+    default: 0
+  },
+  // Number of users who picked each reaction
+  reactionCounts: {
+    LIKE: { type: Number, default: 0 },
+    LOVE: { type: Number, default: 0 },
+    LAUGH: { type: Number, default: 0 },
+    WOW: { type: Number, default: 0 },
+    SAD: { type: Number, default: 0 },
+    PRAY: { type: Number, default: 0 }
+  },
   createdAt: {
     type: Date,
     default: Date.now
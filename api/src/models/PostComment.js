@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const postCommentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  building: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: true
+  },
+  // Top-level comment this replies to (replies are one level deep)
+  parentComment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PostComment',
+    default: null
+  },
+  author: {
+    _id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      required: true
+    }
+  },
+  content: {
+    type: String,
+    required: [true, 'Comment is required'],
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters']
+  },
+  replyCount: {
+    type: Number,
+    default: 0
+  },
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+postCommentSchema.index({ post: 1, parentComment: 1, createdAt: 1 });
+postCommentSchema.index({ 'author._id': 1 });
+
+module.exports = mongoose.model('PostComment', postCommentSchema);
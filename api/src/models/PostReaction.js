@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const postReactionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  building: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reaction: {
+    type: String,
+    enum: ['LIKE', 'LOVE', 'LAUGH', 'WOW', 'SAD', 'PRAY'],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// One reaction per user per post; reacting again replaces it
+postReactionSchema.index({ post: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('PostReaction', postReactionSchema);
@@ -60,6 +60,35 @@ const preApprovalSchema = new mongoose.Schema({
     maxlength: [500, 'Notes cannot exceed 500 characters']
   },
 
+  // Recurring passes (cook, tutor, nurse): valid on the listed weekdays between
+  // startDate and endDate, inside the daily time window. One Visit is created per day of entry.
+  recurrence: {
+    daysOfWeek: [{
+      type: Number,
+      min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+      max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)']
+    }],
+    startDate: {
+      type: Date
+    },
+    endDate: {
+      type: Date
+    },
+    // HH:mm, building local time
+    timeWindowStart: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time window start must be HH:mm']
+    },
+    timeWindowEnd: {
+      type: String,
+      match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time window end must be HH:mm']
+    }
+  },
+  isRecurring: {
+    type: Boolean,
+    default: false
+  },
+
   // Status and approval
   status: {
     type: String,
@@ -127,6 +156,7 @@ const preApprovalSchema = new mongoose.Schema({
 preApprovalSchema.index({ residentId: 1, buildingId: 1 });
 preApprovalSchema.index({ status: 1, buildingId: 1 });
 preApprovalSchema.index({ expectedDate: 1 });
+preApprovalSchema.index({ isRecurring: 1, 'recurrence.endDate': 1 });
 
 // Virtual for full identification
 preApprovalSchema.virtual('fullIdentification').get(function() {
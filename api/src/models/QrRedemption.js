@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * QrRedemption Model - Single-use QR codes that have been presented at the gate
+ * One document per visit / pre-approval, so a copied or re-printed QR code is
+ * refused the second time. Documents are removed a day after the code expires.
+ */
+
+const qrRedemptionSchema = new mongoose.Schema({
+  // `${type}:${id}` of the signed token
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  type: {
+    type: String,
+    enum: ['VISIT', 'PRE_APPROVAL'],
+    required: true
+  },
+
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: true
+  },
+
+  redeemedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+qrRedemptionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('QrRedemption', qrRedemptionSchema);
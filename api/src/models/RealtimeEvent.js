@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * RealtimeEvent Model - Short-lived log of pushed events
+ * Backs the /api/realtime stream: clients resume from the last event _id they
+ * saw, and other API instances pick up events they did not publish themselves.
+ */
+
+const REALTIME_EVENT_TTL_SECONDS = (parseInt(process.env.REALTIME_EVENT_TTL_HOURS) || 24) * 60 * 60;
+
+const realtimeEventSchema = new mongoose.Schema({
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: true
+  },
+
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'VISIT_APPROVAL_REQUESTED',
+      'VISIT_APPROVAL_ESCALATED',
+      'VISIT_APPROVED',
+      'VISIT_REJECTED',
+      'VISIT_CANCELLED',
+      'VISIT_CHECKED_IN',
+      'VISIT_CHECKED_OUT',
+      'NOTIFICATION_CREATED',
+      'NOTIFICATIONS_READ',
+      'NOTIFICATIONS_RESOLVED',
+      'MESSAGE_POSTED',
+      'PARCEL_LOGGED',
+      'PARCEL_INSTRUCTION_SET',
+      'PARCEL_COLLECTED',
+      'PARCEL_RETURNED'
+    ]
+  },
+
+  // Who receives the event: anyone whose active role is listed, plus specific users
+  audience: {
+    roles: [{
+      type: String,
+      enum: ['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY', 'RESIDENT']
+    }],
+    userIds: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
+
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Instance that published the event (it already delivered it to its own clients)
+  publishedBy: {
+    type: String
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: REALTIME_EVENT_TTL_SECONDS
+  }
+});
+
+realtimeEventSchema.index({ buildingId: 1, _id: 1 });
+
+module.exports = mongoose.model('RealtimeEvent', realtimeEventSchema);
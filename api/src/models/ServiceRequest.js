@@ -74,13 +74,78 @@ const serviceRequestSchema = new mongoose.Schema({
   },
 
   // Status Tracking
+  // COMPLETED = work done, awaiting resident sign-off; CLOSED = signed off
   status: {
     type: String,
     required: true,
-    enum: ['PENDING', 'ASSIGNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'REJECTED'],
+    enum: ['PENDING', 'ASSIGNED', 'ACCEPTED', 'IN_PROGRESS', 'ON_HOLD', 'COMPLETED', 'CLOSED', 'CANCELLED', 'REJECTED'],
     default: 'PENDING'
   },
 
+  // Workflow
+  assignedAt: {
+    type: Date
+  },
+
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  acceptedAt: {
+    type: Date
+  },
+
+  startedAt: {
+    type: Date
+  },
+
+  pausedAt: {
+    type: Date
+  },
+
+  pauseReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Pause reason cannot exceed 500 characters']
+  },
+
+  // Time spent ON_HOLD; the resolution SLA clock stops while paused
+  totalPausedMinutes: {
+    type: Number,
+    default: 0
+  },
+
+  timeline: [{
+    action: {
+      type: String,
+      required: true
+    },
+    fromStatus: String,
+    toStatus: String,
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    performedByName: String,
+    note: {
+      type: String,
+      maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // SLA clock, set from the building's per-priority targets at creation
+  sla: {
+    responseDueAt: Date,
+    resolutionDueAt: Date,
+    responseBreachedAt: Date,
+    resolutionBreachedAt: Date
+  },
+
   // Location Information
   location: {
     type: String,
@@ -121,6 +186,39 @@ const serviceRequestSchema = new mongoose.Schema({
     maxlength: [1000, 'Completion notes cannot exceed 1000 characters']
   },
 
+  completionPhotos: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo'
+  }],
+
+  // Resident sign-off
+  signedOffAt: {
+    type: Date
+  },
+
+  signedOffBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  rating: {
+    type: Number,
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5']
+  },
+
+  feedback: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Feedback cannot exceed 1000 characters']
+  },
+
+  // Times the resident sent completed work back
+  reopenCount: {
+    type: Number,
+    default: 0
+  },
+
   // Admin Notes
   adminNotes: {
     type: String,
@@ -144,6 +242,16 @@ const serviceRequestSchema = new mongoose.Schema({
     default: false
   },
 
+  // Resident's decision on estimatedCost; work cannot start until APPROVED
+  costApprovalStatus: {
+    type: String,
+    enum: ['PENDING', 'APPROVED', 'REJECTED']
+  },
+
+  costDecidedAt: {
+    type: Date
+  },
+
   // Timestamps
   createdAt: {
     type: Date,
@@ -165,6 +273,7 @@ serviceRequestSchema.index({ requesterId: 1, createdAt: -1 });
 serviceRequestSchema.index({ requestId: 1 });
 serviceRequestSchema.index({ status: 1, priority: 1 });
 serviceRequestSchema.index({ requestType: 1, status: 1 });
+serviceRequestSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
 
 // Pre-save middleware to generate requestId
 serviceRequestSchema.pre('save', async function(next) {
@@ -297,7 +406,7 @@ serviceRequestSchema.statics.getRequestStats = async function(buildingId, startD
         totalRequests: { $sum: 1 },
         pendingRequests: { $sum: { $cond: [{ $eq: ['$status', 'PENDING'] }, 1, 0] } },
         inProgressRequests: { $sum: { $cond: [{ $eq: ['$status', 'IN_PROGRESS'] }, 1, 0] } },
-        completedRequests: { $sum: { $cond: [{ $eq: ['$status', 'COMPLETED'] }, 1, 0] } },
+        completedRequests: { $sum: { $cond: [{ $in: ['$status', ['COMPLETED', 'CLOSED']] }, 1, 0] } },
         urgentRequests: { $sum: { $cond: [{ $eq: ['$priority', 'URGENT'] }, 1, 0] } },
         plumbingRequests: { $sum: { $cond: [{ $eq: ['$requestType', 'PLUMBING'] }, 1, 0] } },
         electricalRequests: { $sum: { $cond: [{ $eq: ['$requestType', 'ELECTRICAL'] }, 1, 0] } },
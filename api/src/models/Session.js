@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Model - Server-side JWT tracking
+ * One document per device login. A session is also the refresh-token family:
+ * every rotation replaces refreshTokenHash, and presenting an already-rotated
+ * token revokes the whole session.
+ * Revoked sessions are rejected by authenticateToken even if the JWT itself is still valid.
+ */
+
+const sessionSchema = new mongoose.Schema({
+  // Session Identification (embedded in the JWT as `sid`)
+  sessionId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required']
+  },
+
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building'
+  },
+
+  activeRole: {
+    type: String,
+    enum: ['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY', 'RESIDENT']
+  },
+
+  // Device Information
+  device: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Device name cannot exceed 100 characters']
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'User agent cannot exceed 500 characters']
+    },
+    ipAddress: {
+      type: String,
+      trim: true
+    }
+  },
+
+  // Refresh Token Rotation (only hashes are stored)
+  refreshTokenHash: {
+    type: String,
+    select: false
+  },
+
+  previousRefreshTokenHashes: {
+    type: [String],
+    select: false,
+    default: []
+  },
+
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastRotatedAt: {
+    type: Date
+  },
+
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Revocation
+  revokedAt: {
+    type: Date
+  },
+
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  revokeReason: {
+    type: String,
+    enum: ['LOGOUT', 'LOGOUT_ALL', 'USER_REVOKED', 'ROLE_SWITCHED', 'PASSWORD_RESET', 'ACCOUNT_DELETED', 'REFRESH_TOKEN_REUSE']
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for performance
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB purge sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtuals
+sessionSchema.virtual('isRevoked').get(function() {
+  return !!this.revokedAt;
+});
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Instance methods
+sessionSchema.methods.revoke = function(reason, revokedBy = null) {
+  this.revokedAt = new Date();
+  this.revokeReason = reason;
+  if (revokedBy) this.revokedBy = revokedBy;
+  return this.save();
+};
+
+// Static methods
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+sessionSchema.statics.revokeAllForUser = function(userId, reason, revokedBy = null, exceptSessionId = null) {
+  const query = {
+    userId,
+    revokedAt: { $exists: false }
+  };
+
+  if (exceptSessionId) {
+    query.sessionId = { $ne: exceptSessionId };
+  }
+
+  const update = { revokedAt: new Date(), revokeReason: reason };
+  if (revokedBy) update.revokedBy = revokedBy;
+
+  return this.updateMany(query, { $set: update });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
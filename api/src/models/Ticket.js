@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+
+const TICKET_TYPES = ['COMPLAINT', 'SUPPORT', 'MAINTENANCE'];
+const TICKET_STATUSES = ['OPEN', 'IN_PROGRESS', 'WAITING_ON_RESIDENT', 'RESOLVED', 'CLOSED', 'CANCELLED'];
+const TICKET_PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+const ticketSchema = new mongoose.Schema({
+  // Ticket Identification
+  ticketNumber: {
+    type: String,
+    unique: true,
+    required: [true, 'Ticket number is required'],
+    trim: true
+  },
+
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: [true, 'Building ID is required']
+  },
+
+  // COMPLAINT, SUPPORT and MAINTENANCE replace the three separate inboxes
+  type: {
+    type: String,
+    enum: TICKET_TYPES,
+    required: [true, 'Ticket type is required']
+  },
+
+  // Free-form within a type (support tickets keep GENERAL, TECHNICAL, ...)
+  category: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: 'GENERAL',
+    maxlength: [50, 'Category cannot exceed 50 characters']
+  },
+
+  subject: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Subject cannot exceed 200 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+
+  // Who raised the ticket
+  requesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requester ID is required']
+  },
+
+  flatNumber: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Flat number cannot exceed 50 characters']
+  },
+
+  location: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Location cannot exceed 200 characters']
+  },
+
+  status: {
+    type: String,
+    enum: TICKET_STATUSES,
+    default: 'OPEN'
+  },
+
+  priority: {
+    type: String,
+    enum: TICKET_PRIORITIES,
+    default: 'MEDIUM'
+  },
+
+  // Staff member handling the ticket
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  assignedAt: {
+    type: Date
+  },
+
+  // Photos attached when the ticket was raised
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo'
+  }],
+
+  // Response / resolution targets; the resolution clock stops while waiting on the resident
+  sla: {
+    firstResponseDueAt: { type: Date },
+    resolutionDueAt: { type: Date },
+    firstResponseAt: { type: Date },
+    firstResponseBreachedAt: { type: Date, default: null },
+    resolutionBreachedAt: { type: Date, default: null }
+  },
+
+  waitingSince: {
+    type: Date
+  },
+
+  // Latest staff reply and internal note, kept for list views and the legacy read endpoints
+  lastReply: {
+    message: { type: String },
+    authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date }
+  },
+
+  lastInternalNote: {
+    message: { type: String },
+    authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date }
+  },
+
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Resolution
+  resolvedAt: {
+    type: Date
+  },
+
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  resolutionNotes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Resolution notes cannot exceed 1000 characters']
+  },
+
+  closedAt: {
+    type: Date
+  },
+
+  reopenCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Requester's rating once the ticket is resolved
+  satisfaction: {
+    rating: {
+      type: Number,
+      min: [1, 'Rating must be between 1 and 5'],
+      max: [5, 'Rating must be between 1 and 5']
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Comment cannot exceed 500 characters']
+    },
+    ratedAt: { type: Date }
+  },
+
+  // Where a migrated ticket came from, and fields only the old model had
+  legacy: {
+    source: {
+      type: String,
+      enum: ['Complaint', 'SupportTicket', 'MaintenanceRequest']
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    requestId: {
+      type: String,
+      trim: true
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better performance
+ticketSchema.index({ buildingId: 1, type: 1, status: 1, createdAt: -1 });
+ticketSchema.index({ buildingId: 1, assignedTo: 1, status: 1 });
+ticketSchema.index({ requesterId: 1, createdAt: -1 });
+ticketSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
+ticketSchema.index({ 'legacy.requestId': 1 }, { sparse: true });
+// One ticket per legacy record keeps the migration re-runnable
+ticketSchema.index(
+  { 'legacy.source': 1, 'legacy.sourceId': 1 },
+  { unique: true, partialFilterExpression: { 'legacy.sourceId': { $exists: true } } }
+);
+
+ticketSchema.statics.TYPES = TICKET_TYPES;
+ticketSchema.statics.OPEN_STATUSES = ['OPEN', 'IN_PROGRESS', 'WAITING_ON_RESIDENT'];
+
+ticketSchema.statics.generateTicketNumber = function() {
+  const timestamp = Date.now();
+  const randomString = Math.random().toString(36).substring(2, 7).toUpperCase();
+  return `TKT_${timestamp}_${randomString}`;
+};
+
+module.exports = mongoose.model('Ticket', ticketSchema);
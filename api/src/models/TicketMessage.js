@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const ticketMessageSchema = new mongoose.Schema({
+  ticketId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket',
+    required: [true, 'Ticket ID is required']
+  },
+
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: [true, 'Building ID is required']
+  },
+
+  // REPLY is visible to the requester, NOTE is staff-only, EVENT records a status/assignment change
+  kind: {
+    type: String,
+    enum: ['REPLY', 'NOTE', 'EVENT'],
+    default: 'REPLY'
+  },
+
+  // Absent for system events (e.g. SLA checks)
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  authorRole: {
+    type: String
+  },
+
+  message: {
+    type: String,
+    trim: true,
+    required: [true, 'Message is required'],
+    maxlength: [2000, 'Message cannot exceed 2000 characters']
+  },
+
+  attachments: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Photo'
+  }],
+
+  // For EVENT entries
+  fromStatus: {
+    type: String
+  },
+
+  toStatus: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+ticketMessageSchema.index({ ticketId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('TicketMessage', ticketMessageSchema);
@@ -48,6 +48,9 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters long'],
     select: false // Don't include password in queries by default
   },
+
+  // Tokens issued before this are rejected
+  passwordChangedAt: Date,
   
   // Role-based System
   role: {
@@ -467,6 +470,9 @@ userSchema.pre('save', async function(next) {
   // Hash password if it has been modified
   if (this.isModified('password')) {
     this.password = await bcrypt.hash(this.password, 12);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
   }
   
   // Only hash OTP if it has been modified
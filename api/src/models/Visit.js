@@ -30,6 +30,11 @@ const visitSchema = new mongoose.Schema({
     required: false
   },
   
+  // Day this visit covers when it belongs to a recurring pre-approval
+  occurrenceDate: {
+    type: Date
+  },
+  
   // Resident/Host Information
   hostId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -121,6 +126,32 @@ const visitSchema = new mongoose.Schema({
     type: Number // in minutes, calculated on check-out
   },
   
+  // Set when the expiry job checks the visit out instead of security
+  autoCheckedOut: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Set once when the overstay monitor alerts host and security
+  overstayFlaggedAt: {
+    type: Date
+  },
+  
+  // Everyone asked to approve the visit; the first response wins
+  approverIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  
+  approvalRequestedAt: {
+    type: Date
+  },
+  
+  // Set once when an unanswered walk-in is handed to security / admin
+  approvalEscalatedAt: {
+    type: Date
+  },
+  
   // QR Code and Security
   qrCode: {
     type: String,
@@ -220,6 +251,12 @@ visitSchema.index({ visitId: 1 });
 visitSchema.index({ approvalStatus: 1, buildingId: 1 });
 visitSchema.index({ scheduledDate: 1, buildingId: 1 });
 visitSchema.index({ checkInTime: 1, buildingId: 1 });
+visitSchema.index({ status: 1, qrCodeExpiresAt: 1 });
+visitSchema.index({ approvalStatus: 1, approvalEscalatedAt: 1, approvalRequestedAt: 1 });
+visitSchema.index(
+  { preApprovalId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { occurrenceDate: { $type: 'date' } } }
+);
 visitSchema.index({ createdAt: -1 });
 
 // Virtuals
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+/**
+ * VisitorCategory Model - A building's settings for one visitor category
+ * Buildings without a document for a category use the defaults in
+ * visitorCategoryService.
+ */
+
+const VISITOR_CATEGORY_CODES = ['CAB_DRIVER', 'DELIVERY_AGENT', 'FLAT_EMPLOYEE', 'OTHER'];
+
+const serviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Service name is required'],
+    trim: true,
+    maxlength: [50, 'Service name cannot exceed 50 characters']
+  },
+  logoUrl: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Logo URL cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const visitorCategorySchema = new mongoose.Schema({
+  buildingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Building',
+    required: [true, 'Building ID is required']
+  },
+
+  // Matches Visitor.visitorCategory
+  code: {
+    type: String,
+    required: [true, 'Category code is required'],
+    enum: VISITOR_CATEGORY_CODES
+  },
+
+  // Display
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  icon: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Icon cannot exceed 500 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+
+  // Vendors / service types offered in the dropdown (empty accepts any)
+  services: [serviceSchema],
+
+  // Entry rules
+  // Walk-in visits wait for the host unless this is turned off
+  requiresHostApproval: {
+    type: Boolean,
+    default: true
+  },
+  // Used when a visit is created without expectedDuration (minutes)
+  defaultExpectedDuration: {
+    type: Number,
+    min: [15, 'Minimum visit duration is 15 minutes'],
+    max: [1440, 'Maximum visit duration is 24 hours'],
+    default: null
+  },
+  photoRequired: {
+    type: Boolean,
+    default: false
+  },
+  idRequired: {
+    type: Boolean,
+    default: false
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+visitorCategorySchema.index({ buildingId: 1, code: 1 }, { unique: true });
+
+visitorCategorySchema.statics.CODES = VISITOR_CATEGORY_CODES;
+
+module.exports = mongoose.model('VisitorCategory', visitorCategorySchema);
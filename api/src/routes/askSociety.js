@@ -7,6 +7,10 @@ const {
   getMessageById, 
   updateMessage, 
   deleteMessage,
+  getReplies,
+  createReply,
+  deleteReply,
+  acceptReply,
   upload
 } = require('../controllers/askSocietyController');
 
@@ -25,6 +29,21 @@ const validateMessageId = [
     .withMessage('Invalid message ID format')
 ];
 
+const validateReplyId = [
+  param('replyId')
+    .isMongoId()
+    .withMessage('Invalid reply ID format')
+];
+
+const validateCreateReply = [
+  body('message')
+    .notEmpty()
+    .withMessage('Reply is required')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Reply must be between 1 and 2000 characters')
+];
+
 const validateCreateMessage = [
   body('title')
     .optional()
@@ -84,6 +103,45 @@ router.get('/:buildingId',
   getMessages
 );
 
+// GET /api/ask-society/:buildingId/:messageId/replies - Get replies on a message
+router.get('/:buildingId/:messageId/replies',
+  authenticateToken,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY', 'RESIDENT']),
+  validateBuildingId,
+  validateMessageId,
+  getReplies
+);
+
+// POST /api/ask-society/:buildingId/:messageId/replies - Reply to a message
+router.post('/:buildingId/:messageId/replies',
+  authenticateToken,
+  authorizeRoles(['RESIDENT', 'SECURITY', 'BUILDING_ADMIN']),
+  validateBuildingId,
+  validateMessageId,
+  validateCreateReply,
+  createReply
+);
+
+// POST /api/ask-society/:buildingId/:messageId/replies/:replyId/accept - Accept a reply as the answer
+router.post('/:buildingId/:messageId/replies/:replyId/accept',
+  authenticateToken,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY', 'RESIDENT']),
+  validateBuildingId,
+  validateMessageId,
+  validateReplyId,
+  acceptReply
+);
+
+// DELETE /api/ask-society/:buildingId/:messageId/replies/:replyId - Delete a reply
+router.delete('/:buildingId/:messageId/replies/:replyId',
+  authenticateToken,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY', 'RESIDENT']),
+  validateBuildingId,
+  validateMessageId,
+  validateReplyId,
+  deleteReply
+);
+
 // GET /api/ask-society/:buildingId/:messageId - Get single message
 router.get('/:buildingId/:messageId',
   authenticateToken,
@@ -0,0 +1,46 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const AuditController = require('../controllers/auditController');
+const AuditEvent = require('../models/AuditEvent');
+const { authenticateToken, authorizeRoles, buildingAccess } = require('../middleware/auth');
+
+const router = express.Router();
+router.use(authenticateToken);
+
+const AUDIT_ACTIONS = AuditEvent.schema.path('action').enumValues;
+const AUDIT_ENTITY_TYPES = AuditEvent.schema.path('entityType').enumValues;
+
+// Validation middleware
+const validateAuditQuery = [
+  param('buildingId').isMongoId().withMessage('Invalid building ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  query('action').optional().custom((value) => {
+    const invalid = value.split(',').filter(action => !AUDIT_ACTIONS.includes(action));
+    if (invalid.length) {
+      throw new Error(`Invalid action(s): ${invalid.join(', ')}`);
+    }
+    return true;
+  }),
+  query('entityType').optional().isIn(AUDIT_ENTITY_TYPES).withMessage('Invalid entity type'),
+  query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+  query('actorId').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('actorRole').optional().isIn(['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY', 'RESIDENT', 'SYSTEM']).withMessage('Invalid actor role'),
+  query('startDate').optional().isISO8601().withMessage('Invalid start date format'),
+  query('endDate').optional().isISO8601().withMessage('Invalid end date format')
+];
+
+/**
+ * @route   GET /api/audit/:buildingId
+ * @desc    Get audit trail for a building (filters: action, entityType, entityId, actorId, actorRole, startDate, endDate; format=csv for export)
+ * @access  Private (Building Admin, Super Admin)
+ */
+router.get('/:buildingId',
+  validateAuditQuery,
+  buildingAccess,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN']),
+  AuditController.getAuditEvents
+);
+
+module.exports = router;
@@ -517,6 +517,50 @@ router.put('/profile',
  */
 router.post('/logout', authenticateToken, authController.logout);
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+ * @access  Public (requires a valid refresh token)
+ */
+router.post('/refresh',
+  [
+    body('refreshToken')
+      .isString()
+      .notEmpty()
+      .withMessage('Refresh token is required')
+  ],
+  authController.refreshToken
+);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (logged-in devices) for the current user
+ * @access  Private (Authenticated users only)
+ */
+router.get('/sessions', authenticateToken, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Log out everywhere (optionally ?keepCurrent=true)
+ * @access  Private (Authenticated users only)
+ */
+router.delete('/sessions', authenticateToken, authController.revokeAllSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke a single session (log out one device)
+ * @access  Private (Authenticated users only)
+ */
+router.delete('/sessions/:sessionId',
+  authenticateToken,
+  [
+    param('sessionId')
+      .matches(/^SESS_\d+_[A-F0-9]+$/)
+      .withMessage('Invalid session ID')
+  ],
+  authController.revokeSession
+);
+
 /**
  * @route   POST /api/auth/test-email
  * @desc    Test email service (Development only)
@@ -0,0 +1,84 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const BlacklistController = require('../controllers/blacklistController');
+const { authenticateToken, authorizeRoles, buildingAccess } = require('../middleware/auth');
+
+const router = express.Router();
+router.use(authenticateToken);
+
+// Validation middleware
+const validateBuildingId = [
+  param('buildingId').isMongoId().withMessage('Invalid building ID')
+];
+
+const validateEntryId = [
+  param('entryId').isMongoId().withMessage('Invalid blacklist entry ID')
+];
+
+const validateBlacklistCreation = [
+  body('phoneNumber').optional().matches(/^[+]?[\d\s\-\(\)]+$/).withMessage('Please provide a valid phone number'),
+  body('idType').optional().isIn(['AADHAR', 'PAN', 'DRIVING_LICENSE', 'PASSPORT', 'VOTER_ID', 'OTHER']).withMessage('Invalid ID type'),
+  body('idNumber').optional().trim().isLength({ min: 4, max: 30 }).withMessage('ID number must be between 4 and 30 characters'),
+  body('personName').optional().trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters'),
+  body('scope').optional().isIn(['BUILDING', 'ALL_BUILDINGS']).withMessage('Scope must be BUILDING or ALL_BUILDINGS'),
+  body().custom((value) => {
+    if (!value.phoneNumber && !value.idNumber) {
+      throw new Error('Either phone number or ID number is required');
+    }
+    return true;
+  })
+];
+
+const validateBlacklistQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('includeRemoved').optional().isIn(['true', 'false']).withMessage('includeRemoved must be true or false'),
+  query('search').optional().trim().isLength({ max: 100 }).withMessage('Search cannot exceed 100 characters')
+];
+
+const validateBlacklistRemoval = [
+  body('removalReason').optional().trim().isLength({ max: 500 }).withMessage('Removal reason cannot exceed 500 characters')
+];
+
+/**
+ * @route   POST /api/blacklist/:buildingId
+ * @desc    Blacklist a person by phone number or ID number (scope BUILDING or ALL_BUILDINGS)
+ * @access  Private (Building Admin, Super Admin)
+ */
+router.post('/:buildingId',
+  validateBuildingId,
+  validateBlacklistCreation,
+  buildingAccess,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN']),
+  BlacklistController.addToBlacklist
+);
+
+/**
+ * @route   GET /api/blacklist/:buildingId
+ * @desc    List blacklist entries that apply to a building
+ * @access  Private (Building Admin, Super Admin, Security)
+ */
+router.get('/:buildingId',
+  validateBuildingId,
+  validateBlacklistQuery,
+  buildingAccess,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY']),
+  BlacklistController.getBlacklist
+);
+
+/**
+ * @route   DELETE /api/blacklist/:buildingId/:entryId
+ * @desc    Remove a person from the blacklist
+ * @access  Private (Building Admin, Super Admin)
+ */
+router.delete('/:buildingId/:entryId',
+  validateBuildingId,
+  validateEntryId,
+  validateBlacklistRemoval,
+  buildingAccess,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN']),
+  BlacklistController.removeFromBlacklist
+);
+
+module.exports = router;
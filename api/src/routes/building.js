@@ -2,6 +2,7 @@ const express = require('express');
 const { body, param, query } = require('express-validator');
 const BuildingController = require('../controllers/buildingController');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { isValidTimeZone } = require('../utils/timeZone');
 
 const router = express.Router();
 
@@ -69,6 +70,12 @@ const validateBuildingCreation = [
     .isArray()
     .withMessage('Features must be an array'),
   
+  body('timezone')
+    .optional()
+    .trim()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be a valid IANA time zone (e.g. Asia/Kolkata)'),
+  
   body('operatingHours.open')
     .optional()
     .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
@@ -102,7 +109,97 @@ const validateBuildingCreation = [
   body('securitySettings.notificationAlerts')
     .optional()
     .isBoolean()
-    .withMessage('Notification alerts setting must be boolean')
+    .withMessage('Notification alerts setting must be boolean'),
+  
+  body('securitySettings.autoCheckout')
+    .optional()
+    .isBoolean()
+    .withMessage('Auto checkout setting must be boolean'),
+  
+  body('securitySettings.autoCheckoutGraceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Auto checkout grace period must be between 0 and 1440 minutes'),
+  
+  body('securitySettings.overstayThresholdMinutes')
+    .optional()
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Overstay threshold must be between 0 and 720 minutes'),
+  
+  body('securitySettings.approvalTimeoutMinutes')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Approval timeout must be between 0 and 120 minutes'),
+  
+  body('securitySettings.approvalEscalationTarget')
+    .optional()
+    .isIn(['SECURITY', 'BUILDING_ADMIN', 'BOTH'])
+    .withMessage('Approval escalation target must be SECURITY, BUILDING_ADMIN or BOTH'),
+  
+  body('securitySettings.employeeExitCutoffHour')
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage('Exit cutoff hour must be between 0 and 23'),
+  
+  body('communitySettings.reportHideThreshold')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Report threshold must be between 0 and 100'),
+  
+  body('communitySettings.askSocietyAutoCloseDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Ask Society auto-close must be between 0 and 365 days'),
+  
+  body('billingSettings.currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code'),
+  
+  body('billingSettings.lateFeeType')
+    .optional()
+    .isIn(['FIXED', 'PERCENT'])
+    .withMessage('Late fee type must be FIXED or PERCENT'),
+  
+  body('billingSettings.lateFeeAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Late fee cannot be negative'),
+  
+  body('billingSettings.lateFeeGraceDays')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('Grace period must be between 0 and 90 days'),
+  
+  body('billingSettings.reminderDaysBeforeDue')
+    .optional()
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Reminder days must be between 0 and 30'),
+  
+  body('billingSettings.reminderIntervalDays')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('Reminder interval must be between 0 and 90 days'),
+  
+  body('serviceRequestSettings.responseHours.*')
+    .optional()
+    .isFloat({ min: 0.25, max: 720 })
+    .withMessage('Response time must be between 0.25 and 720 hours'),
+  
+  body('serviceRequestSettings.resolutionHours.*')
+    .optional()
+    .isFloat({ min: 0.25, max: 720 })
+    .withMessage('Resolution time must be between 0.25 and 720 hours'),
+  
+  body('helpdeskSettings.firstResponseHours.*')
+    .optional()
+    .isFloat({ min: 0.25, max: 720 })
+    .withMessage('Response time must be between 0.25 and 720 hours'),
+  
+  body('helpdeskSettings.resolutionHours.*')
+    .optional()
+    .isFloat({ min: 0.25, max: 720 })
+    .withMessage('Resolution time must be between 0.25 and 720 hours')
 ];
 
 const validateBuildingUpdate = [
@@ -161,7 +258,103 @@ const validateBuildingUpdate = [
     .trim()
     .isEmail()
     .normalizeEmail()
-    .withMessage('Contact email must be a valid email address')
+    .withMessage('Contact email must be a valid email address'),
+  
+  body('timezone')
+    .optional()
+    .trim()
+    .custom(isValidTimeZone)
+    .withMessage('Time zone must be a valid IANA time zone (e.g. Asia/Kolkata)'),
+  
+  body('securitySettings.autoCheckout')
+    .optional()
+    .isBoolean()
+    .withMessage('Auto checkout setting must be boolean'),
+  
+  body('securitySettings.autoCheckoutGraceMinutes')
+    .optional()
+    .isInt({ min: 0, max: 1440 })
+    .withMessage('Auto checkout grace period must be between 0 and 1440 minutes'),
+  
+  body('securitySettings.overstayThresholdMinutes')
+    .optional()
+    .isInt({ min: 0, max: 720 })
+    .withMessage('Overstay threshold must be between 0 and 720 minutes'),
+  
+  body('securitySettings.approvalTimeoutMinutes')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Approval timeout must be between 0 and 120 minutes'),
+  
+  body('securitySettings.approvalEscalationTarget')
+    .optional()
+    .isIn(['SECURITY', 'BUILDING_ADMIN', 'BOTH'])
+    .withMessage('Approval escalation target must be SECURITY, BUILDING_ADMIN or BOTH'),
+  
+  body('securitySettings.employeeExitCutoffHour')
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage('Exit cutoff hour must be between 0 and 23'),
+  
+  body('communitySettings.reportHideThreshold')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Report threshold must be between 0 and 100'),
+  
+  body('communitySettings.askSocietyAutoCloseDays')
+    .optional()
+    .isInt({ min: 0, max: 365 })
+    .withMessage('Ask Society auto-close must be between 0 and 365 days'),
+  
+  body('billingSettings.currency')
+    .optional()
+    .isISO4217()
+    .withMessage('Currency must be a valid ISO 4217 code'),
+  
+  body('billingSettings.lateFeeType')
+    .optional()
+    .isIn(['FIXED', 'PERCENT'])
+    .withMessage('Late fee type must be FIXED or PERCENT'),
+  
+  body('billingSettings.lateFeeAmount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Late fee cannot be negative'),
+  
+  body('billingSettings.lateFeeGraceDays')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('Grace period must be between 0 and 90 days'),
+  
+  body('billingSettings.reminderDaysBeforeDue')
+    .optional()
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Reminder days must be between 0 and 30'),
+  
+  body('billingSettings.reminderIntervalDays')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('Reminder interval must be between 0 and 90 days'),
+  
+  body('serviceRequestSettings.responseHours.*')
+    .optional()
+    .isFloat({ min: 0.25, max: 720 })
+    .withMessage('Response time must be between 0.25 and 720 hours'),
+  
+  body('serviceRequestSettings.resolutionHours.*')
+    .optional()
+    .isFloat({ min: 0.25, max: 720 })
+    .withMessage('Resolution time must be between 0.25 and 720 hours'),
+  
+  body('helpdeskSettings.firstResponseHours.*')
+    .optional()
+    .isFloat({ min: 0.25, max: 720 })
+    .withMessage('Response time must be between 0.25 and 720 hours'),
+  
+  body('helpdeskSettings.resolutionHours.*')
+    .optional()
+    .isFloat({ min: 0.25, max: 720 })
+    .withMessage('Resolution time must be between 0.25 and 720 hours')
 ];
 
 const validateBuildingId = [
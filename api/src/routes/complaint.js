@@ -2,7 +2,8 @@ const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
 
-const ComplaintController = require('../controllers/complaintController_simple');
+// Served from the unified helpdesk (see routes/helpdesk.js)
+const ComplaintController = require('../controllers/legacyTicketController');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 
 // Validation middleware
@@ -0,0 +1,437 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const {
+  getChargeHeads,
+  createChargeHead,
+  updateChargeHead,
+  getFlatAccounts,
+  upsertFlatAccounts,
+  generateInvoices,
+  getInvoices,
+  getInvoiceById,
+  cancelInvoice,
+  recordPayment,
+  sendInvoiceReminder,
+  getMyDues,
+  payInvoice,
+  confirmPayment,
+  getReceipt,
+  getFlatLedger
+} = require('../controllers/duesController');
+const { authenticateToken, authorizeRoles, buildingAccess } = require('../middleware/auth');
+const ChargeHead = require('../models/ChargeHead');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+
+/**
+ * Maintenance Dues Routes
+ * Charge heads, invoices, payments, receipts and flat ledgers
+ */
+
+const CALCULATIONS = ChargeHead.schema.path('calculation').enumValues;
+const INVOICE_STATUSES = Invoice.schema.path('status').enumValues;
+// ONLINE payments only come through the payment gateway
+const OFFLINE_METHODS = Payment.schema.path('method').enumValues.filter(method => method !== 'ONLINE');
+
+const ADMIN_ROLES = ['BUILDING_ADMIN', 'SUPER_ADMIN'];
+const MEMBER_ROLES = ['RESIDENT', 'BUILDING_ADMIN', 'SUPER_ADMIN'];
+
+const validateBuildingId = [
+  param('buildingId')
+    .isMongoId()
+    .withMessage('Invalid building ID')
+];
+
+const validateChargeHeadParams = [
+  ...validateBuildingId,
+  param('chargeHeadId')
+    .isMongoId()
+    .withMessage('Invalid charge head ID')
+];
+
+const validateInvoiceParams = [
+  ...validateBuildingId,
+  param('invoiceId')
+    .isMongoId()
+    .withMessage('Invalid invoice ID')
+];
+
+const validatePaymentParams = [
+  ...validateBuildingId,
+  param('paymentId')
+    .isMongoId()
+    .withMessage('Invalid payment ID')
+];
+
+const validateChargeHead = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Charge name must be between 1 and 100 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Description cannot exceed 300 characters'),
+
+  body('calculation')
+    .optional()
+    .isIn(CALCULATIONS)
+    .withMessage(`Calculation must be one of: ${CALCULATIONS.join(', ')}`),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount cannot be negative')
+    .toFloat(),
+
+  body('ratePerSqft')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Rate per sq ft cannot be negative')
+    .toFloat(),
+
+  body('flatTypeRates')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Flat type rates must be a list of at most 50 entries'),
+
+  body('flatTypeRates.*.flatType')
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Flat type must be between 1 and 30 characters'),
+
+  body('flatTypeRates.*.amount')
+    .isFloat({ min: 0 })
+    .withMessage('Flat type amount cannot be negative')
+    .toFloat(),
+
+  body('flatTypeRates')
+    .if(body('calculation').equals('BY_FLAT_TYPE'))
+    .isArray({ min: 1 })
+    .withMessage('At least one flat type rate is required for BY_FLAT_TYPE charges'),
+
+  body('ratePerSqft')
+    .if(body('calculation').equals('PER_SQFT'))
+    .isFloat({ gt: 0 })
+    .withMessage('Rate per sq ft is required for PER_SQFT charges'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+const validateFlatAccounts = [
+  body('flats')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Flats must be a list of 1 to 500 entries'),
+
+  body('flats.*.flatNumber')
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Flat number must be between 1 and 20 characters'),
+
+  body('flats.*.blockNumber')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Block number cannot exceed 20 characters'),
+
+  body('flats.*.flatType')
+    .optional()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage('Flat type cannot exceed 30 characters'),
+
+  body('flats.*.areaSqft')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Area cannot be negative')
+    .toFloat(),
+
+  body('flats.*.ownerName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Owner name cannot exceed 100 characters'),
+
+  body('flats.*.isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+const validateGenerate = [
+  body('periodLabel')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Period label must be between 1 and 50 characters'),
+
+  body('periodStart')
+    .isISO8601()
+    .withMessage('Period start must be a valid date'),
+
+  body('periodEnd')
+    .isISO8601()
+    .withMessage('Period end must be a valid date'),
+
+  body('dueDate')
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+
+  body('chargeHeadIds')
+    .optional()
+    .isArray()
+    .withMessage('Charge head IDs must be a list'),
+
+  body('chargeHeadIds.*')
+    .isMongoId()
+    .withMessage('Invalid charge head ID'),
+
+  body('flatAccountIds')
+    .optional()
+    .isArray()
+    .withMessage('Flat account IDs must be a list'),
+
+  body('flatAccountIds.*')
+    .isMongoId()
+    .withMessage('Invalid flat account ID'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const validateInvoiceList = [
+  query('status')
+    .optional()
+    .custom(value => value.split(',').every(status => INVOICE_STATUSES.includes(status)))
+    .withMessage(`Status must be a comma-separated list of: ${INVOICE_STATUSES.join(', ')}`),
+
+  query('flatAccountId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid flat account ID'),
+
+  query('overdue')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Overdue must be true or false'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const validateOfflinePayment = [
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0')
+    .toFloat(),
+
+  body('method')
+    .isIn(OFFLINE_METHODS)
+    .withMessage(`Payment method must be one of: ${OFFLINE_METHODS.join(', ')}`),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+
+  body('paidAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Paid at must be a valid date'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const validateOnlinePayment = [
+  body('amount')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than 0')
+    .toFloat()
+];
+
+const validateCancel = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+// GET /api/dues/:buildingId/charge-heads - Charge heads of the building
+router.get('/:buildingId/charge-heads',
+  authenticateToken,
+  authorizeRoles(ADMIN_ROLES),
+  buildingAccess,
+  validateBuildingId,
+  getChargeHeads
+);
+
+// POST /api/dues/:buildingId/charge-heads - Add a charge head
+router.post('/:buildingId/charge-heads',
+  authenticateToken,
+  authorizeRoles(ADMIN_ROLES),
+  buildingAccess,
+  validateBuildingId,
+  validateChargeHead(false),
+  createChargeHead
+);
+
+// PUT /api/dues/:buildingId/charge-heads/:chargeHeadId - Update or retire a charge head
+router.put('/:buildingId/charge-heads/:chargeHeadId',
+  authenticateToken,
+  authorizeRoles(ADMIN_ROLES),
+  buildingAccess,
+  validateChargeHeadParams,
+  validateChargeHead(true),
+  updateChargeHead
+);
+
+// GET /api/dues/:buildingId/flats - Flat billing profiles
+router.get('/:buildingId/flats',
+  authenticateToken,
+  authorizeRoles(ADMIN_ROLES),
+  buildingAccess,
+  validateBuildingId,
+  getFlatAccounts
+);
+
+// PUT /api/dues/:buildingId/flats - Set flat types and areas in bulk
+router.put('/:buildingId/flats',
+  authenticateToken,
+  authorizeRoles(ADMIN_ROLES),
+  buildingAccess,
+  validateBuildingId,
+  validateFlatAccounts,
+  upsertFlatAccounts
+);
+
+// GET /api/dues/:buildingId/flats/:flatAccountId/ledger - Running ledger of a flat
+router.get('/:buildingId/flats/:flatAccountId/ledger',
+  authenticateToken,
+  authorizeRoles(MEMBER_ROLES),
+  buildingAccess,
+  validateBuildingId,
+  param('flatAccountId').isMongoId().withMessage('Invalid flat account ID'),
+  getFlatLedger
+);
+
+// POST /api/dues/:buildingId/invoices/generate - Issue invoices for a period
+router.post('/:buildingId/invoices/generate',
+  authenticateToken,
+  authorizeRoles(ADMIN_ROLES),
+  buildingAccess,
+  validateBuildingId,
+  validateGenerate,
+  generateInvoices
+);
+
+// GET /api/dues/:buildingId/invoices - Invoices (residents see their own flat's)
+router.get('/:buildingId/invoices',
+  authenticateToken,
+  authorizeRoles(MEMBER_ROLES),
+  buildingAccess,
+  validateBuildingId,
+  validateInvoiceList,
+  getInvoices
+);
+
+// GET /api/dues/:buildingId/invoices/:invoiceId - Invoice with its payments
+router.get('/:buildingId/invoices/:invoiceId',
+  authenticateToken,
+  authorizeRoles(MEMBER_ROLES),
+  buildingAccess,
+  validateInvoiceParams,
+  getInvoiceById
+);
+
+// POST /api/dues/:buildingId/invoices/:invoiceId/cancel - Cancel an unpaid invoice
+router.post('/:buildingId/invoices/:invoiceId/cancel',
+  authenticateToken,
+  authorizeRoles(ADMIN_ROLES),
+  buildingAccess,
+  validateInvoiceParams,
+  validateCancel,
+  cancelInvoice
+);
+
+// POST /api/dues/:buildingId/invoices/:invoiceId/payments - Record an offline payment
+router.post('/:buildingId/invoices/:invoiceId/payments',
+  authenticateToken,
+  authorizeRoles(ADMIN_ROLES),
+  buildingAccess,
+  validateInvoiceParams,
+  validateOfflinePayment,
+  recordPayment
+);
+
+// POST /api/dues/:buildingId/invoices/:invoiceId/remind - Send a payment reminder now
+router.post('/:buildingId/invoices/:invoiceId/remind',
+  authenticateToken,
+  authorizeRoles(ADMIN_ROLES),
+  buildingAccess,
+  validateInvoiceParams,
+  sendInvoiceReminder
+);
+
+// POST /api/dues/:buildingId/invoices/:invoiceId/pay - Pay an invoice online
+router.post('/:buildingId/invoices/:invoiceId/pay',
+  authenticateToken,
+  authorizeRoles(['RESIDENT']),
+  buildingAccess,
+  validateInvoiceParams,
+  validateOnlinePayment,
+  payInvoice
+);
+
+// GET /api/dues/:buildingId/my-dues - Outstanding balance of the current resident's flat
+router.get('/:buildingId/my-dues',
+  authenticateToken,
+  authorizeRoles(['RESIDENT']),
+  buildingAccess,
+  validateBuildingId,
+  getMyDues
+);
+
+// POST /api/dues/:buildingId/payments/:paymentId/confirm - Confirm an online payment
+router.post('/:buildingId/payments/:paymentId/confirm',
+  authenticateToken,
+  authorizeRoles(MEMBER_ROLES),
+  buildingAccess,
+  validatePaymentParams,
+  confirmPayment
+);
+
+// GET /api/dues/:buildingId/payments/:paymentId/receipt - Receipt of a successful payment
+router.get('/:buildingId/payments/:paymentId/receipt',
+  authenticateToken,
+  authorizeRoles(MEMBER_ROLES),
+  buildingAccess,
+  validatePaymentParams,
+  getReceipt
+);
+
+module.exports = router;
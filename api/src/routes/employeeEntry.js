@@ -158,6 +158,31 @@ router.get('/:buildingId/stats',
   EmployeeEntryController.getEntryStats
 );
 
+/**
+ * @route   POST /api/employee-entries/:buildingId/:entryId/log-exit
+ * @desc    Log employee exit and record the shift duration
+ * @access  SECURITY, BUILDING_ADMIN, SUPER_ADMIN, RESIDENT
+ */
+router.post('/:buildingId/:entryId/log-exit',
+  [
+    param('buildingId')
+      .isMongoId()
+      .withMessage('Invalid building ID format'),
+    
+    param('entryId')
+      .isMongoId()
+      .withMessage('Invalid entry ID format'),
+    
+    body('notes')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Notes cannot exceed 500 characters')
+      .trim()
+  ],
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN', 'RESIDENT']),
+  EmployeeEntryController.logEmployeeExit
+);
+
 /**
  * @route   GET /api/employee-entries/:buildingId/:entryId
  * @desc    Get specific employee entry by ID
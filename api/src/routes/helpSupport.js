@@ -2,7 +2,9 @@ const express = require('express');
 const { body } = require('express-validator');
 const router = express.Router();
 
-const HelpSupportController = require('../controllers/helpSupportController_simple');
+// Served from the unified helpdesk (see routes/helpdesk.js)
+const HelpSupportController = require('../controllers/legacyTicketController');
+const { getEmergencyContacts } = require('../controllers/helpdeskController');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 
 // Validation middleware
@@ -54,7 +56,7 @@ router.get(
   '/emergency-contacts',
   authenticateToken,
   authorizeRoles(['RESIDENT', 'SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY']),
-  HelpSupportController.getEmergencyContacts
+  getEmergencyContacts
 );
 
 // Admin/Security routes
@@ -0,0 +1,315 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const {
+  createTicket,
+  getTickets,
+  getTicketById,
+  addMessage,
+  assignTicket,
+  updateTicket,
+  changeTicketStatus,
+  rateTicket,
+  getHelpdeskStats,
+  getEmergencyContacts,
+  migrateLegacyTickets
+} = require('../controllers/helpdeskController');
+const { authenticateToken, authorizeRoles, buildingAccess } = require('../middleware/auth');
+const Ticket = require('../models/Ticket');
+
+/**
+ * Helpdesk Routes
+ * One ticket inbox for complaints, support requests and maintenance requests
+ */
+
+const TICKET_TYPES = Ticket.schema.path('type').enumValues;
+const TICKET_STATUSES = Ticket.schema.path('status').enumValues;
+const TICKET_PRIORITIES = Ticket.schema.path('priority').enumValues;
+
+const ADMIN_ROLES = ['BUILDING_ADMIN', 'SUPER_ADMIN'];
+const STAFF_ROLES = ['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN'];
+const ALL_ROLES = ['RESIDENT', 'SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN'];
+
+const validateBuildingId = [
+  param('buildingId')
+    .isMongoId()
+    .withMessage('Invalid building ID')
+];
+
+const validateTicketParams = [
+  ...validateBuildingId,
+  param('ticketId')
+    .isMongoId()
+    .withMessage('Invalid ticket ID')
+];
+
+const validateAttachments = [
+  body('attachments')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Attachments must be an array of at most 10 photo IDs'),
+  body('attachments.*')
+    .isMongoId()
+    .withMessage('Invalid attachment photo ID')
+];
+
+const validateTicket = [
+  body('type')
+    .isIn(TICKET_TYPES)
+    .withMessage(`Type must be one of: ${TICKET_TYPES.join(', ')}`),
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters'),
+  body('subject')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Subject cannot exceed 200 characters'),
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 2000 })
+    .withMessage('Description must be between 10 and 2000 characters'),
+  body('priority')
+    .optional()
+    .isIn(TICKET_PRIORITIES)
+    .withMessage(`Priority must be one of: ${TICKET_PRIORITIES.join(', ')}`),
+  body('flatNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Flat number cannot exceed 50 characters'),
+  body('location')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Location cannot exceed 200 characters'),
+  ...validateAttachments
+];
+
+const validateTicketQuery = [
+  query('type')
+    .optional()
+    .custom(value => value.split(',').every(type => TICKET_TYPES.includes(type)))
+    .withMessage(`Type must be one or more of: ${TICKET_TYPES.join(', ')}`),
+  query('status')
+    .optional()
+    .custom(value => value.split(',').every(status => TICKET_STATUSES.includes(status)))
+    .withMessage(`Status must be one or more of: ${TICKET_STATUSES.join(', ')}`),
+  query('priority')
+    .optional()
+    .custom(value => value.split(',').every(priority => TICKET_PRIORITIES.includes(priority)))
+    .withMessage(`Priority must be one or more of: ${TICKET_PRIORITIES.join(', ')}`),
+  query('assignedTo')
+    .optional()
+    .custom(value => ['me', 'unassigned'].includes(value) || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('assignedTo must be "me", "unassigned" or a user ID'),
+  query('breached')
+    .optional()
+    .isBoolean()
+    .withMessage('breached must be a boolean'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const validateMessage = [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Message must be between 1 and 2000 characters'),
+  body('internal')
+    .optional()
+    .isBoolean()
+    .withMessage('internal must be a boolean')
+    .toBoolean(),
+  ...validateAttachments
+];
+
+const validateAssignment = [
+  body('assigneeId')
+    .isMongoId()
+    .withMessage('Valid assignee ID is required')
+];
+
+const validateTicketUpdate = [
+  body('priority')
+    .optional()
+    .isIn(TICKET_PRIORITIES)
+    .withMessage(`Priority must be one of: ${TICKET_PRIORITIES.join(', ')}`),
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Category must be between 1 and 50 characters')
+    .toUpperCase(),
+  body()
+    .custom(value => value.priority !== undefined || value.category !== undefined)
+    .withMessage('Provide a priority or category to update')
+];
+
+const validateStatusChange = [
+  body('status')
+    .isIn(TICKET_STATUSES)
+    .withMessage(`Status must be one of: ${TICKET_STATUSES.join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note cannot exceed 1000 characters')
+];
+
+const validateRating = [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5')
+    .toInt(),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comment cannot exceed 500 characters')
+];
+
+const validateStatsQuery = [
+  query('type')
+    .optional()
+    .isIn(TICKET_TYPES)
+    .withMessage(`Type must be one of: ${TICKET_TYPES.join(', ')}`),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date')
+];
+
+const validateMigration = [
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean')
+    .toBoolean()
+];
+
+// POST /api/helpdesk/migrate - Copy complaints, support tickets and maintenance requests into the helpdesk
+router.post('/migrate',
+  authenticateToken,
+  authorizeRoles(['SUPER_ADMIN']),
+  validateMigration,
+  migrateLegacyTickets
+);
+
+// GET /api/helpdesk/:buildingId/emergency-contacts - Building admin, security and neighbours
+router.get('/:buildingId/emergency-contacts',
+  authenticateToken,
+  authorizeRoles(ALL_ROLES),
+  buildingAccess,
+  validateBuildingId,
+  getEmergencyContacts
+);
+
+// GET /api/helpdesk/:buildingId/stats - Inbox counts, SLA performance and satisfaction
+router.get('/:buildingId/stats',
+  authenticateToken,
+  authorizeRoles(STAFF_ROLES),
+  buildingAccess,
+  validateBuildingId,
+  validateStatsQuery,
+  getHelpdeskStats
+);
+
+// POST /api/helpdesk/:buildingId/tickets - Raise a complaint, support or maintenance ticket
+router.post('/:buildingId/tickets',
+  authenticateToken,
+  authorizeRoles(ALL_ROLES),
+  buildingAccess,
+  validateBuildingId,
+  validateTicket,
+  createTicket
+);
+
+// GET /api/helpdesk/:buildingId/tickets - Staff inbox, or the resident's own tickets
+router.get('/:buildingId/tickets',
+  authenticateToken,
+  authorizeRoles(ALL_ROLES),
+  buildingAccess,
+  validateBuildingId,
+  validateTicketQuery,
+  getTickets
+);
+
+// GET /api/helpdesk/:buildingId/tickets/:ticketId - Ticket with its conversation thread
+router.get('/:buildingId/tickets/:ticketId',
+  authenticateToken,
+  authorizeRoles(ALL_ROLES),
+  buildingAccess,
+  validateTicketParams,
+  getTicketById
+);
+
+// PUT /api/helpdesk/:buildingId/tickets/:ticketId - Change priority or category
+router.put('/:buildingId/tickets/:ticketId',
+  authenticateToken,
+  authorizeRoles(STAFF_ROLES),
+  buildingAccess,
+  validateTicketParams,
+  validateTicketUpdate,
+  updateTicket
+);
+
+// POST /api/helpdesk/:buildingId/tickets/:ticketId/messages - Reply, or add an internal note (staff)
+router.post('/:buildingId/tickets/:ticketId/messages',
+  authenticateToken,
+  authorizeRoles(ALL_ROLES),
+  buildingAccess,
+  validateTicketParams,
+  validateMessage,
+  addMessage
+);
+
+// POST /api/helpdesk/:buildingId/tickets/:ticketId/assign - Assign to an admin or security staff member
+router.post('/:buildingId/tickets/:ticketId/assign',
+  authenticateToken,
+  authorizeRoles(ADMIN_ROLES),
+  buildingAccess,
+  validateTicketParams,
+  validateAssignment,
+  assignTicket
+);
+
+// POST /api/helpdesk/:buildingId/tickets/:ticketId/status - Move through the workflow
+router.post('/:buildingId/tickets/:ticketId/status',
+  authenticateToken,
+  authorizeRoles(ALL_ROLES),
+  buildingAccess,
+  validateTicketParams,
+  validateStatusChange,
+  changeTicketStatus
+);
+
+// POST /api/helpdesk/:buildingId/tickets/:ticketId/rating - Requester rates a resolved ticket
+router.post('/:buildingId/tickets/:ticketId/rating',
+  authenticateToken,
+  authorizeRoles(ALL_ROLES),
+  buildingAccess,
+  validateTicketParams,
+  validateRating,
+  rateTicket
+);
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, param, query } = require('express-validator');
-const MaintenanceRequestController = require('../controllers/maintenanceRequestController');
+// Served from the unified helpdesk (see routes/helpdesk.js)
+const MaintenanceRequestController = require('../controllers/legacyTicketController');
 const { authenticateToken, authorizeRoles } = require('../middleware/auth');
 const mongoose = require('mongoose');
 const multer = require('multer');
@@ -104,7 +104,12 @@ const validatePostMessage = [
   body('isPinned')
     .optional()
     .isBoolean()
-    .withMessage('Is pinned must be a boolean value')
+    .withMessage('Is pinned must be a boolean value'),
+  
+  body('requiresAcknowledgement')
+    .optional()
+    .isBoolean()
+    .withMessage('Requires acknowledgement must be a boolean value')
 ];
 
 const validateUpdateMessage = [
@@ -192,7 +197,52 @@ const validateUpdateMessage = [
   body('isPinned')
     .optional()
     .isBoolean()
-    .withMessage('Is pinned must be a boolean value')
+    .withMessage('Is pinned must be a boolean value'),
+  
+  body('requiresAcknowledgement')
+    .optional()
+    .isBoolean()
+    .withMessage('Requires acknowledgement must be a boolean value')
+];
+
+const validateAudiencePreview = [
+  body('targetAudience')
+    .optional()
+    .isIn(['ALL_RESIDENTS', 'SPECIFIC_FLOORS', 'SPECIFIC_FLATS', 'EMPLOYEES_ONLY'])
+    .withMessage('Target audience must be one of: ALL_RESIDENTS, SPECIFIC_FLOORS, SPECIFIC_FLATS, EMPLOYEES_ONLY'),
+  
+  body('specificTargets.floors')
+    .optional()
+    .isArray()
+    .withMessage('Floors must be an array'),
+  
+  body('specificTargets.flatNumbers')
+    .optional()
+    .isArray()
+    .withMessage('Flat numbers must be an array'),
+  
+  body('specificTargets.employeeTypes')
+    .optional()
+    .isArray()
+    .withMessage('Employee types must be an array'),
+  
+  body('specificTargets.employeeTypes.*')
+    .optional()
+    .isIn(['SECURITY_GUARD', 'RESIDENT_HELPER', 'TECHNICIAN', 'OTHER'])
+    .withMessage('Invalid employee type')
+];
+
+const validateReschedule = [
+  body('scheduledAt')
+    .notEmpty()
+    .withMessage('Scheduled time is required')
+    .isISO8601()
+    .withMessage('Please enter a valid scheduled date (YYYY-MM-DDTHH:mm:ss.sssZ)'),
+  
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Please enter a valid expiration date (YYYY-MM-DDTHH:mm:ss.sssZ)')
 ];
 
 const validateParams = [
@@ -245,6 +295,17 @@ router.post(
   MessageController.postMessage
 );
 
+// Preview how many people a message would reach
+router.post(
+  '/:buildingId/audience-preview',
+  authenticateToken,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN']),
+  validateParams[0], // buildingId validation
+  validateAudiencePreview,
+  handleValidationErrors,
+  MessageController.previewAudience
+);
+
 // Get previous posts (MUST be before /:buildingId routes)
 router.get(
   '/:buildingId/previous-posts',
@@ -254,12 +315,63 @@ router.get(
   MessageController.getPreviousPosts
 );
 
-// Get all messages for a building
+// Get the caller's pending scheduled messages (MUST be before /:buildingId/:messageId)
 router.get(
-  '/:buildingId',
+  '/:buildingId/scheduled',
   authenticateToken,
   authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN']),
   validateParams[0], // buildingId validation
+  handleValidationErrors,
+  MessageController.getScheduledMessages
+);
+
+// Reschedule a pending scheduled message
+router.patch(
+  '/:buildingId/:messageId/reschedule',
+  authenticateToken,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN']),
+  validateParams,
+  validateReschedule,
+  handleValidationErrors,
+  MessageController.rescheduleMessage
+);
+
+// Cancel a pending scheduled message
+router.post(
+  '/:buildingId/:messageId/cancel',
+  authenticateToken,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN']),
+  validateParams,
+  handleValidationErrors,
+  MessageController.cancelScheduledMessage
+);
+
+// Read / acknowledgement status of a message
+router.get(
+  '/:buildingId/:messageId/receipts',
+  authenticateToken,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN']),
+  validateParams,
+  handleValidationErrors,
+  MessageController.getMessageReceipts
+);
+
+// Acknowledge a message
+router.post(
+  '/:buildingId/:messageId/acknowledge',
+  authenticateToken,
+  authorizeRoles(['SECURITY', 'RESIDENT']),
+  validateParams,
+  handleValidationErrors,
+  MessageController.acknowledgeMessage
+);
+
+// Get all messages for a building (residents and staff see those addressed to them)
+router.get(
+  '/:buildingId',
+  authenticateToken,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY', 'RESIDENT']),
+  validateParams[0], // buildingId validation
   validateQuery,
   handleValidationErrors,
   MessageController.getMessages
@@ -269,7 +381,7 @@ router.get(
 router.get(
   '/:buildingId/:messageId',
   authenticateToken,
-  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN']),
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY', 'RESIDENT']),
   validateParams,
   handleValidationErrors,
   MessageController.getMessageById
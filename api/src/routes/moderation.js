@@ -0,0 +1,153 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const router = express.Router();
+
+const {
+  reportContent,
+  getQueue,
+  getCase,
+  hideContent,
+  restoreContent,
+  deleteContent,
+  warnAuthor
+} = require('../controllers/moderationController');
+const { authenticateToken, authorizeRoles, buildingAccess } = require('../middleware/auth');
+
+/**
+ * Moderation Routes
+ * Content reports and the admin moderation queue
+ */
+
+const validateBuildingId = [
+  param('buildingId')
+    .isMongoId()
+    .withMessage('Invalid building ID')
+];
+
+const validateCaseParams = [
+  ...validateBuildingId,
+  param('caseId')
+    .isMongoId()
+    .withMessage('Invalid moderation case ID')
+];
+
+const validateReport = [
+  body('contentType')
+    .isIn(['POST', 'MESSAGE', 'ASK_SOCIETY'])
+    .withMessage('Content type must be one of: POST, MESSAGE, ASK_SOCIETY'),
+
+  body('contentId')
+    .isMongoId()
+    .withMessage('Invalid content ID'),
+
+  body('reason')
+    .isIn(['SPAM', 'OFFENSIVE', 'HARASSMENT', 'MISINFORMATION', 'INAPPROPRIATE', 'OTHER'])
+    .withMessage('Reason must be one of: SPAM, OFFENSIVE, HARASSMENT, MISINFORMATION, INAPPROPRIATE, OTHER'),
+
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details cannot exceed 500 characters')
+];
+
+const validateQueue = [
+  query('status')
+    .optional()
+    .custom(value => value.split(',').every(status => ['PENDING', 'HIDDEN', 'RESTORED', 'DELETED'].includes(status)))
+    .withMessage('Status must be a comma-separated list of: PENDING, HIDDEN, RESTORED, DELETED'),
+
+  query('contentType')
+    .optional()
+    .isIn(['POST', 'MESSAGE', 'ASK_SOCIETY'])
+    .withMessage('Content type must be one of: POST, MESSAGE, ASK_SOCIETY'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const validateNote = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+// POST /api/moderation/:buildingId/reports - Report a post, message or Ask Society item
+router.post('/:buildingId/reports',
+  authenticateToken,
+  authorizeRoles(['RESIDENT', 'SECURITY', 'BUILDING_ADMIN']),
+  buildingAccess,
+  validateBuildingId,
+  validateReport,
+  reportContent
+);
+
+// GET /api/moderation/:buildingId/queue - Reported content awaiting review
+router.get('/:buildingId/queue',
+  authenticateToken,
+  authorizeRoles(['BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validateBuildingId,
+  validateQueue,
+  getQueue
+);
+
+// GET /api/moderation/:buildingId/cases/:caseId - Case details with its reports
+router.get('/:buildingId/cases/:caseId',
+  authenticateToken,
+  authorizeRoles(['BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validateCaseParams,
+  getCase
+);
+
+// POST /api/moderation/:buildingId/cases/:caseId/hide - Hide reported content
+router.post('/:buildingId/cases/:caseId/hide',
+  authenticateToken,
+  authorizeRoles(['BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validateCaseParams,
+  validateNote,
+  hideContent
+);
+
+// POST /api/moderation/:buildingId/cases/:caseId/restore - Dismiss reports and show the content again
+router.post('/:buildingId/cases/:caseId/restore',
+  authenticateToken,
+  authorizeRoles(['BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validateCaseParams,
+  validateNote,
+  restoreContent
+);
+
+// POST /api/moderation/:buildingId/cases/:caseId/delete - Delete reported content
+router.post('/:buildingId/cases/:caseId/delete',
+  authenticateToken,
+  authorizeRoles(['BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validateCaseParams,
+  validateNote,
+  deleteContent
+);
+
+// POST /api/moderation/:buildingId/cases/:caseId/warn - Warn the content's author
+router.post('/:buildingId/cases/:caseId/warn',
+  authenticateToken,
+  authorizeRoles(['BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validateCaseParams,
+  validateNote,
+  warnAuthor
+);
+
+module.exports = router;
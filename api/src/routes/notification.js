@@ -69,7 +69,12 @@ router.post('/:buildingId',
       'SECURITY_ALERT',
       'SYSTEM_ALERT',
       'ADMIN_NOTIFICATION',
-      'GENERAL_ANNOUNCEMENT'
+      'GENERAL_ANNOUNCEMENT',
+      'COMMUNITY_ACTIVITY',
+      'PARCEL_UPDATE',
+      'DUES_UPDATE',
+      'SERVICE_REQUEST_UPDATE',
+      'HELPDESK_UPDATE'
     ]).withMessage('Invalid notification type'),
     body('category').optional().isIn(['INFO', 'WARNING', 'ALERT', 'SUCCESS', 'ERROR']).withMessage('Invalid category'),
     body('priority').optional().isIn(['LOW', 'MEDIUM', 'HIGH', 'URGENT', 'CRITICAL']).withMessage('Invalid priority'),
@@ -106,7 +111,12 @@ router.get('/:buildingId',
       'SECURITY_ALERT',
       'SYSTEM_ALERT',
       'ADMIN_NOTIFICATION',
-      'GENERAL_ANNOUNCEMENT'
+      'GENERAL_ANNOUNCEMENT',
+      'COMMUNITY_ACTIVITY',
+      'PARCEL_UPDATE',
+      'DUES_UPDATE',
+      'SERVICE_REQUEST_UPDATE',
+      'HELPDESK_UPDATE'
     ]).withMessage('Invalid type'),
     query('priority').optional().isIn(['LOW', 'MEDIUM', 'HIGH', 'URGENT', 'CRITICAL']).withMessage('Invalid priority'),
     query('unreadOnly').optional().isBoolean().withMessage('unreadOnly must be boolean'),
@@ -159,7 +169,12 @@ router.get('/:buildingId/search',
       'SECURITY_ALERT',
       'SYSTEM_ALERT',
       'ADMIN_NOTIFICATION',
-      'GENERAL_ANNOUNCEMENT'
+      'GENERAL_ANNOUNCEMENT',
+      'COMMUNITY_ACTIVITY',
+      'PARCEL_UPDATE',
+      'DUES_UPDATE',
+      'SERVICE_REQUEST_UPDATE',
+      'HELPDESK_UPDATE'
     ]).withMessage('Invalid type'),
     query('priority').optional().isIn(['LOW', 'MEDIUM', 'HIGH', 'URGENT', 'CRITICAL']).withMessage('Invalid priority'),
     query('status').optional().isIn(['PENDING', 'SENT', 'DELIVERED', 'READ', 'FAILED']).withMessage('Invalid status'),
@@ -209,6 +224,21 @@ router.patch('/:buildingId/:notificationId/read',
   notificationController.markAsRead
 );
 
+// Act on a notification (approve/reject the linked visit or pre-approval, acknowledge, respond)
+router.post('/:buildingId/:notificationId/action',
+  [
+    param('buildingId').isMongoId().withMessage('Invalid building ID'),
+    param('notificationId').isMongoId().withMessage('Invalid notification ID'),
+    body('action').isIn(['APPROVE', 'REJECT', 'ACKNOWLEDGE', 'RESPOND']).withMessage('Action must be APPROVE, REJECT, ACKNOWLEDGE or RESPOND'),
+    body('reason').optional().trim().isLength({ max: 200 }).withMessage('Reason cannot exceed 200 characters'),
+    body('response').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Response must be 1-500 characters')
+  ],
+  validateParams,
+  authenticateToken,
+  buildingAccess,
+  notificationController.takeAction
+);
+
 // Delete notification
 router.delete('/:buildingId/:notificationId',
   [
@@ -0,0 +1,154 @@
+const express = require('express');
+const { param, query, body } = require('express-validator');
+const ParcelController = require('../controllers/parcelController');
+const Parcel = require('../models/Parcel');
+const { authenticateToken, authorizeRoles, buildingAccess } = require('../middleware/auth');
+
+const router = express.Router();
+router.use(authenticateToken);
+
+const PARCEL_STATUSES = Parcel.schema.path('status').enumValues;
+const PARCEL_INSTRUCTIONS = Parcel.schema.path('instruction').enumValues;
+
+// Validation middleware
+const validateBuildingId = [
+  param('buildingId').isMongoId().withMessage('Invalid building ID')
+];
+
+const validateParcelId = [
+  param('parcelId').isMongoId().withMessage('Invalid parcel ID')
+];
+
+const validateLogParcel = [
+  body('flatNumber').trim().notEmpty().withMessage('Flat number is required')
+    .isLength({ max: 20 }).withMessage('Flat number cannot exceed 20 characters'),
+  body('blockNumber').optional().trim().isLength({ max: 20 }).withMessage('Block number cannot exceed 20 characters'),
+  body('courier').trim().notEmpty().withMessage('Courier is required')
+    .isLength({ max: 50 }).withMessage('Courier cannot exceed 50 characters'),
+  body('trackingNumber').optional().trim().isLength({ max: 100 }).withMessage('Tracking number cannot exceed 100 characters'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('photoId').optional().isMongoId().withMessage('Invalid photo ID'),
+  body('visitId').optional().isMongoId().withMessage('Invalid visit ID')
+];
+
+const validateQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(PARCEL_STATUSES).withMessage(`Status must be one of: ${PARCEL_STATUSES.join(', ')}`),
+  query('flatNumber').optional().trim().isLength({ max: 20 }).withMessage('Flat number cannot exceed 20 characters')
+];
+
+const validateInstruction = [
+  body('instruction').isIn(PARCEL_INSTRUCTIONS).withMessage(`Instruction must be one of: ${PARCEL_INSTRUCTIONS.join(', ')}`),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters')
+];
+
+const validateCollect = [
+  body('otp').trim().matches(/^\d{4}$/).withMessage('OTP must be 4 digits'),
+  body('collectedByName').optional().trim().isLength({ max: 100 }).withMessage('Collected by name cannot exceed 100 characters')
+];
+
+const validateReturn = [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Parcel Routes
+ * Parcels held at the gate for a flat
+ */
+
+/**
+ * @route   POST /api/parcels/:buildingId
+ * @desc    Log a parcel received at the gate and notify the flat
+ * @access  Private (Security, Building Admin)
+ */
+router.post('/:buildingId',
+  validateBuildingId,
+  validateLogParcel,
+  buildingAccess,
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN']),
+  ParcelController.logParcel
+);
+
+/**
+ * @route   GET /api/parcels/:buildingId
+ * @desc    List parcels (residents only see their own flat's)
+ * @access  Private (All roles)
+ */
+router.get('/:buildingId',
+  validateBuildingId,
+  validateQuery,
+  buildingAccess,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY', 'RESIDENT']),
+  ParcelController.getParcels
+);
+
+/**
+ * @route   GET /api/parcels/:buildingId/:parcelId
+ * @desc    Get a parcel with its custody log (the flat also sees the pickup OTP)
+ * @access  Private (All roles)
+ */
+router.get('/:buildingId/:parcelId',
+  validateBuildingId,
+  validateParcelId,
+  buildingAccess,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY', 'RESIDENT']),
+  ParcelController.getParcelById
+);
+
+/**
+ * @route   PATCH /api/parcels/:buildingId/:parcelId/instruction
+ * @desc    Ask the gate to send the parcel up, keep it or return it
+ * @access  Private (Resident)
+ */
+router.patch('/:buildingId/:parcelId/instruction',
+  validateBuildingId,
+  validateParcelId,
+  validateInstruction,
+  buildingAccess,
+  authorizeRoles(['RESIDENT']),
+  ParcelController.setInstruction
+);
+
+/**
+ * @route   POST /api/parcels/:buildingId/:parcelId/otp
+ * @desc    Generate a new pickup OTP
+ * @access  Private (Resident)
+ */
+router.post('/:buildingId/:parcelId/otp',
+  validateBuildingId,
+  validateParcelId,
+  buildingAccess,
+  authorizeRoles(['RESIDENT']),
+  ParcelController.regenerateOtp
+);
+
+/**
+ * @route   POST /api/parcels/:buildingId/:parcelId/collect
+ * @desc    Hand the parcel over against the flat's OTP
+ * @access  Private (Security, Building Admin)
+ */
+router.post('/:buildingId/:parcelId/collect',
+  validateBuildingId,
+  validateParcelId,
+  validateCollect,
+  buildingAccess,
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN']),
+  ParcelController.collectParcel
+);
+
+/**
+ * @route   POST /api/parcels/:buildingId/:parcelId/return
+ * @desc    Record that the parcel was returned to the courier
+ * @access  Private (Security, Building Admin)
+ */
+router.post('/:buildingId/:parcelId/return',
+  validateBuildingId,
+  validateParcelId,
+  validateReturn,
+  buildingAccess,
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN']),
+  ParcelController.returnParcel
+);
+
+module.exports = router;
@@ -102,6 +102,58 @@ const validateQuery = [
     .withMessage('Limit must be between 1 and 100')
 ];
 
+// Validation for pass ID
+const validatePassId = [
+  param('passId')
+    .isMongoId()
+    .withMessage('Invalid pass ID')
+];
+
+// Validation for cancelling a pass
+const validateCancelPass = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Cancellation reason cannot exceed 200 characters')
+];
+
+// Validation for extending a pass
+const validateExtendPass = [
+  body('endingDate')
+    .notEmpty()
+    .withMessage('New ending date is required')
+    .isISO8601()
+    .withMessage('Please enter a valid ending date')
+];
+
+// Validation for scanning a pass at the gate
+const validateScanPass = [
+  body('qrCode')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Invalid QR code'),
+  
+  body('passId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid pass ID'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Notes cannot exceed 200 characters'),
+  
+  body().custom(value => {
+    if (!value.qrCode && !value.passId) {
+      throw new Error('Either the scanned qrCode or a passId is required');
+    }
+    return true;
+  })
+];
+
 // Routes
 
 // Create a new visitor pass
@@ -150,4 +202,54 @@ router.get(
   passController.getQRCodeImage
 );
 
+// Scan a visitor pass at the gate (validates dates and logs the entry)
+router.post(
+  '/:buildingId/scan',
+  validateBuildingId,
+  validateScanPass,
+  handleValidationErrors,
+  authenticateToken,
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  passController.scanPass
+);
+
+// Approve a pending visitor pass
+router.post(
+  '/:buildingId/:passId/approve',
+  validateBuildingId,
+  validatePassId,
+  handleValidationErrors,
+  authenticateToken,
+  authorizeRoles(['BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  passController.approvePass
+);
+
+// Cancel a visitor pass
+router.post(
+  '/:buildingId/:passId/cancel',
+  validateBuildingId,
+  validatePassId,
+  validateCancelPass,
+  handleValidationErrors,
+  authenticateToken,
+  authorizeRoles(['BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  passController.cancelPass
+);
+
+// Extend a visitor pass to a later ending date
+router.post(
+  '/:buildingId/:passId/extend',
+  validateBuildingId,
+  validatePassId,
+  validateExtendPass,
+  handleValidationErrors,
+  authenticateToken,
+  authorizeRoles(['BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  passController.extendPass
+);
+
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { createPost, getAllPosts, deletePost, getPostById, getMyPosts, getPostImages } = require('../controllers/postController');
+const { getComments, addComment, deleteComment, getReactions, setReaction, removeReaction } = require('../controllers/postInteractionController');
 const { authenticateToken } = require('../middleware/auth');
 const { authorizeRoles } = require('../middleware/auth');
 const { uploadMultiple, handleUploadError } = require('../middleware/upload');
@@ -42,6 +43,48 @@ router.get('/:id/images',
   getPostImages
 );
 
+// Get comments with their replies - All roles
+router.get('/:id/comments',
+  authenticateToken,
+  authorizeRoles(['RESIDENT', 'SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  getComments
+);
+
+// Comment on a post or reply to a comment - All roles
+router.post('/:id/comments',
+  authenticateToken,
+  authorizeRoles(['RESIDENT', 'SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  addComment
+);
+
+// Delete a comment - Comment author, post author or admins
+router.delete('/:id/comments/:commentId',
+  authenticateToken,
+  authorizeRoles(['RESIDENT', 'SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  deleteComment
+);
+
+// Get reaction counts - All roles
+router.get('/:id/reactions',
+  authenticateToken,
+  authorizeRoles(['RESIDENT', 'SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  getReactions
+);
+
+// React to a post (replaces the user's previous reaction) - All roles
+router.put('/:id/reactions',
+  authenticateToken,
+  authorizeRoles(['RESIDENT', 'SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  setReaction
+);
+
+// Remove own reaction - All roles
+router.delete('/:id/reactions',
+  authenticateToken,
+  authorizeRoles(['RESIDENT', 'SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  removeReaction
+);
+
 // Delete a post - All roles (own posts only)
 router.delete('/:id',
   authenticateToken,
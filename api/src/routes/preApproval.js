@@ -143,6 +143,64 @@ const validateUpdatePreApproval = [
     .withMessage('Flat number cannot exceed 20 characters')
 ];
 
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Recurring passes: weekdays (0 = Sunday), a date range of up to a year and an optional daily window
+const validateRecurrence = [
+  body('recurrence')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Recurrence must be an object')
+    .custom(recurrence => {
+      if (!recurrence) return true;
+      const { startDate, endDate, timeWindowStart, timeWindowEnd } = recurrence;
+      if (!startDate || !endDate) {
+        throw new Error('Recurrence requires a start date and an end date');
+      }
+      const days = (new Date(endDate) - new Date(startDate)) / (24 * 60 * 60 * 1000);
+      if (days < 0) {
+        throw new Error('Recurrence end date must be on or after the start date');
+      }
+      if (days > 366) {
+        throw new Error('Recurrence cannot span more than a year');
+      }
+      if (timeWindowStart && timeWindowEnd && timeWindowStart >= timeWindowEnd) {
+        throw new Error('Time window end must be after the start');
+      }
+      return true;
+    }),
+  
+  body('recurrence.daysOfWeek')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Days of week must be an array'),
+  
+  body('recurrence.daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+  
+  body('recurrence.startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Recurrence start date must be a valid date'),
+  
+  body('recurrence.endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Recurrence end date must be a valid date'),
+  
+  body('recurrence.timeWindowStart')
+    .optional()
+    .matches(TIME_OF_DAY)
+    .withMessage('Time window start must be HH:mm'),
+  
+  body('recurrence.timeWindowEnd')
+    .optional()
+    .matches(TIME_OF_DAY)
+    .withMessage('Time window end must be HH:mm')
+];
+
 const validateQuery = [
   query('page')
     .optional()
@@ -168,6 +226,7 @@ router.post('/:buildingId',
   authorizeRoles(['RESIDENT', 'SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
   validateBuildingId,
   validateCreatePreApproval,
+  validateRecurrence,
   handleValidationErrors,
   createPreApproval
 );
@@ -199,6 +258,7 @@ router.put('/:buildingId/:preApprovalId',
   validateBuildingId,
   validatePreApprovalId,
   validateUpdatePreApproval,
+  validateRecurrence,
   handleValidationErrors,
   updatePreApproval
 );
@@ -0,0 +1,53 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const RealtimeController = require('../controllers/realtimeController');
+const { authenticateToken, buildingAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Browser EventSource cannot set headers, so the stream also accepts ?access_token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.access_token) {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Validation middleware
+const validateBuildingId = [
+  param('buildingId').isMongoId().withMessage('Invalid building ID')
+];
+
+const validateCursor = [
+  query('cursor').optional().isMongoId().withMessage('Invalid cursor')
+];
+
+/**
+ * @route   GET /api/realtime/:buildingId/stream
+ * @desc    Server-Sent Events stream of visit, notification and message events for the current user
+ *          (resume with the Last-Event-ID header or ?cursor=<last event id>)
+ * @access  Private (All roles, scoped to building)
+ */
+router.get('/:buildingId/stream',
+  tokenFromQuery,
+  authenticateToken,
+  validateBuildingId,
+  validateCursor,
+  buildingAccess,
+  RealtimeController.stream
+);
+
+/**
+ * @route   GET /api/realtime/:buildingId/events
+ * @desc    Get events since a cursor (polling fallback; returns the next cursor)
+ * @access  Private (All roles, scoped to building)
+ */
+router.get('/:buildingId/events',
+  authenticateToken,
+  validateBuildingId,
+  validateCursor,
+  buildingAccess,
+  RealtimeController.getEvents
+);
+
+module.exports = router;
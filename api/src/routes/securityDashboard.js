@@ -1,5 +1,5 @@
 const express = require('express');
-const { param, query } = require('express-validator');
+const { param, query, body } = require('express-validator');
 const SecurityDashboardController = require('../controllers/securityDashboardController');
 const { authenticateToken, authorizeRoles, buildingAccess } = require('../middleware/auth');
 
@@ -17,6 +17,23 @@ const validateQuery = [
   query('category').optional().isIn(['CAB_DRIVER', 'DELIVERY_AGENT', 'FLAT_EMPLOYEE', 'OTHER']).withMessage('Invalid category')
 ];
 
+const validateGateSync = [
+  body('deviceId').trim().notEmpty().withMessage('Device ID is required')
+    .isLength({ max: 100 }).withMessage('Device ID cannot exceed 100 characters'),
+  body('records').isArray({ min: 1, max: 500 }).withMessage('Records must be an array of 1 to 500 entries'),
+  body('records.*.clientRecordId').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Each record needs a client record ID'),
+  body('records.*.type').isIn(['CHECK_IN', 'CHECK_OUT']).withMessage('Record type must be CHECK_IN or CHECK_OUT'),
+  body('records.*.recordedAt').isISO8601().withMessage('Each record needs a valid recordedAt timestamp'),
+  body('records.*.visitId').optional().isString().isLength({ max: 100 }).withMessage('Invalid visit ID'),
+  body('records.*.qrCode').optional().isString().isLength({ max: 1000 }).withMessage('Invalid QR code'),
+  body('records.*').custom(record => {
+    if (!record || (!record.visitId && !record.qrCode)) {
+      throw new Error('Each record needs a visitId or the scanned qrCode');
+    }
+    return true;
+  })
+];
+
 /**
  * Security Dashboard Routes
  * All routes require SECURITY role
@@ -72,4 +89,78 @@ router.get('/quick-actions/:buildingId',
   SecurityDashboardController.getQuickActions
 );
 
+/**
+ * @route   GET /api/security/overstays/:buildingId
+ * @desc    Get checked-in visitors past their expected duration plus the building's overstay threshold
+ * @access  Private (Security, Building Admin, Super Admin)
+ */
+router.get('/overstays/:buildingId',
+  validateBuildingId,
+  buildingAccess,
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  SecurityDashboardController.getOverstays
+);
+
+/**
+ * @route   GET /api/security/on-premises/:buildingId
+ * @desc    Live list of staff, domestic help and checked-in visitors inside the building;
+ *          staff entries still open past the building's exit cutoff hour are flagged
+ * @access  Private (Security, Building Admin, Super Admin)
+ */
+router.get('/on-premises/:buildingId',
+  validateBuildingId,
+  buildingAccess,
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  SecurityDashboardController.getOnPremises
+);
+
+/**
+ * @route   GET /api/security/uncollected-parcels/:buildingId
+ * @desc    Parcels still held at the gate, oldest first, with the flat's send up / keep / return choice
+ * @access  Private (Security, Building Admin, Super Admin)
+ */
+router.get('/uncollected-parcels/:buildingId',
+  validateBuildingId,
+  buildingAccess,
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  SecurityDashboardController.getUncollectedParcels
+);
+
+/**
+ * @route   GET /api/security/gate-snapshot/:buildingId
+ * @desc    Signed, time-boxed snapshot of today's approved visits, pre-approvals and active passes
+ *          so guard devices can verify entries while offline
+ * @access  Private (Security, Building Admin, Super Admin)
+ */
+router.get('/gate-snapshot/:buildingId',
+  validateBuildingId,
+  buildingAccess,
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  SecurityDashboardController.getGateSnapshot
+);
+
+/**
+ * @route   GET /api/security/gate-snapshot-key
+ * @desc    Ed25519 public key that gate snapshots are signed with
+ * @access  Private (Security, Building Admin, Super Admin)
+ */
+router.get('/gate-snapshot-key',
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  SecurityDashboardController.getGateSnapshotKey
+);
+
+/**
+ * @route   POST /api/security/gate-sync/:buildingId
+ * @desc    Sync check-ins/outs recorded offline (client timestamps); reports conflicts such as
+ *          a visitor checked in at two gates. Re-sending a record returns its original outcome.
+ * @access  Private (Security, Building Admin, Super Admin)
+ */
+router.post('/gate-sync/:buildingId',
+  validateBuildingId,
+  validateGateSync,
+  buildingAccess,
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  SecurityDashboardController.syncGateRecords
+);
+
 module.exports = router;
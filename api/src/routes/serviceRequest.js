@@ -3,7 +3,7 @@ const router = express.Router();
 const mongoose = require('mongoose');
 const { body, param, query, validationResult } = require('express-validator');
 const ServiceRequestController = require('../controllers/serviceRequestController');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const { authenticateToken, authorizeRoles, buildingAccess } = require('../middleware/auth');
 
 // Validation middleware
 const validateParams = [
@@ -99,7 +99,7 @@ const validateGetServiceRequests = [
   ...validateParams,
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('status').optional().isIn(['PENDING', 'ASSIGNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'REJECTED']).withMessage('Invalid status'),
+  query('status').optional().isIn(['PENDING', 'ASSIGNED', 'ACCEPTED', 'IN_PROGRESS', 'ON_HOLD', 'COMPLETED', 'CLOSED', 'CANCELLED', 'REJECTED']).withMessage('Invalid status'),
   query('requestType').optional().isIn(['PLUMBING', 'ELECTRICAL', 'HOUSE_HELP', 'MAINTENANCE', 'CLEANING', 'OTHER']).withMessage('Invalid request type'),
   query('priority').optional().isIn(['LOW', 'MEDIUM', 'HIGH', 'URGENT']).withMessage('Invalid priority'),
   query('startDate').optional().isISO8601().toDate().withMessage('Invalid start date format (YYYY-MM-DD)'),
@@ -121,9 +121,9 @@ const validateUpdateServiceRequest = [
     .withMessage('Request ID is required'),
   
   body('status')
-    .optional()
-    .isIn(['PENDING', 'ASSIGNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED', 'REJECTED'])
-    .withMessage('Invalid status. Must be one of: PENDING, ASSIGNED, IN_PROGRESS, COMPLETED, CANCELLED, REJECTED'),
+    .not()
+    .exists()
+    .withMessage('Status changes go through the workflow actions: assign, accept, start, pause, resume, complete, sign-off, cancel'),
   
   body('adminNotes')
     .optional()
@@ -138,11 +138,9 @@ const validateUpdateServiceRequest = [
     .withMessage('Completion notes cannot exceed 1000 characters'),
   
   body('estimatedCost')
-    .optional()
-    .isNumeric()
-    .withMessage('Estimated cost must be a number')
-    .isFloat({ min: 0 })
-    .withMessage('Estimated cost cannot be negative'),
+    .not()
+    .exists()
+    .withMessage('Use the estimate action to set the estimated cost'),
   
   body('actualCost')
     .optional()
@@ -152,9 +150,118 @@ const validateUpdateServiceRequest = [
     .withMessage('Actual cost cannot be negative'),
   
   body('costApproved')
+    .not()
+    .exists()
+    .withMessage('The requester approves the cost through the cost-approval action')
+];
+
+const validateNote = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+const validateAssign = [
+  ...validateGetServiceRequest,
+  ...validateNote,
+  body('employeeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid employee ID format'),
+
+  body('employeeCode')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Employee code must be between 1 and 20 characters'),
+
+  body()
+    .custom(value => !!(value.employeeId || value.employeeCode))
+    .withMessage('Either employeeId or employeeCode is required')
+];
+
+const validateEstimate = [
+  ...validateGetServiceRequest,
+  ...validateNote,
+  body('estimatedCost')
+    .isFloat({ min: 0 })
+    .withMessage('Estimated cost must be a non-negative number')
+];
+
+const validateCostDecision = [
+  ...validateGetServiceRequest,
+  ...validateNote,
+  body('approved')
+    .isBoolean()
+    .withMessage('Approved must be a boolean value')
+    .toBoolean()
+];
+
+const validatePause = [
+  ...validateGetServiceRequest,
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Reason is required and cannot exceed 500 characters')
+];
+
+const validateComplete = [
+  ...validateGetServiceRequest,
+  body('photoIds')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Between 1 and 10 completion photos are required'),
+
+  body('photoIds.*')
+    .isMongoId()
+    .withMessage('Invalid photo ID format'),
+
+  body('completionNotes')
     .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Completion notes cannot exceed 1000 characters'),
+
+  body('actualCost')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Actual cost must be a non-negative number')
+];
+
+const validateSignOff = [
+  ...validateGetServiceRequest,
+  body('accepted')
     .isBoolean()
-    .withMessage('Cost approved must be a boolean value')
+    .withMessage('Accepted must be a boolean value')
+    .toBoolean(),
+
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5')
+    .toInt(),
+
+  body('feedback')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Feedback cannot exceed 1000 characters')
+];
+
+const validateCancel = [
+  ...validateGetServiceRequest,
+  body('reject')
+    .optional()
+    .isBoolean()
+    .withMessage('Reject must be a boolean value')
+    .toBoolean(),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
 ];
 
 const validateGetStats = [
@@ -201,6 +308,18 @@ router.get('/:buildingId/stats',
   ServiceRequestController.getServiceRequestStats
 );
 
+/**
+ * @route   GET /api/service-requests/:buildingId/reports/technicians
+ * @desc    Turnaround and SLA compliance per technician
+ * @access  Private (BUILDING_ADMIN, SUPER_ADMIN)
+ */
+router.get('/:buildingId/reports/technicians',
+  authorizeRoles(['BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validateGetStats,
+  ServiceRequestController.getTechnicianReport
+);
+
 /**
  * @route   GET /api/service-requests/:buildingId/:requestId
  * @desc    Get a specific service request by ID
@@ -223,4 +342,124 @@ router.put('/:buildingId/:requestId',
   ServiceRequestController.updateServiceRequest
 );
 
+/**
+ * @route   POST /api/service-requests/:buildingId/:requestId/assign
+ * @desc    Assign or reassign a technician
+ * @access  Private (BUILDING_ADMIN, SUPER_ADMIN)
+ */
+router.post('/:buildingId/:requestId/assign',
+  authorizeRoles(['BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validateAssign,
+  ServiceRequestController.assignServiceRequest
+);
+
+/**
+ * @route   POST /api/service-requests/:buildingId/:requestId/accept
+ * @desc    Technician accepts the assignment
+ * @access  Private (SECURITY, BUILDING_ADMIN, SUPER_ADMIN)
+ */
+router.post('/:buildingId/:requestId/accept',
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  [...validateGetServiceRequest, ...validateNote],
+  ServiceRequestController.acceptServiceRequest
+);
+
+/**
+ * @route   POST /api/service-requests/:buildingId/:requestId/estimate
+ * @desc    Record a cost estimate for the requester to approve
+ * @access  Private (SECURITY, BUILDING_ADMIN, SUPER_ADMIN)
+ */
+router.post('/:buildingId/:requestId/estimate',
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validateEstimate,
+  ServiceRequestController.estimateServiceRequestCost
+);
+
+/**
+ * @route   POST /api/service-requests/:buildingId/:requestId/cost-approval
+ * @desc    Requester approves or rejects the estimated cost
+ * @access  Private (Requester)
+ */
+router.post('/:buildingId/:requestId/cost-approval',
+  authorizeRoles(['RESIDENT', 'SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validateCostDecision,
+  ServiceRequestController.decideServiceRequestCost
+);
+
+/**
+ * @route   POST /api/service-requests/:buildingId/:requestId/start
+ * @desc    Technician starts work
+ * @access  Private (SECURITY, BUILDING_ADMIN, SUPER_ADMIN)
+ */
+router.post('/:buildingId/:requestId/start',
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  [...validateGetServiceRequest, ...validateNote],
+  ServiceRequestController.startServiceRequest
+);
+
+/**
+ * @route   POST /api/service-requests/:buildingId/:requestId/pause
+ * @desc    Put work on hold
+ * @access  Private (SECURITY, BUILDING_ADMIN, SUPER_ADMIN)
+ */
+router.post('/:buildingId/:requestId/pause',
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validatePause,
+  ServiceRequestController.pauseServiceRequest
+);
+
+/**
+ * @route   POST /api/service-requests/:buildingId/:requestId/resume
+ * @desc    Resume work that was on hold
+ * @access  Private (SECURITY, BUILDING_ADMIN, SUPER_ADMIN)
+ */
+router.post('/:buildingId/:requestId/resume',
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  [...validateGetServiceRequest, ...validateNote],
+  ServiceRequestController.resumeServiceRequest
+);
+
+/**
+ * @route   POST /api/service-requests/:buildingId/:requestId/complete
+ * @desc    Complete work with photos
+ * @access  Private (SECURITY, BUILDING_ADMIN, SUPER_ADMIN)
+ */
+router.post('/:buildingId/:requestId/complete',
+  authorizeRoles(['SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validateComplete,
+  ServiceRequestController.completeServiceRequest
+);
+
+/**
+ * @route   POST /api/service-requests/:buildingId/:requestId/sign-off
+ * @desc    Requester signs off completed work or sends it back
+ * @access  Private (Requester)
+ */
+router.post('/:buildingId/:requestId/sign-off',
+  authorizeRoles(['RESIDENT', 'SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validateSignOff,
+  ServiceRequestController.signOffServiceRequest
+);
+
+/**
+ * @route   POST /api/service-requests/:buildingId/:requestId/cancel
+ * @desc    Cancel (requester or admin) or reject (admin) a request
+ * @access  Private (RESIDENT (own), BUILDING_ADMIN, SUPER_ADMIN)
+ */
+router.post('/:buildingId/:requestId/cancel',
+  authorizeRoles(['RESIDENT', 'SECURITY', 'BUILDING_ADMIN', 'SUPER_ADMIN']),
+  buildingAccess,
+  validateCancel,
+  ServiceRequestController.cancelServiceRequest
+);
+
 module.exports = router;
@@ -140,7 +140,7 @@ router.get('/:buildingId/residents/:residentId/visitors',
   VisitController.getResidentVisitorOverview
 );
 
-// Validate QR code and get live visit status (for all roles)
+// Validate QR code and get live visit status (for all roles; ?token= checks a scanned signed QR token)
 router.get('/:buildingId/:visitId/qr-validate',
   validateParams,
   buildingAccess,
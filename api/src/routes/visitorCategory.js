@@ -1,39 +1,114 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
 const visitorCategoryController = require('../controllers/visitorCategoryController');
+const VisitorCategory = require('../models/VisitorCategory');
+const { authenticateToken, authorizeRoles, buildingAccess } = require('../middleware/auth');
 
 const router = express.Router();
 
+const CATEGORY_CODES = VisitorCategory.schema.path('code').enumValues;
+
+// Validation middleware
+const validateBuildingQuery = [
+  query('buildingId').optional().isMongoId().withMessage('Invalid building ID')
+];
+
+const validateBuildingId = [
+  param('buildingId').isMongoId().withMessage('Invalid building ID')
+];
+
+const validateCategoryCode = [
+  param('code').isIn(CATEGORY_CODES).withMessage(`Category must be one of: ${CATEGORY_CODES.join(', ')}`)
+];
+
+const validateCategoryUpdate = [
+  body('name').optional().trim().notEmpty().isLength({ max: 50 }).withMessage('Name must be between 1 and 50 characters'),
+  body('icon').optional().trim().isLength({ max: 500 }).withMessage('Icon cannot exceed 500 characters'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+  body('services').optional().isArray({ max: 50 }).withMessage('Services must be an array of at most 50 entries'),
+  body('services.*.name').trim().notEmpty().isLength({ max: 50 }).withMessage('Each service needs a name of at most 50 characters'),
+  body('services.*.logoUrl').optional({ nullable: true }).trim().isURL().withMessage('Service logo must be a valid URL'),
+  body('services.*.isActive').optional().isBoolean().withMessage('Service isActive must be a boolean'),
+  body('requiresHostApproval').optional().isBoolean().withMessage('requiresHostApproval must be a boolean'),
+  body('defaultExpectedDuration').optional({ nullable: true }).isInt({ min: 15, max: 1440 }).withMessage('Default expected duration must be between 15 and 1440 minutes'),
+  body('photoRequired').optional().isBoolean().withMessage('photoRequired must be a boolean'),
+  body('idRequired').optional().isBoolean().withMessage('idRequired must be a boolean')
+];
+
 /**
  * Visitor Category Routes
- * Provides predefined dropdown options for visitor registration
+ * Provides dropdown options for visitor registration and each building's
+ * category settings
  */
 
 /**
  * @route   GET /api/visitor-categories
- * @desc    Get all visitor categories
+ * @desc    Get all visitor categories (pass ?buildingId= for a building's own list)
  * @access  Public
  */
-router.get('/', visitorCategoryController.getAllCategories);
+router.get('/', validateBuildingQuery, visitorCategoryController.getAllCategories);
 
 /**
  * @route   GET /api/visitor-categories/cab-services
  * @desc    Get cab service types
  * @access  Public
  */
-router.get('/cab-services', visitorCategoryController.getCabServices);
+router.get('/cab-services', validateBuildingQuery, visitorCategoryController.getCabServices);
 
 /**
  * @route   GET /api/visitor-categories/delivery-services
  * @desc    Get delivery service types
  * @access  Public
  */
-router.get('/delivery-services', visitorCategoryController.getDeliveryServices);
+router.get('/delivery-services', validateBuildingQuery, visitorCategoryController.getDeliveryServices);
 
 /**
  * @route   GET /api/visitor-categories/employee-types
  * @desc    Get employee types for flat employees
  * @access  Public
  */
-router.get('/employee-types', visitorCategoryController.getEmployeeTypes);
+router.get('/employee-types', validateBuildingQuery, visitorCategoryController.getEmployeeTypes);
+
+/**
+ * @route   GET /api/visitor-categories/building/:buildingId
+ * @desc    Get a building's visitor categories with their entry rules
+ * @access  Private (All roles)
+ */
+router.get('/building/:buildingId',
+  authenticateToken,
+  validateBuildingId,
+  buildingAccess,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY', 'RESIDENT']),
+  visitorCategoryController.getBuildingCategories
+);
+
+/**
+ * @route   PUT /api/visitor-categories/building/:buildingId/:code
+ * @desc    Configure services, icon and entry rules of a category for a building
+ * @access  Private (Building Admin, Super Admin)
+ */
+router.put('/building/:buildingId/:code',
+  authenticateToken,
+  validateBuildingId,
+  validateCategoryCode,
+  validateCategoryUpdate,
+  buildingAccess,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN']),
+  visitorCategoryController.updateBuildingCategory
+);
+
+/**
+ * @route   DELETE /api/visitor-categories/building/:buildingId/:code
+ * @desc    Reset a building's category to the default settings
+ * @access  Private (Building Admin, Super Admin)
+ */
+router.delete('/building/:buildingId/:code',
+  authenticateToken,
+  validateBuildingId,
+  validateCategoryCode,
+  buildingAccess,
+  authorizeRoles(['SUPER_ADMIN', 'BUILDING_ADMIN']),
+  visitorCategoryController.resetBuildingCategory
+);
 
 module.exports = router;
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const AskSociety = require('../models/AskSociety');
+const Building = require('../models/Building');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const realtimeService = require('./realtimeService');
+const { truncate } = require('../utils/text');
+
+const DEFAULT_AUTO_CLOSE_DAYS = 30;
+
+/**
+ * Ask Society Service
+ * Notifications for thread activity and the sweep that closes OPEN threads
+ * nobody has touched for the building's askSocietyAutoCloseDays.
+ */
+
+class AskSocietyService {
+  getAutoCloseDays(building) {
+    const settings = building && building.communitySettings;
+    return settings && settings.askSocietyAutoCloseDays != null
+      ? settings.askSocietyAutoCloseDays
+      : DEFAULT_AUTO_CLOSE_DAYS;
+  }
+
+  threadLabel(thread) {
+    return thread.title || thread.message;
+  }
+
+  async notifyUser(userId, thread, { title, message, category = 'INFO', metadata = {} }) {
+    try {
+      const user = await User.findById(userId).select('role isActive');
+      if (!user || !user.isActive) return;
+
+      const notification = await Notification.create({
+        notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        recipientId: user._id,
+        recipientRole: user.role,
+        buildingId: thread.buildingId._id || thread.buildingId,
+        title: truncate(title, 100),
+        message: truncate(message, 500),
+        type: 'COMMUNITY_ACTIVITY',
+        category,
+        priority: 'LOW',
+        deliveryChannels: { inApp: true, email: false, sms: false },
+        metadata: { askSocietyId: thread._id, ...metadata }
+      });
+      await realtimeService.publishNotification(notification);
+    } catch (notificationError) {
+      console.error('Ask Society notification failed:', notificationError);
+      // Continue even if notification fails
+    }
+  }
+
+  /**
+   * Close OPEN threads with no activity within their building's auto-close window
+   * @returns {Promise<Object>} { threadsClosed }
+   */
+  async closeStaleThreads(now = new Date()) {
+    const buildings = await Building.find({ isActive: true }).select('communitySettings');
+
+    let threadsClosed = 0;
+    for (const building of buildings) {
+      const days = this.getAutoCloseDays(building);
+      if (!days) continue;
+
+      const cutoff = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+      // Threads created before lastActivityAt existed fall back to createdAt
+      const staleQuery = {
+        buildingId: building._id,
+        status: 'OPEN',
+        isDeleted: false,
+        $or: [
+          { lastActivityAt: { $lt: cutoff } },
+          { lastActivityAt: null, createdAt: { $lt: cutoff } }
+        ]
+      };
+
+      const stale = await AskSociety.find(staleQuery).select('_id');
+      for (const { _id } of stale) {
+        const thread = await AskSociety.findOneAndUpdate(
+          { ...staleQuery, _id },
+          { $set: { status: 'CLOSED', closedAt: now, autoClosed: true } },
+          { new: true }
+        );
+
+        // Replied to, edited or closed by another instance meanwhile
+        if (!thread) continue;
+        threadsClosed += 1;
+
+        await this.notifyUser(thread.createdBy, thread, {
+          title: 'Question Closed',
+          message: `Your question "${this.threadLabel(thread)}" was closed after ${days} days without activity`
+        });
+      }
+    }
+
+    return { threadsClosed };
+  }
+}
+
+module.exports = new AskSocietyService();
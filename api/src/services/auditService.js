@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Audit Service
+ * Records security-relevant actions to the AuditEvent collection.
+ * Recording never throws - an audit failure must not fail the user's action.
+ */
+
+class AuditService {
+  // Normalise values so diffs compare and serialise consistently
+  normalizeValue(value) {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (value && value._id instanceof mongoose.Types.ObjectId) return value._id.toString();
+    if (Array.isArray(value)) return value.map(item => this.normalizeValue(item));
+    return value;
+  }
+
+  // Pick a plain snapshot of selected fields from a document
+  snapshot(doc, fields) {
+    if (!doc) return {};
+    return fields.reduce((result, field) => {
+      const value = typeof doc.get === 'function' ? doc.get(field) : field.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), doc);
+      result[field] = this.normalizeValue(value);
+      return result;
+    }, {});
+  }
+
+  // Compute the list of changed fields between two snapshots
+  diff(before = {}, after = {}) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+
+    fields.forEach(field => {
+      const beforeValue = this.normalizeValue(before[field]);
+      const afterValue = this.normalizeValue(after[field]);
+      if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+        changes.push({ field, before: beforeValue, after: afterValue });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Record an audit event
+   * @param {Object} options
+   * @param {Object} options.req - Express request (actor and request context)
+   * @param {String} options.action - One of the AuditEvent actions
+   * @param {String} options.entityType - Target entity type
+   * @param {ObjectId} options.entityId - Target entity ID
+   * @param {ObjectId} [options.buildingId] - Building the entity belongs to
+   * @param {String} [options.entityLabel] - Human readable label for the entity
+   * @param {Object} [options.before] - Snapshot before the change
+   * @param {Object} [options.after] - Snapshot after the change
+   * @param {Object} [options.metadata] - Extra context (notes, reasons)
+   */
+  async record({ req, action, entityType, entityId, buildingId, entityLabel, before, after, metadata }) {
+    try {
+      const user = req && req.user;
+
+      return await AuditEvent.create({
+        eventId: `AUDIT_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        action,
+        actorId: user ? user.userId : undefined,
+        actorRole: user ? (user.activeRole || user.role) : 'SYSTEM',
+        actorName: user ? user.name : 'System',
+        buildingId: buildingId || undefined,
+        entityType,
+        entityId,
+        entityLabel,
+        changes: this.diff(before, after),
+        ipAddress: req ? req.ip : undefined,
+        userAgent: req && req.get && req.get('User-Agent') ? req.get('User-Agent').substring(0, 500) : undefined,
+        metadata
+      });
+    } catch (error) {
+      console.error(`Audit event recording failed (${action}):`, error);
+      return null;
+    }
+  }
+}
+
+module.exports = new AuditService();
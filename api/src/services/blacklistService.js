@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const BlacklistEntry = require('../models/BlacklistEntry');
+const Visitor = require('../models/Visitor');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const realtimeService = require('./realtimeService');
+const { truncate } = require('../utils/text');
+
+/**
+ * Blacklist Service
+ * Looks up blacklisted visitors at the gate and alerts building admins on blocked attempts
+ */
+
+class BlacklistService {
+  // Reduce a phone number to its last 10 digits so "+91 98765-43210" matches "9876543210"
+  normalizePhone(phoneNumber) {
+    if (!phoneNumber) return null;
+    const digits = String(phoneNumber).replace(/\D/g, '');
+    if (!digits) return null;
+    return digits.length > 10 ? digits.slice(-10) : digits;
+  }
+
+  normalizeIdNumber(idNumber) {
+    if (!idNumber) return null;
+    const value = String(idNumber).replace(/\s/g, '').toUpperCase();
+    return value || null;
+  }
+
+  /**
+   * Find an active blacklist entry matching the person in the given building
+   * @param {Object} options
+   * @param {ObjectId|String} options.buildingId - Building where entry is attempted
+   * @param {String} [options.phoneNumber] - Visitor phone number
+   * @param {String} [options.idNumber] - Visitor ID number
+   * @param {Object} [options.visitor] - Visitor document (its own isBlacklisted flag is honoured)
+   * @returns {Promise<Object|null>} { reason, entry } or null if not blacklisted
+   */
+  async findMatch({ buildingId, phoneNumber, idNumber, visitor }) {
+    if (visitor && visitor.isBlacklisted) {
+      return { reason: visitor.blacklistReason || 'Visitor is blacklisted', entry: null };
+    }
+
+    const phone = this.normalizePhone(phoneNumber || (visitor && visitor.phoneNumber));
+    const id = this.normalizeIdNumber(idNumber || (visitor && visitor.idNumber));
+
+    const identifiers = [];
+    if (phone) identifiers.push({ phoneNumber: phone });
+    if (id) identifiers.push({ idNumber: id });
+    if (!identifiers.length) return null;
+
+    const entry = await BlacklistEntry.findOne({
+      isActive: true,
+      $and: [
+        { $or: identifiers },
+        { $or: [{ scope: 'ALL_BUILDINGS' }, { buildingId }] }
+      ]
+    });
+
+    return entry ? { reason: entry.reason, entry } : null;
+  }
+
+  /**
+   * Phone and ID numbers blacklisted for a building (its own entries and all-building ones)
+   * @param {ObjectId|String} buildingId - Building ID
+   * @returns {Promise<Object>} { phoneNumbers: Set, idNumbers: Set }
+   */
+  async getBlockedIdentifiers(buildingId) {
+    const entries = await BlacklistEntry.find({
+      isActive: true,
+      $or: [{ scope: 'ALL_BUILDINGS' }, { buildingId }]
+    }).select('phoneNumber idNumber');
+
+    const blocked = { phoneNumbers: new Set(), idNumbers: new Set() };
+    entries.forEach(entry => {
+      if (entry.phoneNumber) blocked.phoneNumbers.add(entry.phoneNumber);
+      if (entry.idNumber) blocked.idNumbers.add(entry.idNumber);
+    });
+    return blocked;
+  }
+
+  // Check a person against the result of getBlockedIdentifiers
+  isBlocked(blocked, { phoneNumber, idNumber }) {
+    const phone = this.normalizePhone(phoneNumber);
+    const id = this.normalizeIdNumber(idNumber);
+    return Boolean((phone && blocked.phoneNumbers.has(phone)) || (id && blocked.idNumbers.has(id)));
+  }
+
+  /**
+   * Record a refused attempt and raise a SECURITY_ALERT to the building admin(s)
+   * @param {Object} options
+   * @param {ObjectId|String} options.buildingId - Building ID
+   * @param {Object} options.match - Result of findMatch
+   * @param {String} options.visitorName - Name presented at the gate
+   * @param {String} options.context - Where the attempt was blocked (CHECK_IN, QR_SCAN, ...)
+   * @param {Object} [options.visitor] - Visitor document
+   * @param {Object} [options.visit] - Visit document
+   */
+  async reportBlockedAttempt({ buildingId, match, visitorName, context, visitor, visit }) {
+    try {
+      if (match.entry) {
+        await BlacklistEntry.updateOne(
+          { _id: match.entry._id },
+          { $inc: { blockedAttempts: 1 }, $set: { lastAttemptAt: new Date() } }
+        );
+      }
+
+      const admins = await User.find({
+        buildingId,
+        isActive: true,
+        $or: [{ role: 'BUILDING_ADMIN' }, { roles: 'BUILDING_ADMIN' }]
+      }).select('_id');
+
+      const notifications = await Promise.all(admins.map(admin => Notification.create({
+        notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        recipientId: admin._id,
+        recipientRole: 'BUILDING_ADMIN',
+        buildingId,
+        title: 'Blacklisted Visitor Blocked',
+        message: truncate(`${visitorName || 'A blacklisted visitor'} was refused entry (${context.replace(/_/g, ' ').toLowerCase()}). Reason: ${match.reason}`, 500),
+        type: 'SECURITY_ALERT',
+        category: 'ALERT',
+        priority: 'URGENT',
+        relatedVisitId: visit ? visit._id : undefined,
+        relatedVisitorId: visitor ? visitor._id : undefined,
+        deliveryChannels: { inApp: true, email: true, sms: false },
+        metadata: {
+          context,
+          blacklistEntryId: match.entry ? match.entry._id.toString() : null,
+          reason: match.reason
+        }
+      })));
+      await realtimeService.publishNotifications(notifications);
+    } catch (error) {
+      console.error('Blacklist alert creation failed:', error);
+      // Refusing entry must not depend on the alert succeeding
+    }
+  }
+
+  // Match stored phone numbers whose last 10 digits are the given ones, whatever the
+  // formatting ("+91 98765-43210"), the same way findMatch normalizes them
+  phoneNumberPattern(normalizedPhone) {
+    return new RegExp(`${normalizedPhone.split('').join('\\D*')}\\D*$`);
+  }
+
+  // Build a Visitor query matching the entry's identifiers within its scope
+  getVisitorQuery(entry) {
+    const identifiers = [];
+    const phone = this.normalizePhone(entry.phoneNumber);
+    if (phone) identifiers.push({ phoneNumber: this.phoneNumberPattern(phone) });
+    if (entry.idNumber) identifiers.push({ idNumber: entry.idNumber });
+
+    const query = { $or: identifiers };
+    if (entry.scope === 'BUILDING') query.buildingId = entry.buildingId;
+    return query;
+  }
+
+  // Mirror an entry onto the matching Visitor records so existing lists show them as blacklisted
+  async flagVisitors(entry) {
+    const result = await Visitor.updateMany(this.getVisitorQuery(entry), {
+      $set: { isBlacklisted: true, blacklistReason: entry.reason }
+    });
+    return result.modifiedCount;
+  }
+
+  // Clear the Visitor flag once no other active entry still applies
+  async unflagVisitors(entry) {
+    const visitors = await Visitor.find({ ...this.getVisitorQuery(entry), isBlacklisted: true });
+    let cleared = 0;
+
+    for (const visitor of visitors) {
+      const stillBlocked = await this.findMatch({
+        buildingId: visitor.buildingId,
+        phoneNumber: visitor.phoneNumber,
+        idNumber: visitor.idNumber
+      });
+
+      if (!stillBlocked) {
+        await Visitor.updateOne(
+          { _id: visitor._id },
+          { $set: { isBlacklisted: false }, $unset: { blacklistReason: 1 } }
+        );
+        cleared += 1;
+      }
+    }
+
+    return cleared;
+  }
+}
+
+module.exports = new BlacklistService();
@@ -0,0 +1,623 @@
+const crypto = require('crypto');
+const Building = require('../models/Building');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const ChargeHead = require('../models/ChargeHead');
+const FlatAccount = require('../models/FlatAccount');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const visitApprovalService = require('./visitApprovalService');
+const realtimeService = require('./realtimeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_BILLING_SETTINGS = {
+  currency: 'INR',
+  lateFeeType: 'FIXED',
+  lateFeeAmount: 0,
+  lateFeeGraceDays: 5,
+  reminderDaysBeforeDue: 3,
+  reminderIntervalDays: 7
+};
+
+const round = amount => Math.round(amount * 100) / 100;
+
+const generateId = prefix => `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+/**
+ * Dues Service
+ * Maintenance billing: invoices are built per flat from the building's active
+ * charge heads, payments are applied to them with a single conditional update
+ * (so an invoice is never paid beyond its balance), and a background sweep adds
+ * late fees and sends due / overdue reminders per the building's billingSettings.
+ */
+
+class DuesService {
+  round(amount) {
+    return round(amount);
+  }
+
+  getBillingSettings(building) {
+    const settings = (building && building.billingSettings) || {};
+    return Object.keys(DEFAULT_BILLING_SETTINGS).reduce((result, key) => {
+      result[key] = settings[key] != null ? settings[key] : DEFAULT_BILLING_SETTINGS[key];
+      return result;
+    }, {});
+  }
+
+  /**
+   * Create accounts for resident flats that do not have one yet
+   * @returns {Promise<Number>} Accounts created
+   */
+  async ensureFlatAccounts(buildingId) {
+    const residents = await User.find({
+      buildingId,
+      isActive: true,
+      flatNumber: { $nin: [null, ''] },
+      $or: [{ role: 'RESIDENT' }, { roles: 'RESIDENT' }]
+    }).select('name flatNumber blockNumber tenantType');
+
+    let created = 0;
+    for (const resident of residents) {
+      const flatKey = FlatAccount.flatKeyOf(resident.flatNumber, resident.blockNumber);
+      const result = await FlatAccount.updateOne(
+        { buildingId, flatKey },
+        {
+          $setOnInsert: {
+            flatNumber: resident.flatNumber,
+            blockNumber: resident.blockNumber,
+            ownerName: resident.tenantType === 'TENANT' ? undefined : resident.name
+          }
+        },
+        { upsert: true }
+      ).catch(error => {
+        // Another resident of the same flat created it concurrently
+        if (error.code === 11000) return { upsertedCount: 0 };
+        throw error;
+      });
+      created += result.upsertedCount;
+    }
+    return created;
+  }
+
+  /**
+   * Account of the flat a user lives in
+   * @returns {Promise<Object|null>}
+   */
+  async findFlatAccountForUser(buildingId, userId) {
+    const user = await User.findById(userId).select('flatNumber blockNumber');
+    if (!user || !user.flatNumber) return null;
+
+    const keys = [FlatAccount.flatKeyOf(user.flatNumber, user.blockNumber)];
+    if (user.blockNumber) keys.push(FlatAccount.flatKeyOf(user.flatNumber));
+
+    const accounts = await FlatAccount.find({ buildingId, flatKey: { $in: keys } });
+    return accounts.find(account => account.flatKey === keys[0]) || accounts[0] || null;
+  }
+
+  /**
+   * Amount a charge head bills to a flat
+   * @returns {Object|null} { amount, basis } or null if the head does not apply
+   */
+  chargeFor(head, flat) {
+    if (head.calculation === 'PER_SQFT') {
+      if (!flat.areaSqft) return null;
+      return {
+        amount: round(flat.areaSqft * head.ratePerSqft),
+        basis: `${flat.areaSqft} sq ft x ${head.ratePerSqft}`
+      };
+    }
+    if (head.calculation === 'BY_FLAT_TYPE') {
+      const rate = flat.flatType && head.flatTypeRates.find(item => item.flatType === flat.flatType);
+      if (!rate) return null;
+      return { amount: round(rate.amount), basis: flat.flatType };
+    }
+    return { amount: round(head.amount), basis: 'Fixed' };
+  }
+
+  /**
+   * Issue invoices for a period to every active flat (or the flats given)
+   * Flats already invoiced for the period, and flats no charge applies to, are skipped.
+   * @returns {Promise<Object>} { created, skipped, accountsCreated }
+   */
+  async generateInvoices({ buildingId, periodLabel, periodStart, periodEnd, dueDate, chargeHeadIds, flatAccountIds, notes, userId }) {
+    const building = await Building.findById(buildingId).select('name billingSettings');
+    const { currency } = this.getBillingSettings(building);
+
+    const accountsCreated = flatAccountIds && flatAccountIds.length ? 0 : await this.ensureFlatAccounts(buildingId);
+
+    const headQuery = { buildingId, isActive: true };
+    if (chargeHeadIds && chargeHeadIds.length) headQuery._id = { $in: chargeHeadIds };
+    const heads = await ChargeHead.find(headQuery).sort({ createdAt: 1 });
+
+    const flatQuery = { buildingId, isActive: true };
+    if (flatAccountIds && flatAccountIds.length) flatQuery._id = { $in: flatAccountIds };
+    const flats = await FlatAccount.find(flatQuery).sort({ blockNumber: 1, flatNumber: 1 });
+
+    const created = [];
+    const skipped = [];
+
+    for (const flat of flats) {
+      const lineItems = [];
+      heads.forEach(head => {
+        const charge = this.chargeFor(head, flat);
+        if (charge) lineItems.push({ chargeHeadId: head._id, name: head.name, ...charge });
+      });
+
+      if (lineItems.length === 0) {
+        skipped.push({ flatAccountId: flat._id, flatNumber: flat.flatNumber, blockNumber: flat.blockNumber, reason: 'NO_APPLICABLE_CHARGES' });
+        continue;
+      }
+
+      const subtotal = round(lineItems.reduce((sum, item) => sum + item.amount, 0));
+
+      let invoice;
+      try {
+        invoice = await Invoice.create({
+          invoiceNumber: generateId('INV'),
+          buildingId,
+          flatAccountId: flat._id,
+          flatNumber: flat.flatNumber,
+          blockNumber: flat.blockNumber,
+          periodLabel,
+          periodStart,
+          periodEnd,
+          lineItems,
+          subtotal,
+          totalAmount: subtotal,
+          balanceDue: subtotal,
+          status: subtotal > 0 ? 'ISSUED' : 'PAID',
+          currency,
+          dueDate,
+          notes,
+          issuedBy: userId
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        skipped.push({ flatAccountId: flat._id, flatNumber: flat.flatNumber, blockNumber: flat.blockNumber, reason: 'ALREADY_INVOICED' });
+        continue;
+      }
+
+      created.push(invoice);
+
+      if (invoice.status === 'ISSUED') {
+        await this.notifyFlat(invoice, {
+          title: 'Maintenance Invoice',
+          message: `Your maintenance invoice for ${periodLabel} is ${currency} ${subtotal}, due on ${dueDate.toDateString()}`
+        });
+      }
+    }
+
+    return { created, skipped, accountsCreated };
+  }
+
+  async notifyFlat(invoice, { title, message, category = 'INFO', priority = 'MEDIUM' }) {
+    try {
+      const recipients = await visitApprovalService.resolveFlatApprovers({
+        buildingId: invoice.buildingId,
+        flatNumber: invoice.flatNumber,
+        blockNumber: invoice.blockNumber
+      });
+
+      const notifications = await Promise.all(recipients.map(recipient => Notification.create({
+        notificationId: generateId('NOTIF'),
+        recipientId: recipient._id,
+        recipientRole: recipient.role,
+        buildingId: invoice.buildingId,
+        title,
+        message,
+        type: 'DUES_UPDATE',
+        category,
+        priority,
+        deliveryChannels: { inApp: true, email: false, sms: false },
+        metadata: { invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber }
+      })));
+      await realtimeService.publishNotifications(notifications);
+    } catch (notificationError) {
+      console.error('Dues notification failed:', notificationError);
+      // Continue even if notification fails
+    }
+  }
+
+  /**
+   * Create a payment against an invoice
+   * @returns {Promise<Object>} Payment (PENDING)
+   */
+  async createPayment({ invoice, amount, method, provider, providerReference, reference, paidBy, recordedBy, notes }) {
+    return Payment.create({
+      paymentId: generateId('PAY'),
+      buildingId: invoice.buildingId,
+      invoiceId: invoice._id,
+      flatAccountId: invoice.flatAccountId,
+      amount: round(amount),
+      currency: invoice.currency,
+      method,
+      provider,
+      providerReference,
+      reference,
+      paidBy,
+      recordedBy,
+      notes
+    });
+  }
+
+  async notifyAdmins(buildingId, { title, message, category = 'WARNING', priority = 'HIGH', metadata }) {
+    try {
+      const admins = await User.find({
+        buildingId,
+        isActive: true,
+        $or: [{ role: 'BUILDING_ADMIN' }, { roles: 'BUILDING_ADMIN' }]
+      }).select('_id');
+
+      const notifications = await Promise.all(admins.map(admin => Notification.create({
+        notificationId: generateId('NOTIF'),
+        recipientId: admin._id,
+        recipientRole: 'BUILDING_ADMIN',
+        buildingId,
+        title,
+        message,
+        type: 'DUES_UPDATE',
+        category,
+        priority,
+        deliveryChannels: { inApp: true, email: true, sms: false },
+        metadata
+      })));
+      await realtimeService.publishNotifications(notifications);
+    } catch (notificationError) {
+      console.error('Dues admin notification failed:', notificationError);
+      // Continue even if notification fails
+    }
+  }
+
+  /**
+   * Mark a PENDING payment as received and apply it to its invoice
+   * If the invoice can no longer take the amount (cancelled, or paid meanwhile)
+   * an offline payment is marked FAILED instead. Money the gateway has already
+   * taken cannot be rejected, so an online payment stays SUCCEEDED, is credited
+   * to the flat account and the admins are asked to refund or adjust it.
+   * @returns {Promise<Object>} { payment, invoice, unapplied } or { error, payment }
+   */
+  async settlePayment(payment, paidAt = new Date()) {
+    const claimed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'PENDING' },
+      { $set: { status: 'SUCCEEDED', paidAt, receiptNumber: generateId('RCPT') } },
+      { new: true }
+    );
+    if (!claimed) {
+      return { error: 'NOT_PENDING', payment: await Payment.findById(payment._id) };
+    }
+
+    const amountPaid = { $round: [{ $add: ['$amountPaid', claimed.amount] }, 2] };
+    const fullyPaid = { $lte: [{ $subtract: ['$totalAmount', amountPaid] }, 0] };
+
+    const invoice = await Invoice.findOneAndUpdate(
+      {
+        _id: claimed.invoiceId,
+        status: { $in: Invoice.OPEN_STATUSES },
+        balanceDue: { $gte: claimed.amount }
+      },
+      [{
+        $set: {
+          amountPaid,
+          balanceDue: { $round: [{ $subtract: ['$totalAmount', amountPaid] }, 2] },
+          status: { $cond: [fullyPaid, 'PAID', 'PARTIALLY_PAID'] },
+          paidAt: { $cond: [fullyPaid, paidAt, '$paidAt'] }
+        }
+      }],
+      { new: true }
+    );
+
+    if (!invoice && claimed.provider) {
+      return this.creditUnappliedPayment(claimed);
+    }
+
+    if (!invoice) {
+      const failed = await Payment.findByIdAndUpdate(
+        claimed._id,
+        {
+          $set: { status: 'FAILED', failureReason: 'Invoice is no longer open for this amount' },
+          $unset: { receiptNumber: 1, paidAt: 1 }
+        },
+        { new: true }
+      );
+      return { error: 'INVOICE_NOT_PAYABLE', payment: failed };
+    }
+
+    const fullyCleared = invoice.status === 'PAID';
+    await this.notifyFlat(invoice, {
+      title: 'Payment Received',
+      message: `${invoice.currency} ${claimed.amount} received for invoice ${invoice.invoiceNumber} (${invoice.periodLabel}). ${fullyCleared ? 'The invoice is fully paid.' : `Balance due: ${invoice.currency} ${invoice.balanceDue}`}`,
+      category: 'SUCCESS',
+      priority: 'LOW'
+    });
+
+    return { payment: claimed, invoice };
+  }
+
+  async creditUnappliedPayment(claimed) {
+    const [payment, invoice] = await Promise.all([
+      Payment.findByIdAndUpdate(claimed._id, { $set: { isUnapplied: true } }, { new: true }),
+      Invoice.findById(claimed.invoiceId),
+      FlatAccount.updateOne({ _id: claimed.flatAccountId }, { $inc: { creditBalance: claimed.amount } })
+    ]);
+
+    const invoiceLabel = invoice ? `invoice ${invoice.invoiceNumber}` : 'an invoice that no longer exists';
+    await this.notifyAdmins(claimed.buildingId, {
+      title: 'Payment Needs Refund',
+      message: `${claimed.currency} ${claimed.amount} was received online (${claimed.provider} ${claimed.providerReference}) for ${invoiceLabel}, which was already settled. The amount has been added to the flat's credit balance for refund or adjustment.`,
+      metadata: { paymentId: claimed.paymentId, invoiceId: claimed.invoiceId, flatAccountId: claimed.flatAccountId }
+    });
+    if (invoice) {
+      await this.notifyFlat(invoice, {
+        title: 'Payment Received',
+        message: `${claimed.currency} ${claimed.amount} received for invoice ${invoice.invoiceNumber}, which was already settled. The amount is held as credit on your flat account.`,
+        category: 'INFO',
+        priority: 'MEDIUM'
+      });
+    }
+
+    return { payment, invoice, unapplied: true };
+  }
+
+  async failPayment(payment, failureReason) {
+    return Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'PENDING' },
+      { $set: { status: 'FAILED', failureReason } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Outstanding invoices of a flat and the total owed
+   * @returns {Promise<Object>} { outstandingBalance, overdueBalance, invoices }
+   */
+  async getOutstanding(flatAccount, now = new Date()) {
+    const invoices = await Invoice.find({
+      flatAccountId: flatAccount._id,
+      status: { $in: Invoice.OPEN_STATUSES }
+    }).sort({ dueDate: 1 });
+
+    return {
+      outstandingBalance: round(invoices.reduce((sum, invoice) => sum + invoice.balanceDue, 0)),
+      overdueBalance: round(invoices
+        .filter(invoice => invoice.dueDate < now)
+        .reduce((sum, invoice) => sum + invoice.balanceDue, 0)),
+      invoices
+    };
+  }
+
+  /**
+   * Chronological ledger of a flat: invoices and late fees as debits,
+   * successful payments as credits, with the running balance
+   * @returns {Promise<Object>} { entries, balance }
+   */
+  async getLedger(flatAccount) {
+    const [invoices, payments] = await Promise.all([
+      Invoice.find({ flatAccountId: flatAccount._id, status: { $ne: 'CANCELLED' } }),
+      Payment.find({ flatAccountId: flatAccount._id, status: 'SUCCEEDED' })
+    ]);
+
+    const entries = [];
+    invoices.forEach(invoice => {
+      entries.push({
+        date: invoice.createdAt,
+        type: 'INVOICE',
+        reference: invoice.invoiceNumber,
+        invoiceId: invoice._id,
+        description: `Maintenance ${invoice.periodLabel}`,
+        debit: invoice.subtotal,
+        credit: 0
+      });
+      if (invoice.lateFeeTotal > 0) {
+        entries.push({
+          date: invoice.lateFeeAppliedAt || invoice.updatedAt,
+          type: 'LATE_FEE',
+          reference: invoice.invoiceNumber,
+          invoiceId: invoice._id,
+          description: `Late fee ${invoice.periodLabel}`,
+          debit: invoice.lateFeeTotal,
+          credit: 0
+        });
+      }
+    });
+    payments.forEach(payment => {
+      entries.push({
+        date: payment.paidAt,
+        type: 'PAYMENT',
+        reference: payment.receiptNumber,
+        invoiceId: payment.invoiceId,
+        paymentId: payment._id,
+        description: payment.isUnapplied ? `Payment (${payment.method}, unapplied credit)` : `Payment (${payment.method})`,
+        debit: 0,
+        credit: payment.amount
+      });
+    });
+
+    entries.sort((a, b) => a.date - b.date);
+
+    let balance = 0;
+    entries.forEach(entry => {
+      balance = round(balance + entry.debit - entry.credit);
+      entry.balance = balance;
+    });
+
+    return { entries, balance };
+  }
+
+  lateFeeFor(settings, invoice) {
+    const fee = settings.lateFeeType === 'PERCENT'
+      ? invoice.balanceDue * settings.lateFeeAmount / 100
+      : settings.lateFeeAmount;
+    return round(fee);
+  }
+
+  /**
+   * Add late fees to overdue invoices and send due / overdue reminders
+   * Each invoice gets at most one late fee. The first reminder goes out
+   * reminderDaysBeforeDue days ahead of the due date; once overdue, a reminder
+   * is repeated every reminderIntervalDays (0 stops them).
+   * @returns {Promise<Object>} { lateFeesApplied, remindersSent }
+   */
+  async processDues(now = new Date()) {
+    const buildings = await Building.find({ isActive: true }).select('billingSettings');
+
+    let lateFeesApplied = 0;
+    let remindersSent = 0;
+
+    for (const building of buildings) {
+      const settings = this.getBillingSettings(building);
+
+      if (settings.lateFeeAmount > 0) {
+        const overdue = await Invoice.find({
+          buildingId: building._id,
+          status: { $in: Invoice.OPEN_STATUSES },
+          lateFeeAppliedAt: null,
+          dueDate: { $lt: new Date(now.getTime() - settings.lateFeeGraceDays * DAY_MS) }
+        });
+
+        for (const invoice of overdue) {
+          const fee = this.lateFeeFor(settings, invoice);
+          if (fee <= 0) continue;
+
+          // Claimed with the late fee check so a fee is only ever added once
+          const updated = await Invoice.findOneAndUpdate(
+            { _id: invoice._id, status: { $in: Invoice.OPEN_STATUSES }, lateFeeAppliedAt: null },
+            [{
+              $set: {
+                lateFeeTotal: { $round: [{ $add: ['$lateFeeTotal', fee] }, 2] },
+                totalAmount: { $round: [{ $add: ['$totalAmount', fee] }, 2] },
+                balanceDue: { $round: [{ $add: ['$balanceDue', fee] }, 2] },
+                lateFeeAppliedAt: now
+              }
+            }],
+            { new: true }
+          );
+          if (!updated) continue;
+          lateFeesApplied += 1;
+
+          await this.notifyFlat(updated, {
+            title: 'Late Fee Added',
+            message: `A late fee of ${updated.currency} ${fee} was added to invoice ${updated.invoiceNumber} (${updated.periodLabel}). Balance due: ${updated.currency} ${updated.balanceDue}`,
+            category: 'WARNING',
+            priority: 'HIGH'
+          });
+        }
+      }
+
+      const candidates = await Invoice.find({
+        buildingId: building._id,
+        status: { $in: Invoice.OPEN_STATUSES },
+        dueDate: { $lte: new Date(now.getTime() + settings.reminderDaysBeforeDue * DAY_MS) }
+      });
+
+      for (const invoice of candidates) {
+        const overdue = invoice.dueDate < now;
+        const due = overdue
+          ? settings.reminderIntervalDays > 0 &&
+            (!invoice.lastReminderAt || invoice.lastReminderAt <= new Date(now.getTime() - settings.reminderIntervalDays * DAY_MS) || invoice.lastReminderAt < invoice.dueDate)
+          : invoice.remindersSent === 0;
+        if (!due) continue;
+
+        // Claimed against the reminder we read so only one instance sends it
+        const claimed = await Invoice.findOneAndUpdate(
+          { _id: invoice._id, lastReminderAt: invoice.lastReminderAt || null },
+          { $set: { lastReminderAt: now }, $inc: { remindersSent: 1 } },
+          { new: true }
+        );
+        if (!claimed) continue;
+        remindersSent += 1;
+
+        await this.sendReminder(claimed, now);
+      }
+    }
+
+    return { lateFeesApplied, remindersSent };
+  }
+
+  async sendReminder(invoice, now = new Date()) {
+    const overdue = invoice.dueDate < now;
+    await this.notifyFlat(invoice, {
+      title: overdue ? 'Maintenance Dues Overdue' : 'Maintenance Dues Reminder',
+      message: overdue
+        ? `Invoice ${invoice.invoiceNumber} (${invoice.periodLabel}) was due on ${invoice.dueDate.toDateString()}. Balance due: ${invoice.currency} ${invoice.balanceDue}`
+        : `Invoice ${invoice.invoiceNumber} (${invoice.periodLabel}) of ${invoice.currency} ${invoice.balanceDue} is due on ${invoice.dueDate.toDateString()}`,
+      category: overdue ? 'WARNING' : 'INFO',
+      priority: overdue ? 'HIGH' : 'MEDIUM'
+    });
+  }
+
+  formatInvoice(invoice) {
+    return {
+      _id: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      flatAccountId: invoice.flatAccountId,
+      flatNumber: invoice.flatNumber,
+      blockNumber: invoice.blockNumber,
+      periodLabel: invoice.periodLabel,
+      periodStart: invoice.periodStart,
+      periodEnd: invoice.periodEnd,
+      lineItems: invoice.lineItems,
+      subtotal: invoice.subtotal,
+      lateFeeTotal: invoice.lateFeeTotal,
+      totalAmount: invoice.totalAmount,
+      amountPaid: invoice.amountPaid,
+      balanceDue: invoice.balanceDue,
+      currency: invoice.currency,
+      status: invoice.status,
+      dueDate: invoice.dueDate,
+      isOverdue: Invoice.OPEN_STATUSES.includes(invoice.status) && invoice.dueDate < new Date(),
+      paidAt: invoice.paidAt,
+      remindersSent: invoice.remindersSent,
+      notes: invoice.notes,
+      createdAt: invoice.createdAt
+    };
+  }
+
+  formatPayment(payment) {
+    return {
+      _id: payment._id,
+      paymentId: payment.paymentId,
+      receiptNumber: payment.receiptNumber || null,
+      invoiceId: payment.invoiceId,
+      amount: payment.amount,
+      currency: payment.currency,
+      method: payment.method,
+      status: payment.status,
+      provider: payment.provider,
+      providerReference: payment.providerReference,
+      reference: payment.reference,
+      failureReason: payment.failureReason,
+      isUnapplied: Boolean(payment.isUnapplied),
+      paidAt: payment.paidAt,
+      createdAt: payment.createdAt
+    };
+  }
+
+  /**
+   * Receipt for a successful payment
+   * @returns {Promise<Object>}
+   */
+  async buildReceipt(payment) {
+    const [invoice, building] = await Promise.all([
+      Invoice.findById(payment.invoiceId),
+      Building.findById(payment.buildingId).select('name address')
+    ]);
+
+    return {
+      receiptNumber: payment.receiptNumber,
+      issuedAt: payment.paidAt,
+      building: building ? { name: building.name, address: building.address } : null,
+      flatNumber: invoice ? invoice.flatNumber : null,
+      blockNumber: invoice ? invoice.blockNumber : null,
+      invoiceNumber: invoice ? invoice.invoiceNumber : null,
+      periodLabel: invoice ? invoice.periodLabel : null,
+      amount: payment.amount,
+      currency: payment.currency,
+      method: payment.method,
+      reference: payment.reference || payment.providerReference || null,
+      balanceAfterPayment: invoice ? invoice.balanceDue : null
+    };
+  }
+}
+
+module.exports = new DuesService();
@@ -0,0 +1,449 @@
+const mongoose = require('mongoose');
+const Visit = require('../models/Visit');
+const PreApproval = require('../models/PreApproval');
+const Pass = require('../models/Pass');
+const Visitor = require('../models/Visitor');
+const Building = require('../models/Building');
+const GateSyncRecord = require('../models/GateSyncRecord');
+const auditService = require('./auditService');
+const blacklistService = require('./blacklistService');
+const realtimeService = require('./realtimeService');
+const qrTokenService = require('./qrTokenService');
+const snapshotSigningService = require('./snapshotSigningService');
+const preApprovalScheduleService = require('./preApprovalScheduleService');
+
+const DEFAULT_SNAPSHOT_TTL_MINUTES = 12 * 60;
+
+// Device clocks drift; anything further ahead than this is refused
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const MAX_RECORD_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Gate Sync Service
+ * Lets guard devices keep verifying entries while offline. The snapshot lists
+ * everything that may enter today (matched on the device by the `ref` inside a
+ * signed QR token, or by a visit's plain QR hash), leaves out blacklisted
+ * people, and is signed with the Ed25519 snapshot key. Check-ins/outs recorded offline are replayed in recordedAt order
+ * with conditional updates, so a visitor checked in at two gates is applied
+ * once and reported as a conflict the second time.
+ */
+
+class GateSyncService {
+  lastFour(phoneNumber) {
+    return phoneNumber ? phoneNumber.replace(/\D/g, '').slice(-4) : null;
+  }
+
+  /**
+   * Today's approved visits, pre-approvals and active passes for a building
+   * @returns {Promise<Object>} Snapshot with keyId and signature
+   */
+  async buildSnapshot(buildingId, now = new Date()) {
+    const timeZone = await Building.getTimeZone(buildingId);
+    const startOfDay = preApprovalScheduleService.startOfDay(now, timeZone);
+    const endOfDay = preApprovalScheduleService.endOfDay(now, timeZone);
+    const ttlMinutes = parseInt(process.env.GATE_SNAPSHOT_TTL_MINUTES) || DEFAULT_SNAPSHOT_TTL_MINUTES;
+    const validUntil = new Date(Math.min(now.getTime() + ttlMinutes * 60000, endOfDay.getTime()));
+
+    const visits = await Visit.find({
+      buildingId,
+      approvalStatus: 'APPROVED',
+      $or: [
+        { status: 'SCHEDULED', scheduledDate: { $gte: startOfDay, $lte: endOfDay } },
+        { status: 'SCHEDULED', scheduledDate: null, qrCodeExpiresAt: { $gt: now } },
+        // Already inside, so they can be checked out offline
+        { status: 'IN_PROGRESS', checkOutTime: null }
+      ]
+    })
+      .populate('visitorId', 'name phoneNumber idNumber isBlacklisted')
+      .populate('hostId', 'name flatNumber')
+      .select('visitId visitorId hostId hostFlatNumber preApprovalId purpose status scheduledDate scheduledTime checkInTime qrCode qrCodeExpiresAt occurrenceDate');
+
+    const preApprovals = await PreApproval.find({
+      buildingId,
+      status: 'APPROVED',
+      isDeleted: false,
+      $or: [
+        { isRecurring: { $ne: true }, expectedDate: { $gte: startOfDay, $lte: endOfDay } },
+        { isRecurring: true, 'recurrence.startDate': { $lte: endOfDay }, 'recurrence.endDate': { $gte: startOfDay } }
+      ]
+    }).select('visitorName visitorPhone flatNumber purpose expectedTime isRecurring recurrence');
+
+    const passes = await Pass.find({
+      buildingId,
+      status: { $in: ['APPROVED', 'ACTIVE'] },
+      isDeleted: false,
+      startingDate: { $lte: endOfDay },
+      endingDate: { $gte: startOfDay }
+    }).select('name phoneNumber reasonForVisit startingDate endingDate checkInTime');
+
+    const blocked = await blacklistService.getBlockedIdentifiers(buildingId);
+
+    const payload = {
+      buildingId: buildingId.toString(),
+      timeZone,
+      generatedAt: now,
+      validUntil,
+      visits: visits
+        .filter(visit => visit.visitorId && !visit.visitorId.isBlacklisted && !blacklistService.isBlocked(blocked, visit.visitorId))
+        .map(visit => ({
+          id: visit._id,
+          visitId: visit.visitId,
+          ref: `VISIT:${visit._id}`,
+          preApprovalRef: visit.preApprovalId ? `PRE_APPROVAL:${visit.preApprovalId}` : null,
+          qrCode: visit.qrCode,
+          visitorName: visit.visitorId.name,
+          visitorPhoneLast4: this.lastFour(visit.visitorId.phoneNumber),
+          hostName: visit.hostId ? visit.hostId.name : null,
+          flatNumber: visit.hostFlatNumber || (visit.hostId ? visit.hostId.flatNumber : null),
+          purpose: visit.purpose,
+          status: visit.status,
+          scheduledTime: visit.scheduledTime,
+          checkInTime: visit.checkInTime || null
+        })),
+      preApprovals: preApprovals
+        .filter(preApproval => !blacklistService.isBlocked(blocked, { phoneNumber: preApproval.visitorPhone }))
+        .filter(preApproval => !preApproval.isRecurring || preApprovalScheduleService.isValidDay(preApproval.recurrence, now, timeZone))
+        .map(preApproval => ({
+          id: preApproval._id,
+          ref: `PRE_APPROVAL:${preApproval._id}`,
+          visitorName: preApproval.visitorName,
+          visitorPhoneLast4: this.lastFour(preApproval.visitorPhone),
+          flatNumber: preApproval.flatNumber,
+          purpose: preApproval.purpose,
+          expectedTime: preApproval.expectedTime,
+          window: preApproval.isRecurring ? preApprovalScheduleService.windowOn(preApproval.recurrence, now, timeZone) : null
+        })),
+      passes: passes
+        .filter(pass => !blacklistService.isBlocked(blocked, { phoneNumber: pass.phoneNumber }))
+        .map(pass => ({
+          id: pass._id,
+          ref: `PASS:${pass._id}`,
+          name: pass.name,
+          phoneLast4: this.lastFour(pass.phoneNumber),
+          reasonForVisit: pass.reasonForVisit,
+          startingDate: pass.startingDate,
+          endingDate: pass.endingDate,
+          checkInTime: pass.checkInTime
+        }))
+    };
+
+    return {
+      ...payload,
+      ...snapshotSigningService.sign(payload)
+    };
+  }
+
+  /**
+   * Find the visit a device record refers to (by visit id or scanned QR code)
+   * @returns {Promise<Object>} { visit, preApproval, singleUseToken } or { reject: { reason, message } }
+   */
+  async resolveRecordVisit(buildingId, record, recordedAt) {
+    if (record.visitId) {
+      const query = { buildingId };
+      if (mongoose.Types.ObjectId.isValid(record.visitId)) {
+        query._id = record.visitId;
+      } else {
+        query.visitId = record.visitId;
+      }
+      const visit = await Visit.findOne(query);
+      return visit ? { visit } : { reject: { reason: 'VISIT_NOT_FOUND', message: 'Visit not found' } };
+    }
+
+    if (!qrTokenService.isScannableCode(record.qrCode)) {
+      const visit = await Visit.findOne({ buildingId, qrCode: record.qrCode });
+      return visit ? { visit } : { reject: { reason: 'VISIT_NOT_FOUND', message: 'Invalid QR code or visit not found' } };
+    }
+
+    // The code only had to be valid when the guard scanned it
+    const verified = await qrTokenService.verifyCode(record.qrCode, recordedAt);
+    if (!verified.valid) {
+      return { reject: { reason: `QR_${verified.reason}`, message: verified.message } };
+    }
+    if (verified.type === 'PASS') {
+      return { reject: { reason: 'PASS_NOT_TRACKED', message: 'Visitor pass entries are not recorded as visits' } };
+    }
+
+    if (verified.type === 'VISIT') {
+      const visit = await Visit.findOne({ _id: verified.id, buildingId });
+      return visit
+        ? { visit, singleUseToken: verified.singleUse ? verified : null }
+        : { reject: { reason: 'VISIT_NOT_FOUND', message: 'Visit not found' } };
+    }
+
+    const preApproval = await PreApproval.findOne({ _id: verified.id, buildingId, isDeleted: false });
+    const visit = preApproval
+      ? await Visit.findOne({ preApprovalId: preApproval._id }).sort({ createdAt: 1 })
+      : null;
+    if (!visit) {
+      return { reject: { reason: 'VISIT_NOT_FOUND', message: 'Pre-approval or its visit not found' } };
+    }
+    return {
+      visit,
+      preApproval: preApproval.isRecurring ? preApproval : null,
+      singleUseToken: verified.singleUse ? verified : null
+    };
+  }
+
+  /**
+   * Whether a one-off visit could be entered at the time the device recorded it
+   * @returns {String|null} Error message, or null if inside the window
+   */
+  checkPassWindow(visit, recordedAt, timeZone) {
+    if (visit.qrCodeExpiresAt && recordedAt > visit.qrCodeExpiresAt) {
+      return `QR code had expired at ${visit.qrCodeExpiresAt.toISOString()}`;
+    }
+    if (visit.scheduledDate && (
+      recordedAt < preApprovalScheduleService.startOfDay(visit.scheduledDate, timeZone) ||
+      recordedAt > preApprovalScheduleService.endOfDay(visit.scheduledDate, timeZone)
+    )) {
+      return 'Visit was not scheduled for the day it was recorded';
+    }
+    return null;
+  }
+
+  async applyCheckIn({ buildingId, visit, preApproval, singleUseToken, recordedAt, timeZone, deviceId, req }) {
+    if (preApproval) {
+      const entryError = preApprovalScheduleService.checkEntry(preApproval, recordedAt, timeZone);
+      if (entryError) {
+        return { status: 'CONFLICT', reason: 'OUTSIDE_PASS_WINDOW', message: entryError, visit };
+      }
+      visit = await preApprovalScheduleService.getEntryVisit(preApproval, visit, recordedAt, timeZone);
+    } else {
+      const windowError = this.checkPassWindow(visit, recordedAt, timeZone);
+      if (windowError) {
+        return { status: 'CONFLICT', reason: 'OUTSIDE_PASS_WINDOW', message: windowError, visit };
+      }
+    }
+
+    if (visit.approvalStatus !== 'APPROVED') {
+      return { status: 'CONFLICT', reason: 'NOT_APPROVED', message: `Visit is ${visit.approvalStatus.toLowerCase()}`, visit };
+    }
+
+    // The visitor may have been blacklisted after the device took its snapshot
+    const visitor = await Visitor.findById(visit.visitorId);
+    const blacklistMatch = await blacklistService.findMatch({ buildingId, visitor });
+    if (blacklistMatch) {
+      await blacklistService.reportBlockedAttempt({
+        buildingId,
+        match: blacklistMatch,
+        visitorName: visitor && visitor.name,
+        context: 'OFFLINE_CHECK_IN',
+        visitor,
+        visit
+      });
+      return { status: 'CONFLICT', reason: 'BLACKLISTED', message: `Visitor is blacklisted: ${blacklistMatch.reason}`, visit };
+    }
+
+    // The expiry sweep may have run while the device was offline
+    const updated = await Visit.findOneAndUpdate(
+      { _id: visit._id, checkInTime: null, approvalStatus: 'APPROVED', status: { $in: ['SCHEDULED', 'EXPIRED'] } },
+      {
+        $set: {
+          status: 'IN_PROGRESS',
+          isActive: true,
+          checkInTime: recordedAt,
+          verifiedBySecurity: req.user.userId,
+          verifiedAt: new Date()
+        }
+      },
+      { new: true }
+    ).populate([
+      { path: 'visitorId', select: 'name' },
+      { path: 'hostId', select: 'name' }
+    ]);
+
+    if (!updated) {
+      const current = await Visit.findById(visit._id).select('visitId status checkInTime');
+      if (current && current.checkInTime) {
+        return {
+          status: 'CONFLICT',
+          reason: 'ALREADY_CHECKED_IN',
+          message: `Visitor was already checked in at ${current.checkInTime.toISOString()}`,
+          visit: current
+        };
+      }
+      return {
+        status: 'CONFLICT',
+        reason: 'INVALID_STATE',
+        message: `Visit cannot be checked in from status ${current ? current.status : 'unknown'}`,
+        visit: current || visit
+      };
+    }
+
+    if (singleUseToken) {
+      await qrTokenService.redeem(singleUseToken, { buildingId, userId: req.user.userId });
+    }
+
+    await auditService.record({
+      req,
+      action: 'VISIT_CHECKED_IN',
+      buildingId,
+      entityType: 'VISIT',
+      entityId: updated._id,
+      entityLabel: updated.visitId,
+      before: { status: visit.status, checkInTime: null },
+      after: { status: 'IN_PROGRESS', checkInTime: recordedAt },
+      metadata: { offline: true, deviceId, recordedAt }
+    });
+
+    await realtimeService.publishVisitEvent('VISIT_CHECKED_IN', updated, { offline: true, deviceId });
+
+    return { status: 'APPLIED', visit: updated };
+  }
+
+  async applyCheckOut({ buildingId, visit, preApproval, recordedAt, timeZone, deviceId, req }) {
+    if (preApproval) {
+      const occurrence = await Visit.findOne({
+        preApprovalId: preApproval._id,
+        occurrenceDate: preApprovalScheduleService.startOfDay(recordedAt, timeZone)
+      });
+      if (occurrence) visit = occurrence;
+    }
+
+    if (!visit.checkInTime) {
+      return { status: 'CONFLICT', reason: 'NOT_CHECKED_IN', message: 'Visitor was never checked in', visit };
+    }
+    if (visit.checkInTime > recordedAt) {
+      return {
+        status: 'CONFLICT',
+        reason: 'CHECKOUT_BEFORE_CHECKIN',
+        message: `Check-out time is before the check-in at ${visit.checkInTime.toISOString()}`,
+        visit
+      };
+    }
+
+    const updated = await Visit.findOneAndUpdate(
+      { _id: visit._id, status: 'IN_PROGRESS', checkOutTime: null, checkInTime: visit.checkInTime },
+      {
+        $set: {
+          status: 'COMPLETED',
+          checkOutTime: recordedAt,
+          isActive: false,
+          actualDuration: Math.round((recordedAt - visit.checkInTime) / 60000)
+        }
+      },
+      { new: true }
+    ).populate([
+      { path: 'visitorId', select: 'name' },
+      { path: 'hostId', select: 'name' }
+    ]);
+
+    if (!updated) {
+      const current = await Visit.findById(visit._id).select('visitId status checkOutTime');
+      return {
+        status: 'CONFLICT',
+        reason: current && current.checkOutTime ? 'ALREADY_CHECKED_OUT' : 'INVALID_STATE',
+        message: current && current.checkOutTime
+          ? `Visitor was already checked out at ${current.checkOutTime.toISOString()}`
+          : `Visit cannot be checked out from status ${current ? current.status : 'unknown'}`,
+        visit: current || visit
+      };
+    }
+
+    await auditService.record({
+      req,
+      action: 'VISIT_CHECKED_OUT',
+      buildingId,
+      entityType: 'VISIT',
+      entityId: updated._id,
+      entityLabel: updated.visitId,
+      before: { status: 'IN_PROGRESS', checkOutTime: null },
+      after: { status: 'COMPLETED', checkOutTime: recordedAt },
+      metadata: { offline: true, deviceId, recordedAt }
+    });
+
+    await realtimeService.publishVisitEvent('VISIT_CHECKED_OUT', updated, { offline: true, deviceId });
+
+    return { status: 'APPLIED', visit: updated };
+  }
+
+  async applyRecord({ buildingId, record, deviceId, req, now, timeZone }) {
+    const recordedAt = new Date(record.recordedAt);
+    if (recordedAt.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) {
+      return { status: 'REJECTED', reason: 'FUTURE_TIMESTAMP', message: 'Recorded time is in the future' };
+    }
+    if (recordedAt.getTime() < now.getTime() - MAX_RECORD_AGE_MS) {
+      return { status: 'REJECTED', reason: 'TOO_OLD', message: 'Records older than 7 days cannot be synced' };
+    }
+
+    const resolved = await this.resolveRecordVisit(buildingId, record, recordedAt);
+    if (resolved.reject) {
+      return { status: 'REJECTED', ...resolved.reject };
+    }
+
+    const context = { buildingId, ...resolved, recordedAt, timeZone, deviceId, req };
+    return record.type === 'CHECK_IN'
+      ? this.applyCheckIn(context)
+      : this.applyCheckOut(context);
+  }
+
+  /**
+   * Reconcile a batch of offline gate records
+   * @param {Object} options
+   * @param {ObjectId|String} options.buildingId
+   * @param {String} options.deviceId - Guard device that recorded the batch
+   * @param {Array<Object>} options.records - { clientRecordId, type, recordedAt, visitId | qrCode }
+   * @param {Object} options.req - Express request (actor for audit)
+   * @returns {Promise<Object>} { results, summary }
+   */
+  async syncRecords({ buildingId, deviceId, records, req }) {
+    const now = new Date();
+    const timeZone = await Building.getTimeZone(buildingId);
+    const ordered = [...records].sort((a, b) => new Date(a.recordedAt) - new Date(b.recordedAt));
+    const summary = { applied: 0, conflicts: 0, rejected: 0, duplicates: 0 };
+    const results = [];
+
+    const toResult = (syncRecord, duplicate) => ({
+      clientRecordId: syncRecord.clientRecordId,
+      type: syncRecord.type,
+      status: syncRecord.status,
+      reason: syncRecord.reason || null,
+      message: syncRecord.message || null,
+      visitId: syncRecord.visitId || null,
+      duplicate
+    });
+
+    for (const record of ordered) {
+      const key = { buildingId, deviceId, clientRecordId: record.clientRecordId };
+
+      // Already synced in an earlier (possibly interrupted) upload
+      const previous = await GateSyncRecord.findOne(key);
+      if (previous) {
+        summary.duplicates += 1;
+        results.push(toResult(previous, true));
+        continue;
+      }
+
+      const outcome = await this.applyRecord({ buildingId, record, deviceId, req, now, timeZone });
+
+      let syncRecord;
+      try {
+        syncRecord = await GateSyncRecord.create({
+          ...key,
+          type: record.type,
+          visitId: outcome.visit ? outcome.visit._id : undefined,
+          recordedAt: record.recordedAt,
+          status: outcome.status,
+          reason: outcome.reason,
+          message: outcome.message,
+          syncedBy: req.user.userId
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        summary.duplicates += 1;
+        results.push(toResult(await GateSyncRecord.findOne(key), true));
+        continue;
+      }
+
+      if (outcome.status === 'APPLIED') summary.applied += 1;
+      else if (outcome.status === 'CONFLICT') summary.conflicts += 1;
+      else summary.rejected += 1;
+
+      results.push(toResult(syncRecord, false));
+    }
+
+    return { results, summary };
+  }
+}
+
+module.exports = new GateSyncService();
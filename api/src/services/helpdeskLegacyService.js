@@ -0,0 +1,346 @@
+const crypto = require('crypto');
+const Ticket = require('../models/Ticket');
+const TicketMessage = require('../models/TicketMessage');
+const Complaint = require('../models/Complaint');
+const SupportTicket = require('../models/SupportTicket');
+const MaintenanceRequest = require('../models/MaintenanceRequest');
+const Building = require('../models/Building');
+const Photo = require('../models/Photo');
+const helpdeskService = require('./helpdeskService');
+
+// Old status -> ticket status, per legacy model
+const STATUS_MAP = {
+  Complaint: { OPEN: 'OPEN', IN_PROGRESS: 'IN_PROGRESS', RESOLVED: 'RESOLVED', CLOSED: 'CLOSED' },
+  SupportTicket: { OPEN: 'OPEN', IN_PROGRESS: 'IN_PROGRESS', RESOLVED: 'RESOLVED', CLOSED: 'CLOSED' },
+  MaintenanceRequest: { PENDING: 'OPEN', IN_PROGRESS: 'IN_PROGRESS', COMPLETED: 'RESOLVED', CANCELLED: 'CANCELLED' }
+};
+
+// Ticket status -> what the old endpoints report
+const LEGACY_STATUS = {
+  Complaint: { OPEN: 'OPEN', IN_PROGRESS: 'IN_PROGRESS', WAITING_ON_RESIDENT: 'IN_PROGRESS', RESOLVED: 'RESOLVED', CLOSED: 'CLOSED', CANCELLED: 'CLOSED' },
+  SupportTicket: { OPEN: 'OPEN', IN_PROGRESS: 'IN_PROGRESS', WAITING_ON_RESIDENT: 'IN_PROGRESS', RESOLVED: 'RESOLVED', CLOSED: 'CLOSED', CANCELLED: 'CLOSED' },
+  MaintenanceRequest: { OPEN: 'PENDING', IN_PROGRESS: 'IN_PROGRESS', WAITING_ON_RESIDENT: 'IN_PROGRESS', RESOLVED: 'COMPLETED', CLOSED: 'COMPLETED', CANCELLED: 'CANCELLED' }
+};
+
+const SOURCE_TYPES = { Complaint: 'COMPLAINT', SupportTicket: 'SUPPORT', MaintenanceRequest: 'MAINTENANCE' };
+const SOURCE_MODELS = { Complaint, SupportTicket, MaintenanceRequest };
+
+const MAINTENANCE_FIELDS = ['accountNumber', 'ifsc', 'bankName', 'branchLocation'];
+
+const formatDate = (value, locale, options) => (value ? new Date(value).toLocaleString(locale, options) : null);
+const IN_DATE_FORMAT = {
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hour12: true
+};
+
+/**
+ * Helpdesk Legacy Service
+ * Bridges the old Complaint, SupportTicket and MaintenanceRequest models and
+ * the unified Ticket: maps statuses and priorities both ways, migrates
+ * existing records (one ticket per record, so re-running is safe), and shapes
+ * tickets the way the old /api/complaints, /api/help-support and
+ * /api/maintenance-requests endpoints returned them.
+ */
+
+class HelpdeskLegacyService {
+  toTicketStatus(source, status) {
+    return STATUS_MAP[source][status] || 'OPEN';
+  }
+
+  toLegacyStatus(source, status) {
+    return LEGACY_STATUS[source][status];
+  }
+
+  /**
+   * Ticket statuses an old status filter should match (e.g. complaint CLOSED covers CANCELLED)
+   */
+  ticketStatusesFor(source, legacyStatus) {
+    return Object.keys(LEGACY_STATUS[source]).filter(status => LEGACY_STATUS[source][status] === legacyStatus);
+  }
+
+  // Complaints used CRITICAL for their top priority
+  toTicketPriority(priority) {
+    return priority === 'CRITICAL' ? 'URGENT' : priority || 'MEDIUM';
+  }
+
+  toLegacyPriority(source, priority) {
+    return source === 'Complaint' && priority === 'URGENT' ? 'CRITICAL' : priority;
+  }
+
+  /**
+   * Find a ticket by its own id or the id of the record it was migrated from
+   */
+  findByLegacyId(source, id) {
+    return Ticket.findOne({
+      type: SOURCE_TYPES[source],
+      $or: [{ _id: id }, { 'legacy.source': source, 'legacy.sourceId': id }]
+    });
+  }
+
+  /**
+   * Find a maintenance ticket by its MAINT_ request id or ticket number
+   */
+  findByRequestId(buildingId, requestId) {
+    return Ticket.findOne({
+      buildingId,
+      type: 'MAINTENANCE',
+      $or: [{ ticketNumber: requestId }, { 'legacy.requestId': requestId }]
+    });
+  }
+
+  /**
+   * Copy every legacy record that has no ticket yet
+   * @param {Object} options.dryRun - Only count what would be migrated
+   * @returns {Promise<Object>} Per-model { total, migrated, skipped, failed, errors }
+   */
+  async migrate({ dryRun = false } = {}) {
+    const buildings = new Map();
+    const loadBuilding = async buildingId => {
+      const key = String(buildingId);
+      if (!buildings.has(key)) {
+        buildings.set(key, await Building.findById(buildingId).select('helpdeskSettings'));
+      }
+      return buildings.get(key);
+    };
+
+    const report = {};
+    for (const source of Object.keys(SOURCE_MODELS)) {
+      const result = { total: 0, migrated: 0, skipped: 0, failed: 0, errors: [] };
+      report[source] = result;
+
+      const cursor = SOURCE_MODELS[source].find().sort({ createdAt: 1 }).cursor();
+      for (let record = await cursor.next(); record != null; record = await cursor.next()) {
+        result.total += 1;
+
+        if (await Ticket.exists({ 'legacy.source': source, 'legacy.sourceId': record._id })) {
+          result.skipped += 1;
+          continue;
+        }
+        if (dryRun) {
+          result.migrated += 1;
+          continue;
+        }
+
+        try {
+          const created = await this.migrateRecord(source, record, await loadBuilding(record.buildingId));
+          result[created ? 'migrated' : 'skipped'] += 1;
+        } catch (error) {
+          result.failed += 1;
+          if (result.errors.length < 20) {
+            result.errors.push({ id: record._id, message: error.message });
+          }
+        }
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Create the ticket and thread for one legacy record, keeping its timestamps
+   * @returns {Promise<Object|null>} Ticket, or null if another run migrated it first
+   */
+  async migrateRecord(source, record, building) {
+    const now = new Date();
+    const isMaintenance = source === 'MaintenanceRequest';
+    const status = this.toTicketStatus(source, record.status);
+    const priority = this.toTicketPriority(record.priority);
+    const createdAt = record.createdAt || now;
+    const requesterId = isMaintenance ? record.requesterId : record.residentId;
+
+    const ticket = new Ticket({
+      ticketNumber: Ticket.generateTicketNumber(),
+      buildingId: record.buildingId,
+      type: SOURCE_TYPES[source],
+      category: record.category || 'GENERAL',
+      description: isMaintenance ? record.description : record.message,
+      requesterId,
+      flatNumber: record.flatNumber,
+      location: record.location,
+      status,
+      priority,
+      assignedTo: record.assignedTo || null,
+      legacy: {
+        source,
+        sourceId: record._id,
+        requestId: record.requestId,
+        data: isMaintenance
+          ? MAINTENANCE_FIELDS.reduce((acc, field) => (record[field] ? { ...acc, [field]: record[field] } : acc), {})
+          : undefined
+      },
+      createdAt,
+      updatedAt: record.updatedAt || createdAt,
+      lastActivityAt: record.updatedAt || createdAt
+    });
+
+    const sla = helpdeskService.computeSla(building, priority, createdAt);
+    ticket.sla = { firstResponseDueAt: sla.firstResponseDueAt, resolutionDueAt: sla.resolutionDueAt };
+
+    const messages = [];
+    if (record.response) {
+      const at = record.respondedAt || record.updatedAt || createdAt;
+      messages.push({ kind: 'REPLY', authorId: record.respondedBy, message: record.response, createdAt: at });
+      ticket.lastReply = { message: record.response, authorId: record.respondedBy, at };
+      ticket.sla.firstResponseAt = at;
+    }
+    if (record.adminNotes) {
+      const at = record.updatedAt || createdAt;
+      messages.push({ kind: 'NOTE', authorId: record.completedBy, message: record.adminNotes, createdAt: at });
+      ticket.lastInternalNote = { message: record.adminNotes, authorId: record.completedBy, at };
+    }
+    ticket.messageCount = messages.length;
+
+    if (status === 'RESOLVED' || status === 'CLOSED') {
+      ticket.resolvedAt = record.completedAt || record.respondedAt || record.updatedAt || createdAt;
+      ticket.resolvedBy = record.completedBy || record.respondedBy;
+      ticket.resolutionNotes = record.completionNotes;
+    }
+    if (status === 'CLOSED' || status === 'CANCELLED') {
+      ticket.closedAt = record.updatedAt || createdAt;
+    }
+
+    // Record targets already missed as breached at their due time, so the
+    // SLA job doesn't alert on history
+    const firstResponseTime = ticket.sla.firstResponseAt || (Ticket.OPEN_STATUSES.includes(status) ? now : ticket.resolvedAt || ticket.closedAt);
+    if (firstResponseTime && firstResponseTime > sla.firstResponseDueAt) {
+      ticket.sla.firstResponseBreachedAt = sla.firstResponseDueAt;
+    }
+    const resolutionTime = ticket.resolvedAt || (status === 'CANCELLED' ? ticket.closedAt : now);
+    if (resolutionTime > sla.resolutionDueAt) {
+      ticket.sla.resolutionBreachedAt = sla.resolutionDueAt;
+    }
+
+    let photo = null;
+    if (isMaintenance && record.imageBase64) {
+      photo = await Photo.create({
+        photoId: `HELPDESK_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        filename: `${record.requestId || record._id}.${(record.imageMimeType || 'image/jpeg').split('/')[1]}`,
+        originalName: `${record.requestId || record._id}`,
+        mimeType: record.imageMimeType || 'image/jpeg',
+        size: record.imageSize || Buffer.byteLength(record.imageBase64.split('base64,')[1] || '', 'base64'),
+        base64Data: record.imageBase64,
+        storageType: 'base64',
+        uploadedBy: requesterId,
+        buildingId: record.buildingId,
+        relatedType: 'OTHER',
+        relatedId: ticket._id,
+        description: 'Maintenance request photo'
+      });
+      ticket.attachments = [photo._id];
+    }
+
+    try {
+      await ticket.save({ timestamps: false });
+    } catch (error) {
+      if (photo) await Photo.deleteOne({ _id: photo._id });
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    await TicketMessage.insertMany([
+      ...messages.map(entry => ({ ...entry, ticketId: ticket._id, buildingId: ticket.buildingId, updatedAt: entry.createdAt })),
+      {
+        ticketId: ticket._id,
+        buildingId: ticket.buildingId,
+        kind: 'EVENT',
+        authorRole: 'SYSTEM',
+        message: `Migrated from ${source} ${record.requestId || record._id}`,
+        toStatus: status
+      }
+    ]);
+
+    return ticket;
+  }
+
+  /**
+   * Ticket in the shape the old complaint / support ticket endpoints returned
+   * Expects requesterId, buildingId, assignedTo and lastReply.authorId populated.
+   */
+  toLegacyMessageTicket(source, ticket) {
+    const id = (ticket.legacy && ticket.legacy.source === source && ticket.legacy.sourceId) || ticket._id;
+    const reply = ticket.lastReply && ticket.lastReply.at ? ticket.lastReply : null;
+
+    const formatted = {
+      _id: id,
+      id,
+      ticketId: ticket._id,
+      ticketNumber: ticket.ticketNumber,
+      message: ticket.description,
+      residentId: ticket.requesterId,
+      buildingId: ticket.buildingId,
+      status: this.toLegacyStatus(source, ticket.status),
+      priority: this.toLegacyPriority(source, ticket.priority),
+      assignedTo: ticket.assignedTo || null,
+      response: reply ? reply.message : null,
+      respondedBy: reply ? reply.authorId : null,
+      respondedAt: reply ? reply.at : null,
+      createdAt: ticket.createdAt,
+      updatedAt: ticket.updatedAt,
+      formattedCreatedAt: ticket.createdAt ? ticket.createdAt.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      }) : null
+    };
+    if (source === 'SupportTicket') formatted.category = ticket.category;
+    return formatted;
+  }
+
+  /**
+   * Ticket in the shape the old maintenance request endpoints returned
+   * Expects requesterId, resolvedBy and attachments (with base64Data) populated.
+   */
+  toLegacyMaintenanceRequest(ticket) {
+    const data = (ticket.legacy && ticket.legacy.data) || {};
+    const image = (ticket.attachments || []).find(photo => photo && photo.base64Data);
+    const requester = ticket.requesterId || {};
+    const note = ticket.lastInternalNote && ticket.lastInternalNote.at ? ticket.lastInternalNote : null;
+    const resolvedAt = ['RESOLVED', 'CLOSED'].includes(ticket.status) ? ticket.resolvedAt : null;
+
+    return {
+      id: ticket._id,
+      requestId: (ticket.legacy && ticket.legacy.requestId) || ticket.ticketNumber,
+      ticketNumber: ticket.ticketNumber,
+      description: ticket.description,
+      status: this.toLegacyStatus('MaintenanceRequest', ticket.status),
+      location: ticket.location,
+      flatNumber: ticket.flatNumber,
+      accountNumber: data.accountNumber || '',
+      ifsc: data.ifsc || '',
+      bankName: data.bankName || '',
+      branchLocation: data.branchLocation || '',
+      imageUrl: image ? image.base64Data : null,
+      imageMimeType: image ? image.mimeType : 'image/jpeg',
+      imageSize: image ? image.size : 0,
+      adminNotes: note ? note.message : undefined,
+      completionNotes: ticket.resolutionNotes,
+      createdAt: ticket.createdAt,
+      createdAtFormatted: formatDate(ticket.createdAt, 'en-IN', IN_DATE_FORMAT),
+      completedAt: resolvedAt,
+      completedAtFormatted: formatDate(resolvedAt, 'en-IN', IN_DATE_FORMAT),
+      updatedAt: ticket.updatedAt,
+      requester: {
+        id: requester._id,
+        name: requester.name,
+        role: requester.role,
+        email: requester.email,
+        phoneNumber: requester.phoneNumber,
+        flatNumber: requester.flatNumber
+      },
+      completedBy: resolvedAt && ticket.resolvedBy && ticket.resolvedBy._id ? {
+        id: ticket.resolvedBy._id,
+        name: ticket.resolvedBy.name,
+        role: ticket.resolvedBy.role
+      } : null
+    };
+  }
+}
+
+module.exports = new HelpdeskLegacyService();
@@ -0,0 +1,626 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const TicketMessage = require('../models/TicketMessage');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const realtimeService = require('./realtimeService');
+const { truncate } = require('../utils/text');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_FIRST_RESPONSE_HOURS = { LOW: 48, MEDIUM: 24, HIGH: 8, URGENT: 2 };
+const DEFAULT_RESOLUTION_HOURS = { LOW: 168, MEDIUM: 72, HIGH: 24, URGENT: 8 };
+
+const STAFF_ROLES = ['SUPER_ADMIN', 'BUILDING_ADMIN', 'SECURITY'];
+
+// Statuses a ticket may move to from each status
+const TRANSITIONS = {
+  OPEN: ['IN_PROGRESS', 'WAITING_ON_RESIDENT', 'RESOLVED', 'CANCELLED'],
+  IN_PROGRESS: ['WAITING_ON_RESIDENT', 'RESOLVED', 'CANCELLED'],
+  WAITING_ON_RESIDENT: ['IN_PROGRESS', 'RESOLVED', 'CANCELLED'],
+  RESOLVED: ['CLOSED', 'IN_PROGRESS'],
+  CLOSED: [],
+  CANCELLED: []
+};
+
+// Statuses whose resolution clock is running
+const RUNNING_STATUSES = ['OPEN', 'IN_PROGRESS'];
+
+/**
+ * Helpdesk Service
+ * One ticketing subsystem for complaints, support requests and maintenance
+ * requests. Each ticket carries a conversation thread of replies (visible to
+ * the requester), internal notes (staff only) and status/assignment events.
+ * First-response and resolution SLA targets come from the building's
+ * helpdeskSettings; the resolution clock stops while waiting on the resident.
+ */
+
+class HelpdeskService {
+  isStaff(user) {
+    return STAFF_ROLES.includes(user.role);
+  }
+
+  isRequester(user, ticket) {
+    const requesterId = ticket.requesterId._id || ticket.requesterId;
+    return String(requesterId) === String(user.userId || user.id);
+  }
+
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Requesters may cancel an unresolved ticket, and close or reopen a resolved one
+   */
+  canRequesterTransition(from, to) {
+    if (from === 'RESOLVED') return ['CLOSED', 'IN_PROGRESS'].includes(to);
+    return to === 'CANCELLED' && this.canTransition(from, to);
+  }
+
+  getSlaHours(building, priority) {
+    const settings = (building && building.helpdeskSettings) || {};
+    const pick = (configured, defaults) => (configured && configured[priority] != null
+      ? configured[priority]
+      : defaults[priority] || defaults.MEDIUM);
+    return {
+      firstResponseHours: pick(settings.firstResponseHours, DEFAULT_FIRST_RESPONSE_HOURS),
+      resolutionHours: pick(settings.resolutionHours, DEFAULT_RESOLUTION_HOURS)
+    };
+  }
+
+  /**
+   * SLA deadlines for a ticket raised at `from`
+   * @returns {Object} { firstResponseDueAt, resolutionDueAt }
+   */
+  computeSla(building, priority, from = new Date()) {
+    const { firstResponseHours, resolutionHours } = this.getSlaHours(building, priority);
+    return {
+      firstResponseDueAt: new Date(from.getTime() + firstResponseHours * HOUR_MS),
+      resolutionDueAt: new Date(from.getTime() + resolutionHours * HOUR_MS)
+    };
+  }
+
+  /**
+   * Open a ticket and tell the building's staff about it
+   * @param {Object} params.building - Building document (for SLA settings)
+   * @param {Object} params.requester - User document raising the ticket
+   * @returns {Promise<Object>} Created ticket
+   */
+  async createTicket({ building, requester, type, category, subject, description, priority = 'MEDIUM', flatNumber, location, attachments = [] }) {
+    const ticket = await Ticket.create({
+      ticketNumber: Ticket.generateTicketNumber(),
+      buildingId: building._id,
+      type,
+      category: category || 'GENERAL',
+      subject,
+      description,
+      requesterId: requester._id,
+      flatNumber: flatNumber || requester.flatNumber || '',
+      location,
+      priority,
+      attachments,
+      sla: this.computeSla(building, priority)
+    });
+
+    await this.notifyStaff(ticket, {
+      title: `New ${this.typeLabel(ticket)}`,
+      message: `${requester.name || 'A resident'}${ticket.flatNumber ? ` (flat ${ticket.flatNumber})` : ''} raised "${this.label(ticket)}"`,
+      category: 'INFO',
+      priority: ticket.priority === 'URGENT' ? 'HIGH' : 'MEDIUM'
+    });
+
+    return ticket;
+  }
+
+  async recordEvent(req, ticket, message, fromStatus, toStatus) {
+    return TicketMessage.create({
+      ticketId: ticket._id,
+      buildingId: ticket.buildingId._id || ticket.buildingId,
+      kind: 'EVENT',
+      authorId: req ? req.user.userId || req.user.id : undefined,
+      authorRole: req ? req.user.role : 'SYSTEM',
+      message,
+      fromStatus,
+      toStatus
+    });
+  }
+
+  /**
+   * Post a reply or internal note on a ticket
+   * A staff reply counts as the first response; a requester reply to a ticket
+   * waiting on them puts it back in progress.
+   * @returns {Promise<Object>} { message, ticket }
+   */
+  async addMessage({ req, ticket, message, internal = false, attachments = [] }) {
+    const now = new Date();
+    const authorId = req.user.userId || req.user.id;
+    const staff = this.isStaff(req.user);
+    const kind = internal ? 'NOTE' : 'REPLY';
+
+    const entry = await TicketMessage.create({
+      ticketId: ticket._id,
+      buildingId: ticket.buildingId._id || ticket.buildingId,
+      kind,
+      authorId,
+      authorRole: req.user.role,
+      message,
+      attachments
+    });
+
+    const update = {
+      $set: { lastActivityAt: now },
+      $inc: { messageCount: 1 }
+    };
+    if (internal) {
+      update.$set.lastInternalNote = { message, authorId, at: now };
+    } else if (staff) {
+      update.$set.lastReply = { message, authorId, at: now };
+      // $min only sets the first response once
+      update.$min = { 'sla.firstResponseAt': now };
+    }
+
+    let updated = await Ticket.findByIdAndUpdate(ticket._id, update, { new: true });
+
+    if (!internal && !staff && updated.status === 'WAITING_ON_RESIDENT') {
+      updated = await this.changeStatus({ req, ticket: updated, status: 'IN_PROGRESS', note: 'Resident replied' }) || updated;
+    }
+
+    if (!internal) {
+      if (staff && !this.isRequester(req.user, updated)) {
+        await this.notifyUser(updated.requesterId, updated, {
+          title: `Reply on ${this.typeLabel(updated)}`,
+          message: `${req.user.name || 'Building staff'} replied to "${this.label(updated)}": ${message}`
+        });
+      } else if (!staff) {
+        await this.notifyStaff(updated, {
+          title: `Resident Reply on ${this.typeLabel(updated)}`,
+          message: `${req.user.name || 'The resident'} replied to "${this.label(updated)}": ${message}`,
+          category: 'INFO',
+          priority: 'MEDIUM'
+        });
+      }
+    }
+
+    return { message: entry, ticket: updated };
+  }
+
+  /**
+   * Move a ticket to a new status
+   * @returns {Promise<Object|null>} Updated ticket, or null if the status changed underneath us
+   */
+  async changeStatus({ req, ticket, status, note }) {
+    const now = new Date();
+    const set = { status, lastActivityAt: now };
+    const update = { $set: set };
+
+    if (ticket.status === 'WAITING_ON_RESIDENT') {
+      const waitedMs = ticket.waitingSince ? Math.max(0, now - ticket.waitingSince) : 0;
+      set.waitingSince = null;
+      if (ticket.sla && ticket.sla.resolutionDueAt) {
+        set['sla.resolutionDueAt'] = new Date(ticket.sla.resolutionDueAt.getTime() + waitedMs);
+      }
+    }
+
+    if (status === 'WAITING_ON_RESIDENT') {
+      set.waitingSince = now;
+    } else if (status === 'RESOLVED') {
+      set.resolvedAt = now;
+      set.resolvedBy = req ? req.user.userId || req.user.id : undefined;
+      if (note) set.resolutionNotes = note;
+    } else if (status === 'CLOSED' || status === 'CANCELLED') {
+      set.closedAt = now;
+    } else if (ticket.status === 'RESOLVED' && status === 'IN_PROGRESS') {
+      set.resolvedAt = null;
+      set.resolvedBy = null;
+      update.$inc = { reopenCount: 1 };
+    }
+
+    const updated = await Ticket.findOneAndUpdate(
+      { _id: ticket._id, status: ticket.status },
+      update,
+      { new: true }
+    );
+    if (!updated) return null;
+
+    const verb = ticket.status === 'RESOLVED' && status === 'IN_PROGRESS'
+      ? 'Reopened'
+      : `Status changed to ${status.replace(/_/g, ' ').toLowerCase()}`;
+    await this.recordEvent(req, updated, note ? `${verb}: ${note}` : verb, ticket.status, status);
+
+    const actorIsRequester = req && this.isRequester(req.user, updated);
+    if (!actorIsRequester) {
+      await this.notifyUser(updated.requesterId, updated, {
+        title: `${this.typeLabel(updated)} ${status === 'WAITING_ON_RESIDENT' ? 'Needs Your Reply' : 'Updated'}`,
+        message: `"${this.label(updated)}" is now ${status.replace(/_/g, ' ').toLowerCase()}${note ? `: ${note}` : ''}`,
+        category: status === 'RESOLVED' ? 'SUCCESS' : 'INFO'
+      });
+    } else {
+      await this.notifyStaff(updated, {
+        title: `${this.typeLabel(updated)} ${verb === 'Reopened' ? 'Reopened' : 'Updated'} by Resident`,
+        message: `"${this.label(updated)}" is now ${status.replace(/_/g, ' ').toLowerCase()}${note ? `: ${note}` : ''}`,
+        category: 'INFO',
+        priority: 'MEDIUM'
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Hand an unresolved ticket to a staff member
+   * @returns {Promise<Object|null>} Updated ticket, or null once it is resolved
+   */
+  async assign({ req, ticket, assignee }) {
+    const updated = await Ticket.findOneAndUpdate(
+      { _id: ticket._id, status: { $in: Ticket.OPEN_STATUSES } },
+      { $set: { assignedTo: assignee._id, assignedAt: new Date(), lastActivityAt: new Date() } },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    await this.recordEvent(req, updated, `Assigned to ${assignee.name}`, updated.status, updated.status);
+
+    if (String(assignee._id) !== String(req.user.userId || req.user.id)) {
+      await this.notifyUser(assignee._id, updated, {
+        title: `${this.typeLabel(updated)} Assigned to You`,
+        message: `"${this.label(updated)}"${updated.flatNumber ? ` (flat ${updated.flatNumber})` : ''} has been assigned to you`,
+        priority: updated.priority === 'URGENT' ? 'HIGH' : 'MEDIUM'
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Change priority or category; a new priority re-targets the SLA from the creation time
+   * @returns {Promise<Object|null>} Updated ticket, or null once it is resolved
+   */
+  async updateDetails({ req, ticket, building, priority, category }) {
+    const set = { lastActivityAt: new Date() };
+    const changes = [];
+
+    if (category && category !== ticket.category) {
+      set.category = category;
+      changes.push(`category ${ticket.category} → ${category}`);
+    }
+    if (priority && priority !== ticket.priority) {
+      const sla = this.computeSla(building, priority, ticket.createdAt);
+      set.priority = priority;
+      set['sla.firstResponseDueAt'] = sla.firstResponseDueAt;
+      set['sla.resolutionDueAt'] = sla.resolutionDueAt;
+      changes.push(`priority ${ticket.priority} → ${priority}`);
+    }
+    if (!changes.length) return ticket;
+
+    const updated = await Ticket.findOneAndUpdate(
+      { _id: ticket._id, status: { $in: Ticket.OPEN_STATUSES } },
+      { $set: set },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    await this.recordEvent(req, updated, `Changed ${changes.join(', ')}`, updated.status, updated.status);
+    return updated;
+  }
+
+  /**
+   * Requester rates a resolved ticket, which also closes it
+   * @returns {Promise<Object|null>} Updated ticket, or null if it is not resolved or already rated
+   */
+  async rate({ req, ticket, rating, comment }) {
+    const now = new Date();
+    const set = {
+      'satisfaction.rating': rating,
+      'satisfaction.comment': comment,
+      'satisfaction.ratedAt': now,
+      lastActivityAt: now
+    };
+    if (ticket.status === 'RESOLVED') {
+      set.status = 'CLOSED';
+      set.closedAt = now;
+    }
+
+    const updated = await Ticket.findOneAndUpdate(
+      { _id: ticket._id, status: ticket.status, 'satisfaction.rating': null },
+      { $set: set },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    await this.recordEvent(req, updated, `Rated ${rating}/5${comment ? `: ${comment}` : ''}`, ticket.status, updated.status);
+
+    if (updated.assignedTo) {
+      await this.notifyUser(updated.assignedTo, updated, {
+        title: `${this.typeLabel(updated)} Rated`,
+        message: `"${this.label(updated)}" was rated ${rating}/5${comment ? `: ${comment}` : ''}`,
+        category: rating >= 4 ? 'SUCCESS' : 'INFO'
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Thread for a ticket; requesters don't see internal notes
+   */
+  getThread(ticketId, { includeInternal = false } = {}) {
+    const query = { ticketId };
+    if (!includeInternal) query.kind = { $ne: 'NOTE' };
+
+    return TicketMessage.find(query)
+      .populate('authorId', 'name role')
+      .populate('attachments', 'photoId originalName mimeType size buildingId')
+      .sort({ createdAt: 1 });
+  }
+
+  typeLabel(ticket) {
+    return {
+      COMPLAINT: 'Complaint',
+      SUPPORT: 'Support Ticket',
+      MAINTENANCE: 'Maintenance Request'
+    }[ticket.type] || 'Ticket';
+  }
+
+  label(ticket) {
+    const text = ticket.subject || ticket.description || ticket.ticketNumber;
+    return truncate(text, 60);
+  }
+
+  async notifyUser(userId, ticket, { title, message, category = 'INFO', priority = 'MEDIUM' }) {
+    try {
+      const recipient = await User.findById(userId).select('role');
+      if (!recipient) return;
+
+      const notification = await Notification.create({
+        notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        recipientId: userId,
+        recipientRole: recipient.role,
+        buildingId: ticket.buildingId._id || ticket.buildingId,
+        title: truncate(title, 100),
+        message: truncate(message, 500),
+        type: 'HELPDESK_UPDATE',
+        category,
+        priority,
+        deliveryChannels: { inApp: true, email: false, sms: false },
+        metadata: { ticketId: ticket._id, ticketNumber: ticket.ticketNumber, type: ticket.type, status: ticket.status }
+      });
+      await realtimeService.publishNotification(notification);
+    } catch (notificationError) {
+      console.error('Helpdesk notification failed:', notificationError);
+      // Continue even if notification fails
+    }
+  }
+
+  /**
+   * Notify the assignee, or every building admin while the ticket is unassigned
+   */
+  async notifyStaff(ticket, { title, message, category = 'ALERT', priority = 'HIGH' }) {
+    if (ticket.assignedTo) {
+      await this.notifyUser(ticket.assignedTo._id || ticket.assignedTo, ticket, { title, message, category, priority });
+      return;
+    }
+    await this.notifyAdmins(ticket, { title, message, category, priority });
+  }
+
+  async notifyAdmins(ticket, { title, message, category = 'ALERT', priority = 'HIGH' }) {
+    const admins = await User.find({
+      buildingId: ticket.buildingId._id || ticket.buildingId,
+      isActive: true,
+      $or: [{ role: 'BUILDING_ADMIN' }, { roles: 'BUILDING_ADMIN' }]
+    }).select('_id');
+
+    await Promise.all(admins.map(admin => this.notifyUser(admin._id, ticket, { title, message, category, priority })));
+  }
+
+  /**
+   * Flag tickets that missed their first-response or resolution target and
+   * notify the admins (and assignee), once per breach
+   * @returns {Promise<Object>} { firstResponseBreaches, resolutionBreaches }
+   */
+  async checkSlaBreaches(now = new Date()) {
+    let firstResponseBreaches = 0;
+    let resolutionBreaches = 0;
+
+    const unanswered = await Ticket.find({
+      status: { $in: Ticket.OPEN_STATUSES },
+      'sla.firstResponseAt': null,
+      'sla.firstResponseDueAt': { $lt: now },
+      'sla.firstResponseBreachedAt': null
+    });
+
+    for (const ticket of unanswered) {
+      const flagged = await Ticket.findOneAndUpdate(
+        { _id: ticket._id, 'sla.firstResponseAt': null, 'sla.firstResponseBreachedAt': null },
+        { $set: { 'sla.firstResponseBreachedAt': now } },
+        { new: true }
+      );
+      if (!flagged) continue;
+      firstResponseBreaches += 1;
+
+      await this.notifyAdmins(flagged, {
+        title: 'Helpdesk SLA Breached',
+        message: `${flagged.priority} ${this.typeLabel(flagged).toLowerCase()} "${this.label(flagged)}" (flat ${flagged.flatNumber || '-'}) has had no reply within its response time`
+      });
+    }
+
+    const overdue = await Ticket.find({
+      status: { $in: RUNNING_STATUSES },
+      'sla.resolutionDueAt': { $lt: now },
+      'sla.resolutionBreachedAt': null
+    });
+
+    for (const ticket of overdue) {
+      const flagged = await Ticket.findOneAndUpdate(
+        { _id: ticket._id, status: { $in: RUNNING_STATUSES }, 'sla.resolutionBreachedAt': null },
+        { $set: { 'sla.resolutionBreachedAt': now } },
+        { new: true }
+      );
+      if (!flagged) continue;
+      resolutionBreaches += 1;
+
+      await this.notifyAdmins(flagged, {
+        title: `${this.typeLabel(flagged)} Overdue`,
+        message: `${flagged.priority} ${this.typeLabel(flagged).toLowerCase()} "${this.label(flagged)}" (flat ${flagged.flatNumber || '-'}) missed its resolution time and is still ${flagged.status.toLowerCase().replace('_', ' ')}`
+      });
+      if (flagged.assignedTo) {
+        await this.notifyUser(flagged.assignedTo, flagged, {
+          title: `${this.typeLabel(flagged)} Overdue`,
+          message: `"${this.label(flagged)}" assigned to you has missed its resolution time`,
+          category: 'WARNING',
+          priority: 'HIGH'
+        });
+      }
+    }
+
+    return { firstResponseBreaches, resolutionBreaches };
+  }
+
+  /**
+   * Inbox counts plus response, resolution and satisfaction averages
+   * Times are in minutes from when the ticket was raised.
+   * @returns {Promise<Object>}
+   */
+  async getStats(buildingId, { type, startDate, endDate } = {}) {
+    const match = { buildingId: new mongoose.Types.ObjectId(buildingId) };
+    if (type) match.type = type;
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const [summary] = await Ticket.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          byType: [{ $group: { _id: '$type', count: { $sum: 1 } } }],
+          byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+          totals: [{
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              open: { $sum: { $cond: [{ $in: ['$status', Ticket.OPEN_STATUSES] }, 1, 0] } },
+              unassigned: {
+                $sum: { $cond: [{ $and: [{ $in: ['$status', Ticket.OPEN_STATUSES] }, { $not: ['$assignedTo'] }] }, 1, 0] }
+              },
+              firstResponseBreached: { $sum: { $cond: [{ $ifNull: ['$sla.firstResponseBreachedAt', false] }, 1, 0] } },
+              resolutionBreached: { $sum: { $cond: [{ $ifNull: ['$sla.resolutionBreachedAt', false] }, 1, 0] } },
+              avgFirstResponseMinutes: {
+                $avg: {
+                  $cond: [
+                    { $ifNull: ['$sla.firstResponseAt', false] },
+                    { $divide: [{ $subtract: ['$sla.firstResponseAt', '$createdAt'] }, 60000] },
+                    null
+                  ]
+                }
+              },
+              avgResolutionMinutes: {
+                $avg: {
+                  $cond: [
+                    { $ifNull: ['$resolvedAt', false] },
+                    { $divide: [{ $subtract: ['$resolvedAt', '$createdAt'] }, 60000] },
+                    null
+                  ]
+                }
+              },
+              avgRating: { $avg: '$satisfaction.rating' },
+              ratings: { $sum: { $cond: [{ $ifNull: ['$satisfaction.rating', false] }, 1, 0] } }
+            }
+          }]
+        }
+      }
+    ]);
+
+    const totals = summary.totals[0] || {};
+    const toMap = rows => rows.reduce((acc, row) => ({ ...acc, [row._id]: row.count }), {});
+    const round = value => (value == null ? null : Math.round(value));
+
+    return {
+      total: totals.total || 0,
+      open: totals.open || 0,
+      unassigned: totals.unassigned || 0,
+      byType: toMap(summary.byType),
+      byStatus: toMap(summary.byStatus),
+      sla: {
+        firstResponseBreached: totals.firstResponseBreached || 0,
+        resolutionBreached: totals.resolutionBreached || 0,
+        avgFirstResponseMinutes: round(totals.avgFirstResponseMinutes),
+        avgResolutionMinutes: round(totals.avgResolutionMinutes)
+      },
+      satisfaction: {
+        avgRating: totals.avgRating == null ? null : Math.round(totals.avgRating * 10) / 10,
+        ratings: totals.ratings || 0
+      }
+    };
+  }
+
+  formatTicket(ticket, { includeInternal = false } = {}) {
+    const now = new Date();
+    const sla = ticket.sla || {};
+    const running = RUNNING_STATUSES.includes(ticket.status);
+    const person = value => (value && value._id ? { id: value._id, name: value.name, role: value.role } : value || null);
+
+    const formatted = {
+      id: ticket._id,
+      ticketNumber: ticket.ticketNumber,
+      type: ticket.type,
+      category: ticket.category,
+      subject: ticket.subject,
+      description: ticket.description,
+      status: ticket.status,
+      priority: ticket.priority,
+      flatNumber: ticket.flatNumber,
+      location: ticket.location,
+      requester: person(ticket.requesterId),
+      assignedTo: person(ticket.assignedTo),
+      assignedAt: ticket.assignedAt,
+      attachments: ticket.attachments,
+      lastReply: ticket.lastReply && ticket.lastReply.at ? ticket.lastReply : null,
+      messageCount: ticket.messageCount,
+      lastActivityAt: ticket.lastActivityAt,
+      resolvedAt: ticket.resolvedAt,
+      resolutionNotes: ticket.resolutionNotes,
+      closedAt: ticket.closedAt,
+      reopenCount: ticket.reopenCount,
+      satisfaction: ticket.satisfaction && ticket.satisfaction.rating ? ticket.satisfaction : null,
+      sla: {
+        firstResponseDueAt: sla.firstResponseDueAt || null,
+        resolutionDueAt: sla.resolutionDueAt || null,
+        firstResponseAt: sla.firstResponseAt || null,
+        firstResponseBreached: !!sla.firstResponseBreachedAt ||
+          (!sla.firstResponseAt && running && !!sla.firstResponseDueAt && sla.firstResponseDueAt < now),
+        resolutionBreached: !!sla.resolutionBreachedAt ||
+          (running && !!sla.resolutionDueAt && sla.resolutionDueAt < now)
+      },
+      legacy: ticket.legacy && ticket.legacy.source
+        ? { source: ticket.legacy.source, sourceId: ticket.legacy.sourceId, requestId: ticket.legacy.requestId }
+        : null,
+      createdAt: ticket.createdAt,
+      updatedAt: ticket.updatedAt
+    };
+
+    if (includeInternal) {
+      formatted.lastInternalNote = ticket.lastInternalNote && ticket.lastInternalNote.at ? ticket.lastInternalNote : null;
+    }
+    return formatted;
+  }
+
+  formatMessage(entry) {
+    const author = entry.authorId;
+    return {
+      id: entry._id,
+      kind: entry.kind,
+      internal: entry.kind === 'NOTE',
+      message: entry.message,
+      author: author && author._id ? { id: author._id, name: author.name, role: author.role } : author || null,
+      authorRole: entry.authorRole,
+      attachments: entry.attachments,
+      fromStatus: entry.fromStatus,
+      toStatus: entry.toStatus,
+      createdAt: entry.createdAt
+    };
+  }
+}
+
+module.exports = new HelpdeskService();
@@ -0,0 +1,148 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+
+/**
+ * Job Scheduler
+ * Runs registered background jobs on a fixed interval. Each run first takes a
+ * lease in the JobLock collection, so with several API instances only one of
+ * them executes a given job at a time. Jobs themselves must be idempotent.
+ */
+
+class JobScheduler {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.jobs = new Map();
+    this.timers = [];
+    this.started = false;
+  }
+
+  /**
+   * Register a job
+   * @param {Object} job
+   * @param {String} job.name - Unique job name (also the lock key)
+   * @param {Number} job.intervalMs - How often the job runs
+   * @param {Function} job.run - async () => result summary
+   * @param {Number} [job.leaseMs] - How long a run may hold the lock (defaults to the interval)
+   */
+  register({ name, intervalMs, run, leaseMs }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      run,
+      leaseMs: leaseMs || intervalMs,
+      running: false
+    });
+  }
+
+  // Take the lease if it is free or expired; returns false if another instance holds it
+  async acquireLease(job) {
+    const now = new Date();
+
+    try {
+      const lock = await JobLock.findOneAndUpdate(
+        {
+          jobName: job.name,
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        {
+          $set: {
+            lockedBy: this.instanceId,
+            lockedUntil: new Date(now.getTime() + job.leaseMs),
+            lastStartedAt: now
+          },
+          $inc: { runCount: 1 }
+        },
+        { upsert: true, new: true }
+      );
+      return !!lock && lock.lockedBy === this.instanceId;
+    } catch (error) {
+      // Upsert raced with an existing, still-held lock
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  async releaseLease(job, status, result, error) {
+    await JobLock.updateOne(
+      { jobName: job.name, lockedBy: this.instanceId },
+      {
+        $set: {
+          lockedBy: null,
+          lockedUntil: null,
+          lastFinishedAt: new Date(),
+          lastStatus: status,
+          lastResult: result === undefined ? null : result,
+          lastError: error ? String(error.message || error).substring(0, 1000) : null
+        }
+      }
+    );
+  }
+
+  /**
+   * Run a job once if this instance can take its lease
+   * @param {String} name - Job name
+   * @returns {Promise<Object>} { ran, result }
+   */
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job ${name}`);
+    }
+
+    // Never overlap runs of the same job inside one process
+    if (job.running) {
+      return { ran: false };
+    }
+
+    job.running = true;
+    try {
+      const acquired = await this.acquireLease(job);
+      if (!acquired) {
+        return { ran: false };
+      }
+
+      try {
+        const result = await job.run();
+        await this.releaseLease(job, 'SUCCESS', result);
+        return { ran: true, result };
+      } catch (error) {
+        console.error(`Job ${name} failed:`, error);
+        await this.releaseLease(job, 'FAILED', undefined, error);
+        return { ran: true, error: error.message };
+      }
+    } catch (error) {
+      console.error(`Job ${name} could not be scheduled:`, error);
+      return { ran: false, error: error.message };
+    } finally {
+      job.running = false;
+    }
+  }
+
+  // Start interval timers for every registered job
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (const job of this.jobs.values()) {
+      const timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+      // Do not keep the process alive just for background jobs
+      timer.unref();
+      this.timers.push(timer);
+    }
+
+    console.log(`⏱️  Background jobs started (${this.jobs.size}) on ${this.instanceId}`);
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    this.started = false;
+  }
+}
+
+module.exports = new JobScheduler();
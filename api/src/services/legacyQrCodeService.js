@@ -0,0 +1,82 @@
+const Pass = require('../models/Pass');
+const PreApproval = require('../models/PreApproval');
+const passService = require('./passService');
+
+// `type` written into the JSON of codes issued before signed tokens
+const LEGACY_TYPES = {
+  VISITOR_PASS: 'PASS',
+  PRE_APPROVAL: 'PRE_APPROVAL'
+};
+
+/**
+ * Legacy QR Code Service
+ * Pass and pre-approval QR codes issued before signed tokens carry the record's
+ * details as plain JSON. They are honoured until they run out, but only when the
+ * scanned text is exactly a code that was stored for the record: the JSON is
+ * unsigned, so on its own it proves nothing.
+ */
+
+class LegacyQrCodeService {
+  /**
+   * Record a legacy code claims to be for
+   * @returns {Object|null} { type, id, expiresAt } - expiresAt only for pre-approvals
+   */
+  parse(code) {
+    if (typeof code !== 'string' || !code.startsWith('{')) return null;
+
+    let payload;
+    try {
+      payload = JSON.parse(code);
+    } catch (error) {
+      return null;
+    }
+
+    const type = payload && LEGACY_TYPES[payload.type];
+    const id = type === 'PASS' ? payload.passId : payload && payload.preApprovalId;
+    if (!type || typeof id !== 'string' || !/^[a-f0-9]{24}$/i.test(id)) return null;
+
+    return { type, id, expiresAt: payload.expiresAt ? new Date(payload.expiresAt) : null };
+  }
+
+  isLegacyCode(code) {
+    return this.parse(code) !== null;
+  }
+
+  /**
+   * Match a scanned legacy code against the codes stored for its record
+   * @returns {Promise<Object|null>} { type, id, expiresAt }, or null if it was never issued
+   */
+  async resolve(code) {
+    const parsed = this.parse(code);
+    if (!parsed) return null;
+
+    if (parsed.type === 'PASS') {
+      const pass = await Pass.findOne({ _id: parsed.id, isDeleted: false, qrCodeString: code }).select('endingDate');
+      return pass ? { ...parsed, expiresAt: passService.endOfDay(pass.endingDate) } : null;
+    }
+
+    // The code the visitor holds may have been superseded by a status change
+    const preApproval = await PreApproval.findOne({
+      _id: parsed.id,
+      isDeleted: false,
+      $or: [{ qrCodeString: code }, { 'qrCodeHistory.qrCodeString': code }]
+    }).select('_id');
+    return preApproval && parsed.expiresAt ? parsed : null;
+  }
+
+  /**
+   * Remove the visitor details stored next to legacy pass codes
+   * @param {Object} options.dryRun - Only count the passes
+   * @returns {Promise<Object>} { total, cleared }
+   */
+  async clearPassDetails({ dryRun = false } = {}) {
+    const query = { qrCodeData: { $exists: true } };
+    const total = await Pass.countDocuments(query);
+    if (dryRun) return { total, cleared: 0 };
+
+    const result = await Pass.updateMany(query, { $unset: { qrCodeData: 1 } });
+    return { total, cleared: result.modifiedCount };
+  }
+}
+
+module.exports = new LegacyQrCodeService();
@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+/**
+ * Local Payment Provider
+ * Stand-in gateway for development and testing: no money moves. Payments are
+ * created PENDING and succeed when confirmed. Never registered in production
+ * (see paymentGatewayService).
+ */
+
+const localPaymentProvider = {
+  name: 'local',
+
+  async createPayment({ paymentId, amount, currency }) {
+    return {
+      providerReference: `LOCAL_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+      checkoutUrl: null,
+      status: 'PENDING',
+      instructions: `Confirm payment ${paymentId} of ${currency} ${amount} to complete it`
+    };
+  },
+
+  async verifyPayment() {
+    return { status: 'SUCCEEDED', paidAt: new Date() };
+  }
+};
+
+module.exports = localPaymentProvider;
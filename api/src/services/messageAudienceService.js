@@ -0,0 +1,183 @@
+const User = require('../models/User');
+const Employee = require('../models/Employee');
+
+const ADMIN_ROLES = ['SUPER_ADMIN', 'BUILDING_ADMIN'];
+
+/**
+ * Message Audience Service
+ * Resolves a message's targetAudience/specificTargets to the people it is for,
+ * both as a feed filter for one reader and as the recipient list for the
+ * notification fan-out.
+ *
+ * Flats match on flatNumber or "<block>-<flat>", case-insensitively. There is
+ * no floor field on a flat, so the floor is read from the flat number: the
+ * last run of 3+ digits without its final two (A-1203 → 12, 101 → 1); flats
+ * numbered otherwise never match floor targeting. Floors G/GF/GROUND mean 0.
+ * Employees are Employee records of the given types, reached through the
+ * user account sharing their employeeCode or phone number.
+ */
+
+class MessageAudienceService {
+  normalize(value) {
+    return value == null ? '' : value.toString().trim().toUpperCase();
+  }
+
+  normalizeFloor(value) {
+    const floor = this.normalize(value);
+    if (['G', 'GF', 'GROUND'].includes(floor)) return '0';
+    return /^\d+$/.test(floor) ? String(parseInt(floor, 10)) : floor;
+  }
+
+  // Clean up specificTargets before they are stored so feed queries can match exactly
+  normalizeTargets(targetAudience, specificTargets = {}) {
+    const unique = values => [...new Set((values || []).filter(Boolean))];
+    return {
+      floors: targetAudience === 'SPECIFIC_FLOORS'
+        ? unique((specificTargets.floors || []).map(floor => this.normalizeFloor(floor)))
+        : [],
+      flatNumbers: targetAudience === 'SPECIFIC_FLATS'
+        ? unique((specificTargets.flatNumbers || []).map(flat => this.normalize(flat)))
+        : [],
+      employeeTypes: targetAudience === 'EMPLOYEES_ONLY'
+        ? unique(specificTargets.employeeTypes)
+        : []
+    };
+  }
+
+  /**
+   * Why a targetAudience/specificTargets pair cannot be posted
+   * @returns {String|null}
+   */
+  validateTargets(targetAudience, specificTargets = {}) {
+    if (targetAudience === 'SPECIFIC_FLOORS' && !(specificTargets.floors || []).length) {
+      return 'At least one floor is required for SPECIFIC_FLOORS';
+    }
+    if (targetAudience === 'SPECIFIC_FLATS' && !(specificTargets.flatNumbers || []).length) {
+      return 'At least one flat number is required for SPECIFIC_FLATS';
+    }
+    return null;
+  }
+
+  floorOf(flatNumber) {
+    const match = this.normalize(flatNumber).match(/(\d{3,})\D*$/);
+    return match ? String(Math.floor(parseInt(match[1], 10) / 100)) : null;
+  }
+
+  flatKeys(user) {
+    const flat = this.normalize(user.flatNumber);
+    if (!flat) return [];
+    const block = this.normalize(user.blockNumber);
+    return block ? [flat, `${block}-${flat}`] : [flat];
+  }
+
+  isAdmin(user) {
+    const roles = user.roles && user.roles.length ? user.roles : [user.role];
+    return ADMIN_ROLES.includes(user.role) || roles.some(role => ADMIN_ROLES.includes(role));
+  }
+
+  // Employee record behind a user account, if any
+  async findEmployeeForUser(user) {
+    const or = [];
+    if (user.employeeCode) or.push({ employeeCode: user.employeeCode });
+    if (user.phoneNumber) or.push({ phoneNumber: user.phoneNumber });
+    if (!or.length) return null;
+
+    return Employee.findOne({ buildingId: user.buildingId, isActive: true, $or: or }).select('employeeType');
+  }
+
+  /**
+   * Mongo filter limiting messages to those addressed to a reader
+   * @param {Object} reader - req.user
+   * @returns {Promise<Object|null>} Filter, or null when the reader sees everything (admins)
+   */
+  async buildFeedFilter(reader) {
+    if (this.isAdmin(reader)) return null;
+
+    const user = await User.findById(reader.userId || reader.id)
+      .select('role roles flatNumber blockNumber phoneNumber employeeCode buildingId');
+    if (!user) return { _id: null };
+
+    const audiences = [];
+
+    const roles = user.roles && user.roles.length ? user.roles : [user.role];
+    if (roles.includes('RESIDENT') || user.role === 'RESIDENT') {
+      audiences.push({ targetAudience: 'ALL_RESIDENTS' });
+
+      const flats = this.flatKeys(user);
+      if (flats.length) {
+        audiences.push({ targetAudience: 'SPECIFIC_FLATS', 'specificTargets.flatNumbers': { $in: flats } });
+      }
+
+      const floor = this.floorOf(user.flatNumber);
+      if (floor !== null) {
+        audiences.push({ targetAudience: 'SPECIFIC_FLOORS', 'specificTargets.floors': floor });
+      }
+    }
+
+    const employee = await this.findEmployeeForUser(user);
+    if (employee) {
+      audiences.push({
+        targetAudience: 'EMPLOYEES_ONLY',
+        $or: [
+          { 'specificTargets.employeeTypes': { $size: 0 } },
+          { 'specificTargets.employeeTypes': employee.employeeType }
+        ]
+      });
+    }
+
+    return audiences.length ? { $or: audiences } : { _id: null };
+  }
+
+  /**
+   * Everyone a message is addressed to
+   * @returns {Promise<Object>} { users: [{ _id, role }], employeeCount, employeesWithoutAccount }
+   */
+  async resolveRecipients(buildingId, targetAudience = 'ALL_RESIDENTS', specificTargets = {}) {
+    const targets = this.normalizeTargets(targetAudience, specificTargets);
+
+    if (targetAudience === 'EMPLOYEES_ONLY') {
+      const employeeQuery = { buildingId, isActive: true };
+      if (targets.employeeTypes.length) {
+        employeeQuery.employeeType = { $in: targets.employeeTypes };
+      }
+      const employees = await Employee.find(employeeQuery).select('employeeCode phoneNumber');
+
+      const codes = employees.map(e => e.employeeCode).filter(Boolean);
+      const phones = employees.map(e => e.phoneNumber).filter(Boolean);
+      const users = employees.length
+        ? await User.find({
+          buildingId,
+          isActive: true,
+          $or: [{ employeeCode: { $in: codes } }, { phoneNumber: { $in: phones } }]
+        }).select('role employeeCode phoneNumber')
+        : [];
+
+      const reached = employees.filter(e => users.some(u =>
+        (e.employeeCode && u.employeeCode === e.employeeCode) || (e.phoneNumber && u.phoneNumber === e.phoneNumber)
+      ));
+
+      return {
+        users,
+        employeeCount: employees.length,
+        employeesWithoutAccount: employees.length - reached.length
+      };
+    }
+
+    const residents = await User.find({
+      buildingId,
+      isActive: true,
+      $or: [{ role: 'RESIDENT' }, { roles: 'RESIDENT' }]
+    }).select('role flatNumber blockNumber');
+
+    let users = residents;
+    if (targetAudience === 'SPECIFIC_FLATS') {
+      users = residents.filter(user => this.flatKeys(user).some(key => targets.flatNumbers.includes(key)));
+    } else if (targetAudience === 'SPECIFIC_FLOORS') {
+      users = residents.filter(user => targets.floors.includes(this.floorOf(user.flatNumber)));
+    }
+
+    return { users, employeeCount: 0, employeesWithoutAccount: 0 };
+  }
+}
+
+module.exports = new MessageAudienceService();
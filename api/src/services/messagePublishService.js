@@ -0,0 +1,58 @@
+const Message = require('../models/Message');
+const messageService = require('./messageService');
+
+/**
+ * Message Publish Service
+ * Releases scheduled messages once their scheduledAt has passed: each due
+ * message is claimed with a conditional update so only one instance notifies
+ * its audience, then it goes through the same notification and realtime path
+ * as a message posted for immediate delivery.
+ */
+
+class MessagePublishService {
+  /**
+   * Publish every scheduled message that is due
+   * @returns {Promise<Object>} { messagesPublished }
+   */
+  async publishDueMessages(now = new Date()) {
+    const due = await Message.find({
+      publishStatus: 'SCHEDULED',
+      scheduledAt: { $lte: now },
+      isActive: true,
+      isDeleted: false
+    }).select('_id');
+
+    let messagesPublished = 0;
+    for (const { _id } of due) {
+      const message = await Message.findOneAndUpdate(
+        { _id, publishStatus: 'SCHEDULED', scheduledAt: { $lte: now } },
+        { $set: { publishStatus: 'PUBLISHED', publishedAt: now } },
+        { new: true }
+      ).populate([
+        { path: 'buildingId', select: 'name address' },
+        { path: 'postedBy', select: 'name email role' }
+      ]);
+
+      // Rescheduled, cancelled or claimed by another instance meanwhile
+      if (!message) continue;
+      messagesPublished += 1;
+
+      // Expired before it could go out: visible nowhere, so nobody is notified
+      if (message.expiresAt && message.expiresAt <= now) continue;
+
+      const buildingId = message.buildingId._id;
+      try {
+        await messageService.createMessageNotification(message, buildingId);
+      } catch (notificationError) {
+        console.error('Scheduled message notification failed:', notificationError);
+        // Continue even if notification fails
+      }
+
+      await messageService.publishMessageEvent(message, buildingId);
+    }
+
+    return { messagesPublished };
+  }
+}
+
+module.exports = new MessagePublishService();
@@ -0,0 +1,134 @@
+const Message = require('../models/Message');
+const MessageReceipt = require('../models/MessageReceipt');
+const User = require('../models/User');
+const messageAudienceService = require('./messageAudienceService');
+
+/**
+ * Message Receipt Service
+ * Per-recipient read and acknowledgement tracking for community messages.
+ * stats.reads / stats.acknowledgements count distinct recipients and only
+ * move when a receipt changes for the first time, so repeated fetches are
+ * not double counted.
+ */
+
+class MessageReceiptService {
+  /**
+   * Record that a user opened a message
+   * @returns {Promise<Object>} Receipt
+   */
+  async markRead(message, userId) {
+    const now = new Date();
+
+    const result = await MessageReceipt.updateOne(
+      { messageId: message._id, userId },
+      { $setOnInsert: { buildingId: message.buildingId._id || message.buildingId, readAt: now } },
+      { upsert: true }
+    ).catch(error => {
+      // Two concurrent first reads: the other request created the receipt
+      if (error.code === 11000) return { upsertedCount: 0 };
+      throw error;
+    });
+
+    if (result.upsertedCount) {
+      await Message.updateOne({ _id: message._id }, { $inc: { 'stats.reads': 1 } });
+    }
+
+    return MessageReceipt.findOne({ messageId: message._id, userId });
+  }
+
+  /**
+   * Record that a user acknowledged a message (reading it if they had not yet)
+   * @returns {Promise<Object>} Receipt
+   */
+  async acknowledge(message, userId) {
+    await this.markRead(message, userId);
+
+    const acknowledged = await MessageReceipt.findOneAndUpdate(
+      { messageId: message._id, userId, acknowledgedAt: null },
+      { $set: { acknowledgedAt: new Date() } },
+      { new: true }
+    );
+
+    if (acknowledged) {
+      await Message.updateOne({ _id: message._id }, { $inc: { 'stats.acknowledgements': 1 } });
+      return acknowledged;
+    }
+
+    return MessageReceipt.findOne({ messageId: message._id, userId });
+  }
+
+  /**
+   * Read / acknowledgement status of every recipient, grouped by flat
+   * Employee audiences have no flats and are listed per person instead.
+   * @returns {Promise<Object>}
+   */
+  async getReadStatus(message) {
+    const buildingId = message.buildingId._id || message.buildingId;
+    const { users } = await messageAudienceService.resolveRecipients(
+      buildingId,
+      message.targetAudience,
+      message.specificTargets
+    );
+
+    const receipts = await MessageReceipt.find({ messageId: message._id });
+    const receiptsByUser = new Map(receipts.map(receipt => [receipt.userId.toString(), receipt]));
+
+    const people = await User.find({ _id: { $in: users.map(user => user._id) } })
+      .select('name phoneNumber flatNumber blockNumber');
+
+    const groups = new Map();
+    people.forEach(person => {
+      const receipt = receiptsByUser.get(person._id.toString());
+      const key = person.flatNumber
+        ? messageAudienceService.flatKeys(person).pop()
+        : `USER:${person._id}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          flatNumber: person.flatNumber || null,
+          blockNumber: person.blockNumber || null,
+          members: [],
+          readAt: null,
+          acknowledgedAt: null
+        });
+      }
+
+      const group = groups.get(key);
+      group.members.push({
+        id: person._id,
+        name: person.name,
+        readAt: receipt ? receipt.readAt : null,
+        acknowledgedAt: receipt ? receipt.acknowledgedAt : null
+      });
+
+      // A flat counts as read / acknowledged as soon as any member has
+      if (receipt && (!group.readAt || receipt.readAt < group.readAt)) {
+        group.readAt = receipt.readAt;
+      }
+      if (receipt && receipt.acknowledgedAt && (!group.acknowledgedAt || receipt.acknowledgedAt < group.acknowledgedAt)) {
+        group.acknowledgedAt = receipt.acknowledgedAt;
+      }
+    });
+
+    const all = [...groups.values()];
+    const unread = all.filter(group => !group.readAt);
+    const unacknowledged = message.requiresAcknowledgement
+      ? all.filter(group => !group.acknowledgedAt)
+      : [];
+
+    return {
+      summary: {
+        recipients: people.length,
+        flats: all.length,
+        flatsRead: all.length - unread.length,
+        flatsAcknowledged: message.requiresAcknowledgement ? all.length - unacknowledged.length : null,
+        reads: receipts.length,
+        acknowledgements: receipts.filter(receipt => receipt.acknowledgedAt).length
+      },
+      unread,
+      unacknowledged
+    };
+  }
+}
+
+module.exports = new MessageReceiptService();
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const Notification = require('../models/Notification');
+const realtimeService = require('./realtimeService');
+const messageAudienceService = require('./messageAudienceService');
+const { truncate } = require('../utils/text');
+
+// Notification category for each message type
+const MESSAGE_NOTIFICATION_CATEGORIES = {
+  ALERT: 'ALERT',
+  MAINTENANCE: 'WARNING'
+};
+
+/**
+ * Message Service
+ * Delivers a message once it becomes visible - posted for immediate delivery
+ * or released by the scheduled publisher: notifies its recipients and pushes
+ * it to their realtime feeds.
+ */
+
+class MessageService {
+  /**
+   * Push a newly visible message to the feed of its audience
+   */
+  async publishMessageEvent(message, buildingId) {
+    // Whole-building announcements go by role, targeted ones to the resolved recipients
+    if (message.targetAudience === 'ALL_RESIDENTS') {
+      await realtimeService.publish({
+        buildingId,
+        type: 'MESSAGE_POSTED',
+        roles: ['RESIDENT', 'BUILDING_ADMIN'],
+        data: message.getSummary()
+      });
+      return;
+    }
+
+    const { users } = await messageAudienceService.resolveRecipients(
+      buildingId,
+      message.targetAudience,
+      message.specificTargets
+    );
+
+    await realtimeService.publish({
+      buildingId,
+      type: 'MESSAGE_POSTED',
+      roles: ['BUILDING_ADMIN'],
+      userIds: users.map(user => user._id),
+      data: message.getSummary()
+    });
+  }
+
+  /**
+   * Create notification for message
+   */
+  async createMessageNotification(message, buildingId) {
+    try {
+      // Everyone the message is addressed to
+      const { users: recipients } = await messageAudienceService.resolveRecipients(
+        buildingId,
+        message.targetAudience,
+        message.specificTargets
+      );
+
+      // Create notifications for each recipient
+      const notificationPromises = recipients.map(recipient =>
+        Notification.create({
+          notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+          recipientId: recipient._id,
+          recipientRole: recipient.role || 'RESIDENT',
+          title: truncate(message.title || 'New Message', 100),
+          message: truncate(message.content, 500),
+          type: 'GENERAL_ANNOUNCEMENT',
+          category: MESSAGE_NOTIFICATION_CATEGORIES[message.messageType] || 'INFO',
+          priority: message.priority,
+          buildingId,
+          isUrgent: message.priority === 'URGENT',
+          deliveryChannels: { inApp: true, email: false, sms: false, push: false },
+          metadata: { messageId: message._id }
+        })
+      );
+
+      const notifications = await Promise.all(notificationPromises);
+      await realtimeService.publishNotifications(notifications);
+      console.log('✅ Message notifications created successfully');
+
+    } catch (error) {
+      console.error('Create message notification error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new MessageService();
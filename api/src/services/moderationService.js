@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const Message = require('../models/Message');
+const AskSociety = require('../models/AskSociety');
+const Building = require('../models/Building');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const ModerationCase = require('../models/ModerationCase');
+const ContentReport = require('../models/ContentReport');
+const auditService = require('./auditService');
+const realtimeService = require('./realtimeService');
+const { truncate } = require('../utils/text');
+const postService = require('./postService');
+
+const DEFAULT_REPORT_HIDE_THRESHOLD = 3;
+
+// How each reportable content type is stored
+const CONTENT_TYPES = {
+  POST: {
+    model: Post,
+    label: 'post',
+    buildingOf: doc => doc.building,
+    authorOf: doc => doc.author && doc.author._id,
+    previewOf: doc => doc.description
+  },
+  MESSAGE: {
+    model: Message,
+    label: 'message',
+    buildingOf: doc => doc.buildingId,
+    authorOf: doc => doc.postedBy,
+    previewOf: doc => doc.title || doc.content
+  },
+  ASK_SOCIETY: {
+    model: AskSociety,
+    label: 'Ask Society question',
+    buildingOf: doc => doc.buildingId,
+    authorOf: doc => doc.createdBy,
+    previewOf: doc => doc.title || doc.message
+  }
+};
+
+// Statuses each admin action may start from, and where it leads
+const TRANSITIONS = {
+  HIDE: { from: ['PENDING', 'RESTORED'], to: 'HIDDEN', action: 'HIDDEN', audit: 'CONTENT_HIDDEN' },
+  RESTORE: { from: ['PENDING', 'HIDDEN'], to: 'RESTORED', action: 'RESTORED', audit: 'CONTENT_RESTORED' },
+  DELETE: { from: ['PENDING', 'HIDDEN', 'RESTORED'], to: 'DELETED', action: 'DELETED', audit: 'CONTENT_DELETED' }
+};
+
+/**
+ * Moderation Service
+ * Residents report posts, messages and Ask Society items; reports on the same
+ * item share one ModerationCase. Once the building's reportHideThreshold is
+ * reached the item is hidden automatically (unless an admin already restored
+ * it) and waits in the admin queue to be hidden for good, restored or deleted.
+ */
+
+class ModerationService {
+  getThreshold(building) {
+    const settings = building && building.communitySettings;
+    return settings && settings.reportHideThreshold != null
+      ? settings.reportHideThreshold
+      : DEFAULT_REPORT_HIDE_THRESHOLD;
+  }
+
+  isContentType(contentType) {
+    return !!CONTENT_TYPES[contentType];
+  }
+
+  // Reportable content, or null if it does not exist (or was deleted)
+  async findContent(contentType, contentId) {
+    const { model } = CONTENT_TYPES[contentType];
+    const query = { _id: contentId };
+    if (contentType !== 'POST') query.isDeleted = false;
+    return model.findOne(query);
+  }
+
+  describeContent(contentType, doc) {
+    const type = CONTENT_TYPES[contentType];
+    const preview = (type.previewOf(doc) || '').toString();
+    return {
+      buildingId: type.buildingOf(doc),
+      authorId: type.authorOf(doc),
+      contentPreview: truncate(preview, 200)
+    };
+  }
+
+  async setContentHidden(contentType, contentId, isHidden) {
+    await CONTENT_TYPES[contentType].model.updateOne({ _id: contentId }, { $set: { isHidden } });
+  }
+
+  async deleteContent(contentType, contentId, userId) {
+    if (contentType === 'POST') {
+      const post = await Post.findById(contentId);
+      if (post) await postService.deletePost(post);
+      return;
+    }
+    await CONTENT_TYPES[contentType].model.updateOne(
+      { _id: contentId },
+      { $set: { isDeleted: true, deletedAt: new Date(), deletedBy: userId } }
+    );
+  }
+
+  // Case for an item, created on its first report
+  async getOrCreateCase(contentType, doc) {
+    const filter = { contentType, contentId: doc._id };
+    const update = { $setOnInsert: { ...this.describeContent(contentType, doc), status: 'PENDING' } };
+    try {
+      return await ModerationCase.findOneAndUpdate(filter, update, { upsert: true, new: true });
+    } catch (error) {
+      // Two first reports at once: the other request created the case
+      if (error.code !== 11000) throw error;
+      return ModerationCase.findOne(filter);
+    }
+  }
+
+  async notifyAdmins(buildingId, { title, message, priority, moderationCase }) {
+    try {
+      const admins = await User.find({
+        buildingId,
+        isActive: true,
+        $or: [{ role: 'BUILDING_ADMIN' }, { roles: 'BUILDING_ADMIN' }]
+      }).select('_id');
+
+      const notifications = await Promise.all(admins.map(admin => Notification.create({
+        notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        recipientId: admin._id,
+        recipientRole: 'BUILDING_ADMIN',
+        buildingId,
+        title,
+        message,
+        type: 'ADMIN_NOTIFICATION',
+        category: 'ALERT',
+        priority,
+        deliveryChannels: { inApp: true, email: false, sms: false },
+        metadata: {
+          moderationCaseId: moderationCase._id,
+          contentType: moderationCase.contentType,
+          contentId: moderationCase.contentId
+        }
+      })));
+      await realtimeService.publishNotifications(notifications);
+    } catch (notificationError) {
+      console.error('Moderation notification failed:', notificationError);
+      // Continue even if notification fails
+    }
+  }
+
+  /**
+   * Record a user's report of an item the caller has already loaded and checked
+   * @returns {Promise<Object>} { moderationCase, autoHidden } or { error: 'ALREADY_REPORTED' | 'ALREADY_DELETED' }
+   */
+  async report({ req, contentType, content, reason, details }) {
+    const userId = req.user.userId || req.user.id;
+    let moderationCase = await this.getOrCreateCase(contentType, content);
+
+    if (moderationCase.status === 'DELETED') {
+      return { error: 'ALREADY_DELETED' };
+    }
+
+    try {
+      await ContentReport.create({
+        caseId: moderationCase._id,
+        buildingId: moderationCase.buildingId,
+        contentType,
+        contentId: content._id,
+        reportedBy: userId,
+        reason,
+        details
+      });
+    } catch (error) {
+      if (error.code === 11000) return { error: 'ALREADY_REPORTED' };
+      throw error;
+    }
+
+    const now = new Date();
+    moderationCase = await ModerationCase.findByIdAndUpdate(
+      moderationCase._id,
+      {
+        $inc: { reportCount: 1, [`reasonCounts.${reason}`]: 1 },
+        $set: { lastReportedAt: now }
+      },
+      { new: true }
+    );
+
+    // New reports on restored content put it back in the queue
+    if (moderationCase.status === 'RESTORED') {
+      moderationCase = await ModerationCase.findOneAndUpdate(
+        { _id: moderationCase._id, status: 'RESTORED' },
+        { $set: { status: 'PENDING' } },
+        { new: true }
+      ) || moderationCase;
+    }
+
+    const building = await Building.findById(moderationCase.buildingId).select('communitySettings');
+    const threshold = this.getThreshold(building);
+    const label = CONTENT_TYPES[contentType].label;
+
+    let autoHidden = false;
+    if (threshold > 0 && !moderationCase.restoredAt && moderationCase.reportCount >= threshold) {
+      const hidden = await ModerationCase.findOneAndUpdate(
+        { _id: moderationCase._id, status: 'PENDING' },
+        {
+          $set: { status: 'HIDDEN' },
+          $push: { actions: { action: 'AUTO_HIDDEN', note: `Reached ${threshold} reports`, performedAt: now } }
+        },
+        { new: true }
+      );
+
+      if (hidden) {
+        moderationCase = hidden;
+        autoHidden = true;
+        await this.setContentHidden(contentType, content._id, true);
+        await this.notifyAdmins(moderationCase.buildingId, {
+          title: 'Reported Content Hidden',
+          message: `A ${label} was hidden automatically after ${moderationCase.reportCount} reports and needs review`,
+          priority: 'HIGH',
+          moderationCase
+        });
+      }
+    } else if (moderationCase.reportCount === 1) {
+      await this.notifyAdmins(moderationCase.buildingId, {
+        title: 'Content Reported',
+        message: `A ${label} was reported as ${reason.toLowerCase()}`,
+        priority: 'MEDIUM',
+        moderationCase
+      });
+    }
+
+    return { moderationCase, autoHidden };
+  }
+
+  /**
+   * Apply an admin decision (HIDE, RESTORE or DELETE) to a case
+   * @returns {Promise<Object|null>} Updated case, or null if the case was not in a valid status
+   */
+  async applyDecision({ req, moderationCase, decision, note }) {
+    const transition = TRANSITIONS[decision];
+    const userId = req.user.userId || req.user.id;
+    const now = new Date();
+
+    const set = { status: transition.to };
+    if (decision === 'RESTORE') set.restoredAt = now;
+
+    const updated = await ModerationCase.findOneAndUpdate(
+      { _id: moderationCase._id, status: { $in: transition.from } },
+      {
+        $set: set,
+        $push: { actions: { action: transition.action, performedBy: userId, note, performedAt: now } }
+      },
+      { new: true }
+    );
+
+    if (!updated) return null;
+
+    if (decision === 'DELETE') {
+      await this.deleteContent(updated.contentType, updated.contentId, userId);
+    } else {
+      await this.setContentHidden(updated.contentType, updated.contentId, decision === 'HIDE');
+    }
+
+    await auditService.record({
+      req,
+      action: transition.audit,
+      buildingId: updated.buildingId,
+      entityType: 'MODERATION_CASE',
+      entityId: updated._id,
+      entityLabel: `${updated.contentType} ${updated.contentId}`,
+      before: { status: moderationCase.status },
+      after: { status: updated.status },
+      metadata: note ? { note } : undefined
+    });
+
+    return updated;
+  }
+
+  /**
+   * Warn the author of reported content
+   * @returns {Promise<Object|null>} Updated case, or null if the content has no known author
+   */
+  async warnAuthor({ req, moderationCase, note }) {
+    if (!moderationCase.authorId) return null;
+
+    const userId = req.user.userId || req.user.id;
+    const updated = await ModerationCase.findByIdAndUpdate(
+      moderationCase._id,
+      {
+        $inc: { warningsIssued: 1 },
+        $push: { actions: { action: 'AUTHOR_WARNED', performedBy: userId, note, performedAt: new Date() } }
+      },
+      { new: true }
+    );
+
+    const label = CONTENT_TYPES[updated.contentType].label;
+    try {
+      const author = await User.findById(updated.authorId).select('role');
+      const notification = await Notification.create({
+        notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        recipientId: updated.authorId,
+        recipientRole: author ? author.role : 'RESIDENT',
+        buildingId: updated.buildingId,
+        title: 'Community Guidelines Warning',
+        message: note || `Your ${label} was reported by other residents and reviewed by the building admin. Please follow the community guidelines.`,
+        type: 'ADMIN_NOTIFICATION',
+        category: 'WARNING',
+        priority: 'HIGH',
+        deliveryChannels: { inApp: true, email: false, sms: false },
+        metadata: { moderationCaseId: updated._id, contentType: updated.contentType, contentId: updated.contentId }
+      });
+      await realtimeService.publishNotification(notification);
+    } catch (notificationError) {
+      console.error('Moderation warning notification failed:', notificationError);
+      // Continue even if notification fails
+    }
+
+    await auditService.record({
+      req,
+      action: 'CONTENT_AUTHOR_WARNED',
+      buildingId: updated.buildingId,
+      entityType: 'MODERATION_CASE',
+      entityId: updated._id,
+      entityLabel: `${updated.contentType} ${updated.contentId}`,
+      before: { warningsIssued: moderationCase.warningsIssued },
+      after: { warningsIssued: updated.warningsIssued },
+      metadata: { authorId: updated.authorId, note }
+    });
+
+    return updated;
+  }
+}
+
+module.exports = new ModerationService();
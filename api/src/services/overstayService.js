@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const Visit = require('../models/Visit');
+const Building = require('../models/Building');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const realtimeService = require('./realtimeService');
+
+const DEFAULT_OVERSTAY_THRESHOLD_MINUTES = 15;
+
+/**
+ * Overstay Service
+ * Finds checked-in visitors who stayed longer than expectedDuration plus the
+ * building's threshold, and alerts the host and security once per visit.
+ */
+
+class OverstayService {
+  getThreshold(building) {
+    const settings = building && building.securitySettings;
+    return settings && settings.overstayThresholdMinutes != null
+      ? settings.overstayThresholdMinutes
+      : DEFAULT_OVERSTAY_THRESHOLD_MINUTES;
+  }
+
+  // Query for visits whose checkInTime + expectedDuration + threshold is before now
+  buildOverstayQuery(buildingId, thresholdMinutes, now) {
+    return {
+      buildingId,
+      status: 'IN_PROGRESS',
+      checkOutTime: null,
+      checkInTime: { $ne: null },
+      expectedDuration: { $gt: 0 },
+      $expr: {
+        $lt: [
+          { $add: ['$checkInTime', { $multiply: [{ $add: ['$expectedDuration', thresholdMinutes] }, 60000] }] },
+          now
+        ]
+      }
+    };
+  }
+
+  /**
+   * Live list of overstaying visits in a building
+   * @param {ObjectId|String} buildingId - Building ID
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object>} { thresholdMinutes, overstays }
+   */
+  async getOverstays(buildingId, now = new Date()) {
+    const building = await Building.findById(buildingId).select('securitySettings');
+    const thresholdMinutes = this.getThreshold(building);
+
+    const visits = await Visit.find(this.buildOverstayQuery(buildingId, thresholdMinutes, now))
+      .populate('visitorId', 'name phoneNumber visitorCategory serviceType vehicleNumber photo')
+      .populate('hostId', 'name phoneNumber flatNumber blockNumber');
+
+    const overstays = visits.map(visit => {
+      const expectedCheckOutAt = new Date(visit.checkInTime.getTime() + visit.expectedDuration * 60000);
+      return {
+        visitId: visit.visitId,
+        _id: visit._id,
+        visitor: visit.visitorId,
+        host: visit.hostId,
+        checkInTime: visit.checkInTime,
+        expectedDuration: visit.expectedDuration,
+        expectedCheckOutAt,
+        overstayMinutes: Math.floor((now - expectedCheckOutAt) / 60000),
+        flaggedAt: visit.overstayFlaggedAt || null
+      };
+    }).sort((a, b) => b.overstayMinutes - a.overstayMinutes);
+
+    return { thresholdMinutes, overstays };
+  }
+
+  // Job entry point: flag new overstays and notify host and security
+  async detectOverstays() {
+    const now = new Date();
+
+    const buildingIds = await Visit.distinct('buildingId', {
+      status: 'IN_PROGRESS',
+      checkOutTime: null,
+      overstayFlaggedAt: null,
+      expectedDuration: { $gt: 0 }
+    });
+
+    const buildings = await Building.find({ _id: { $in: buildingIds } }).select('securitySettings');
+
+    let flagged = 0;
+
+    for (const building of buildings) {
+      const thresholdMinutes = this.getThreshold(building);
+      const visits = await Visit.find({
+        ...this.buildOverstayQuery(building._id, thresholdMinutes, now),
+        overstayFlaggedAt: null
+      })
+        .populate('visitorId', 'name')
+        .populate('hostId', 'name role flatNumber');
+
+      if (!visits.length) continue;
+
+      const securityStaff = await User.find({
+        buildingId: building._id,
+        isActive: true,
+        $or: [{ role: 'SECURITY' }, { roles: 'SECURITY' }]
+      }).select('_id');
+
+      for (const visit of visits) {
+        // Claim the visit so a concurrent run does not alert twice
+        const claimed = await Visit.findOneAndUpdate(
+          { _id: visit._id, status: 'IN_PROGRESS', overstayFlaggedAt: null },
+          { $set: { overstayFlaggedAt: now } }
+        );
+        if (!claimed) continue;
+
+        flagged += 1;
+        await this.notifyOverstay(visit, building._id, securityStaff, now);
+      }
+    }
+
+    return { visitsFlagged: flagged };
+  }
+
+  async notifyOverstay(visit, buildingId, securityStaff, now) {
+    const visitorName = visit.visitorId ? visit.visitorId.name : 'A visitor';
+    const expectedCheckOutAt = new Date(visit.checkInTime.getTime() + visit.expectedDuration * 60000);
+    const overstayMinutes = Math.floor((now - expectedCheckOutAt) / 60000);
+    const flatInfo = visit.hostId && visit.hostId.flatNumber ? ` (flat ${visit.hostId.flatNumber})` : '';
+
+    const baseNotification = {
+      buildingId,
+      type: 'SECURITY_ALERT',
+      category: 'WARNING',
+      relatedVisitId: visit._id,
+      relatedVisitorId: visit.visitorId ? visit.visitorId._id : undefined,
+      deliveryChannels: { inApp: true, email: false, sms: false },
+      metadata: {
+        overstay: true,
+        expectedCheckOutAt,
+        overstayMinutes
+      }
+    };
+
+    const notifications = [];
+
+    if (visit.hostId) {
+      notifications.push({
+        ...baseNotification,
+        recipientId: visit.hostId._id,
+        recipientRole: visit.hostId.role || 'RESIDENT',
+        title: 'Visitor Overstaying',
+        message: `${visitorName} has stayed ${overstayMinutes} minutes past the expected visit duration`,
+        priority: 'MEDIUM'
+      });
+    }
+
+    securityStaff.forEach(guard => {
+      notifications.push({
+        ...baseNotification,
+        recipientId: guard._id,
+        recipientRole: 'SECURITY',
+        title: 'Visitor Overstaying',
+        message: `${visitorName}${flatInfo} is ${overstayMinutes} minutes past the expected check-out time`,
+        priority: 'HIGH'
+      });
+    });
+
+    for (const notification of notifications) {
+      try {
+        const created = await Notification.create({
+          notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+          ...notification
+        });
+        await realtimeService.publishNotification(created);
+      } catch (notificationError) {
+        console.error('Overstay notification creation failed:', notificationError);
+        // Continue even if notification fails
+      }
+    }
+  }
+}
+
+module.exports = new OverstayService();
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const Parcel = require('../models/Parcel');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const realtimeService = require('./realtimeService');
+const visitApprovalService = require('./visitApprovalService');
+
+// Wrong OTPs allowed before the flat has to issue a new one
+const MAX_OTP_ATTEMPTS = 5;
+
+const INSTRUCTION_LABELS = {
+  SEND_UP: 'send it up',
+  KEEP_AT_GATE: 'keep it at the gate',
+  RETURN: 'return it'
+};
+
+const sameValue = (a, b) => String(a || '').trim().toUpperCase() === String(b || '').trim().toUpperCase();
+
+/**
+ * Parcel Service
+ * Custody of parcels held at the gate: who in the flat is told about them,
+ * the collection OTP, realtime updates for guards and the list of parcels
+ * still waiting to be picked up.
+ */
+
+class ParcelService {
+  generateOtp() {
+    return crypto.randomInt(1000, 10000).toString();
+  }
+
+  generateParcelId() {
+    return `PARCEL_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+  }
+
+  instructionLabel(instruction) {
+    return INSTRUCTION_LABELS[instruction];
+  }
+
+  // Residents and linked family members of the flat
+  async resolveRecipients(buildingId, flatNumber, blockNumber) {
+    const recipients = await visitApprovalService.resolveFlatApprovers({ buildingId, flatNumber, blockNumber });
+    return recipients.map(recipient => recipient._id);
+  }
+
+  /**
+   * Whether a user belongs to the parcel's flat (recipients at logging time, or
+   * anyone registered to the flat since)
+   */
+  async isFlatMember(parcel, userId) {
+    if (parcel.recipientIds.some(id => id.toString() === String(userId))) return true;
+
+    const user = await User.findById(userId).select('flatNumber blockNumber buildingId');
+    return !!user &&
+      String(user.buildingId) === String(parcel.buildingId) &&
+      sameValue(user.flatNumber, parcel.flatNumber) &&
+      (!parcel.blockNumber || !user.blockNumber || sameValue(user.blockNumber, parcel.blockNumber));
+  }
+
+  async notifyFlat(parcel, { title, message, priority = 'MEDIUM' }) {
+    try {
+      const recipients = await User.find({ _id: { $in: parcel.recipientIds }, isActive: true }).select('role');
+
+      const notifications = await Promise.all(recipients.map(recipient => Notification.create({
+        notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        recipientId: recipient._id,
+        recipientRole: recipient.role,
+        buildingId: parcel.buildingId,
+        title,
+        message,
+        type: 'PARCEL_UPDATE',
+        category: 'INFO',
+        priority,
+        deliveryChannels: { inApp: true, email: false, sms: false },
+        metadata: { parcelId: parcel.parcelId, _id: parcel._id, status: parcel.status }
+      })));
+      await realtimeService.publishNotifications(notifications);
+    } catch (notificationError) {
+      console.error('Parcel notification failed:', notificationError);
+      // Continue even if notification fails
+    }
+  }
+
+  // Parcel events go to security, admins and the flat
+  publishParcelEvent(type, parcel) {
+    return realtimeService.publish({
+      buildingId: parcel.buildingId,
+      type,
+      roles: ['SECURITY', 'BUILDING_ADMIN'],
+      userIds: parcel.recipientIds,
+      data: {
+        parcelId: parcel.parcelId,
+        _id: parcel._id,
+        flatNumber: parcel.flatNumber,
+        blockNumber: parcel.blockNumber,
+        courier: parcel.courier,
+        status: parcel.status,
+        instruction: parcel.instruction || null
+      }
+    });
+  }
+
+  /**
+   * Check the OTP given at pickup
+   * An attempt is claimed before the code is compared, so concurrent guesses
+   * cannot get past MAX_OTP_ATTEMPTS.
+   * @returns {Promise<String>} 'VALID', 'INVALID' or 'LOCKED'
+   */
+  async verifyOtp(parcel, otp) {
+    const claimed = await Parcel.findOneAndUpdate(
+      { _id: parcel._id, 'collectionOtp.attempts': { $lt: MAX_OTP_ATTEMPTS } },
+      { $inc: { 'collectionOtp.attempts': 1 } },
+      { new: true }
+    ).select('+collectionOtp.code collectionOtp.attempts');
+    if (!claimed) return 'LOCKED';
+    if (claimed.collectionOtp.code && claimed.collectionOtp.code === String(otp).trim()) return 'VALID';
+
+    return claimed.collectionOtp.attempts >= MAX_OTP_ATTEMPTS ? 'LOCKED' : 'INVALID';
+  }
+
+  /**
+   * Parcels still at the gate, oldest first
+   * @returns {Promise<Array>}
+   */
+  async getUncollected(buildingId, now = new Date()) {
+    const parcels = await Parcel.find({ buildingId, status: 'AT_GATE' })
+      .populate('photo', 'url thumbnail')
+      .sort({ receivedAt: 1 });
+
+    return parcels.map(parcel => ({
+      ...this.format(parcel),
+      hoursAtGate: Math.floor((now - parcel.receivedAt) / (60 * 60 * 1000))
+    }));
+  }
+
+  format(parcel, { otp } = {}) {
+    return {
+      _id: parcel._id,
+      parcelId: parcel.parcelId,
+      flatNumber: parcel.flatNumber,
+      blockNumber: parcel.blockNumber,
+      courier: parcel.courier,
+      trackingNumber: parcel.trackingNumber,
+      description: parcel.description,
+      photo: parcel.photo,
+      visitId: parcel.visitId,
+      status: parcel.status,
+      instruction: parcel.instruction || null,
+      instructionAt: parcel.instructionAt,
+      receivedAt: parcel.receivedAt,
+      receivedByName: parcel.receivedByName,
+      collectedAt: parcel.collectedAt,
+      collectedByName: parcel.collectedByName,
+      returnedAt: parcel.returnedAt,
+      returnReason: parcel.returnReason,
+      ...(otp !== undefined ? { collectionOtp: otp } : {}),
+      custodyLog: parcel.custodyLog
+    };
+  }
+}
+
+module.exports = new ParcelService();
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const Pass = require('../models/Pass');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const auditService = require('./auditService');
+const realtimeService = require('./realtimeService');
+
+// Most recent gate entries kept on the pass itself
+const MAX_LOGGED_ENTRIES = 200;
+
+/**
+ * Pass Service
+ * Gate validation and entry logging for visitor passes, shared by the pass
+ * scan endpoint and the generic QR scan. A pass admits its visitor on every
+ * day from startingDate through endingDate while APPROVED or ACTIVE; the
+ * first entry moves it to ACTIVE.
+ */
+
+class PassService {
+  startOfDay(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    return start;
+  }
+
+  endOfDay(date) {
+    const end = new Date(date);
+    end.setHours(23, 59, 59, 999);
+    return end;
+  }
+
+  /**
+   * Why a pass cannot be used at `at`
+   * @returns {String|null} Reason, or null when entry is allowed
+   */
+  checkEntry(pass, at = new Date()) {
+    if (!['APPROVED', 'ACTIVE'].includes(pass.status)) {
+      return pass.status === 'PENDING'
+        ? 'Visitor pass has not been approved yet'
+        : `Visitor pass is ${pass.status.toLowerCase()}`;
+    }
+    if (at < this.startOfDay(pass.startingDate)) {
+      return 'Visitor pass is not valid yet';
+    }
+    if (at > this.endOfDay(pass.endingDate)) {
+      return 'Visitor pass has expired';
+    }
+    return null;
+  }
+
+  /**
+   * Log a gate entry on a pass the caller has already checked with checkEntry
+   * @param {Object} options
+   * @param {Object} options.pass - Pass document
+   * @param {Object} options.req - Express request (guard performing the scan)
+   * @param {String} [options.notes]
+   * @returns {Promise<Object|null>} Updated pass, or null if it stopped being usable meanwhile
+   */
+  async recordEntry({ pass, req, notes }) {
+    const now = new Date();
+    const userId = req.user.userId;
+
+    const updated = await Pass.findOneAndUpdate(
+      { _id: pass._id, status: { $in: ['APPROVED', 'ACTIVE'] }, isDeleted: false },
+      {
+        $set: { status: 'ACTIVE', lastEntryAt: now },
+        $inc: { entryCount: 1 },
+        $push: {
+          entries: {
+            $each: [{ scannedAt: now, scannedBy: userId, notes }],
+            $slice: -MAX_LOGGED_ENTRIES
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) return null;
+
+    await auditService.record({
+      req,
+      action: 'PASS_ENTRY',
+      buildingId: updated.buildingId,
+      entityType: 'PASS',
+      entityId: updated._id,
+      entityLabel: updated.name,
+      before: { status: pass.status },
+      after: { status: updated.status, entryCount: updated.entryCount },
+      metadata: notes ? { notes } : undefined
+    });
+
+    // Let whoever issued the pass know their visitor arrived
+    try {
+      const creator = await User.findById(updated.createdBy).select('role');
+      const notification = await Notification.create({
+        notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        recipientId: updated.createdBy,
+        recipientRole: creator ? creator.role : 'RESIDENT',
+        buildingId: updated.buildingId,
+        title: 'Visitor Pass Used',
+        message: `${updated.name} entered the building using their visitor pass`,
+        type: 'VISITOR_ARRIVAL',
+        category: 'INFO',
+        priority: 'LOW',
+        deliveryChannels: { inApp: true, email: false, sms: false },
+        metadata: { passId: updated._id }
+      });
+      await realtimeService.publishNotification(notification);
+    } catch (notificationError) {
+      console.error('Pass entry notification failed:', notificationError);
+      // Continue even if notification fails
+    }
+
+    return updated;
+  }
+
+  // Passes whose ending date has passed
+  async expirePasses(now = new Date()) {
+    const result = await Pass.updateMany(
+      {
+        status: { $in: ['PENDING', 'APPROVED', 'ACTIVE'] },
+        isDeleted: { $ne: true },
+        endingDate: { $lt: this.startOfDay(now) }
+      },
+      { $set: { status: 'EXPIRED' } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new PassService();
@@ -0,0 +1,79 @@
+const localPaymentProvider = require('./localPaymentProvider');
+
+/**
+ * Payment Gateway Service
+ * Adapter between the dues module and a payment provider. PAYMENT_PROVIDER
+ * picks the provider; online payments are unavailable until one is set.
+ * The "local" stub moves no money, so it is only registered when
+ * PAYMENT_LOCAL_PROVIDER_ENABLED=true and NODE_ENV is not production.
+ *
+ * A provider is an object with:
+ *   name
+ *   createPayment({ paymentId, amount, currency, description, customer })
+ *     -> { providerReference, checkoutUrl, status: 'PENDING', instructions }
+ *   verifyPayment({ providerReference })
+ *     -> { status: 'SUCCEEDED' | 'FAILED' | 'PENDING', paidAt, failureReason }
+ *
+ * verifyPayment must ask the provider itself; nothing the payer sends is
+ * passed to it.
+ */
+
+const isLocalProviderAllowed = () =>
+  process.env.PAYMENT_LOCAL_PROVIDER_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+
+class PaymentGatewayService {
+  constructor() {
+    this.providers = new Map();
+    if (isLocalProviderAllowed()) {
+      this.register(localPaymentProvider);
+    }
+  }
+
+  register(provider) {
+    if (provider.name === localPaymentProvider.name && !isLocalProviderAllowed()) {
+      throw new Error('The local payment provider is only available outside production with PAYMENT_LOCAL_PROVIDER_ENABLED=true');
+    }
+    ['createPayment', 'verifyPayment'].forEach(method => {
+      if (typeof provider[method] !== 'function') {
+        throw new Error(`Payment provider "${provider.name}" must implement ${method}()`);
+      }
+    });
+    this.providers.set(provider.name, provider);
+  }
+
+  getProvider(name = process.env.PAYMENT_PROVIDER) {
+    if (!name) {
+      throw new Error('No payment provider is configured');
+    }
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Payment provider "${name}" is not registered`);
+    }
+    return provider;
+  }
+
+  // Whether online payments can be taken at all
+  isConfigured() {
+    return this.providers.has(process.env.PAYMENT_PROVIDER);
+  }
+
+  /**
+   * Start an online payment with the configured provider
+   * @returns {Promise<Object>} { provider, providerReference, checkoutUrl, status, instructions }
+   */
+  async createPayment(details) {
+    const provider = this.getProvider();
+    const result = await provider.createPayment(details);
+    return { provider: provider.name, ...result };
+  }
+
+  /**
+   * Ask the provider that created a payment whether it went through
+   * @returns {Promise<Object>} { status, paidAt, failureReason }
+   */
+  async verifyPayment(providerName, providerReference) {
+    return this.getProvider(providerName).verifyPayment({ providerReference });
+  }
+}
+
+module.exports = new PaymentGatewayService();
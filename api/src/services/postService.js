@@ -0,0 +1,46 @@
+const fs = require('fs');
+const Post = require('../models/Post');
+const PostComment = require('../models/PostComment');
+const PostReaction = require('../models/PostReaction');
+const { deleteFromS3 } = require('./s3Service');
+
+/**
+ * Post Service
+ * Removing a post together with everything stored alongside it, shared by
+ * the author's delete endpoint and moderation.
+ */
+
+class PostService {
+  // Delete the post's images from their storage location
+  async deleteImages(post) {
+    for (const img of post.images || []) {
+      if (img.storage === 's3' && img.s3Key) {
+        // Delete from S3
+        try {
+          await deleteFromS3(img.s3Key);
+          console.log(`✅ Deleted S3 object: ${img.s3Key}`);
+        } catch (s3Error) {
+          console.error(`❌ Failed to delete S3 object ${img.s3Key}:`, s3Error);
+          // Continue deletion even if S3 delete fails
+        }
+      } else if (img.storage === 'disk' && img.path) {
+        // Delete file from disk (traditional servers only)
+        if (fs.existsSync(img.path)) {
+          fs.unlinkSync(img.path);
+          console.log(`✅ Deleted disk file: ${img.path}`);
+        }
+      }
+      // Memory storage files are automatically removed when post is deleted from database
+    }
+  }
+
+  // Delete a post with its images, comments and reactions
+  async deletePost(post) {
+    await this.deleteImages(post);
+    await Post.findByIdAndDelete(post._id);
+    await PostComment.deleteMany({ post: post._id });
+    await PostReaction.deleteMany({ post: post._id });
+  }
+}
+
+module.exports = new PostService();
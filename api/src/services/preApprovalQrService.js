@@ -0,0 +1,109 @@
+const QRCode = require('qrcode');
+const PreApproval = require('../models/PreApproval');
+const Visit = require('../models/Visit');
+const Building = require('../models/Building');
+const qrTokenService = require('./qrTokenService');
+const preApprovalScheduleService = require('./preApprovalScheduleService');
+
+/**
+ * Pre-Approval QR Service
+ * Reissues a pre-approval's QR code when its status or schedule changes. The
+ * previous code is kept in qrCodeHistory; the new image only carries a signed
+ * reference (see qrTokenService).
+ */
+
+class PreApprovalQrService {
+  /**
+   * Generate a fresh QR code for a pre-approval and save it
+   * @param {ObjectId|String} preApprovalId - Pre-approval _id
+   * @returns {Promise<Object>} { qrCodeData, qrCodeString, qrCodeImage }
+   */
+  async regenerate(preApprovalId) {
+    try {
+      console.log('🔄 Regenerating QR code for pre-approval:', preApprovalId);
+    
+      const preApproval = await PreApproval.findById(preApprovalId);
+      if (!preApproval) {
+        throw new Error('Pre-approval not found');
+      }
+
+      const visit = await Visit.findOne({ preApprovalId: preApproval._id }).sort({ createdAt: 1 });
+      if (!visit) {
+        throw new Error('Visit not found for pre-approval');
+      }
+
+      // Save old QR to history (if exists)
+      if (preApproval.qrCodeData && preApproval.qrCodeString && preApproval.qrCodeImage) {
+        preApproval.qrCodeHistory.push({
+          qrCodeData: preApproval.qrCodeData,
+          qrCodeString: preApproval.qrCodeString,
+          qrCodeImage: preApproval.qrCodeImage,
+          generatedAt: new Date(),
+          status: preApproval.status
+        });
+        console.log('✅ Old QR saved to history');
+      }
+
+      // Generate new QR with current status
+      const qrCodeData = {
+        type: 'PRE_APPROVAL',
+        preApprovalId: preApproval._id.toString(),
+        visitId: visit.visitId,
+        visitorName: preApproval.visitorName,
+        visitorPhone: preApproval.visitorPhone,
+        visitorEmail: preApproval.visitorEmail,
+        purpose: preApproval.purpose,
+        expectedDate: preApproval.expectedDate,
+        expectedTime: preApproval.expectedTime,
+        flatNumber: preApproval.flatNumber,
+        residentId: preApproval.residentId.toString(),
+        buildingId: preApproval.buildingId.toString(),
+        approvalStatus: preApproval.status, // PENDING, APPROVED, or REJECTED
+        recurrence: preApproval.isRecurring ? preApproval.recurrence : undefined,
+        timestamp: Date.now(),
+        lastUpdated: Date.now(),
+        expiresAt: preApprovalScheduleService.getQRExpiry(preApproval, await Building.getTimeZone(preApproval.buildingId)) // 48 hours, or end of the recurrence
+      };
+
+      // The QR image only carries a signed reference; details are looked up at the gate
+      const qrCodeString = qrTokenService.sign({
+        type: 'PRE_APPROVAL',
+        id: preApproval._id,
+        expiresAt: qrCodeData.expiresAt,
+        singleUse: !preApproval.isRecurring
+      });
+
+      // Generate QR Code image as base64
+      const qrCodeImage = await QRCode.toDataURL(qrCodeString, {
+        errorCorrectionLevel: 'M',
+        type: 'image/png',
+        quality: 0.92,
+        margin: 1,
+        width: 300,
+        color: {
+          dark: '#000000',
+          light: '#FFFFFF'
+        }
+      });
+
+      // Update current QR code
+      preApproval.qrCodeData = qrCodeData;
+      preApproval.qrCodeString = qrCodeString;
+      preApproval.qrCodeImage = qrCodeImage;
+      await preApproval.save();
+
+      console.log('✅ New QR code generated and saved with status:', preApproval.status);
+
+      return {
+        qrCodeData,
+        qrCodeString,
+        qrCodeImage
+      };
+    } catch (error) {
+      console.error('❌ Error regenerating QR code:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PreApprovalQrService();
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const Visit = require('../models/Visit');
+const timeZones = require('../utils/timeZone');
+
+const { DEFAULT_TIME_ZONE } = timeZones;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Pre-approval QR codes for one-off visits stay valid for 48 hours
+const ONE_OFF_QR_VALIDITY_MS = 48 * 60 * 60 * 1000;
+
+/**
+ * Pre-Approval Schedule Service
+ * Decides whether a recurring pre-approval may be used at a given moment and
+ * gives each day of entry its own Visit. The Visit created with the
+ * pre-approval carries the QR code; later days get a fresh Visit the first
+ * time the pass is used on that day.
+ *
+ * Days, weekdays and time windows are read in the building's time zone
+ * (Building.timezone), passed as the last argument.
+ */
+
+class PreApprovalScheduleService {
+  startOfDay(date, timeZone = DEFAULT_TIME_ZONE) {
+    return timeZones.startOfDay(date, timeZone);
+  }
+
+  endOfDay(date, timeZone = DEFAULT_TIME_ZONE) {
+    return timeZones.endOfDay(date, timeZone);
+  }
+
+  // 'HH:mm' -> minutes since midnight
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  // Day of `date` at 'HH:mm'
+  atTime(date, time, timeZone = DEFAULT_TIME_ZONE) {
+    return timeZones.atMinutes(date, this.toMinutes(time), timeZone);
+  }
+
+  // Start and end of the pass's window on the day of `date`
+  windowOn(recurrence, date, timeZone = DEFAULT_TIME_ZONE) {
+    return {
+      start: recurrence.timeWindowStart ? this.atTime(date, recurrence.timeWindowStart, timeZone) : this.startOfDay(date, timeZone),
+      end: recurrence.timeWindowEnd ? this.atTime(date, recurrence.timeWindowEnd, timeZone) : this.endOfDay(date, timeZone)
+    };
+  }
+
+  isValidDay(recurrence, date, timeZone = DEFAULT_TIME_ZONE) {
+    if (recurrence.startDate && date < this.startOfDay(recurrence.startDate, timeZone)) return false;
+    if (recurrence.endDate && date > this.endOfDay(recurrence.endDate, timeZone)) return false;
+    const days = recurrence.daysOfWeek || [];
+    return !days.length || days.includes(timeZones.dayOfWeek(date, timeZone));
+  }
+
+  /**
+   * Why a recurring pass cannot be used at `at`
+   * @param {Object} preApproval - PreApproval document
+   * @param {Date} [at]
+   * @param {String} [timeZone] - Building time zone
+   * @returns {String|null} Reason, or null when entry is allowed
+   */
+  checkEntry(preApproval, at = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+    if (preApproval.status !== 'APPROVED') {
+      return `Pre-approval is ${preApproval.status.toLowerCase()}`;
+    }
+
+    const recurrence = preApproval.recurrence || {};
+    if (recurrence.startDate && at < this.startOfDay(recurrence.startDate, timeZone)) {
+      return 'Pass is not valid yet';
+    }
+    if (recurrence.endDate && at > this.endOfDay(recurrence.endDate, timeZone)) {
+      return 'Pass has expired';
+    }
+    if (!this.isValidDay(recurrence, at, timeZone)) {
+      return `Pass is not valid on ${DAY_NAMES[timeZones.dayOfWeek(at, timeZone)]}`;
+    }
+
+    const window = this.windowOn(recurrence, at, timeZone);
+    if (at < window.start || at > window.end) {
+      return `Pass is only valid between ${recurrence.timeWindowStart || '00:00'} and ${recurrence.timeWindowEnd || '23:59'}`;
+    }
+
+    return null;
+  }
+
+  // Next window that has not ended yet, or null when the pass has no more days
+  getNextWindow(preApproval, from = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+    const recurrence = preApproval.recurrence || {};
+    let day = this.startOfDay(from, timeZone);
+    if (recurrence.startDate && day < this.startOfDay(recurrence.startDate, timeZone)) {
+      day = this.startOfDay(recurrence.startDate, timeZone);
+    }
+
+    // Any weekday pattern repeats within a week
+    for (let i = 0; i < 8; i += 1) {
+      if (recurrence.endDate && day > this.endOfDay(recurrence.endDate, timeZone)) return null;
+      if (this.isValidDay(recurrence, day, timeZone)) {
+        const window = this.windowOn(recurrence, day, timeZone);
+        if (window.end > from) return window;
+      }
+      day = timeZones.addDays(day, 1, timeZone);
+    }
+
+    return null;
+  }
+
+  // Expiry written into the pre-approval QR payload
+  getQRExpiry(preApproval, timeZone = DEFAULT_TIME_ZONE) {
+    if (preApproval.isRecurring && preApproval.recurrence && preApproval.recurrence.endDate) {
+      return this.endOfDay(preApproval.recurrence.endDate, timeZone).getTime();
+    }
+    return Date.now() + ONE_OFF_QR_VALIDITY_MS;
+  }
+
+  // Point the pre-approval's first Visit at the pass's first day and keep its QR valid until the end date
+  applyToFirstVisit(visit, preApproval, timeZone = DEFAULT_TIME_ZONE) {
+    const { startDate, endDate, timeWindowStart } = preApproval.recurrence;
+    visit.occurrenceDate = this.startOfDay(startDate, timeZone);
+    visit.scheduledDate = startDate;
+    if (timeWindowStart) visit.scheduledTime = timeWindowStart;
+    visit.qrCodeExpiresAt = this.endOfDay(endDate, timeZone);
+  }
+
+  /**
+   * Visit for the day of `at`, created on the first entry that day
+   * @param {Object} preApproval - Recurring PreApproval document
+   * @param {Object} firstVisit - Visit created with the pre-approval (copied for new days)
+   * @param {Date} [at]
+   * @param {String} [timeZone] - Building time zone
+   * @returns {Promise<Object>} Visit document
+   */
+  async getEntryVisit(preApproval, firstVisit, at = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+    const occurrenceDate = this.startOfDay(at, timeZone);
+    const query = { preApprovalId: preApproval._id, occurrenceDate };
+
+    const existing = await Visit.findOne(query);
+    if (existing) return existing;
+
+    try {
+      return await Visit.create({
+        visitId: `VISIT_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        visitorId: firstVisit.visitorId._id || firstVisit.visitorId,
+        buildingId: preApproval.buildingId,
+        hostId: preApproval.residentId,
+        hostFlatNumber: firstVisit.hostFlatNumber,
+        purpose: firstVisit.purpose,
+        visitType: 'PRE_APPROVED',
+        scheduledDate: occurrenceDate,
+        scheduledTime: preApproval.recurrence.timeWindowStart || firstVisit.scheduledTime,
+        expectedDuration: firstVisit.expectedDuration,
+        preApprovalId: preApproval._id,
+        occurrenceDate,
+        status: 'SCHEDULED',
+        approvalStatus: 'APPROVED',
+        approvedBy: preApproval.approvedBy,
+        approvedAt: preApproval.approvedAt
+      });
+    } catch (error) {
+      // Another gate created today's visit first
+      if (error.code !== 11000) throw error;
+      return Visit.findOne(query);
+    }
+  }
+}
+
+module.exports = new PreApprovalScheduleService();
@@ -0,0 +1,128 @@
+const EmployeeEntry = require('../models/EmployeeEntry');
+const Visit = require('../models/Visit');
+const Building = require('../models/Building');
+const timeZones = require('../utils/timeZone');
+
+const DEFAULT_EXIT_CUTOFF_HOUR = 22;
+
+/**
+ * Premises Service
+ * Who is inside a building right now: staff with an open EmployeeEntry and
+ * checked-in visitors. Resident helpers and FLAT_EMPLOYEE visitors are listed
+ * together as domestic help so the whole list can be read out in an emergency.
+ */
+
+class PremisesService {
+  getExitCutoffHour(building) {
+    const settings = building && building.securitySettings;
+    return settings && settings.employeeExitCutoffHour != null
+      ? settings.employeeExitCutoffHour
+      : DEFAULT_EXIT_CUTOFF_HOUR;
+  }
+
+  /**
+   * First cutoff after an entry: the cutoff hour (building time) on the day of
+   * entry, or on the next day for entries logged after it
+   */
+  getExitDeadline(entryTime, cutoffHour, timeZone = timeZones.DEFAULT_TIME_ZONE) {
+    const deadline = timeZones.atMinutes(entryTime, cutoffHour * 60, timeZone);
+    if (deadline <= entryTime) {
+      return timeZones.atMinutes(timeZones.addDays(entryTime, 1, timeZone), cutoffHour * 60, timeZone);
+    }
+    return deadline;
+  }
+
+  isExitOverdue(entry, cutoffHour, now = new Date(), timeZone = timeZones.DEFAULT_TIME_ZONE) {
+    return entry.status === 'ON_PREMISES' && this.getExitDeadline(entry.entryTime, cutoffHour, timeZone) <= now;
+  }
+
+  /**
+   * Everyone currently on premises, grouped for headcounts
+   * @param {ObjectId|String} buildingId - Building ID
+   * @param {Date} [now] - Reference time
+   * @returns {Promise<Object>} { employees, domesticHelp, visitors, counts, exitCutoffHour }
+   */
+  async getOnPremises(buildingId, now = new Date()) {
+    const building = await Building.findById(buildingId).select('securitySettings timezone');
+    const exitCutoffHour = this.getExitCutoffHour(building);
+
+    const [entries, visits] = await Promise.all([
+      EmployeeEntry.find({ buildingId, status: 'ON_PREMISES', isActive: true })
+        .populate('employeeId', 'name employeeType employeeTypeDisplay phoneNumber employeeCode')
+        .sort({ entryTime: 1 }),
+      Visit.find({ buildingId, status: 'IN_PROGRESS', checkOutTime: null, isActive: true })
+        .populate('visitorId', 'name phoneNumber visitorCategory serviceType vehicleNumber')
+        .populate('hostId', 'name flatNumber blockNumber')
+        .sort({ checkInTime: 1 })
+    ]);
+
+    const employees = [];
+    const domesticHelp = [];
+    const visitors = [];
+
+    entries.forEach(entry => {
+      const employee = entry.employeeId;
+      const person = {
+        source: 'EMPLOYEE_ENTRY',
+        id: entry._id,
+        entryId: entry.entryId,
+        name: employee ? employee.name : 'Unknown Employee',
+        phoneNumber: employee ? employee.phoneNumber : '',
+        employeeCode: employee ? employee.employeeCode : '',
+        type: employee ? employee.employeeTypeDisplay : 'Unknown Type',
+        since: entry.entryTime,
+        minutesInside: Math.round((now - entry.entryTime) / 60000),
+        exitOverdue: this.isExitOverdue(entry, exitCutoffHour, now, building ? building.timezone : undefined)
+      };
+
+      if (employee && employee.employeeType === 'RESIDENT_HELPER') {
+        domesticHelp.push(person);
+      } else {
+        employees.push(person);
+      }
+    });
+
+    visits.forEach(visit => {
+      const visitor = visit.visitorId;
+      const since = visit.checkInTime || visit.updatedAt;
+      const person = {
+        source: 'VISIT',
+        id: visit._id,
+        visitId: visit.visitId,
+        name: visitor ? visitor.name : 'Unknown Visitor',
+        phoneNumber: visitor ? visitor.phoneNumber : '',
+        type: visitor ? visitor.visitorCategory : 'OTHER',
+        vehicleNumber: visitor ? visitor.vehicleNumber : undefined,
+        host: visit.hostId ? {
+          name: visit.hostId.name,
+          flatNumber: visit.hostId.flatNumber,
+          blockNumber: visit.hostId.blockNumber
+        } : null,
+        since,
+        minutesInside: Math.round((now - since) / 60000)
+      };
+
+      if (visitor && visitor.visitorCategory === 'FLAT_EMPLOYEE') {
+        domesticHelp.push(person);
+      } else {
+        visitors.push(person);
+      }
+    });
+
+    return {
+      employees,
+      domesticHelp,
+      visitors,
+      counts: {
+        employees: employees.length,
+        domesticHelp: domesticHelp.length,
+        visitors: visitors.length,
+        total: employees.length + domesticHelp.length + visitors.length,
+        exitOverdue: [...employees, ...domesticHelp].filter(person => person.exitOverdue).length
+      },
+      exitCutoffHour
+    };
+  }
+}
+
+module.exports = new PremisesService();
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const QrRedemption = require('../models/QrRedemption');
+const legacyQrCodeService = require('./legacyQrCodeService');
+
+const TOKEN_VERSION = 'v1';
+
+const TYPE_CODES = {
+  VISIT: 'V',
+  PRE_APPROVAL: 'A',
+  PASS: 'P'
+};
+
+const TYPES_BY_CODE = Object.fromEntries(Object.entries(TYPE_CODES).map(([type, code]) => [code, type]));
+
+const MESSAGES = {
+  MALFORMED: 'Invalid QR code',
+  UNKNOWN_KEY: 'QR code was signed with a key that is no longer accepted',
+  BAD_SIGNATURE: 'QR code signature is invalid',
+  EXPIRED: 'QR code has expired'
+};
+
+// Redemption records outlive the code itself by a day
+const REDEMPTION_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * QR Token Service
+ * QR codes carry `v1.<keyId>.<payload>.<signature>`: the payload is base64url
+ * JSON with only the record type, its id, an expiry and a single-use flag, and
+ * the signature is HMAC-SHA256 over everything before it. Details are always
+ * looked up server-side.
+ *
+ * Keys rotate through QR_SIGNING_KEYS ("keyId:secret,keyId:secret"). Every
+ * listed key is accepted; QR_SIGNING_KEY_ID (default: the first) signs new
+ * codes. Add the new key, switch the id, and drop the old key once codes
+ * signed with it have expired.
+ *
+ * Pass and pre-approval codes issued before signed tokens are still accepted
+ * through verifyCode (see legacyQrCodeService).
+ */
+
+class QrTokenService {
+  constructor() {
+    this.keys = null;
+    this.activeKeyId = null;
+  }
+
+  // Read lazily so dotenv has run by the time the first code is signed
+  loadKeys() {
+    if (this.keys) return;
+
+    this.keys = new Map();
+    (process.env.QR_SIGNING_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator > 0) {
+        this.keys.set(entry.slice(0, separator), entry.slice(separator + 1));
+      }
+    });
+
+    if (!this.keys.size) {
+      console.warn('⚠️  QR_SIGNING_KEYS not set, deriving the QR signing key from JWT_SECRET');
+      const derived = crypto.createHmac('sha256', process.env.JWT_SECRET || '').update('qr-token').digest('hex');
+      this.keys.set('jwt', derived);
+    }
+
+    this.activeKeyId = process.env.QR_SIGNING_KEY_ID && this.keys.has(process.env.QR_SIGNING_KEY_ID)
+      ? process.env.QR_SIGNING_KEY_ID
+      : this.keys.keys().next().value;
+  }
+
+  signature(keyId, unsigned) {
+    return crypto.createHmac('sha256', this.keys.get(keyId)).update(unsigned).digest('base64url');
+  }
+
+  /**
+   * Create a signed QR token
+   * @param {Object} options
+   * @param {String} options.type - VISIT, PRE_APPROVAL or PASS
+   * @param {ObjectId|String} options.id - Record id
+   * @param {Date|Number} options.expiresAt
+   * @param {Boolean} [options.singleUse] - Refuse the code after its first gate scan
+   * @returns {String} Token to encode in the QR image
+   */
+  sign({ type, id, expiresAt, singleUse = false }) {
+    this.loadKeys();
+
+    const payload = {
+      t: TYPE_CODES[type],
+      i: id.toString(),
+      e: Math.floor(new Date(expiresAt).getTime() / 1000)
+    };
+    if (singleUse) payload.s = 1;
+
+    const unsigned = `${TOKEN_VERSION}.${this.activeKeyId}.${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+    return `${unsigned}.${this.signature(this.activeKeyId, unsigned)}`;
+  }
+
+  isToken(value) {
+    return typeof value === 'string' && value.startsWith(`${TOKEN_VERSION}.`) && value.split('.').length === 4;
+  }
+
+  /**
+   * Check a token's signature and expiry
+   * @returns {Object} { valid: true, type, id, expiresAt, singleUse, keyId } or { valid: false, reason, message }
+   */
+  verify(token, now = new Date()) {
+    this.loadKeys();
+
+    const invalid = reason => ({ valid: false, reason, message: MESSAGES[reason] });
+
+    if (!this.isToken(token)) return invalid('MALFORMED');
+    const [version, keyId, encodedPayload, signature] = token.split('.');
+
+    if (!this.keys.has(keyId)) return invalid('UNKNOWN_KEY');
+
+    const expected = Buffer.from(this.signature(keyId, `${version}.${keyId}.${encodedPayload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return invalid('BAD_SIGNATURE');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    } catch (error) {
+      return invalid('MALFORMED');
+    }
+
+    const type = TYPES_BY_CODE[payload.t];
+    if (!type || typeof payload.i !== 'string' || !/^[a-f0-9]{24}$/i.test(payload.i) || !payload.e) {
+      return invalid('MALFORMED');
+    }
+
+    const expiresAt = new Date(payload.e * 1000);
+    if (expiresAt < now) return invalid('EXPIRED');
+
+    return {
+      valid: true,
+      type,
+      id: payload.i,
+      expiresAt,
+      singleUse: payload.s === 1,
+      keyId
+    };
+  }
+
+  // Signed token, or a pass / pre-approval code issued before signed tokens
+  isScannableCode(value) {
+    return this.isToken(value) || legacyQrCodeService.isLegacyCode(value);
+  }
+
+  /**
+   * Verify a scanned code; legacy codes resolve to the same shape as tokens
+   * (never single-use) while the code they were issued as is still on record
+   * @returns {Promise<Object>} See verify, plus `legacy: true` for legacy codes
+   */
+  async verifyCode(code, now = new Date()) {
+    if (this.isToken(code)) return this.verify(code, now);
+
+    const legacy = await legacyQrCodeService.resolve(code);
+    if (!legacy) return { valid: false, reason: 'MALFORMED', message: MESSAGES.MALFORMED };
+    if (legacy.expiresAt < now) return { valid: false, reason: 'EXPIRED', message: MESSAGES.EXPIRED };
+
+    return {
+      valid: true,
+      type: legacy.type,
+      id: legacy.id,
+      expiresAt: legacy.expiresAt,
+      singleUse: false,
+      keyId: null,
+      legacy: true
+    };
+  }
+
+  redemptionKey(verified) {
+    return `${verified.type}:${verified.id}`;
+  }
+
+  /**
+   * Record the gate scan of a single-use code
+   * @returns {Promise<Boolean>} false if the code had already been used
+   */
+  async redeem(verified, { buildingId, userId }) {
+    try {
+      await QrRedemption.create({
+        key: this.redemptionKey(verified),
+        type: verified.type,
+        entityId: verified.id,
+        buildingId,
+        redeemedBy: userId,
+        expiresAt: new Date(verified.expiresAt.getTime() + REDEMPTION_RETENTION_MS)
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  async isRedeemed(verified) {
+    return !!(await QrRedemption.exists({ key: this.redemptionKey(verified) }));
+  }
+}
+
+module.exports = new QrTokenService();
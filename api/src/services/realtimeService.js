@@ -0,0 +1,354 @@
+const os = require('os');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RealtimeEvent = require('../models/RealtimeEvent');
+const sessionService = require('./sessionService');
+
+const POLL_INTERVAL_MS = parseInt(process.env.REALTIME_POLL_INTERVAL_MS) || 2000;
+const HEARTBEAT_INTERVAL_MS = 25000;
+// Streams outlive the request that opened them, so their sessions are re-checked
+const SESSION_CHECK_INTERVAL_MS = 60000;
+// Events written by other instances are picked up if created within this window of the last poll
+const POLL_LOOKBACK_MS = 5000;
+const MAX_REPLAY_EVENTS = 500;
+
+/**
+ * Realtime Service
+ * Server-Sent Events fan-out scoped by building and role.
+ *
+ * Every event is written to the RealtimeEvent collection and pushed straight
+ * to the clients connected to this instance. While clients are connected the
+ * service also polls for events published by other instances. Clients resume
+ * with the last event id they received (SSE Last-Event-ID or ?cursor=).
+ * Streams whose login session is revoked or expires are closed.
+ */
+
+class RealtimeService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.clients = new Map();
+    this.delivered = new Map();
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.sessionTimer = null;
+    this.lastPollAt = null;
+    this.polling = false;
+  }
+
+  // Super admins watching a building see what its building admin sees
+  getAudienceRoles(role) {
+    return role === 'SUPER_ADMIN' ? ['SUPER_ADMIN', 'BUILDING_ADMIN'] : [role];
+  }
+
+  canReceive(client, event) {
+    if (client.buildingId !== event.buildingId.toString()) return false;
+
+    const audience = event.audience || {};
+    if ((audience.userIds || []).some(id => id.toString() === client.userId)) return true;
+    return (audience.roles || []).some(role => client.roles.includes(role));
+  }
+
+  format(event) {
+    return {
+      id: event._id.toString(),
+      type: event.type,
+      buildingId: event.buildingId,
+      data: event.data,
+      createdAt: event.createdAt
+    };
+  }
+
+  write(client, event) {
+    const payload = this.format(event);
+    client.res.write(`id: ${payload.id}\nevent: ${payload.type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    // compression() buffers responses unless explicitly flushed
+    if (client.res.flush) client.res.flush();
+  }
+
+  send(client, event) {
+    if (client.replaying) {
+      client.buffer.push(event);
+      return;
+    }
+    this.write(client, event);
+  }
+
+  // Deliver an event to matching local clients, once
+  dispatch(event) {
+    if (this.clients.size === 0) return;
+
+    const id = event._id.toString();
+    if (this.delivered.has(id)) return;
+    this.delivered.set(id, Date.now());
+
+    for (const client of this.clients.values()) {
+      if (this.canReceive(client, event)) {
+        this.send(client, event);
+      }
+    }
+  }
+
+  /**
+   * Publish an event
+   * @param {Object} options
+   * @param {ObjectId|String} options.buildingId - Building the event belongs to
+   * @param {String} options.type - Event type
+   * @param {Array<String>} [options.roles] - Roles that receive the event
+   * @param {Array<ObjectId|String>} [options.userIds] - Individual recipients
+   * @param {Object} [options.data] - Event payload
+   */
+  async publish({ buildingId, type, roles = [], userIds = [], data = {} }) {
+    try {
+      if (!buildingId) return null;
+
+      const event = await RealtimeEvent.create({
+        buildingId: buildingId._id || buildingId,
+        type,
+        audience: {
+          roles,
+          userIds: userIds.filter(Boolean).map(id => id._id || id)
+        },
+        data,
+        publishedBy: this.instanceId
+      });
+
+      this.dispatch(event);
+      return event;
+    } catch (error) {
+      console.error(`Realtime event publish failed (${type}):`, error);
+      // Pushing events must never break the request that triggered them
+      return null;
+    }
+  }
+
+  // Visit lifecycle events go to security, admins and the host
+  publishVisitEvent(type, visit, extraData = {}) {
+    const visitor = visit.visitorId;
+    const host = visit.hostId;
+    // Host plus every flat member the approval request was fanned out to
+    const userIds = [...(host ? [host._id || host] : []), ...(visit.approverIds || [])];
+
+    return this.publish({
+      buildingId: visit.buildingId,
+      type,
+      roles: ['SECURITY', 'BUILDING_ADMIN'],
+      userIds: [...new Set(userIds.map(id => id.toString()))],
+      data: {
+        visitId: visit.visitId,
+        _id: visit._id,
+        status: visit.status,
+        approvalStatus: visit.approvalStatus,
+        visitorId: visitor ? (visitor._id || visitor) : null,
+        visitorName: visitor && visitor.name ? visitor.name : null,
+        hostId: host ? (host._id || host) : null,
+        hostName: host && host.name ? host.name : null,
+        checkInTime: visit.checkInTime || null,
+        checkOutTime: visit.checkOutTime || null,
+        ...extraData
+      }
+    });
+  }
+
+  publishNotification(notification) {
+    return this.publish({
+      buildingId: notification.buildingId,
+      type: 'NOTIFICATION_CREATED',
+      userIds: [notification.recipientId],
+      data: {
+        _id: notification._id,
+        notificationId: notification.notificationId,
+        title: notification.title,
+        message: notification.message,
+        type: notification.type,
+        category: notification.category,
+        priority: notification.priority,
+        actionRequired: notification.actionRequired,
+        actionType: notification.actionType,
+        relatedVisitId: notification.relatedVisitId || null,
+        createdAt: notification.createdAt
+      }
+    });
+  }
+
+  publishNotifications(notifications) {
+    return Promise.all(notifications.map(notification => this.publishNotification(notification)));
+  }
+
+  /**
+   * Events a user missed since a cursor
+   * @returns {Promise<Object>} { events, resync } - resync means the cursor is unknown or
+   * too far behind, and the client should reload its lists instead of replaying
+   */
+  async getEventsSince({ buildingId, userId, role, cursor }) {
+    if (!cursor) {
+      return { events: [], resync: false };
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(cursor) || !(await RealtimeEvent.exists({ _id: cursor }))) {
+      return { events: [], resync: true };
+    }
+
+    const events = await RealtimeEvent.find({
+      buildingId,
+      _id: { $gt: cursor },
+      $or: [
+        { 'audience.userIds': userId },
+        { 'audience.roles': { $in: this.getAudienceRoles(role) } }
+      ]
+    })
+      .sort({ _id: 1 })
+      .limit(MAX_REPLAY_EVENTS + 1);
+
+    if (events.length > MAX_REPLAY_EVENTS) {
+      return { events: [], resync: true };
+    }
+
+    return { events, resync: false };
+  }
+
+  // Starting cursor for a client that has not received any event yet
+  async getLatestEventId(buildingId) {
+    const latest = await RealtimeEvent.findOne({ buildingId }).sort({ _id: -1 }).select('_id');
+    return latest ? latest._id.toString() : null;
+  }
+
+  /**
+   * Attach an SSE response as a client, replaying anything missed since the cursor
+   * @returns {Promise<String>} clientId
+   */
+  async openStream({ res, buildingId, userId, role, sessionId, cursor }) {
+    const clientId = crypto.randomBytes(8).toString('hex');
+    const client = {
+      res,
+      buildingId: buildingId.toString(),
+      userId: userId.toString(),
+      sessionId,
+      roles: this.getAudienceRoles(role),
+      replaying: true,
+      buffer: []
+    };
+
+    // Register before replaying so nothing published meanwhile is lost
+    this.clients.set(clientId, client);
+    this.startTimers();
+
+    try {
+      const { events, resync } = await this.getEventsSince({ buildingId, userId, role, cursor });
+
+      if (resync) {
+        res.write(`event: RESYNC\ndata: ${JSON.stringify({ reason: 'Cursor expired or too far behind' })}\n\n`);
+      }
+
+      const replayed = new Set();
+      events.forEach(event => {
+        replayed.add(event._id.toString());
+        this.write(client, event);
+      });
+
+      client.buffer
+        .filter(event => !replayed.has(event._id.toString()))
+        .forEach(event => this.write(client, event));
+    } finally {
+      client.replaying = false;
+      client.buffer = [];
+    }
+
+    return clientId;
+  }
+
+  removeClient(clientId) {
+    this.clients.delete(clientId);
+    if (this.clients.size === 0) {
+      this.stopTimers();
+    }
+  }
+
+  startTimers() {
+    if (!this.pollTimer) {
+      this.lastPollAt = Date.now();
+      this.pollTimer = setInterval(() => this.pollRemoteEvents(), POLL_INTERVAL_MS);
+      this.pollTimer.unref();
+    }
+
+    if (!this.heartbeatTimer) {
+      // Keeps proxies from closing idle streams
+      this.heartbeatTimer = setInterval(() => {
+        for (const client of this.clients.values()) {
+          client.res.write(': ping\n\n');
+          if (client.res.flush) client.res.flush();
+        }
+      }, HEARTBEAT_INTERVAL_MS);
+      this.heartbeatTimer.unref();
+    }
+
+    if (!this.sessionTimer) {
+      this.sessionTimer = setInterval(() => this.closeRevokedStreams(), SESSION_CHECK_INTERVAL_MS);
+      this.sessionTimer.unref();
+    }
+  }
+
+  stopTimers() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    clearInterval(this.sessionTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.sessionTimer = null;
+    this.delivered.clear();
+  }
+
+  // End streams whose session was revoked (logout, revoke, reuse detection) or expired
+  async closeRevokedStreams() {
+    const sessionIds = [...new Set(Array.from(this.clients.values())
+      .map(client => client.sessionId)
+      .filter(Boolean))];
+    if (sessionIds.length === 0) return;
+
+    try {
+      const active = await sessionService.getActiveSessionIds(sessionIds);
+
+      for (const [clientId, client] of this.clients) {
+        if (client.sessionId && !active.has(client.sessionId)) {
+          client.res.write(`event: SESSION_REVOKED\ndata: ${JSON.stringify({ reason: 'Session has been revoked or expired' })}\n\n`);
+          client.res.end();
+          this.removeClient(clientId);
+        }
+      }
+    } catch (error) {
+      console.error('Realtime session check failed:', error);
+    }
+  }
+
+  // Pick up events other instances published for buildings we have clients in
+  async pollRemoteEvents() {
+    if (this.polling || this.clients.size === 0) return;
+    this.polling = true;
+
+    const startedAt = Date.now();
+    try {
+      const buildingIds = [...new Set(Array.from(this.clients.values()).map(client => client.buildingId))];
+
+      const events = await RealtimeEvent.find({
+        buildingId: { $in: buildingIds },
+        createdAt: { $gte: new Date(this.lastPollAt - POLL_LOOKBACK_MS) },
+        publishedBy: { $ne: this.instanceId }
+      }).sort({ _id: 1 });
+
+      events.forEach(event => this.dispatch(event));
+      this.lastPollAt = startedAt;
+
+      // Forget delivered ids once they can no longer come back through the lookback window
+      for (const [id, deliveredAt] of this.delivered) {
+        if (startedAt - deliveredAt > POLL_LOOKBACK_MS + POLL_INTERVAL_MS * 2) {
+          this.delivered.delete(id);
+        }
+      }
+    } catch (error) {
+      console.error('Realtime poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,489 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ServiceRequest = require('../models/ServiceRequest');
+const Building = require('../models/Building');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const realtimeService = require('./realtimeService');
+const { truncate } = require('../utils/text');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_RESPONSE_HOURS = { LOW: 24, MEDIUM: 8, HIGH: 4, URGENT: 1 };
+const DEFAULT_RESOLUTION_HOURS = { LOW: 120, MEDIUM: 72, HIGH: 24, URGENT: 6 };
+
+// Statuses each workflow action may start from, and where it leads
+const TRANSITIONS = {
+  ASSIGN: { from: ['PENDING', 'ASSIGNED', 'ACCEPTED'], to: 'ASSIGNED' },
+  ACCEPT: { from: ['ASSIGNED'], to: 'ACCEPTED' },
+  START: { from: ['ACCEPTED'], to: 'IN_PROGRESS' },
+  PAUSE: { from: ['IN_PROGRESS'], to: 'ON_HOLD' },
+  RESUME: { from: ['ON_HOLD'], to: 'IN_PROGRESS' },
+  COMPLETE: { from: ['IN_PROGRESS'], to: 'COMPLETED' },
+  SIGN_OFF: { from: ['COMPLETED'], to: 'CLOSED' },
+  REOPEN: { from: ['COMPLETED'], to: 'IN_PROGRESS' },
+  CANCEL: { from: ['PENDING', 'ASSIGNED', 'ACCEPTED', 'ON_HOLD'], to: 'CANCELLED' },
+  REJECT: { from: ['PENDING', 'ASSIGNED'], to: 'REJECTED' }
+};
+
+// An estimate blocks work until the resident approves it
+const COST_CLEARED = { $or: [{ estimatedCost: { $not: { $gt: 0 } } }, { costApproved: true }] };
+
+// Statuses whose resolution clock is running
+const OPEN_STATUSES = ['PENDING', 'ASSIGNED', 'ACCEPTED', 'IN_PROGRESS'];
+
+/**
+ * Service Request Service
+ * Technician workflow for service requests: assign -> accept -> start ->
+ * (pause / resume) -> complete -> resident sign-off. Every step is a
+ * conditional update on the current status and is written to the request's
+ * timeline. Each priority has response and resolution SLA targets per building;
+ * a background check flags and notifies breaches once.
+ */
+
+class ServiceRequestService {
+  getSlaHours(building, priority) {
+    const settings = (building && building.serviceRequestSettings) || {};
+    const pick = (configured, defaults) => (configured && configured[priority] != null
+      ? configured[priority]
+      : defaults[priority] || defaults.MEDIUM);
+    return {
+      responseHours: pick(settings.responseHours, DEFAULT_RESPONSE_HOURS),
+      resolutionHours: pick(settings.resolutionHours, DEFAULT_RESOLUTION_HOURS)
+    };
+  }
+
+  /**
+   * SLA deadlines for a request raised at `from`
+   * @returns {Object} { responseDueAt, resolutionDueAt }
+   */
+  computeSla(building, priority, from = new Date()) {
+    const { responseHours, resolutionHours } = this.getSlaHours(building, priority);
+    return {
+      responseDueAt: new Date(from.getTime() + responseHours * HOUR_MS),
+      resolutionDueAt: new Date(from.getTime() + resolutionHours * HOUR_MS)
+    };
+  }
+
+  isCostCleared(request) {
+    return !(request.estimatedCost > 0) || request.costApproved === true;
+  }
+
+  timelineEntry(req, action, fromStatus, toStatus, note) {
+    return {
+      action,
+      fromStatus,
+      toStatus,
+      performedBy: req ? req.user.userId || req.user.id : undefined,
+      performedByName: req ? req.user.name : 'System',
+      note,
+      at: new Date()
+    };
+  }
+
+  /**
+   * Move a request through the workflow
+   * @param {Object} params.set - Extra fields to set with the new status
+   * @param {Object} params.filter - Extra conditions the request must meet
+   * @returns {Promise<Object|null>} Updated request, or null if it was not in a valid status
+   */
+  async transition({ req, request, action, set = {}, inc, filter = {}, note }) {
+    const { from, to } = TRANSITIONS[action];
+
+    const update = {
+      $set: { ...set, status: to },
+      $push: { timeline: this.timelineEntry(req, action, request.status, to, note) }
+    };
+    if (inc) update.$inc = inc;
+
+    return ServiceRequest.findOneAndUpdate(
+      { _id: request._id, status: { $in: from }, ...filter },
+      update,
+      { new: true }
+    );
+  }
+
+  assign({ req, request, employee, note }) {
+    return this.transition({
+      req,
+      request,
+      action: 'ASSIGN',
+      set: {
+        employeeId: employee._id,
+        assignedAt: new Date(),
+        assignedBy: req.user.userId || req.user.id,
+        acceptedAt: null
+      },
+      note: note || `Assigned to ${employee.name}`
+    });
+  }
+
+  accept({ req, request, note }) {
+    return this.transition({ req, request, action: 'ACCEPT', set: { acceptedAt: new Date() }, note });
+  }
+
+  start({ req, request, note }) {
+    return this.transition({
+      req,
+      request,
+      action: 'START',
+      set: { startedAt: request.startedAt || new Date() },
+      filter: COST_CLEARED,
+      note
+    });
+  }
+
+  pause({ req, request, reason }) {
+    return this.transition({
+      req,
+      request,
+      action: 'PAUSE',
+      set: { pausedAt: new Date(), pauseReason: reason },
+      note: reason
+    });
+  }
+
+  /**
+   * Resume paused work; the resolution deadline moves out by the time on hold
+   */
+  async resume({ req, request, note }) {
+    const now = new Date();
+    const pausedMs = request.pausedAt ? Math.max(0, now - request.pausedAt) : 0;
+
+    const set = { pausedAt: null, pauseReason: null };
+    if (request.sla && request.sla.resolutionDueAt) {
+      set['sla.resolutionDueAt'] = new Date(request.sla.resolutionDueAt.getTime() + pausedMs);
+    }
+
+    return this.transition({
+      req,
+      request,
+      action: 'RESUME',
+      set,
+      inc: { totalPausedMinutes: Math.round(pausedMs / 60000) },
+      filter: { pausedAt: request.pausedAt, ...COST_CLEARED },
+      note
+    });
+  }
+
+  complete({ req, request, photoIds, completionNotes, actualCost }) {
+    const set = {
+      completedAt: new Date(),
+      completedBy: req.user.userId || req.user.id,
+      completionPhotos: photoIds,
+      completionNotes
+    };
+    if (actualCost !== undefined) set.actualCost = actualCost;
+
+    return this.transition({ req, request, action: 'COMPLETE', set, note: completionNotes });
+  }
+
+  signOff({ req, request, rating, feedback }) {
+    return this.transition({
+      req,
+      request,
+      action: 'SIGN_OFF',
+      set: {
+        signedOffAt: new Date(),
+        signedOffBy: req.user.userId || req.user.id,
+        rating,
+        feedback
+      },
+      note: feedback
+    });
+  }
+
+  // Resident sends completed work back to the technician
+  reopen({ req, request, feedback }) {
+    return this.transition({
+      req,
+      request,
+      action: 'REOPEN',
+      set: { completedAt: null, completedBy: null },
+      inc: { reopenCount: 1 },
+      note: feedback
+    });
+  }
+
+  /**
+   * Record a cost estimate; the requester must approve it before work starts
+   * @returns {Promise<Object|null>} Updated request, or null once work has started
+   */
+  async setEstimate({ req, request, estimatedCost, note }) {
+    const needsApproval = estimatedCost > 0;
+    const set = {
+      estimatedCost,
+      costApproved: !needsApproval,
+      costDecidedAt: null
+    };
+
+    const update = {
+      $set: set,
+      $push: {
+        timeline: this.timelineEntry(req, 'ESTIMATE', request.status, request.status, note || `Estimated cost: ${estimatedCost}`)
+      }
+    };
+    if (needsApproval) {
+      set.costApprovalStatus = 'PENDING';
+    } else {
+      update.$unset = { costApprovalStatus: 1 };
+    }
+
+    return ServiceRequest.findOneAndUpdate(
+      { _id: request._id, status: { $in: ['PENDING', 'ASSIGNED', 'ACCEPTED', 'ON_HOLD'] } },
+      update,
+      { new: true }
+    );
+  }
+
+  /**
+   * Requester approves or rejects the pending estimate
+   * @returns {Promise<Object|null>} Updated request, or null if no estimate is pending
+   */
+  async decideCost({ req, request, approved, note }) {
+    const decision = approved ? 'APPROVED' : 'REJECTED';
+    return ServiceRequest.findOneAndUpdate(
+      { _id: request._id, costApprovalStatus: 'PENDING', estimatedCost: request.estimatedCost },
+      {
+        $set: { costApprovalStatus: decision, costApproved: approved, costDecidedAt: new Date() },
+        $push: { timeline: this.timelineEntry(req, `COST_${decision}`, request.status, request.status, note) }
+      },
+      { new: true }
+    );
+  }
+
+  label(request) {
+    return request.title || request.requestId;
+  }
+
+  async notifyUser(userId, request, { title, message, category = 'INFO', priority = 'MEDIUM' }) {
+    try {
+      const recipient = await User.findById(userId).select('role');
+      if (!recipient) return;
+
+      const notification = await Notification.create({
+        notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+        recipientId: userId,
+        recipientRole: recipient.role,
+        buildingId: request.buildingId._id || request.buildingId,
+        title: truncate(title, 100),
+        message: truncate(message, 500),
+        type: 'SERVICE_REQUEST_UPDATE',
+        category,
+        priority,
+        deliveryChannels: { inApp: true, email: false, sms: false },
+        metadata: { serviceRequestId: request._id, requestId: request.requestId, status: request.status }
+      });
+      await realtimeService.publishNotification(notification);
+    } catch (notificationError) {
+      console.error('Service request notification failed:', notificationError);
+      // Continue even if notification fails
+    }
+  }
+
+  async notifyAdmins(request, { title, message, category = 'ALERT', priority = 'HIGH' }) {
+    const admins = await User.find({
+      buildingId: request.buildingId._id || request.buildingId,
+      isActive: true,
+      $or: [{ role: 'BUILDING_ADMIN' }, { roles: 'BUILDING_ADMIN' }]
+    }).select('_id');
+
+    await Promise.all(admins.map(admin => this.notifyUser(admin._id, request, { title, message, category, priority })));
+  }
+
+  /**
+   * Flag requests that missed their response or resolution target and notify
+   * the building admins, once per breach
+   * @returns {Promise<Object>} { responseBreaches, resolutionBreaches }
+   */
+  async checkSlaBreaches(now = new Date()) {
+    let responseBreaches = 0;
+    let resolutionBreaches = 0;
+
+    const lateResponses = await ServiceRequest.find({
+      status: { $in: ['PENDING', 'ASSIGNED'] },
+      'sla.responseDueAt': { $lt: now },
+      'sla.responseBreachedAt': null
+    });
+
+    for (const request of lateResponses) {
+      const flagged = await ServiceRequest.findOneAndUpdate(
+        { _id: request._id, status: { $in: ['PENDING', 'ASSIGNED'] }, 'sla.responseBreachedAt': null },
+        { $set: { 'sla.responseBreachedAt': now } },
+        { new: true }
+      );
+      if (!flagged) continue;
+      responseBreaches += 1;
+
+      await this.notifyAdmins(flagged, {
+        title: 'Service Request SLA Breached',
+        message: `${flagged.priority} request "${this.label(flagged)}" (flat ${flagged.flatNumber || '-'}) has not been ${flagged.status === 'PENDING' ? 'assigned' : 'accepted'} within its response time`
+      });
+    }
+
+    const lateResolutions = await ServiceRequest.find({
+      status: { $in: OPEN_STATUSES },
+      'sla.resolutionDueAt': { $lt: now },
+      'sla.resolutionBreachedAt': null
+    });
+
+    for (const request of lateResolutions) {
+      const flagged = await ServiceRequest.findOneAndUpdate(
+        { _id: request._id, status: { $in: OPEN_STATUSES }, 'sla.resolutionBreachedAt': null },
+        { $set: { 'sla.resolutionBreachedAt': now } },
+        { new: true }
+      );
+      if (!flagged) continue;
+      resolutionBreaches += 1;
+
+      await this.notifyAdmins(flagged, {
+        title: 'Service Request Overdue',
+        message: `${flagged.priority} request "${this.label(flagged)}" (flat ${flagged.flatNumber || '-'}) missed its resolution time and is still ${flagged.status.toLowerCase().replace('_', ' ')}`
+      });
+      await this.notifyUser(flagged.requesterId, flagged, {
+        title: 'Service Request Delayed',
+        message: `Your request "${this.label(flagged)}" is taking longer than expected. The building admin has been notified.`,
+        category: 'WARNING'
+      });
+    }
+
+    return { responseBreaches, resolutionBreaches };
+  }
+
+  /**
+   * Turnaround per technician for requests raised in a date range
+   * Times are in minutes: response = assigned -> accepted, resolution =
+   * raised -> completed, work = started -> completed less time on hold.
+   * @returns {Promise<Array>}
+   */
+  async getTechnicianReport(buildingId, { startDate, endDate } = {}) {
+    const match = {
+      buildingId: new mongoose.Types.ObjectId(buildingId),
+      employeeId: { $ne: null }
+    };
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const minutesBetween = (start, end) => ({
+      $cond: [
+        { $and: [{ $ifNull: [start, false] }, { $ifNull: [end, false] }] },
+        { $divide: [{ $subtract: [end, start] }, 60000] },
+        null
+      ]
+    });
+
+    const rows = await ServiceRequest.aggregate([
+      { $match: match },
+      {
+        $project: {
+          employeeId: 1,
+          status: 1,
+          rating: 1,
+          reopenCount: 1,
+          done: { $in: ['$status', ['COMPLETED', 'CLOSED']] },
+          breached: {
+            $or: [
+              { $ifNull: ['$sla.responseBreachedAt', false] },
+              { $ifNull: ['$sla.resolutionBreachedAt', false] }
+            ]
+          },
+          responseMinutes: minutesBetween('$assignedAt', '$acceptedAt'),
+          resolutionMinutes: minutesBetween('$createdAt', '$completedAt'),
+          workMinutes: {
+            $let: {
+              vars: { total: minutesBetween('$startedAt', '$completedAt') },
+              in: {
+                $cond: [
+                  { $eq: ['$$total', null] },
+                  null,
+                  { $max: [0, { $subtract: ['$$total', { $ifNull: ['$totalPausedMinutes', 0] }] }] }
+                ]
+              }
+            }
+          }
+        }
+      },
+      {
+        $group: {
+          _id: '$employeeId',
+          assigned: { $sum: 1 },
+          completed: { $sum: { $cond: ['$done', 1, 0] } },
+          open: { $sum: { $cond: [{ $in: ['$status', ['ASSIGNED', 'ACCEPTED', 'IN_PROGRESS', 'ON_HOLD']] }, 1, 0] } },
+          slaBreaches: { $sum: { $cond: ['$breached', 1, 0] } },
+          reopened: { $sum: { $ifNull: ['$reopenCount', 0] } },
+          avgResponseMinutes: { $avg: '$responseMinutes' },
+          avgResolutionMinutes: { $avg: '$resolutionMinutes' },
+          avgWorkMinutes: { $avg: '$workMinutes' },
+          avgRating: { $avg: '$rating' },
+          ratings: { $sum: { $cond: [{ $ifNull: ['$rating', false] }, 1, 0] } }
+        }
+      },
+      {
+        $lookup: {
+          from: 'employees',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'employee'
+        }
+      },
+      { $unwind: { path: '$employee', preserveNullAndEmptyArrays: true } },
+      { $sort: { completed: -1 } }
+    ]);
+
+    const round = value => (value == null ? null : Math.round(value));
+
+    return rows.map(row => ({
+      employee: row.employee ? {
+        id: row.employee._id,
+        name: row.employee.name,
+        employeeCode: row.employee.employeeCode,
+        employeeType: row.employee.employeeType
+      } : { id: row._id, name: null },
+      assigned: row.assigned,
+      completed: row.completed,
+      open: row.open,
+      slaBreaches: row.slaBreaches,
+      slaComplianceRate: row.assigned ? Math.round(((row.assigned - row.slaBreaches) / row.assigned) * 100) : null,
+      reopened: row.reopened,
+      avgResponseMinutes: round(row.avgResponseMinutes),
+      avgResolutionMinutes: round(row.avgResolutionMinutes),
+      avgWorkMinutes: round(row.avgWorkMinutes),
+      avgRating: row.avgRating == null ? null : Math.round(row.avgRating * 10) / 10,
+      ratings: row.ratings
+    }));
+  }
+
+  formatWorkflow(request) {
+    const now = new Date();
+    const sla = request.sla || {};
+    const resolved = ['COMPLETED', 'CLOSED', 'CANCELLED', 'REJECTED'].includes(request.status);
+    return {
+      assignedAt: request.assignedAt,
+      acceptedAt: request.acceptedAt,
+      startedAt: request.startedAt,
+      pausedAt: request.pausedAt,
+      pauseReason: request.pauseReason,
+      totalPausedMinutes: request.totalPausedMinutes,
+      costApprovalStatus: request.costApprovalStatus || null,
+      costDecidedAt: request.costDecidedAt,
+      completionPhotos: request.completionPhotos,
+      signedOffAt: request.signedOffAt,
+      rating: request.rating,
+      feedback: request.feedback,
+      reopenCount: request.reopenCount,
+      sla: {
+        responseDueAt: sla.responseDueAt || null,
+        resolutionDueAt: sla.resolutionDueAt || null,
+        responseBreached: !!sla.responseBreachedAt,
+        resolutionBreached: !!sla.resolutionBreachedAt ||
+          (!resolved && request.status !== 'ON_HOLD' && !!sla.resolutionDueAt && sla.resolutionDueAt < now)
+      },
+      timeline: request.timeline
+    };
+  }
+}
+
+module.exports = new ServiceRequestService();
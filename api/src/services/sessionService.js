@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+/**
+ * Session Service
+ * Tracks issued JWTs server-side so they can be listed and revoked before expiry,
+ * and rotates refresh tokens with reuse detection
+ */
+
+// Avoid a database write on every request - only refresh lastSeenAt once per interval
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Refresh tokens (and therefore sessions) live this long without being used
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Rotated hashes kept per session for reuse detection
+const MAX_PREVIOUS_REFRESH_HASHES = 50;
+
+class SessionService {
+  // Generate a new opaque session identifier
+  generateSessionId() {
+    return `SESS_${Date.now()}_${crypto.randomBytes(12).toString('hex').toUpperCase()}`;
+  }
+
+  // Hash a refresh token secret before it is stored or compared
+  hashToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  // Build a new refresh token for a session: "<sessionId>.<secret>"
+  generateRefreshToken(sessionId) {
+    const secret = crypto.randomBytes(32).toString('hex');
+    return {
+      refreshToken: `${sessionId}.${secret}`,
+      refreshTokenHash: this.hashToken(secret)
+    };
+  }
+
+  // Split a refresh token into its session ID and secret
+  parseRefreshToken(refreshToken) {
+    if (typeof refreshToken !== 'string') return null;
+    const separatorIndex = refreshToken.lastIndexOf('.');
+    if (separatorIndex <= 0) return null;
+
+    const sessionId = refreshToken.substring(0, separatorIndex);
+    const secret = refreshToken.substring(separatorIndex + 1);
+    if (!sessionId || !secret) return null;
+
+    return { sessionId, secret };
+  }
+
+  getRefreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  // Extract device details from the request that issued the token
+  getDeviceInfo(req) {
+    if (!req) return {};
+
+    const userAgent = req.get ? req.get('User-Agent') : req.headers && req.headers['user-agent'];
+    const deviceName = (req.body && req.body.deviceName) || (req.headers && req.headers['x-device-name']);
+
+    return {
+      name: deviceName ? String(deviceName).substring(0, 100) : undefined,
+      userAgent: userAgent ? String(userAgent).substring(0, 500) : undefined,
+      ipAddress: req.ip || (req.connection && req.connection.remoteAddress)
+    };
+  }
+
+  // Persist a session (token family) for a freshly signed token
+  async createSession({ sessionId, userId, buildingId, activeRole, req }) {
+    const { refreshToken, refreshTokenHash } = this.generateRefreshToken(sessionId);
+
+    const session = await Session.create({
+      sessionId,
+      userId,
+      buildingId,
+      activeRole,
+      device: this.getDeviceInfo(req),
+      refreshTokenHash,
+      issuedAt: new Date(),
+      lastSeenAt: new Date(),
+      expiresAt: this.getRefreshExpiry()
+    });
+
+    return { session, refreshToken };
+  }
+
+  /**
+   * Rotate a refresh token.
+   * Returns { status: 'ROTATED', session, refreshToken } on success,
+   * { status: 'REUSED', session } when an already-rotated token is replayed (the family is revoked),
+   * or { status: 'INVALID' } otherwise.
+   */
+  async rotateRefreshToken(refreshToken) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) return { status: 'INVALID' };
+
+    const presentedHash = this.hashToken(parsed.secret);
+    const next = this.generateRefreshToken(parsed.sessionId);
+
+    // Atomic compare-and-swap so two concurrent refreshes cannot both succeed
+    const session = await Session.findOneAndUpdate(
+      {
+        sessionId: parsed.sessionId,
+        refreshTokenHash: presentedHash,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+      },
+      {
+        $set: {
+          refreshTokenHash: next.refreshTokenHash,
+          lastRotatedAt: new Date(),
+          lastSeenAt: new Date(),
+          expiresAt: this.getRefreshExpiry()
+        },
+        $inc: { rotationCount: 1 },
+        $push: {
+          previousRefreshTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_REFRESH_HASHES }
+        }
+      },
+      { new: true }
+    );
+
+    if (session) {
+      return { status: 'ROTATED', session, refreshToken: next.refreshToken };
+    }
+
+    // Not the current token - check whether it is one we already rotated away
+    const reused = await Session.findOne({
+      sessionId: parsed.sessionId,
+      previousRefreshTokenHashes: presentedHash
+    });
+
+    if (reused) {
+      if (!reused.revokedAt) {
+        await reused.revoke('REFRESH_TOKEN_REUSE');
+      }
+      return { status: 'REUSED', session: reused };
+    }
+
+    return { status: 'INVALID' };
+  }
+
+  // Return the session if it is still usable, otherwise null
+  async validateSession(sessionId, userId) {
+    const session = await Session.findOne({ sessionId });
+
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return null;
+    }
+
+    if (userId && session.userId.toString() !== userId.toString()) {
+      return null;
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+      await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
+    }
+
+    return session;
+  }
+
+  // Which of the given sessions are still usable (not revoked or expired)
+  async getActiveSessionIds(sessionIds) {
+    const sessions = await Session.find({
+      sessionId: { $in: sessionIds },
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).select('sessionId');
+    return new Set(sessions.map(session => session.sessionId));
+  }
+
+  // Revoke a single session
+  async revokeSession(sessionId, reason, revokedBy = null) {
+    const session = await Session.findOne({ sessionId, revokedAt: { $exists: false } });
+    if (!session) return null;
+    return session.revoke(reason, revokedBy);
+  }
+
+  // Revoke every active session of a user, optionally keeping one
+  async revokeAllForUser(userId, reason, revokedBy = null, exceptSessionId = null) {
+    const result = await Session.revokeAllForUser(userId, reason, revokedBy, exceptSessionId);
+    return result.modifiedCount;
+  }
+
+  // List active sessions for a user
+  async getActiveSessions(userId) {
+    return Session.findActiveByUser(userId);
+  }
+}
+
+module.exports = new SessionService();
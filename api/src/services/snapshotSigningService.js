@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+// PKCS#8 DER header of an Ed25519 private key; the 32-byte seed follows it
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * Snapshot Signing Service
+ * Signs offline gate snapshots with an Ed25519 key so guard devices can check
+ * them against the published public key without holding any secret that could
+ * mint QR codes.
+ *
+ * GATE_SNAPSHOT_SIGNING_KEY holds the PEM private key (newlines may be written
+ * as \n) and GATE_SNAPSHOT_KEY_ID names it. Devices fetch the public key from
+ * GET /api/security/gate-snapshot-key and refetch it when a snapshot arrives
+ * with a keyId they do not know.
+ */
+
+class SnapshotSigningService {
+  constructor() {
+    this.privateKey = null;
+    this.publicKey = null;
+    this.keyId = null;
+  }
+
+  // Read lazily so dotenv has run by the time the first snapshot is signed
+  loadKey() {
+    if (this.privateKey) return;
+
+    const pem = process.env.GATE_SNAPSHOT_SIGNING_KEY;
+    if (pem) {
+      this.privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+      this.keyId = process.env.GATE_SNAPSHOT_KEY_ID || 'default';
+    } else {
+      console.warn('⚠️  GATE_SNAPSHOT_SIGNING_KEY not set, deriving the snapshot signing key from JWT_SECRET');
+      const seed = crypto.createHmac('sha256', process.env.JWT_SECRET || '').update('gate-snapshot').digest();
+      this.privateKey = crypto.createPrivateKey({
+        key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+        format: 'der',
+        type: 'pkcs8'
+      });
+      this.keyId = 'jwt';
+    }
+
+    if (this.privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('GATE_SNAPSHOT_SIGNING_KEY must be an Ed25519 private key');
+    }
+    this.publicKey = crypto.createPublicKey(this.privateKey);
+  }
+
+  /**
+   * Sign a JSON document
+   * @returns {Object} { keyId, algorithm, signature } - signature is base64url over JSON.stringify(payload)
+   */
+  sign(payload) {
+    this.loadKey();
+    return {
+      keyId: this.keyId,
+      algorithm: 'Ed25519',
+      signature: crypto.sign(null, Buffer.from(JSON.stringify(payload)), this.privateKey).toString('base64url')
+    };
+  }
+
+  /**
+   * Public key devices verify snapshots with
+   * @returns {Object} { keyId, algorithm, publicKey } - publicKey as SPKI PEM
+   */
+  getPublicKey() {
+    this.loadKey();
+    return {
+      keyId: this.keyId,
+      algorithm: 'Ed25519',
+      publicKey: this.publicKey.export({ type: 'spki', format: 'pem' })
+    };
+  }
+}
+
+module.exports = new SnapshotSigningService();
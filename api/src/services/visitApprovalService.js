@@ -0,0 +1,373 @@
+const crypto = require('crypto');
+const Visit = require('../models/Visit');
+const Visitor = require('../models/Visitor');
+const User = require('../models/User');
+const Building = require('../models/Building');
+const FamilyMember = require('../models/FamilyMember');
+const PreApproval = require('../models/PreApproval');
+const Notification = require('../models/Notification');
+const realtimeService = require('./realtimeService');
+
+const DEFAULT_APPROVAL_TIMEOUT_MINUTES = 5;
+
+const ESCALATION_ROLES = {
+  SECURITY: ['SECURITY'],
+  BUILDING_ADMIN: ['BUILDING_ADMIN'],
+  BOTH: ['SECURITY', 'BUILDING_ADMIN']
+};
+
+/**
+ * Visit Approval Service
+ * Applies a host's APPROVE/REJECT decision to a pending Visit or PreApproval.
+ * Decisions are conditional on the record still being PENDING, so when
+ * several people respond at once only the first one takes effect.
+ * Walk-in requests go to every member of the host flat and are escalated to
+ * security / admin when nobody answers within the building's timeout.
+ */
+
+class VisitApprovalService {
+  /**
+   * Approve or reject a pending visit
+   * @param {Object} options
+   * @param {ObjectId|String} options.visitId - Visit _id
+   * @param {String} options.decision - APPROVE or REJECT
+   * @param {ObjectId|String} [options.userId] - Responding user
+   * @param {String} [options.reason] - Rejection reason
+   * @param {String} [options.approvedByName] - Resident who approved in person at the gate
+   * @param {Boolean} [options.checkIn] - Check the visitor in along with the approval
+   * @returns {Promise<Object|null>} Updated visit, or null if it was no longer pending
+   */
+  async decideVisit({ visitId, decision, userId, reason, approvedByName, checkIn = false }) {
+    const now = new Date();
+    // Same fields as Visit#approve / Visit#approveByName / Visit#reject
+    const update = decision === 'APPROVE'
+      ? { approvalStatus: 'APPROVED', approvedAt: now, status: 'SCHEDULED' }
+      : {
+        approvalStatus: 'REJECTED',
+        approvedAt: now,
+        rejectionReason: reason || 'No reason provided',
+        status: 'CANCELLED',
+        isActive: false
+      };
+    if (userId) update.approvedBy = userId;
+    if (decision === 'APPROVE' && approvedByName) update.approvedByName = approvedByName;
+    if (decision === 'APPROVE' && checkIn) {
+      Object.assign(update, {
+        status: 'IN_PROGRESS',
+        checkInTime: now,
+        verifiedBySecurity: userId,
+        verifiedAt: now
+      });
+    }
+
+    const visit = await Visit.findOneAndUpdate(
+      { _id: visitId, approvalStatus: 'PENDING', isActive: true },
+      { $set: update },
+      { new: true }
+    ).populate([
+      { path: 'visitorId', select: 'name phoneNumber' },
+      { path: 'hostId', select: 'name flatNumber role' }
+    ]);
+
+    if (!visit) return null;
+
+    await Visitor.findByIdAndUpdate(visit.visitorId._id, {
+      approvalStatus: decision === 'APPROVE' ? 'APPROVED' : 'DENIED'
+    });
+
+    await realtimeService.publishVisitEvent(
+      decision === 'APPROVE' ? 'VISIT_APPROVED' : 'VISIT_REJECTED',
+      visit,
+      approvedByName ? { respondedBy: userId, approvedByName } : { respondedBy: userId }
+    );
+
+    return visit;
+  }
+
+  /**
+   * Residents of a flat plus approved family members who have their own account
+   * @param {Object} options
+   * @param {ObjectId|String} options.buildingId
+   * @param {String} options.flatNumber
+   * @param {String} [options.blockNumber] - Residents with no block recorded still match
+   * @param {ObjectId|String} [options.hostId] - Always included, listed first
+   * @returns {Promise<Array<Object>>} Users (_id, name, role)
+   */
+  async resolveFlatApprovers({ buildingId, flatNumber, blockNumber, hostId }) {
+    const residentQuery = {
+      buildingId,
+      flatNumber,
+      isActive: true,
+      approvalStatus: { $ne: 'REJECTED' },
+      $or: [{ role: 'RESIDENT' }, { roles: 'RESIDENT' }]
+    };
+    if (blockNumber) {
+      residentQuery.$and = [{ $or: [{ blockNumber }, { blockNumber: null }, { blockNumber: '' }] }];
+    }
+
+    const residents = await User.find(residentQuery).select('name role phoneNumber');
+    const residentIds = residents.map(r => r._id);
+    if (hostId) residentIds.push(hostId);
+
+    // Family members are linked to a resident by phone number when they sign up themselves
+    const familyPhones = await FamilyMember.distinct('phoneNumber', {
+      buildingId,
+      residentId: { $in: residentIds },
+      isActive: true
+    });
+    const familyUsers = familyPhones.length
+      ? await User.find({
+        buildingId,
+        phoneNumber: { $in: familyPhones },
+        isActive: true,
+        approvalStatus: 'APPROVED'
+      }).select('name role phoneNumber')
+      : [];
+
+    const approvers = new Map();
+    if (hostId) {
+      const host = residents.find(r => r._id.toString() === hostId.toString())
+        || await User.findById(hostId).select('name role phoneNumber');
+      if (host) approvers.set(host._id.toString(), host);
+    }
+    for (const user of [...residents, ...familyUsers]) {
+      if (!approvers.has(user._id.toString())) approvers.set(user._id.toString(), user);
+    }
+    return [...approvers.values()];
+  }
+
+  /**
+   * Send an approval request to every approver and record them on the visit.
+   * The caller saves the visit.
+   * @returns {Promise<Number>} Notifications created
+   */
+  async requestApproval(visit, approvers, visitor) {
+    visit.approverIds = approvers.map(a => a._id);
+    visit.approvalRequestedAt = new Date();
+
+    let sent = 0;
+    for (const approver of approvers) {
+      try {
+        const notification = await Notification.create({
+          notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+          recipientId: approver._id,
+          recipientRole: 'RESIDENT',
+          buildingId: visit.buildingId,
+          title: 'New Visit Request',
+          message: approvers.length > 1
+            ? `${visitor.name} has requested to visit flat ${visit.hostFlatNumber || ''}`.trim()
+            : `${visitor.name} has requested to visit you`,
+          type: 'VISIT_APPROVAL_REQUEST',
+          category: 'INFO',
+          priority: 'MEDIUM',
+          relatedVisitId: visit._id,
+          relatedVisitorId: visitor._id,
+          actionRequired: true,
+          actionType: 'APPROVE',
+          deliveryChannels: { inApp: true, email: true, sms: false }
+        });
+        await realtimeService.publishNotification(notification);
+        sent += 1;
+      } catch (notificationError) {
+        console.error('Approval request notification failed:', notificationError);
+        // Continue even if notification fails
+      }
+    }
+    return sent;
+  }
+
+  // Whether the user was asked to approve the visit (host, flat member or escalation recipient)
+  isApprover(visit, userId) {
+    const hostId = visit.hostId && (visit.hostId._id || visit.hostId);
+    if (hostId && hostId.toString() === userId.toString()) return true;
+    return (visit.approverIds || []).some(id => id.toString() === userId.toString());
+  }
+
+  /**
+   * Hand walk-in requests nobody answered within the building's timeout to
+   * security and/or the building admin. Each visit is claimed atomically, so
+   * it escalates once even with several instances running the job.
+   * @returns {Promise<Object>} { visitsEscalated }
+   */
+  async escalateOverdueApprovals(now = new Date()) {
+    const pendingQuery = {
+      approvalStatus: 'PENDING',
+      isActive: true,
+      visitType: 'WALK_IN',
+      approvalRequestedAt: { $ne: null },
+      approvalEscalatedAt: null
+    };
+
+    const buildingIds = await Visit.distinct('buildingId', pendingQuery);
+    const buildings = await Building.find({ _id: { $in: buildingIds } }).select('name securitySettings');
+
+    let visitsEscalated = 0;
+
+    for (const building of buildings) {
+      const settings = building.securitySettings || {};
+      const timeoutMinutes = settings.approvalTimeoutMinutes != null
+        ? settings.approvalTimeoutMinutes
+        : DEFAULT_APPROVAL_TIMEOUT_MINUTES;
+      if (timeoutMinutes === 0) continue;
+
+      const visits = await Visit.find({
+        ...pendingQuery,
+        buildingId: building._id,
+        approvalRequestedAt: { $lte: new Date(now.getTime() - timeoutMinutes * 60000) }
+      }).select('_id');
+      if (!visits.length) continue;
+
+      const roles = ESCALATION_ROLES[settings.approvalEscalationTarget] || ESCALATION_ROLES.SECURITY;
+      const recipients = await User.find({
+        buildingId: building._id,
+        isActive: true,
+        $or: [{ role: { $in: roles } }, { roles: { $in: roles } }]
+      }).select('name role roles');
+
+      for (const { _id } of visits) {
+        if (await this.escalateVisit(_id, building, recipients, roles, timeoutMinutes, now)) {
+          visitsEscalated += 1;
+        }
+      }
+    }
+
+    return { visitsEscalated };
+  }
+
+  async escalateVisit(visitId, building, recipients, roles, timeoutMinutes, now) {
+    const visit = await Visit.findOneAndUpdate(
+      { _id: visitId, approvalStatus: 'PENDING', isActive: true, approvalEscalatedAt: null },
+      {
+        $set: { approvalEscalatedAt: now },
+        $addToSet: { approverIds: { $each: recipients.map(r => r._id) } }
+      },
+      { new: true }
+    ).populate([
+      { path: 'visitorId', select: 'name phoneNumber' },
+      { path: 'hostId', select: 'name flatNumber role' }
+    ]);
+
+    if (!visit) return false;
+
+    const visitorName = visit.visitorId ? visit.visitorId.name : 'A visitor';
+    const flat = visit.hostFlatNumber || (visit.hostId ? visit.hostId.flatNumber : null);
+
+    for (const recipient of recipients) {
+      try {
+        const notification = await Notification.create({
+          notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+          recipientId: recipient._id,
+          recipientRole: roles.includes(recipient.role) ? recipient.role : roles[0],
+          buildingId: building._id,
+          title: 'Visit Approval Escalated',
+          message: `${visitorName} is waiting at the gate for flat ${flat || 'unknown'}; no resident responded within ${timeoutMinutes} minutes`,
+          type: 'VISIT_APPROVAL_REQUEST',
+          category: 'WARNING',
+          priority: 'HIGH',
+          relatedVisitId: visit._id,
+          relatedVisitorId: visit.visitorId ? visit.visitorId._id : undefined,
+          actionRequired: true,
+          actionType: 'APPROVE',
+          deliveryChannels: { inApp: true, email: false, sms: false },
+          metadata: { escalated: true, timeoutMinutes }
+        });
+        await realtimeService.publishNotification(notification);
+      } catch (notificationError) {
+        console.error('Approval escalation notification failed:', notificationError);
+        // Continue even if notification fails
+      }
+    }
+
+    await realtimeService.publishVisitEvent('VISIT_APPROVAL_ESCALATED', visit, {
+      visitorName,
+      hostFlatNumber: flat,
+      timeoutMinutes,
+      escalatedTo: roles
+    });
+
+    return true;
+  }
+
+  /**
+   * Approve or reject a pending pre-approval and its linked visit
+   * @returns {Promise<Object|null>} Updated pre-approval, or null if it was no longer pending
+   */
+  async decidePreApproval({ preApprovalId, decision, userId, reason }) {
+    const now = new Date();
+    const update = {
+      status: decision === 'APPROVE' ? 'APPROVED' : 'REJECTED',
+      approvedBy: userId,
+      approvedAt: now
+    };
+    if (decision === 'REJECT') {
+      update.rejectionReason = reason || 'No reason provided';
+    }
+
+    const preApproval = await PreApproval.findOneAndUpdate(
+      { _id: preApprovalId, status: 'PENDING', isDeleted: false },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!preApproval) return null;
+
+    const visit = await Visit.findOne({ preApprovalId: preApproval._id });
+    if (visit && visit.approvalStatus === 'PENDING') {
+      await this.decideVisit({ visitId: visit._id, decision, userId, reason });
+    }
+
+    return preApproval;
+  }
+
+  /**
+   * Resolve every open action notification for a visit or pre-approval
+   * @returns {Promise<Number>} Number of notifications resolved
+   */
+  async resolveActionNotifications({ buildingId, visitId, preApprovalId, response, userId, note }) {
+    const links = [];
+    if (visitId) links.push({ relatedVisitId: visitId });
+    if (preApprovalId) links.push({ relatedPreApprovalId: preApprovalId });
+    if (!links.length) return 0;
+
+    const query = {
+      buildingId,
+      actionRequired: true,
+      actionResolvedAt: null,
+      $or: links
+    };
+
+    const siblings = await Notification.find(query).select('_id recipientId');
+    if (!siblings.length) return 0;
+
+    const resolvedAt = new Date();
+    await Notification.updateMany(
+      { _id: { $in: siblings.map(n => n._id) } },
+      {
+        $set: {
+          actionResponse: response,
+          actionNote: note,
+          actionResolvedAt: resolvedAt,
+          actionResolvedBy: userId
+        }
+      }
+    );
+
+    await realtimeService.publish({
+      buildingId,
+      type: 'NOTIFICATIONS_RESOLVED',
+      userIds: [...new Set(siblings.map(n => n.recipientId.toString()))],
+      data: {
+        notificationIds: siblings.map(n => n._id),
+        relatedVisitId: visitId || null,
+        relatedPreApprovalId: preApprovalId || null,
+        actionResponse: response,
+        resolvedBy: userId,
+        resolvedAt
+      }
+    });
+
+    return siblings.length;
+  }
+}
+
+module.exports = new VisitApprovalService();
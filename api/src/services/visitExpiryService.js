@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const Visit = require('../models/Visit');
+const PreApproval = require('../models/PreApproval');
+const Building = require('../models/Building');
+const Notification = require('../models/Notification');
+const auditService = require('./auditService');
+const passService = require('./passService');
+const realtimeService = require('./realtimeService');
+
+// Used for visits checked in without an expected duration
+const DEFAULT_EXPECTED_DURATION_MINUTES = 60;
+const DEFAULT_AUTO_CHECKOUT_GRACE_MINUTES = 120;
+
+/**
+ * Visit Expiry Service
+ * Moves stale visits, pre-approvals and passes to EXPIRED and checks out visits that
+ * were never checked out at the gate. Every update is conditional on the
+ * record's current state, so running the sweep twice changes nothing.
+ */
+
+class VisitExpiryService {
+  startOfDay(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    return start;
+  }
+
+  // SCHEDULED visits whose scheduled day has passed, or unscheduled ones whose QR code expired
+  async expireScheduledVisits(now = new Date()) {
+    const result = await Visit.updateMany(
+      {
+        status: 'SCHEDULED',
+        checkInTime: null,
+        $or: [
+          { scheduledDate: { $lt: this.startOfDay(now) } },
+          { scheduledDate: null, qrCodeExpiresAt: { $lt: now } }
+        ]
+      },
+      { $set: { status: 'EXPIRED', isActive: false } }
+    );
+    return result.modifiedCount;
+  }
+
+  // Pending or approved pre-approvals whose expected date (or recurrence end date) has passed
+  async expirePreApprovals(now = new Date()) {
+    const today = this.startOfDay(now);
+    const result = await PreApproval.updateMany(
+      {
+        status: { $in: ['PENDING', 'APPROVED'] },
+        isDeleted: { $ne: true },
+        $or: [
+          { isRecurring: { $ne: true }, expectedDate: { $lt: today } },
+          { isRecurring: true, 'recurrence.endDate': { $lt: today } }
+        ]
+      },
+      { $set: { status: 'EXPIRED' } }
+    );
+    return result.modifiedCount;
+  }
+
+  // Check out IN_PROGRESS visits past expected end + the building's grace period
+  async autoCheckoutVisits(now = new Date()) {
+    const buildingIds = await Visit.distinct('buildingId', {
+      status: 'IN_PROGRESS',
+      checkOutTime: null
+    });
+
+    const buildings = await Building.find({
+      _id: { $in: buildingIds },
+      'securitySettings.autoCheckout': true
+    }).select('name securitySettings');
+
+    let checkedOut = 0;
+
+    for (const building of buildings) {
+      const graceMinutes = building.securitySettings && building.securitySettings.autoCheckoutGraceMinutes != null
+        ? building.securitySettings.autoCheckoutGraceMinutes
+        : DEFAULT_AUTO_CHECKOUT_GRACE_MINUTES;
+
+      // Coarse filter: nothing checked in after (now - grace) can be overdue yet
+      const candidates = await Visit.find({
+        buildingId: building._id,
+        status: 'IN_PROGRESS',
+        checkOutTime: null,
+        checkInTime: { $lte: new Date(now.getTime() - graceMinutes * 60000) }
+      })
+        .populate('visitorId', 'name')
+        .populate('hostId', 'name role');
+
+      for (const visit of candidates) {
+        const expectedDuration = visit.expectedDuration || DEFAULT_EXPECTED_DURATION_MINUTES;
+        const dueAt = visit.checkInTime.getTime() + (expectedDuration + graceMinutes) * 60000;
+        if (dueAt > now.getTime()) continue;
+
+        if (await this.checkOutVisit(visit, building, now)) {
+          checkedOut += 1;
+        }
+      }
+    }
+
+    return checkedOut;
+  }
+
+  async checkOutVisit(visit, building, now) {
+    // Only the instance whose update matches notifies, so the host hears about it once
+    const updated = await Visit.findOneAndUpdate(
+      { _id: visit._id, status: 'IN_PROGRESS', checkOutTime: null },
+      {
+        $set: {
+          status: 'COMPLETED',
+          checkOutTime: now,
+          isActive: false,
+          autoCheckedOut: true,
+          actualDuration: Math.round((now - visit.checkInTime) / 60000),
+          'notificationsSent.checkOut': true
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) return false;
+
+    await auditService.record({
+      action: 'VISIT_CHECKED_OUT',
+      buildingId: building._id,
+      entityType: 'VISIT',
+      entityId: visit._id,
+      entityLabel: visit.visitId,
+      before: { status: 'IN_PROGRESS', checkOutTime: null },
+      after: { status: 'COMPLETED', checkOutTime: now },
+      metadata: { autoCheckout: true, visitorName: visit.visitorId ? visit.visitorId.name : null }
+    });
+
+    await realtimeService.publishVisitEvent('VISIT_CHECKED_OUT', updated, {
+      visitorName: visit.visitorId ? visit.visitorId.name : null,
+      hostName: visit.hostId ? visit.hostId.name : null,
+      autoCheckout: true
+    });
+
+    if (visit.hostId) {
+      try {
+        const visitorName = visit.visitorId ? visit.visitorId.name : 'Your visitor';
+        const notification = await Notification.create({
+          notificationId: `NOTIF_${Date.now()}_${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+          recipientId: visit.hostId._id,
+          recipientRole: visit.hostId.role || 'RESIDENT',
+          buildingId: building._id,
+          title: 'Visitor Auto Checked Out',
+          message: `${visitorName} was not checked out at the gate and has been checked out automatically`,
+          type: 'VISITOR_DEPARTURE',
+          category: 'WARNING',
+          priority: 'MEDIUM',
+          relatedVisitId: visit._id,
+          relatedVisitorId: visit.visitorId ? visit.visitorId._id : undefined,
+          deliveryChannels: { inApp: true, email: false, sms: false },
+          metadata: { autoCheckout: true }
+        });
+        await realtimeService.publishNotification(notification);
+        await Visit.updateOne({ _id: visit._id }, { $set: { 'notificationsSent.host': true } });
+      } catch (notificationError) {
+        console.error('Auto checkout notification failed:', notificationError);
+        // Continue even if notification fails
+      }
+    }
+
+    return true;
+  }
+
+  // Job entry point
+  async sweep() {
+    const now = new Date();
+    return {
+      visitsExpired: await this.expireScheduledVisits(now),
+      preApprovalsExpired: await this.expirePreApprovals(now),
+      passesExpired: await passService.expirePasses(now),
+      visitsAutoCheckedOut: await this.autoCheckoutVisits(now)
+    };
+  }
+}
+
+module.exports = new VisitExpiryService();
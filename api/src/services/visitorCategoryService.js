@@ -0,0 +1,194 @@
+const VisitorCategory = require('../models/VisitorCategory');
+
+const service = name => ({ name, logoUrl: null, isActive: true });
+
+// Categories as they were before buildings could configure them
+const DEFAULT_CATEGORIES = {
+  CAB_DRIVER: {
+    name: 'Cab Drivers',
+    icon: 'car',
+    description: 'Taxi and cab service providers',
+    services: ['Uber', 'Ola', 'Rapido', 'Meru', 'Easy Cabs', 'Mega Cabs', 'Others'].map(service)
+  },
+  DELIVERY_AGENT: {
+    name: 'Delivery Agents',
+    icon: 'package',
+    description: 'Package and food delivery personnel',
+    services: [
+      'Amazon Delivery Agent',
+      'Flipkart Delivery Agent',
+      'Swiggy Delivery Agent',
+      'Zomato Delivery Agent',
+      'Zepto Delivery Agent',
+      'Blinkit Delivery Agent',
+      'BigBasket Delivery Agent',
+      'Grofers Delivery Agent',
+      'Others'
+    ].map(service)
+  },
+  FLAT_EMPLOYEE: {
+    name: 'Flat Employees',
+    icon: 'worker',
+    description: 'House help and maintenance workers',
+    services: [
+      'House Help',
+      'Electrician',
+      'Plumber',
+      'Milk Man',
+      'Newspaper Boy',
+      'Garbage Collector',
+      'Maintenance Worker',
+      'Security Guard',
+      'Gardener',
+      'Others'
+    ].map(service)
+  },
+  OTHER: {
+    name: 'Others',
+    icon: 'person',
+    description: 'General visitors and guests',
+    services: []
+  }
+};
+
+const DEFAULT_RULES = {
+  requiresHostApproval: true,
+  defaultExpectedDuration: null,
+  photoRequired: false,
+  idRequired: false
+};
+
+// Fields a building admin may change
+const EDITABLE_FIELDS = ['name', 'icon', 'description', 'services', ...Object.keys(DEFAULT_RULES)];
+
+/**
+ * Visitor Category Service
+ * Per-building visitor categories: the vendors offered for each, and the rules
+ * applied when visitors and visits are created (host approval, default
+ * expected duration, mandatory photo / ID).
+ */
+
+class VisitorCategoryService {
+  getDefault(code) {
+    return {
+      code,
+      ...DEFAULT_CATEGORIES[code],
+      ...DEFAULT_RULES,
+      isCustomized: false
+    };
+  }
+
+  format(category) {
+    const { code, name, icon, description, services, requiresHostApproval, defaultExpectedDuration, photoRequired, idRequired, updatedAt } = category.toObject();
+    return {
+      code,
+      name,
+      icon,
+      description,
+      services,
+      requiresHostApproval,
+      defaultExpectedDuration,
+      photoRequired,
+      idRequired,
+      isCustomized: true,
+      updatedAt
+    };
+  }
+
+  /**
+   * A building's settings for one category (defaults if it has not configured it)
+   * @returns {Promise<Object>}
+   */
+  async getCategory(buildingId, code) {
+    const category = buildingId
+      ? await VisitorCategory.findOne({ buildingId, code })
+      : null;
+    return category ? this.format(category) : this.getDefault(code);
+  }
+
+  /**
+   * Every category for a building, configured or default
+   * @returns {Promise<Array>}
+   */
+  async getCategories(buildingId) {
+    const configured = buildingId
+      ? await VisitorCategory.find({ buildingId })
+      : [];
+    const byCode = new Map(configured.map(category => [category.code, category]));
+
+    return VisitorCategory.CODES.map(code => (
+      byCode.has(code) ? this.format(byCode.get(code)) : this.getDefault(code)
+    ));
+  }
+
+  activeServiceNames(category) {
+    return category.services
+      .filter(item => item.isActive !== false)
+      .map(item => item.name);
+  }
+
+  /**
+   * Save a building's settings for a category; fields not given keep their current value
+   * @returns {Promise<Object>}
+   */
+  async saveCategory(buildingId, code, changes, userId) {
+    const current = await this.getCategory(buildingId, code);
+
+    const update = {};
+    EDITABLE_FIELDS.forEach(field => {
+      update[field] = changes[field] !== undefined ? changes[field] : current[field];
+    });
+    update.updatedBy = userId;
+
+    const category = await VisitorCategory.findOneAndUpdate(
+      { buildingId, code },
+      { $set: update, $setOnInsert: { createdBy: userId } },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    return this.format(category);
+  }
+
+  /**
+   * Drop a building's settings for a category so the defaults apply again
+   * @returns {Promise<Boolean>} Whether the building had settings to remove
+   */
+  async resetCategory(buildingId, code) {
+    const result = await VisitorCategory.deleteOne({ buildingId, code });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Match a serviceType against the category's active services (case-insensitive)
+   * @returns {Object} { serviceType } with the configured spelling, or { error }
+   */
+  resolveServiceType(category, serviceType) {
+    if (!serviceType) return { serviceType };
+
+    const names = this.activeServiceNames(category);
+    if (names.length === 0) return { serviceType };
+
+    const match = names.find(name => name.toLowerCase() === String(serviceType).trim().toLowerCase());
+    if (!match) {
+      return { error: `Service type must be one of: ${names.join(', ')}` };
+    }
+    return { serviceType: match };
+  }
+
+  /**
+   * Photo / ID the category requires that the visitor does not have yet
+   * @returns {Array<String>} Missing requirements ('photo', 'id')
+   */
+  missingRequirements(category, visitor) {
+    const missing = [];
+    if (category.photoRequired && !visitor.photo && !(visitor.faceId && visitor.faceId.url)) {
+      missing.push('photo');
+    }
+    if (category.idRequired && !visitor.idNumber && !(visitor.proofId && visitor.proofId.url)) {
+      missing.push('id');
+    }
+    return missing;
+  }
+}
+
+module.exports = new VisitorCategoryService();
@@ -0,0 +1,39 @@
+require('dotenv').config();
+
+const databaseConnection = require('../config/database');
+const helpdeskLegacyService = require('../services/helpdeskLegacyService');
+
+/**
+ * Helpdesk migration
+ * Copies existing complaints, support tickets and maintenance requests into
+ * helpdesk tickets. Records that already have a ticket are skipped, so it is
+ * safe to run again.
+ *
+ * Usage: npm run migrate:helpdesk [-- --dry-run]
+ */
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await databaseConnection.connect();
+  try {
+    const report = await helpdeskLegacyService.migrate({ dryRun });
+
+    console.log(dryRun ? '🔍 Helpdesk migration dry run:' : '✅ Helpdesk migration complete:');
+    Object.entries(report).forEach(([source, result]) => {
+      console.log(`   ${source}: ${result.total} found, ${result.migrated} ${dryRun ? 'to migrate' : 'migrated'}, ${result.skipped} already migrated, ${result.failed} failed`);
+      result.errors.forEach(error => console.log(`      ❌ ${error.id}: ${error.message}`));
+    });
+
+    return Object.values(report).some(result => result.failed > 0) ? 1 : 0;
+  } finally {
+    await databaseConnection.disconnect();
+  }
+};
+
+run()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Helpdesk migration failed:', error.message);
+    process.exit(1);
+  });
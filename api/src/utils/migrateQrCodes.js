@@ -0,0 +1,36 @@
+require('dotenv').config();
+
+const databaseConnection = require('../config/database');
+const legacyQrCodeService = require('../services/legacyQrCodeService');
+
+/**
+ * QR code migration
+ * Visitor passes issued before signed QR tokens kept the visitor's phone number
+ * and email in qrCodeData. This removes them; the codes themselves stay on the
+ * pass so they are still accepted at the gate until the pass ends.
+ *
+ * Usage: npm run migrate:qr-codes [-- --dry-run]
+ */
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await databaseConnection.connect();
+  try {
+    const { total, cleared } = await legacyQrCodeService.clearPassDetails({ dryRun });
+
+    console.log(dryRun ? '🔍 QR code migration dry run:' : '✅ QR code migration complete:');
+    console.log(`   passes: ${total} with stored QR details, ${dryRun ? `${total} to clear` : `${cleared} cleared`}`);
+
+    return 0;
+  } finally {
+    await databaseConnection.disconnect();
+  }
+};
+
+run()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ QR code migration failed:', error.message);
+    process.exit(1);
+  });
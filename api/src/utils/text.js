@@ -0,0 +1,12 @@
+/**
+ * Text helpers
+ */
+
+// Cut text down to maxLength characters, marking the cut with "..."
+const truncate = (text, maxLength) => (
+  text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text
+);
+
+module.exports = {
+  truncate
+};
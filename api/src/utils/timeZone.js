@@ -0,0 +1,101 @@
+/**
+ * Time zone helpers
+ * Calendar arithmetic in a building's IANA time zone, independent of the
+ * server's own zone.
+ */
+
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock fields of `date` in `timeZone` (month is 1-based)
+const zonedParts = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const parts = {};
+  formatterFor(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+};
+
+// How far `timeZone` is ahead of UTC at `date`, in milliseconds
+const offsetAt = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant at which the wall clock in `timeZone` reads the given fields; out-of-range
+// fields roll over like Date.UTC (day 32, minute 1500, ...)
+const fromZoned = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone = DEFAULT_TIME_ZONE) => {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  const offset = offsetAt(new Date(asUtc), timeZone);
+  const guess = asUtc - offset;
+  // The offset may differ on the other side of a DST change
+  const corrected = offsetAt(new Date(guess), timeZone);
+  return new Date(corrected === offset ? guess : asUtc - corrected);
+};
+
+const startOfDay = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return fromZoned({ year, month, day }, timeZone);
+};
+
+const endOfDay = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return new Date(fromZoned({ year, month, day: day + 1 }, timeZone).getTime() - 1);
+};
+
+// Day of `date` at `minutes` past midnight
+const atMinutes = (date, minutes, timeZone = DEFAULT_TIME_ZONE) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return fromZoned({ year, month, day, minute: minutes }, timeZone);
+};
+
+// Start of the day `days` after the day of `date`
+const addDays = (date, days, timeZone = DEFAULT_TIME_ZONE) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return fromZoned({ year, month, day: day + days }, timeZone);
+};
+
+// 0 (Sunday) to 6 (Saturday)
+const dayOfWeek = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const { year, month, day } = zonedParts(date, timeZone);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  zonedParts,
+  fromZoned,
+  startOfDay,
+  endOfDay,
+  atMinutes,
+  addDays,
+  dayOfWeek
+};